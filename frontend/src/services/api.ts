@@ -16,6 +16,20 @@ export const api = axios.create({
   },
 });
 
+// Money-moving endpoints that accept an Idempotency-Key
+const IDEMPOTENT_ROUTES = [
+  /^\/payments\/(send|swap|sepa|swift)$/,
+  /^\/wallets\/[^/]+\/send$/,
+  /^\/cards\/apply$/,
+];
+
+const generateIdempotencyKey = (): string => {
+  if (typeof window.crypto?.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
@@ -26,6 +40,15 @@ api.interceptors.request.use(
         _t: Date.now(),
       };
     }
+
+    // Retries reuse the config, so a request keeps its key and is applied only once
+    const path = (config.url || '').split('?')[0];
+    if (config.method === 'post' && IDEMPOTENT_ROUTES.some((route) => route.test(path))) {
+      config.headers = config.headers || {};
+      if (!config.headers['Idempotency-Key']) {
+        config.headers['Idempotency-Key'] = generateIdempotencyKey();
+      }
+    }
     return config;
   },
   (error) => {
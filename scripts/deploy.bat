@@ -81,6 +81,7 @@ echo USER_SERVICE_URL=http://user-service:3001
 echo WALLET_SERVICE_URL=http://wallet-service:3002
 echo PAYMENT_SERVICE_URL=http://payment-service:3003
 echo CARD_SERVICE_URL=http://card-service:3004
+echo COMPLIANCE_SERVICE_URL=http://compliance-service:3007
 echo.
 echo # Frontend Configuration
 echo REACT_APP_API_URL=http://localhost:3000
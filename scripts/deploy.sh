@@ -109,6 +109,7 @@ USER_SERVICE_URL=http://user-service:3001
 WALLET_SERVICE_URL=http://wallet-service:3002
 PAYMENT_SERVICE_URL=http://payment-service:3003
 CARD_SERVICE_URL=http://card-service:3004
+COMPLIANCE_SERVICE_URL=http://compliance-service:3007
 
 # Frontend Configuration
 REACT_APP_API_URL=http://localhost:3000
@@ -236,7 +237,7 @@ build_and_start() {
 health_check() {
     log "Performing health checks..."
     
-    local services=("api-gateway:3000" "user-service:3001" "wallet-service:3002" "payment-service:3003" "card-service:3004")
+    local services=("api-gateway:3000" "user-service:3001" "wallet-service:3002" "payment-service:3003" "card-service:3004" "compliance-service:3007")
     
     for service in "${services[@]}"; do
         local name=$(echo "$service" | cut -d':' -f1)
@@ -12,4 +12,4 @@ if ! command -v npx >/dev/null 2>&1; then
 fi
 
 # Use root-level concurrently to run frontend and services together
-npx concurrently   "cd frontend && npm run dev"   "cd services/api-gateway && npm run dev"   "cd services/user-service && npm run dev"   "cd services/wallet-service && npm run dev"   "cd services/payment-service && npm run dev"   "cd services/card-service && npm run dev"
+npx concurrently   "cd frontend && npm run dev"   "cd services/api-gateway && npm run dev"   "cd services/user-service && npm run dev"   "cd services/wallet-service && npm run dev"   "cd services/payment-service && npm run dev"   "cd services/card-service && npm run dev"   "cd services/compliance-service && npm run dev"
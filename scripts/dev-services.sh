@@ -14,4 +14,4 @@ if ! command -v npx >/dev/null 2>&1; then
 fi
 
 # Use root-level concurrently to run each service's dev script
-npx concurrently   "cd services/api-gateway && npm run dev"   "cd services/user-service && npm run dev"   "cd services/wallet-service && npm run dev"   "cd services/payment-service && npm run dev"   "cd services/card-service && npm run dev"
+npx concurrently   "cd services/api-gateway && npm run dev"   "cd services/user-service && npm run dev"   "cd services/wallet-service && npm run dev"   "cd services/payment-service && npm run dev"   "cd services/card-service && npm run dev"   "cd services/compliance-service && npm run dev"
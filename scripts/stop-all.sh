@@ -46,6 +46,7 @@ kill_in_root "services/user-service"
 kill_in_root "services/wallet-service"
 kill_in_root "services/payment-service"
 kill_in_root "services/card-service"
+kill_in_root "services/compliance-service"
 
 # Frontend (react dev server or similar)
 kill_in_root "frontend"
@@ -32,6 +32,7 @@ module.exports = {
     wallet: process.env.WALLET_SERVICE_URL || 'http://wallet-service:3002',
     payment: process.env.PAYMENT_SERVICE_URL || 'http://payment-service:3003',
     card: process.env.CARD_SERVICE_URL || 'http://card-service:3004',
+    compliance: process.env.COMPLIANCE_SERVICE_URL || 'http://compliance-service:3007',
   },
   rateLimit: {
     windowMinutes: parseNumber(process.env.RATE_LIMIT_WINDOW_MINUTES, 15),
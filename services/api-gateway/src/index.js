@@ -38,6 +38,22 @@ if (config.corsOrigins.length > 0) {
 }
 app.use(compression());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+
+// Stripe, bank and Travel Rule webhooks are signed over the raw body and carry no token, so
+// they are proxied before body parsing, authentication and rate limiting
+app.use('/api/webhooks', createProxyMiddleware({
+  target: config.services.payment,
+  pathRewrite: { '^/api/webhooks': '/payments/webhooks' },
+  changeOrigin: true,
+  onError: (err, req, res) => {
+    logger.error('Payment service error:', err);
+    res.status(502).json({
+      success: false,
+      error: { code: 'SERVICE_UNAVAILABLE', message: 'Payment service unavailable' }
+    });
+  }
+}));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -106,6 +122,11 @@ const services = {
     target: config.services.card,
     pathRewrite: { '^/api/cards': '' },
     changeOrigin: true
+  },
+  compliance: {
+    target: config.services.compliance,
+    pathRewrite: { '^/api': '' },
+    changeOrigin: true
   }
 };
 
@@ -147,6 +168,34 @@ app.use('/api/wallets', authenticateToken, createProxyMiddleware({
   }
 }));
 
+// Price history and portfolio analytics, served by the wallet service
+app.use(['/api/prices', '/api/analytics'], authenticateToken, createProxyMiddleware({
+  target: services.wallet.target,
+  pathRewrite: { '^/api': '' },
+  changeOrigin: true,
+  onError: (err, req, res) => {
+    logger.error('Wallet service error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: { code: 'SERVICE_UNAVAILABLE', message: 'Wallet service unavailable' } 
+    });
+  }
+}));
+
+// Virtual IBANs, served by the payment service
+app.use('/api/accounts', authenticateToken, createProxyMiddleware({
+  target: services.payment.target,
+  pathRewrite: { '^/api': '' },
+  changeOrigin: true,
+  onError: (err, req, res) => {
+    logger.error('Payment service error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: { code: 'SERVICE_UNAVAILABLE', message: 'Payment service unavailable' } 
+    });
+  }
+}));
+
 // Payment service endpoints
 app.use('/api/payments', authenticateToken, createProxyMiddleware({
   ...services.payment,
@@ -171,6 +220,18 @@ app.use('/api/cards', authenticateToken, createProxyMiddleware({
   }
 }));
 
+// Compliance cases and regulatory reports, for compliance analysts
+app.use('/api/compliance', authenticateToken, createProxyMiddleware({
+  ...services.compliance,
+  onError: (err, req, res) => {
+    logger.error('Compliance service error:', err);
+    res.status(500).json({ 
+      success: false, 
+      error: { code: 'SERVICE_UNAVAILABLE', message: 'Compliance service unavailable' } 
+    });
+  }
+}));
+
 // API Documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.json({
@@ -195,17 +256,78 @@ app.get('/api/docs', (req, res) => {
           'GET /api/wallets': 'Get user wallets',
           'POST /api/wallets': 'Create new wallet',
           'GET /api/wallets/:id/balances': 'Get wallet balances',
-          'POST /api/wallets/:id/send': 'Send cryptocurrency'
+          'GET /api/wallets/:id/fee-estimate': 'Get slow, normal and fast network fee quotes',
+          'POST /api/wallets/:id/send': 'Send cryptocurrency',
+          'GET /api/wallets/:id/addresses': 'List derived receive addresses',
+          'POST /api/wallets/:id/addresses': 'Derive a new receive address',
+          'POST /api/wallets/:id/transactions/prepare': 'Prepare an unsigned transaction for a non-custodial wallet',
+          'POST /api/wallets/:id/transactions/submit': 'Submit a signed transaction for broadcast',
+          'POST /api/wallets/:id/transactions/:transactionId/speed-up': 'Rebroadcast a stuck custodial send with higher fees',
+          'POST /api/wallets/:id/transactions/:transactionId/cancel': 'Cancel a stuck custodial send'
+        },
+        prices: {
+          'GET /api/prices/:assetId/candles': 'Get OHLC price candles for an asset'
+        },
+        analytics: {
+          'GET /api/analytics/portfolio': 'Get portfolio value, returns and risk metrics over a period'
+        },
+        accounts: {
+          'POST /api/accounts/ibans': 'Issue a virtual IBAN for receiving bank transfers in a currency',
+          'GET /api/accounts/ibans': 'Get virtual IBANs',
+          'POST /api/accounts/ibans/:id/close': 'Close a virtual IBAN'
         },
         payments: {
           'GET /api/payments/transactions': 'Get transaction history',
           'POST /api/payments/send': 'Send payment',
-          'POST /api/payments/swap': 'Swap cryptocurrencies'
+          'POST /api/payments/swap/quote': 'Quote a swap at current prices',
+          'POST /api/payments/swap': 'Execute a swap quote, or quote and execute in one step',
+          'POST /api/payments/orders/limit': 'Place a limit order to buy or sell at a target price',
+          'POST /api/payments/orders/recurring': 'Set up a daily, weekly or monthly recurring buy',
+          'GET /api/payments/orders': 'Get limit order and recurring buy history',
+          'GET /api/payments/orders/:id': 'Get an order and the swaps it executed',
+          'POST /api/payments/orders/:id/cancel': 'Cancel an open limit order or active recurring buy',
+          'POST /api/payments/transactions/:id/cancel': 'Cancel an unsettled transaction and release its reserved funds',
+          'GET /api/payments/transactions/:id/travel-rule': 'Get the Travel Rule data sent with a send and the beneficiary VASP\'s answer',
+          'POST /api/payments/deposits/card': 'Start a card top-up of a fiat balance',
+          'GET /api/payments/deposits/card': 'Get card top-ups with their refund and dispute state',
+          'POST /api/payments/beneficiaries': 'Save a bank transfer beneficiary',
+          'GET /api/payments/beneficiaries': 'Get saved beneficiaries',
+          'DELETE /api/payments/beneficiaries/:id': 'Remove a saved beneficiary',
+          'POST /api/payments/sepa': 'Send a SEPA Credit Transfer in EUR',
+          'GET /api/payments/sepa/:id': 'Get a SEPA transfer and its bank status',
+          'POST /api/payments/swift': 'Send an international wire over SWIFT',
+          'GET /api/payments/swift/:id': 'Get a SWIFT transfer with its UETR and status'
+        },
+        webhooks: {
+          'POST /api/webhooks/stripe': 'Stripe payment events, verified by signature',
+          'POST /api/webhooks/bank': 'Incoming bank transfer notifications, verified by signature',
+          'POST /api/webhooks/travel-rule': 'Beneficiary VASP answers to Travel Rule data, verified by signature'
         },
         cards: {
           'GET /api/cards': 'Get user cards',
           'POST /api/cards/apply': 'Apply for new card',
           'PUT /api/cards/:id/controls': 'Update card controls'
+        },
+        compliance: {
+          'GET /api/compliance/cases': 'Get the case queue (analysts only)',
+          'GET /api/compliance/cases/:id': 'Get a case with its notes, evidence and audit trail',
+          'POST /api/compliance/cases/:id/assign': 'Take a case, or assign it as a lead',
+          'POST /api/compliance/cases/:id/notes': 'Add a note to a case',
+          'POST /api/compliance/cases/:id/evidence': 'Attach evidence to a case',
+          'POST /api/compliance/cases/:id/approve': 'Approve a case, releasing a held transaction',
+          'POST /api/compliance/cases/:id/reject': 'Reject a case, cancelling a held transaction',
+          'POST /api/compliance/cases/:id/escalate': 'Escalate a case to a lead',
+          'GET /api/compliance/reports': 'List CTRs and SARs',
+          'GET /api/compliance/reports/:id': 'Get a report with its files and audit trail',
+          'GET /api/compliance/reports/:id/export': 'Download a report as XML or CSV',
+          'POST /api/compliance/reports/ctr': 'Generate the CTRs for a past day',
+          'POST /api/compliance/reports/sar': 'Draft a SAR from a closed case',
+          'PUT /api/compliance/reports/:id/narrative': 'Edit the narrative of a draft report',
+          'POST /api/compliance/reports/:id/submit': 'Submit a draft report for review',
+          'POST /api/compliance/reports/:id/approve': 'Approve a report as a lead',
+          'POST /api/compliance/reports/:id/return': 'Return a report to draft as a lead',
+          'POST /api/compliance/reports/:id/dismiss': 'Dismiss a report as a lead',
+          'POST /api/compliance/reports/:id/file': 'Record a report as filed and archive its files'
         }
       }
     }
@@ -34,6 +34,9 @@ module.exports = {
       reconnectStrategy: (retries) => Math.min(retries * 50, 2000),
     },
   },
+  idempotency: {
+    ttlSeconds: parseNumber(process.env.IDEMPOTENCY_TTL_SECONDS, 86400),
+  },
   cardVendorsApi: process.env.CARD_VENDORS_API,
   logLevel: process.env.LOG_LEVEL || 'info',
 };
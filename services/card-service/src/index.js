@@ -10,6 +10,7 @@ const winston = require('winston');
 const { body, validationResult } = require('express-validator');
 const axios = require('axios');
 const cron = require('node-cron');
+const { withTransaction, LedgerManager, LedgerError, createIdempotencyMiddleware } = require('cryptohybrid-shared');
 require('dotenv').config();
 
 const config = require('./config');
@@ -88,6 +89,14 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Replays stored responses for retried money-moving requests
+const idempotent = createIdempotencyMiddleware({
+  redisClient,
+  logger,
+  namespace: 'card-service',
+  ttlSeconds: config.idempotency.ttlSeconds
+});
+
 // Card utilities
 class CardManager {
   static async createVirtualCard(userId, cardData) {
@@ -276,7 +285,7 @@ app.post('/cards/apply', authenticateToken, [
   body('dailyLimit').isFloat({ min: 100, max: 50000 }),
   body('monthlyLimit').isFloat({ min: 1000, max: 500000 }),
   body('shippingAddress').optional().isObject()
-], validateRequest, async (req, res) => {
+], validateRequest, idempotent, async (req, res) => {
   try {
     const { cardType, network, currency, dailyLimit, monthlyLimit, shippingAddress } = req.body;
 
@@ -647,7 +656,7 @@ cron.schedule('*/1 * * * *', async () => {
     
     // Simulate incoming card transactions
     const activeCards = await pool.query(
-      'SELECT id FROM cards WHERE status = $1',
+      'SELECT id, user_id, currency FROM cards WHERE status = $1',
       ['active']
     );
 
@@ -657,17 +666,54 @@ cron.schedule('*/1 * * * *', async () => {
       
       const transaction = await CardManager.processTransaction(randomCard.id, {
         amount: Math.floor(Math.random() * 500) + 10,
-        currency: 'USD',
+        currency: randomCard.currency,
         merchant: 'Demo Merchant',
         category: 'retail'
       });
 
-      // Save transaction to database
-      await pool.query(
-        `INSERT INTO card_transactions (card_id, amount, currency, merchant, category, status, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-        [randomCard.id, transaction.amount, transaction.currency, transaction.merchant, transaction.category, transaction.status]
-      );
+      // Save the transaction and debit the cardholder's fiat balance together
+      try {
+        await withTransaction(pool, async (client) => {
+          const assetResult = await client.query(
+            `SELECT id FROM assets WHERE symbol = $1 AND asset_type = 'fiat'`,
+            [transaction.currency]
+          );
+
+          if (assetResult.rows.length === 0) {
+            throw new Error(`Unsupported card currency: ${transaction.currency}`);
+          }
+
+          const assetId = assetResult.rows[0].id;
+
+          const cardTransaction = await client.query(
+            `INSERT INTO card_transactions (card_id, amount, currency, merchant, category, status, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW())
+             RETURNING id`,
+            [randomCard.id, transaction.amount, transaction.currency, transaction.merchant, transaction.category, 'completed']
+          );
+
+          await LedgerManager.transfer(client, {
+            entryType: 'card_payment',
+            description: `Card payment at ${transaction.merchant}`,
+            metadata: { cardId: randomCard.id, cardTransactionId: cardTransaction.rows[0].id },
+            from: LedgerManager.userAccount(randomCard.user_id, null, assetId),
+            to: LedgerManager.omnibusAccount(assetId),
+            amount: transaction.amount.toString()
+          });
+        });
+      } catch (error) {
+        if (!(error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE')) {
+          throw error;
+        }
+
+        await pool.query(
+          `INSERT INTO card_transactions (card_id, amount, currency, merchant, category, status, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+          [randomCard.id, transaction.amount, transaction.currency, transaction.merchant, transaction.category, 'declined']
+        );
+        logger.info(`Card transaction declined for card ${randomCard.id}: insufficient balance`);
+        return;
+      }
 
       logger.info(`Card transaction processed: ${transaction.id} for card ${randomCard.id}`);
     }
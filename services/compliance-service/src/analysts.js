@@ -0,0 +1,49 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+const { ANALYST_ROLES } = require('./cases');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Makes a registered user a compliance analyst or lead, or changes their role
+async function addAnalyst(email, role = ANALYST_ROLES.ANALYST) {
+  try {
+    if (!Object.values(ANALYST_ROLES).includes(role)) {
+      throw new Error(`Roles are ${Object.values(ANALYST_ROLES).join(' and ')}`);
+    }
+
+    const user = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (user.rows.length === 0) {
+      throw new Error(`No user is registered as ${email}`);
+    }
+
+    const result = await pool.query(
+      `INSERT INTO compliance_analysts (user_id, role, is_active, created_at, updated_at)
+       VALUES ($1, $2, true, NOW(), NOW())
+       ON CONFLICT (user_id) DO UPDATE SET role = EXCLUDED.role, is_active = true, updated_at = NOW()
+       RETURNING *`,
+      [user.rows[0].id, role]
+    );
+
+    console.log(`✓ ${email} is a compliance ${result.rows[0].role} (${result.rows[0].id})`);
+  } catch (error) {
+    console.error('Adding analyst failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const [email, role] = process.argv.slice(2);
+  if (!email) {
+    console.error('Usage: npm run analysts:add -- <email> [analyst|lead]');
+    process.exitCode = 1;
+  } else {
+    addAnalyst(email, role);
+  }
+}
+
+module.exports = { addAnalyst };
@@ -0,0 +1,482 @@
+const { withTransaction, SUBJECT_TYPES, normalizeName } = require('cryptohybrid-shared');
+
+// Compliance cases: one per transaction held for approval, one per AML alert raised on a
+// completed transaction and one per sanctions screening hit. Analysts take cases from the queue, add notes and evidence and
+// approve, reject or escalate them; escalated cases wait for a lead. Each case is due
+// within an SLA set by its priority, and every change to it is kept in case_events as the
+// audit trail. Decisions on held transactions are published for the payment service,
+// which resumes or cancels the transaction.
+
+const CASE_TYPES = {
+  TRANSACTION_REVIEW: 'transaction_review',
+  AML_ALERT: 'aml_alert',
+  SANCTIONS_HIT: 'sanctions_hit'
+};
+
+const CASE_STATUSES = {
+  OPEN: 'open',
+  IN_REVIEW: 'in_review',
+  ESCALATED: 'escalated',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const OPEN_STATUSES = [CASE_STATUSES.OPEN, CASE_STATUSES.IN_REVIEW, CASE_STATUSES.ESCALATED];
+
+const ANALYST_ROLES = {
+  ANALYST: 'analyst',
+  LEAD: 'lead'
+};
+
+const EVIDENCE_TYPES = ['document', 'screenshot', 'blockchain_analysis', 'external_report', 'correspondence', 'other'];
+
+// Cases scoring this much, or raised by a rule that blocks, are worked first
+const HIGH_PRIORITY_SCORE = 80;
+
+class CaseError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'CaseError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toJsonCase = (complianceCase) => ({
+  id: complianceCase.id,
+  type: complianceCase.case_type,
+  status: complianceCase.status,
+  priority: complianceCase.priority,
+  transactionId: complianceCase.transaction_id,
+  alertId: complianceCase.alert_id,
+  hitId: complianceCase.hit_id,
+  userId: complianceCase.user_id,
+  riskScore: complianceCase.risk_score,
+  details: complianceCase.details,
+  assignedTo: complianceCase.assigned_to,
+  escalationLevel: complianceCase.escalation_level,
+  dueAt: complianceCase.due_at,
+  slaBreachedAt: complianceCase.sla_breached_at,
+  decision: complianceCase.decision,
+  decisionReason: complianceCase.decision_reason,
+  decidedBy: complianceCase.decided_by,
+  decidedAt: complianceCase.decided_at,
+  createdAt: complianceCase.created_at,
+  updatedAt: complianceCase.updated_at
+});
+
+const toJsonNote = (note) => ({
+  id: note.id,
+  analystId: note.analyst_id,
+  body: note.body,
+  createdAt: note.created_at
+});
+
+const toJsonEvidence = (evidence) => ({
+  id: evidence.id,
+  analystId: evidence.analyst_id,
+  type: evidence.evidence_type,
+  description: evidence.description,
+  url: evidence.url,
+  sha256: evidence.sha256,
+  createdAt: evidence.created_at
+});
+
+const toJsonEvent = (event) => ({
+  id: event.id,
+  analystId: event.analyst_id,
+  action: event.action,
+  fromStatus: event.from_status,
+  toStatus: event.to_status,
+  details: event.details,
+  createdAt: event.created_at
+});
+
+class CaseManager {
+  constructor({ pool, logger = console, slaHours = {}, onDecision = async () => {} }) {
+    this.pool = pool;
+    this.logger = logger;
+    this.slaHours = { normal: 24, high: 4, escalated: 8, ...slaHours };
+    this.onDecision = onDecision;
+  }
+
+  async findAnalyst(userId) {
+    const result = await this.pool.query(
+      'SELECT * FROM compliance_analysts WHERE user_id = $1 AND is_active = true',
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Appends to the audit trail; analystId is null for changes made by the service itself
+  async recordEvent(client, complianceCase, { analystId = null, action, toStatus = complianceCase.status, details = null }) {
+    await client.query(
+      `INSERT INTO case_events (case_id, analyst_id, action, from_status, to_status, details, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [complianceCase.id, analystId, action, complianceCase.status, toStatus, details && JSON.stringify(details)]
+    );
+  }
+
+  // Opens a case unless one is already open for the same transaction or alert, as events
+  // can be delivered more than once
+  async openCase({ type, transactionId = null, alertId = null, hitId = null, userId, riskScore = null, blocking = false, details = {} }) {
+    const priority = blocking || (riskScore !== null && riskScore >= HIGH_PRIORITY_SCORE) ? 'high' : 'normal';
+
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        `INSERT INTO compliance_cases (case_type, status, priority, transaction_id, alert_id, hit_id, user_id, risk_score, details,
+                                       due_at, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW() + make_interval(hours => $10), NOW(), NOW())
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [type, CASE_STATUSES.OPEN, priority, transactionId, alertId, hitId, userId, riskScore, JSON.stringify(details), this.slaHours[priority]]
+      );
+
+      const complianceCase = result.rows[0];
+      if (!complianceCase) {
+        return null;
+      }
+
+      await this.recordEvent(client, { ...complianceCase, status: null }, {
+        action: 'opened',
+        toStatus: CASE_STATUSES.OPEN,
+        details: { priority, riskScore }
+      });
+
+      return complianceCase;
+    });
+  }
+
+  // Opens cases for sanctions hits recorded by the services that screen. Confirmed matches
+  // are high priority; the score of a name match is kept as the case's risk score.
+  async openSanctionsCases() {
+    const result = await this.pool.query(
+      `SELECT h.* FROM sanctions_hits h
+       WHERE NOT EXISTS (SELECT 1 FROM compliance_cases c WHERE c.hit_id = h.id)
+       ORDER BY h.created_at
+       LIMIT 100`
+    );
+
+    const opened = [];
+    for (const hit of result.rows) {
+      const complianceCase = await this.openCase({
+        type: CASE_TYPES.SANCTIONS_HIT,
+        hitId: hit.id,
+        userId: hit.user_id,
+        riskScore: hit.score === null ? null : Math.round(Number(hit.score) * 100),
+        blocking: hit.decision === 'match',
+        details: {
+          subjectType: hit.subject_type,
+          subject: hit.subject,
+          country: hit.country,
+          decision: hit.decision,
+          matches: hit.matches,
+          ...hit.context
+        }
+      });
+      if (complianceCase) {
+        opened.push(complianceCase);
+      }
+    }
+
+    return opened;
+  }
+
+  async listCases({ status = null, assignedTo = null, unassigned = false, overdue = false, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM compliance_cases
+       WHERE ($1::text IS NULL OR status = $1)
+         AND ($2::uuid IS NULL OR assigned_to = $2)
+         AND (NOT $3 OR assigned_to IS NULL)
+         AND (NOT $4 OR (status = ANY($5) AND due_at < NOW()))
+       ORDER BY CASE WHEN status = ANY($5) THEN 0 ELSE 1 END, priority = 'high' DESC, due_at, created_at
+       LIMIT $6 OFFSET $7`,
+      [status, assignedTo, unassigned, overdue, OPEN_STATUSES, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  async getCase(caseId) {
+    const result = await this.pool.query('SELECT * FROM compliance_cases WHERE id = $1', [caseId]);
+    if (result.rows.length === 0) {
+      throw new CaseError('CASE_NOT_FOUND', 'Case not found');
+    }
+
+    const [notes, evidence, events] = await Promise.all([
+      this.pool.query('SELECT * FROM case_notes WHERE case_id = $1 ORDER BY created_at', [caseId]),
+      this.pool.query('SELECT * FROM case_evidence WHERE case_id = $1 ORDER BY created_at', [caseId]),
+      this.pool.query('SELECT * FROM case_events WHERE case_id = $1 ORDER BY created_at, id', [caseId])
+    ]);
+
+    return { complianceCase: result.rows[0], notes: notes.rows, evidence: evidence.rows, events: events.rows };
+  }
+
+  async lockCase(client, caseId) {
+    const result = await client.query('SELECT * FROM compliance_cases WHERE id = $1 FOR UPDATE', [caseId]);
+    if (result.rows.length === 0) {
+      throw new CaseError('CASE_NOT_FOUND', 'Case not found');
+    }
+
+    return result.rows[0];
+  }
+
+  // Cases still waiting for a decision, and which of them the analyst may act on:
+  // escalated cases are for leads only
+  checkOpen(complianceCase, analyst) {
+    if (!OPEN_STATUSES.includes(complianceCase.status)) {
+      throw new CaseError('CASE_CLOSED', `Case is already ${complianceCase.status}`);
+    }
+    if (complianceCase.status === CASE_STATUSES.ESCALATED && analyst.role !== ANALYST_ROLES.LEAD) {
+      throw new CaseError('LEAD_REQUIRED', 'Escalated cases are handled by a lead');
+    }
+  }
+
+  // Analysts take cases themselves; leads can also assign them to others
+  async assign(caseId, analyst, assigneeId = analyst.id) {
+    return withTransaction(this.pool, async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+      this.checkOpen(complianceCase, analyst);
+
+      if (assigneeId !== analyst.id && analyst.role !== ANALYST_ROLES.LEAD) {
+        throw new CaseError('LEAD_REQUIRED', 'Only leads assign cases to other analysts');
+      }
+
+      const assigneeResult = await client.query(
+        'SELECT * FROM compliance_analysts WHERE id = $1 AND is_active = true',
+        [assigneeId]
+      );
+      const assignee = assigneeResult.rows[0];
+      if (!assignee) {
+        throw new CaseError('ANALYST_NOT_FOUND', 'Analyst not found');
+      }
+      if (complianceCase.status === CASE_STATUSES.ESCALATED && assignee.role !== ANALYST_ROLES.LEAD) {
+        throw new CaseError('LEAD_REQUIRED', 'Escalated cases can only be assigned to a lead');
+      }
+
+      const status = complianceCase.status === CASE_STATUSES.OPEN ? CASE_STATUSES.IN_REVIEW : complianceCase.status;
+      const updated = await client.query(
+        `UPDATE compliance_cases SET assigned_to = $1, status = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [assignee.id, status, caseId]
+      );
+
+      await this.recordEvent(client, complianceCase, {
+        analystId: analyst.id,
+        action: 'assigned',
+        toStatus: status,
+        details: { assignedTo: assignee.id, previouslyAssignedTo: complianceCase.assigned_to }
+      });
+
+      return updated.rows[0];
+    });
+  }
+
+  async addNote(caseId, analyst, text) {
+    return withTransaction(this.pool, async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+
+      const result = await client.query(
+        `INSERT INTO case_notes (case_id, analyst_id, body, created_at)
+         VALUES ($1, $2, $3, NOW())
+         RETURNING *`,
+        [caseId, analyst.id, text]
+      );
+
+      await this.recordEvent(client, complianceCase, {
+        analystId: analyst.id,
+        action: 'note_added',
+        details: { noteId: result.rows[0].id }
+      });
+
+      return result.rows[0];
+    });
+  }
+
+  // Evidence is referenced by URL, with the SHA-256 of the file when it is known so the
+  // file can later be shown to be the one reviewed
+  async addEvidence(caseId, analyst, { type, description, url = null, sha256 = null }) {
+    return withTransaction(this.pool, async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+
+      const result = await client.query(
+        `INSERT INTO case_evidence (case_id, analyst_id, evidence_type, description, url, sha256, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING *`,
+        [caseId, analyst.id, type, description, url, sha256 && sha256.toLowerCase()]
+      );
+
+      await this.recordEvent(client, complianceCase, {
+        analystId: analyst.id,
+        action: 'evidence_added',
+        details: { evidenceId: result.rows[0].id, type }
+      });
+
+      return result.rows[0];
+    });
+  }
+
+  // Sends a case up to the leads, unassigned and due within the escalated SLA
+  async escalate(caseId, analyst, reason) {
+    return withTransaction(this.pool, async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+      this.checkOpen(complianceCase, analyst);
+
+      const updated = await client.query(
+        `UPDATE compliance_cases
+         SET status = $1, assigned_to = NULL, escalation_level = escalation_level + 1,
+             due_at = NOW() + make_interval(hours => $2), sla_breached_at = NULL, updated_at = NOW()
+         WHERE id = $3
+         RETURNING *`,
+        [CASE_STATUSES.ESCALATED, this.slaHours.escalated, caseId]
+      );
+
+      await this.recordEvent(client, complianceCase, {
+        analystId: analyst.id,
+        action: 'escalated',
+        toStatus: CASE_STATUSES.ESCALATED,
+        details: { reason, escalationLevel: updated.rows[0].escalation_level }
+      });
+
+      return updated.rows[0];
+    });
+  }
+
+  // Approves or rejects a case. Only its assignee or a lead may decide it. Approving a
+  // sanctions hit on a name finds it is not the listed party, and the name is cleared
+  // against the matched entries so that it is not stopped again.
+  async decide(caseId, analyst, decision, reason) {
+    const decided = await withTransaction(this.pool, async (client) => {
+      const complianceCase = await this.lockCase(client, caseId);
+      this.checkOpen(complianceCase, analyst);
+
+      if (complianceCase.assigned_to !== analyst.id && analyst.role !== ANALYST_ROLES.LEAD) {
+        throw new CaseError('NOT_ASSIGNED', 'Cases are decided by their assignee or a lead');
+      }
+
+      const updated = await client.query(
+        `UPDATE compliance_cases
+         SET status = $1, decision = $1, decision_reason = $2, decided_by = $3, decided_at = NOW(), updated_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [decision, reason, analyst.id, caseId]
+      );
+
+      await this.recordEvent(client, complianceCase, {
+        analystId: analyst.id,
+        action: decision,
+        toStatus: decision,
+        details: { reason }
+      });
+
+      if (complianceCase.case_type === CASE_TYPES.SANCTIONS_HIT && decision === CASE_STATUSES.APPROVED) {
+        await this.clearSanctionsHit(client, complianceCase, analyst);
+      }
+
+      return updated.rows[0];
+    });
+
+    await this.publishDecision(decided);
+
+    return decided;
+  }
+
+  async clearSanctionsHit(client, complianceCase, analyst) {
+    const { subjectType, subject, matches = [] } = complianceCase.details;
+    if (subjectType === SUBJECT_TYPES.ADDRESS) {
+      return;
+    }
+
+    for (const match of matches) {
+      await client.query(
+        `INSERT INTO sanctions_clearances (normalized_name, list, external_id, case_id, cleared_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (normalized_name, list, external_id) DO NOTHING`,
+        [normalizeName(subject), match.list, match.externalId, complianceCase.id, analyst.id]
+      );
+    }
+  }
+
+  approve(caseId, analyst, reason) {
+    return this.decide(caseId, analyst, CASE_STATUSES.APPROVED, reason);
+  }
+
+  reject(caseId, analyst, reason) {
+    return this.decide(caseId, analyst, CASE_STATUSES.REJECTED, reason);
+  }
+
+  // Decisions on held transactions are marked published once the payment service has been
+  // told; those that could not be published are retried by publishPendingDecisions
+  async publishDecision(complianceCase) {
+    if (complianceCase.case_type !== CASE_TYPES.TRANSACTION_REVIEW || !complianceCase.transaction_id) {
+      return;
+    }
+
+    try {
+      await this.onDecision(complianceCase);
+      await this.pool.query(
+        'UPDATE compliance_cases SET decision_published_at = NOW() WHERE id = $1',
+        [complianceCase.id]
+      );
+    } catch (error) {
+      this.logger.error(`Failed to publish the decision on case ${complianceCase.id}:`, error);
+    }
+  }
+
+  async publishPendingDecisions() {
+    const result = await this.pool.query(
+      `SELECT * FROM compliance_cases
+       WHERE case_type = $1 AND decided_at IS NOT NULL AND decision_published_at IS NULL
+       ORDER BY decided_at
+       LIMIT 100`,
+      [CASE_TYPES.TRANSACTION_REVIEW]
+    );
+
+    for (const complianceCase of result.rows) {
+      await this.publishDecision(complianceCase);
+    }
+
+    return result.rows.length;
+  }
+
+  // Marks open cases past their due time as breaching the SLA, once per SLA period
+  async checkSlas() {
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        `SELECT * FROM compliance_cases
+         WHERE status = ANY($1) AND due_at < NOW() AND sla_breached_at IS NULL
+         FOR UPDATE SKIP LOCKED`,
+        [OPEN_STATUSES]
+      );
+
+      for (const complianceCase of result.rows) {
+        await client.query(
+          'UPDATE compliance_cases SET sla_breached_at = NOW(), updated_at = NOW() WHERE id = $1',
+          [complianceCase.id]
+        );
+        await this.recordEvent(client, complianceCase, {
+          action: 'sla_breached',
+          details: { dueAt: complianceCase.due_at, assignedTo: complianceCase.assigned_to }
+        });
+        this.logger.warn(`Case ${complianceCase.id} is past its ${complianceCase.priority} priority SLA`);
+      }
+
+      return result.rows;
+    });
+  }
+}
+
+module.exports = {
+  CASE_TYPES,
+  CASE_STATUSES,
+  ANALYST_ROLES,
+  EVIDENCE_TYPES,
+  CaseError,
+  CaseManager,
+  toJsonCase,
+  toJsonNote,
+  toJsonEvidence,
+  toJsonEvent
+};
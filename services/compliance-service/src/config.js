@@ -0,0 +1,75 @@
+require('dotenv').config();
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// CURRENCY:AMOUNT pairs, such as USD:10000,EUR:10000
+const parseThresholds = (value) => Object.fromEntries(
+  value.split(',')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([currency, amount]) => currency && amount)
+    .map(([currency, amount]) => [currency.toUpperCase(), amount])
+);
+
+const requireEnv = (keys) => {
+  const missing = keys.filter((key) => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+};
+
+requireEnv(['DATABASE_URL', 'JWT_SECRET']);
+
+const env = process.env.NODE_ENV || 'development';
+
+module.exports = {
+  env,
+  isProduction: env === 'production',
+  port: parseNumber(process.env.PORT, 3007),
+  databaseUrl: process.env.DATABASE_URL,
+  jwtSecret: process.env.JWT_SECRET,
+  corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean),
+  db: {
+    maxConnections: parseNumber(process.env.DB_MAX_CONNECTIONS, 10),
+    idleTimeoutMs: parseNumber(process.env.DB_IDLE_TIMEOUT_MS, 30000),
+  },
+  sla: {
+    hours: {
+      normal: parseNumber(process.env.CASE_SLA_HOURS, 24),
+      high: parseNumber(process.env.CASE_SLA_HIGH_PRIORITY_HOURS, 4),
+      escalated: parseNumber(process.env.CASE_SLA_ESCALATED_HOURS, 8),
+    },
+    schedule: process.env.CASE_SLA_SCHEDULE || '*/5 * * * *',
+  },
+  sanctions: {
+    caseSchedule: process.env.SANCTIONS_CASE_SCHEDULE || '* * * * *',
+  },
+  reports: {
+    ctrThresholds: parseThresholds(process.env.CTR_THRESHOLDS || 'USD:10000,EUR:10000,GBP:10000'),
+    ctrSchedule: process.env.REPORT_CTR_SCHEDULE || '15 0 * * *',
+    sarSchedule: process.env.REPORT_SAR_SCHEDULE || '*/10 * * * *',
+    sarLookbackDays: parseNumber(process.env.SAR_LOOKBACK_DAYS, 90),
+    outboxDir: process.env.REPORT_OUTBOX_DIR || null,
+    filer: {
+      name: process.env.REPORT_FILER_NAME || 'CryptoHybrid Bank',
+      id: process.env.REPORT_FILER_ID || null,
+      country: process.env.REPORT_FILER_COUNTRY || null,
+    },
+  },
+  kafka: {
+    clientId: process.env.KAFKA_CLIENT_ID || 'compliance-service',
+    brokers: (process.env.KAFKA_BROKERS || '').split(',').map((broker) => broker.trim()).filter(Boolean),
+    fallbackBroker: process.env.KAFKA_BROKER || 'localhost:9092',
+    ssl: process.env.KAFKA_SSL === 'true',
+    sasl: process.env.KAFKA_SASL_USERNAME && process.env.KAFKA_SASL_PASSWORD
+      ? {
+          mechanism: process.env.KAFKA_SASL_MECHANISM || 'plain',
+          username: process.env.KAFKA_SASL_USERNAME,
+          password: process.env.KAFKA_SASL_PASSWORD,
+        }
+      : undefined,
+  },
+  logLevel: process.env.LOG_LEVEL || 'info',
+};
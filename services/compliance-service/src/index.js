@@ -0,0 +1,800 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const compression = require('compression');
+const jwt = require('jsonwebtoken');
+const { Pool } = require('pg');
+const winston = require('winston');
+const { body, query, validationResult } = require('express-validator');
+const cron = require('node-cron');
+const { Kafka } = require('kafkajs');
+require('dotenv').config();
+
+const config = require('./config');
+const { CASE_TYPES, EVIDENCE_TYPES, CaseError, CaseManager, toJsonCase, toJsonNote, toJsonEvidence, toJsonEvent } = require('./cases');
+const {
+  REPORT_TYPES,
+  REPORT_STATUSES,
+  EXPORT_FORMATS,
+  ReportError,
+  ReportManager,
+  toJsonReport,
+  toJsonReportFile,
+  toJsonReportEvent
+} = require('./reports');
+
+const app = express();
+const PORT = config.port;
+
+// Logger configuration
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console(),
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.File({ filename: 'logs/combined.log' })
+  ]
+});
+
+// Database connection
+const pool = new Pool({
+  connectionString: config.databaseUrl,
+  ssl: config.isProduction ? { rejectUnauthorized: false } : false,
+  max: config.db.maxConnections,
+  idleTimeoutMillis: config.db.idleTimeoutMs
+});
+
+// Kafka configuration
+const kafka = new Kafka({
+  clientId: config.kafka.clientId,
+  brokers: config.kafka.brokers.length > 0 ? config.kafka.brokers : [config.kafka.fallbackBroker],
+  ssl: config.kafka.ssl || undefined,
+  sasl: config.kafka.sasl,
+});
+
+const producer = kafka.producer();
+const consumer = kafka.consumer({ groupId: 'compliance-service-group' });
+
+const cases = new CaseManager({
+  pool,
+  logger,
+  slaHours: config.sla.hours,
+  onDecision: (complianceCase) => producer.send({
+    topic: 'compliance-decision',
+    messages: [{
+      key: complianceCase.transaction_id,
+      value: JSON.stringify({
+        caseId: complianceCase.id,
+        transactionId: complianceCase.transaction_id,
+        userId: complianceCase.user_id,
+        decision: complianceCase.decision,
+        reason: complianceCase.decision_reason,
+        decidedBy: complianceCase.decided_by,
+        timestamp: new Date().toISOString()
+      })
+    }]
+  })
+});
+
+const reports = new ReportManager({ pool, logger, ...config.reports });
+
+// JWT Authentication Middleware
+const authenticateToken = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: { code: 'MISSING_TOKEN', message: 'Access token required' }
+    });
+  }
+
+  try {
+    const user = jwt.verify(token, config.jwtSecret);
+    req.user = user;
+    next();
+  } catch (err) {
+    return res.status(403).json({
+      success: false,
+      error: { code: 'INVALID_TOKEN', message: 'Invalid or expired token' }
+    });
+  }
+};
+
+// Only users registered as compliance analysts reach the case queue
+const requireAnalyst = async (req, res, next) => {
+  try {
+    const analyst = await cases.findAnalyst(req.user.userId);
+    if (!analyst) {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'ANALYST_REQUIRED', message: 'Compliance analyst access required' }
+      });
+    }
+
+    req.analyst = analyst;
+    next();
+  } catch (error) {
+    logger.error('Analyst lookup failed:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'INTERNAL_ERROR', message: 'Internal server error' }
+    });
+  }
+};
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array()
+      }
+    });
+  }
+  next();
+};
+
+const CASE_ERROR_STATUSES = {
+  CASE_NOT_FOUND: 404,
+  ANALYST_NOT_FOUND: 404,
+  LEAD_REQUIRED: 403,
+  NOT_ASSIGNED: 403,
+  CASE_CLOSED: 409
+};
+
+const caseError = (res, error) => res.status(CASE_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+const REPORT_ERROR_STATUSES = {
+  REPORT_NOT_FOUND: 404,
+  CASE_NOT_FOUND: 404,
+  LEAD_REQUIRED: 403,
+  SAME_PREPARER: 403,
+  REPORT_EXISTS: 409,
+  INVALID_REPORT_STATUS: 409,
+  CASE_OPEN: 409
+};
+
+const reportError = (res, error) => res.status(REPORT_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+// Middleware
+app.use(helmet());
+if (config.corsOrigins.length > 0) {
+  app.use(cors({ origin: config.corsOrigins, credentials: true }));
+} else {
+  app.use(cors());
+}
+app.use(compression());
+app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+app.use(express.json({ limit: '1mb' }));
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Compliance Service is healthy',
+    timestamp: new Date().toISOString(),
+    version: '1.0.0'
+  });
+});
+
+// The case queue: open cases first, high priority and soonest due first. assignee=me
+// lists the analyst's own cases.
+app.get('/compliance/cases', authenticateToken, requireAnalyst, [
+  query('status').optional().isIn(['open', 'in_review', 'escalated', 'approved', 'rejected']),
+  query('assignee').optional().custom((value) => value === 'me' || /^[0-9a-f-]{36}$/i.test(value)),
+  query('unassigned').optional().isBoolean(),
+  query('overdue').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], validateRequest, async (req, res) => {
+  try {
+    const { status, assignee, unassigned, overdue, limit = 50, offset = 0 } = req.query;
+
+    const rows = await cases.listCases({
+      status: status || null,
+      assignedTo: assignee === 'me' ? req.analyst.id : assignee || null,
+      unassigned: unassigned === 'true',
+      overdue: overdue === 'true',
+      limit: Number(limit),
+      offset: Number(offset)
+    });
+
+    res.json({
+      success: true,
+      data: { cases: rows.map(toJsonCase) }
+    });
+
+  } catch (error) {
+    logger.error('Get cases error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CASES_FETCH_FAILED', message: 'Failed to get cases' }
+    });
+  }
+});
+
+// A case with its notes, evidence and audit trail
+app.get('/compliance/cases/:caseId', authenticateToken, requireAnalyst, async (req, res) => {
+  try {
+    const { complianceCase, notes, evidence, events } = await cases.getCase(req.params.caseId);
+
+    res.json({
+      success: true,
+      data: {
+        case: toJsonCase(complianceCase),
+        notes: notes.map(toJsonNote),
+        evidence: evidence.map(toJsonEvidence),
+        auditTrail: events.map(toJsonEvent)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof CaseError) {
+      return caseError(res, error);
+    }
+
+    logger.error('Get case error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CASE_FETCH_FAILED', message: 'Failed to get case' }
+    });
+  }
+});
+
+// Take a case, or as a lead assign it to another analyst
+app.post('/compliance/cases/:caseId/assign', authenticateToken, requireAnalyst, [
+  body('analystId').optional().isUUID()
+], validateRequest, async (req, res) => {
+  try {
+    const complianceCase = await cases.assign(req.params.caseId, req.analyst, req.body.analystId || req.analyst.id);
+
+    logger.info(`Case ${complianceCase.id} assigned to ${complianceCase.assigned_to} by ${req.analyst.id}`);
+
+    res.json({
+      success: true,
+      data: { case: toJsonCase(complianceCase) },
+      message: 'Case assigned successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof CaseError) {
+      return caseError(res, error);
+    }
+
+    logger.error('Assign case error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CASE_ASSIGN_FAILED', message: 'Failed to assign case' }
+    });
+  }
+});
+
+app.post('/compliance/cases/:caseId/notes', authenticateToken, requireAnalyst, [
+  body('note').trim().isLength({ min: 1, max: 10000 })
+], validateRequest, async (req, res) => {
+  try {
+    const note = await cases.addNote(req.params.caseId, req.analyst, req.body.note);
+
+    res.status(201).json({
+      success: true,
+      data: { note: toJsonNote(note) },
+      message: 'Note added successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof CaseError) {
+      return caseError(res, error);
+    }
+
+    logger.error('Add case note error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'NOTE_ADD_FAILED', message: 'Failed to add note' }
+    });
+  }
+});
+
+app.post('/compliance/cases/:caseId/evidence', authenticateToken, requireAnalyst, [
+  body('type').isIn(EVIDENCE_TYPES),
+  body('description').trim().isLength({ min: 1, max: 2000 }),
+  body('url').optional().isURL({ require_protocol: true }).isLength({ max: 500 }),
+  body('sha256').optional().matches(/^[0-9a-fA-F]{64}$/)
+], validateRequest, async (req, res) => {
+  try {
+    const { type, description, url, sha256 } = req.body;
+    const evidence = await cases.addEvidence(req.params.caseId, req.analyst, { type, description, url, sha256 });
+
+    res.status(201).json({
+      success: true,
+      data: { evidence: toJsonEvidence(evidence) },
+      message: 'Evidence added successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof CaseError) {
+      return caseError(res, error);
+    }
+
+    logger.error('Add case evidence error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'EVIDENCE_ADD_FAILED', message: 'Failed to add evidence' }
+    });
+  }
+});
+
+// Approve, reject or escalate a case, always with a reason for the audit trail. Approving
+// a held transaction lets it go ahead; rejecting it cancels it and releases its funds.
+const CASE_ACTIONS = {
+  approve: { act: (caseId, analyst, reason) => cases.approve(caseId, analyst, reason), message: 'Case approved' },
+  reject: { act: (caseId, analyst, reason) => cases.reject(caseId, analyst, reason), message: 'Case rejected' },
+  escalate: { act: (caseId, analyst, reason) => cases.escalate(caseId, analyst, reason), message: 'Case escalated' }
+};
+
+app.post('/compliance/cases/:caseId/:action(approve|reject|escalate)', authenticateToken, requireAnalyst, [
+  body('reason').trim().isLength({ min: 1, max: 2000 })
+], validateRequest, async (req, res) => {
+  const { act, message } = CASE_ACTIONS[req.params.action];
+
+  try {
+    const complianceCase = await act(req.params.caseId, req.analyst, req.body.reason);
+
+    logger.info(`Case ${complianceCase.id} ${complianceCase.status} by ${req.analyst.id}`);
+
+    res.json({
+      success: true,
+      data: { case: toJsonCase(complianceCase) },
+      message
+    });
+
+  } catch (error) {
+    if (error instanceof CaseError) {
+      return caseError(res, error);
+    }
+
+    logger.error(`Case ${req.params.action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CASE_ACTION_FAILED', message: `Failed to ${req.params.action} case` }
+    });
+  }
+});
+
+// Regulatory reports, newest first
+app.get('/compliance/reports', authenticateToken, requireAnalyst, [
+  query('type').optional().isIn(Object.values(REPORT_TYPES)),
+  query('status').optional().isIn(Object.values(REPORT_STATUSES)),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], validateRequest, async (req, res) => {
+  try {
+    const { type, status, limit = 50, offset = 0 } = req.query;
+
+    const rows = await reports.listReports({
+      type: type || null,
+      status: status || null,
+      limit: Number(limit),
+      offset: Number(offset)
+    });
+
+    res.json({
+      success: true,
+      data: { reports: rows.map(toJsonReport) }
+    });
+
+  } catch (error) {
+    logger.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'REPORTS_FETCH_FAILED', message: 'Failed to get reports' }
+    });
+  }
+});
+
+// A report with its archived files and audit trail
+app.get('/compliance/reports/:reportId', authenticateToken, requireAnalyst, async (req, res) => {
+  try {
+    const { report, files, events } = await reports.getReport(req.params.reportId);
+
+    res.json({
+      success: true,
+      data: {
+        report: toJsonReport(report),
+        files: files.map(toJsonReportFile),
+        auditTrail: events.map(toJsonReportEvent)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return reportError(res, error);
+    }
+
+    logger.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'REPORT_FETCH_FAILED', message: 'Failed to get report' }
+    });
+  }
+});
+
+// The report as an XML or CSV file: as archived once filed, otherwise as it would be filed
+app.get('/compliance/reports/:reportId/export', authenticateToken, requireAnalyst, [
+  query('format').optional().isIn(EXPORT_FORMATS)
+], validateRequest, async (req, res) => {
+  try {
+    const file = await reports.exportReport(req.params.reportId, req.query.format || 'xml');
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    res.set('X-Content-SHA256', file.sha256);
+    res.send(file.content);
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return reportError(res, error);
+    }
+
+    logger.error('Export report error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'REPORT_EXPORT_FAILED', message: 'Failed to export report' }
+    });
+  }
+});
+
+// Generates the CTRs for a past day on demand, as the nightly job does for the day before
+app.post('/compliance/reports/ctr', authenticateToken, requireAnalyst, [
+  body('date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 })
+    .custom((value) => value < new Date().toISOString().slice(0, 10))
+    .withMessage('CTRs are generated for past days')
+], validateRequest, async (req, res) => {
+  try {
+    const generated = await reports.generateCtrs(req.body.date);
+
+    logger.info(`${generated.length} CTRs generated for ${req.body.date} by ${req.analyst.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: { reports: generated.map(toJsonReport) },
+      message: `${generated.length} CTRs generated`
+    });
+
+  } catch (error) {
+    logger.error('Generate CTRs error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CTR_GENERATION_FAILED', message: 'Failed to generate CTRs' }
+    });
+  }
+});
+
+// Drafts a SAR from a closed case. Rejected cases get one drafted by the background job.
+app.post('/compliance/reports/sar', authenticateToken, requireAnalyst, [
+  body('caseId').isUUID()
+], validateRequest, async (req, res) => {
+  try {
+    const report = await reports.draftSar(req.body.caseId, req.analyst);
+
+    logger.info(`SAR ${report.id} drafted from case ${report.case_id} by ${req.analyst.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: { report: toJsonReport(report) },
+      message: 'SAR drafted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return reportError(res, error);
+    }
+
+    logger.error('Draft SAR error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'SAR_DRAFT_FAILED', message: 'Failed to draft SAR' }
+    });
+  }
+});
+
+app.put('/compliance/reports/:reportId/narrative', authenticateToken, requireAnalyst, [
+  body('narrative').trim().isLength({ min: 1, max: 20000 })
+], validateRequest, async (req, res) => {
+  try {
+    const report = await reports.updateNarrative(req.params.reportId, req.analyst, req.body.narrative);
+
+    res.json({
+      success: true,
+      data: { report: toJsonReport(report) },
+      message: 'Narrative updated successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return reportError(res, error);
+    }
+
+    logger.error('Update report narrative error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'NARRATIVE_UPDATE_FAILED', message: 'Failed to update narrative' }
+    });
+  }
+});
+
+// Submit a draft for review, or as a lead approve it, return it to draft or dismiss it.
+// Returning and dismissing take a reason for the audit trail.
+const REPORT_ACTIONS = {
+  submit: { act: (reportId, analyst) => reports.submit(reportId, analyst), message: 'Report submitted for review' },
+  approve: { act: (reportId, analyst) => reports.approve(reportId, analyst), message: 'Report approved' },
+  return: { act: (reportId, analyst, reason) => reports.returnToDraft(reportId, analyst, reason), message: 'Report returned to draft' },
+  dismiss: { act: (reportId, analyst, reason) => reports.dismiss(reportId, analyst, reason), message: 'Report dismissed' }
+};
+
+app.post('/compliance/reports/:reportId/:action(submit|approve|return|dismiss)', authenticateToken, requireAnalyst, [
+  body('reason')
+    .if((value, { req }) => ['return', 'dismiss'].includes(req.params.action))
+    .trim().isLength({ min: 1, max: 2000 })
+], validateRequest, async (req, res) => {
+  const { act, message } = REPORT_ACTIONS[req.params.action];
+
+  try {
+    const report = await act(req.params.reportId, req.analyst, req.body.reason);
+
+    logger.info(`Report ${report.id} ${report.status} by ${req.analyst.id}`);
+
+    res.json({
+      success: true,
+      data: { report: toJsonReport(report) },
+      message
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return reportError(res, error);
+    }
+
+    logger.error(`Report ${req.params.action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'REPORT_ACTION_FAILED', message: `Failed to ${req.params.action} report` }
+    });
+  }
+});
+
+// Records an approved report as filed under the regulator's reference and archives its files
+app.post('/compliance/reports/:reportId/file', authenticateToken, requireAnalyst, [
+  body('filingReference').trim().isLength({ min: 1, max: 100 })
+], validateRequest, async (req, res) => {
+  try {
+    const report = await reports.file(req.params.reportId, req.analyst, req.body.filingReference);
+
+    logger.info(`Report ${report.id} filed as ${report.filing_reference} by ${req.analyst.id}`);
+
+    res.json({
+      success: true,
+      data: { report: toJsonReport(report) },
+      message: 'Report filed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof ReportError) {
+      return reportError(res, error);
+    }
+
+    logger.error('File report error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'REPORT_FILE_FAILED', message: 'Failed to file report' }
+    });
+  }
+});
+
+// Background jobs to flag cases past their SLA and retry decisions not yet published
+cron.schedule(config.sla.schedule, async () => {
+  try {
+    await cases.checkSlas();
+    await cases.publishPendingDecisions();
+  } catch (error) {
+    logger.error('Case SLA job failed:', error);
+  }
+});
+
+// Background job to open cases for sanctions hits recorded by the services that screen
+cron.schedule(config.sanctions.caseSchedule, async () => {
+  try {
+    const opened = await cases.openSanctionsCases();
+    opened.forEach((complianceCase) => logger.info(`Case ${complianceCase.id} opened for sanctions hit ${complianceCase.hit_id}`));
+  } catch (error) {
+    logger.error('Sanctions case job failed:', error);
+  }
+});
+
+// Background job to generate the CTRs for the previous UTC day
+cron.schedule(config.reports.ctrSchedule, async () => {
+  const date = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  try {
+    const generated = await reports.generateCtrs(date);
+    logger.info(`${generated.length} CTRs generated for ${date}`);
+  } catch (error) {
+    logger.error('CTR job failed:', error);
+  }
+});
+
+// Background job to draft SARs for rejected cases
+cron.schedule(config.reports.sarSchedule, async () => {
+  try {
+    const drafted = await reports.draftSars();
+    drafted.forEach((report) => logger.info(`SAR ${report.id} drafted from case ${report.case_id}`));
+  } catch (error) {
+    logger.error('SAR job failed:', error);
+  }
+});
+
+// Cases are opened from transactions held for approval and from AML alerts that call for
+// review. Blocked transfers have already failed, so their cases have nothing to resume.
+const openCaseFromEvent = async (topic, data) => {
+  const blocking = data.decision === 'block';
+  if (topic === 'aml-alert' && !['review', 'block'].includes(data.decision)) {
+    return null;
+  }
+
+  const complianceCase = await cases.openCase({
+    type: topic === 'high-risk-transaction' && !blocking ? CASE_TYPES.TRANSACTION_REVIEW : CASE_TYPES.AML_ALERT,
+    transactionId: data.transactionId,
+    alertId: data.alertId || null,
+    userId: data.userId,
+    riskScore: data.riskScore === undefined ? null : data.riskScore,
+    blocking,
+    details: data
+  });
+
+  if (complianceCase) {
+    logger.info(`Case ${complianceCase.id} opened for transaction ${data.transactionId} from ${topic}`);
+  }
+
+  return complianceCase;
+};
+
+// Kafka consumer setup
+async function setupKafkaConsumer() {
+  try {
+    await consumer.connect();
+    await consumer.subscribe({ topic: 'high-risk-transaction' });
+    await consumer.subscribe({ topic: 'aml-alert' });
+
+    await consumer.run({
+      eachMessage: async ({ topic, message }) => {
+        try {
+          const data = JSON.parse(message.value.toString());
+          await openCaseFromEvent(topic, data);
+        } catch (error) {
+          logger.error('Error processing Kafka message:', error);
+        }
+      },
+    });
+
+    logger.info('Kafka consumer setup completed');
+  } catch (error) {
+    logger.error('Kafka consumer setup failed:', error);
+    throw error;
+  }
+}
+
+// Initialize Kafka producer
+async function setupKafkaProducer() {
+  try {
+    await producer.connect();
+    logger.info('Kafka producer connected');
+  } catch (error) {
+    logger.error('Kafka producer connection failed:', error);
+    throw error;
+  }
+}
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'NOT_FOUND',
+      message: 'Endpoint not found'
+    }
+  });
+});
+
+// Global error handler
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error:', err);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    }
+  });
+});
+
+let server;
+
+const ensureDatabaseConnection = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT 1');
+  } finally {
+    client.release();
+  }
+};
+
+const start = async () => {
+  try {
+    await ensureDatabaseConnection();
+    await setupKafkaProducer();
+    await setupKafkaConsumer();
+
+    server = app.listen(PORT, () => {
+      logger.info(`Compliance Service running on port ${PORT}`);
+      logger.info(`Environment: ${config.env}`);
+    });
+  } catch (error) {
+    logger.error('Failed to start Compliance Service', error);
+    throw error;
+  }
+};
+
+const shutdown = async (signal) => {
+  logger.info(`Received ${signal}. Shutting down Compliance Service.`);
+
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  await Promise.all([
+    pool.end().catch((error) => logger.error('Error closing database pool', error)),
+    producer.disconnect().catch((error) => logger.error('Error disconnecting Kafka producer', error)),
+    consumer.disconnect().catch((error) => logger.error('Error disconnecting Kafka consumer', error))
+  ]);
+
+  logger.info('Shutdown complete.');
+};
+
+process.on('SIGINT', () => shutdown('SIGINT').then(() => process.exit(0)));
+process.on('SIGTERM', () => shutdown('SIGTERM').then(() => process.exit(0)));
+process.on('uncaughtException', (error) => {
+  logger.error('Uncaught exception', error);
+  shutdown('uncaughtException').then(() => process.exit(1));
+});
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled promise rejection', reason);
+  shutdown('unhandledRejection').then(() => process.exit(1));
+});
+
+if (require.main === module) {
+  start().catch(() => process.exit(1));
+}
+
+module.exports = {
+  app,
+  start,
+  shutdown,
+  pool
+};
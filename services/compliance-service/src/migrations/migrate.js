@@ -0,0 +1,309 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const migrations = [
+  {
+    name: 'create_compliance_tables',
+    sql: `
+      -- Users working compliance cases; leads also take escalated cases and assign work
+      CREATE TABLE IF NOT EXISTS compliance_analysts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID UNIQUE NOT NULL REFERENCES users(id),
+        role VARCHAR(10) NOT NULL DEFAULT 'analyst' CHECK (role IN ('analyst', 'lead')),
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS compliance_cases (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        case_type VARCHAR(30) NOT NULL CHECK (case_type IN ('transaction_review', 'aml_alert')),
+        status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'in_review', 'escalated', 'approved', 'rejected')),
+        priority VARCHAR(10) NOT NULL DEFAULT 'normal' CHECK (priority IN ('normal', 'high')),
+        transaction_id UUID REFERENCES transactions(id),
+        alert_id UUID REFERENCES aml_alerts(id),
+        user_id UUID NOT NULL REFERENCES users(id),
+        risk_score DECIMAL(5,2),
+        details JSONB NOT NULL DEFAULT '{}',
+        assigned_to UUID REFERENCES compliance_analysts(id),
+        escalation_level INTEGER NOT NULL DEFAULT 0,
+        due_at TIMESTAMP NOT NULL,
+        sla_breached_at TIMESTAMP,
+        decision VARCHAR(20) CHECK (decision IN ('approved', 'rejected')),
+        decision_reason TEXT,
+        decided_by UUID REFERENCES compliance_analysts(id),
+        decided_at TIMESTAMP,
+        decision_published_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- One case per held transaction and per alert, however often they are announced
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_cases_transaction ON compliance_cases(transaction_id)
+        WHERE case_type = 'transaction_review';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_cases_alert ON compliance_cases(alert_id)
+        WHERE alert_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_compliance_cases_status_due ON compliance_cases(status, due_at);
+      CREATE INDEX IF NOT EXISTS idx_compliance_cases_assigned_to ON compliance_cases(assigned_to);
+      CREATE INDEX IF NOT EXISTS idx_compliance_cases_user_id ON compliance_cases(user_id);
+
+      CREATE TABLE IF NOT EXISTS case_notes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        case_id UUID NOT NULL REFERENCES compliance_cases(id),
+        analyst_id UUID NOT NULL REFERENCES compliance_analysts(id),
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_case_notes_case_id ON case_notes(case_id);
+
+      CREATE TABLE IF NOT EXISTS case_evidence (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        case_id UUID NOT NULL REFERENCES compliance_cases(id),
+        analyst_id UUID NOT NULL REFERENCES compliance_analysts(id),
+        evidence_type VARCHAR(30) NOT NULL,
+        description TEXT NOT NULL,
+        url VARCHAR(500),
+        sha256 CHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_case_evidence_case_id ON case_evidence(case_id);
+
+      -- The audit trail: every change to a case, by whom, and the status before and after.
+      -- Rows are only ever inserted.
+      CREATE TABLE IF NOT EXISTS case_events (
+        id BIGSERIAL PRIMARY KEY,
+        case_id UUID NOT NULL REFERENCES compliance_cases(id),
+        analyst_id UUID REFERENCES compliance_analysts(id),
+        action VARCHAR(30) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_case_events_case_id ON case_events(case_id);
+    `
+  },
+  {
+    name: 'create_sanctions_tables',
+    sql: `
+      -- Every sanctions list file imported; each import replaces the list's entries
+      CREATE TABLE IF NOT EXISTS sanctions_lists (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        list VARCHAR(20) NOT NULL CHECK (list IN ('ofac', 'eu', 'un', 'internal')),
+        file_name VARCHAR(255) NOT NULL,
+        sha256 CHAR(64) NOT NULL,
+        entry_count INTEGER NOT NULL,
+        name_count INTEGER NOT NULL,
+        address_count INTEGER NOT NULL,
+        imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sanctions_lists_list ON sanctions_lists(list, imported_at);
+
+      CREATE TABLE IF NOT EXISTS sanctions_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        list VARCHAR(20) NOT NULL,
+        external_id VARCHAR(100) NOT NULL,
+        entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('individual', 'entity', 'vessel', 'aircraft')),
+        programs TEXT[] NOT NULL DEFAULT '{}',
+        countries TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(list, external_id)
+      );
+
+      -- Primary names and aliases, with the normalized form names are matched on
+      CREATE TABLE IF NOT EXISTS sanctions_names (
+        id BIGSERIAL PRIMARY KEY,
+        entry_id UUID NOT NULL REFERENCES sanctions_entries(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        normalized_name TEXT NOT NULL,
+        is_primary BOOLEAN NOT NULL DEFAULT false
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sanctions_names_entry_id ON sanctions_names(entry_id);
+
+      -- Blocked crypto addresses, looked up by their normalized form
+      CREATE TABLE IF NOT EXISTS sanctions_addresses (
+        id BIGSERIAL PRIMARY KEY,
+        entry_id UUID NOT NULL REFERENCES sanctions_entries(id) ON DELETE CASCADE,
+        currency VARCHAR(20),
+        address VARCHAR(255) NOT NULL,
+        normalized_address VARCHAR(255) NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sanctions_addresses_normalized ON sanctions_addresses(normalized_address);
+      CREATE INDEX IF NOT EXISTS idx_sanctions_addresses_entry_id ON sanctions_addresses(entry_id);
+
+      -- Screenings that matched a list, recorded by the service that screened; the
+      -- compliance service opens a case for each
+      CREATE TABLE IF NOT EXISTS sanctions_hits (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        subject_type VARCHAR(20) NOT NULL CHECK (subject_type IN ('user', 'beneficiary', 'address')),
+        subject VARCHAR(255) NOT NULL,
+        user_id UUID NOT NULL REFERENCES users(id),
+        country VARCHAR(3),
+        decision VARCHAR(10) NOT NULL CHECK (decision IN ('review', 'match')),
+        score DECIMAL(5,4),
+        matches JSONB NOT NULL DEFAULT '[]',
+        context JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sanctions_hits_created_at ON sanctions_hits(created_at);
+      CREATE INDEX IF NOT EXISTS idx_sanctions_hits_user_id ON sanctions_hits(user_id);
+
+      -- Names found not to be the listed party. Entries are referred to by list and
+      -- external id, which survive re-imports.
+      CREATE TABLE IF NOT EXISTS sanctions_clearances (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        normalized_name TEXT NOT NULL,
+        list VARCHAR(20) NOT NULL,
+        external_id VARCHAR(100) NOT NULL,
+        case_id UUID NOT NULL REFERENCES compliance_cases(id),
+        cleared_by UUID NOT NULL REFERENCES compliance_analysts(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(normalized_name, list, external_id)
+      );
+
+      ALTER TABLE compliance_cases ADD COLUMN IF NOT EXISTS hit_id UUID REFERENCES sanctions_hits(id);
+      ALTER TABLE compliance_cases DROP CONSTRAINT IF EXISTS compliance_cases_case_type_check;
+      ALTER TABLE compliance_cases ADD CONSTRAINT compliance_cases_case_type_check
+        CHECK (case_type IN ('transaction_review', 'aml_alert', 'sanctions_hit'));
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_cases_hit ON compliance_cases(hit_id)
+        WHERE hit_id IS NOT NULL;
+    `
+  },
+  {
+    name: 'create_regulatory_report_tables',
+    sql: `
+      -- CTRs and SARs, with the subject and activity as they were when the report was drafted
+      CREATE TABLE IF NOT EXISTS regulatory_reports (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        report_type VARCHAR(10) NOT NULL CHECK (report_type IN ('ctr', 'sar')),
+        status VARCHAR(20) NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'pending_review', 'approved', 'filed', 'dismissed')),
+        user_id UUID NOT NULL REFERENCES users(id),
+        case_id UUID REFERENCES compliance_cases(id),
+        activity_date DATE,
+        period_start TIMESTAMP NOT NULL,
+        period_end TIMESTAMP NOT NULL,
+        currency VARCHAR(10),
+        total_amount DECIMAL(36,18),
+        subject JSONB NOT NULL DEFAULT '{}',
+        activity JSONB NOT NULL DEFAULT '[]',
+        case_details JSONB,
+        narrative TEXT,
+        prepared_by UUID REFERENCES compliance_analysts(id),
+        submitted_at TIMESTAMP,
+        approved_by UUID REFERENCES compliance_analysts(id),
+        approved_at TIMESTAMP,
+        filed_by UUID REFERENCES compliance_analysts(id),
+        filed_at TIMESTAMP,
+        filing_reference VARCHAR(100),
+        dismissed_by UUID REFERENCES compliance_analysts(id),
+        dismissed_at TIMESTAMP,
+        dismissal_reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- One CTR per user, day and currency, and one SAR per case, however often they are generated
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_regulatory_reports_ctr ON regulatory_reports(user_id, activity_date, currency)
+        WHERE report_type = 'ctr';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_regulatory_reports_sar ON regulatory_reports(case_id)
+        WHERE report_type = 'sar';
+      CREATE INDEX IF NOT EXISTS idx_regulatory_reports_status ON regulatory_reports(report_type, status);
+      CREATE INDEX IF NOT EXISTS idx_regulatory_reports_user_id ON regulatory_reports(user_id);
+
+      -- The files filed with the regulator, kept as filed. Rows are only ever inserted.
+      CREATE TABLE IF NOT EXISTS regulatory_report_files (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        report_id UUID NOT NULL REFERENCES regulatory_reports(id),
+        format VARCHAR(10) NOT NULL CHECK (format IN ('xml', 'csv')),
+        file_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(50) NOT NULL,
+        content TEXT NOT NULL,
+        sha256 CHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (report_id, format)
+      );
+
+      -- The audit trail of each report. Rows are only ever inserted.
+      CREATE TABLE IF NOT EXISTS report_events (
+        id BIGSERIAL PRIMARY KEY,
+        report_id UUID NOT NULL REFERENCES regulatory_reports(id),
+        analyst_id UUID REFERENCES compliance_analysts(id),
+        action VARCHAR(30) NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_report_events_report_id ON report_events(report_id);
+    `
+  }
+];
+
+async function runMigrations() {
+  try {
+    console.log('Starting compliance service database migrations...');
+
+    // Create migrations table if it doesn't exist
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS migrations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) UNIQUE NOT NULL,
+        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Get executed migrations
+    const executedMigrations = await pool.query('SELECT name FROM migrations');
+    const executedNames = executedMigrations.rows.map(row => row.name);
+
+    // Run pending migrations
+    for (const migration of migrations) {
+      if (!executedNames.includes(migration.name)) {
+        console.log(`Running migration: ${migration.name}`);
+        
+        await pool.query('BEGIN');
+        try {
+          await pool.query(migration.sql);
+          await pool.query('INSERT INTO migrations (name) VALUES ($1)', [migration.name]);
+          await pool.query('COMMIT');
+          console.log(`✓ Migration ${migration.name} completed successfully`);
+        } catch (error) {
+          await pool.query('ROLLBACK');
+          throw error;
+        }
+      } else {
+        console.log(`- Migration ${migration.name} already executed`);
+      }
+    }
+
+    console.log('All compliance service migrations completed successfully!');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run migrations if this file is executed directly
+if (require.main === module) {
+  runMigrations();
+}
+
+module.exports = { migrations, runMigrations };
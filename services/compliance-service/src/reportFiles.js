@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { buildXml } = require('cryptohybrid-shared');
+
+// The files a regulatory report is filed as: an XML document carrying the whole report and
+// a CSV file with one row per transaction reported. Both are rendered from the report row
+// alone, from the subject and activity captured when it was drafted, so a report renders
+// the same however the accounts behind it have changed since.
+
+const EXPORT_FORMATS = ['xml', 'csv'];
+
+const CONTENT_TYPES = {
+  xml: 'application/xml',
+  csv: 'text/csv'
+};
+
+const CSV_COLUMNS = [
+  'report_reference', 'report_type', 'activity_date', 'subject_id', 'subject_name', 'subject_country',
+  'transaction_id', 'transaction_type', 'direction', 'amount', 'currency', 'status', 'counterparty',
+  'counterparty_country', 'created_at', 'completed_at'
+];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// A leaf node, left out when there is nothing to report in it
+const field = (name, value) => (isBlank(value) ? null : [name, String(value)]);
+
+const isoDate = (value) => (isBlank(value) ? null : new Date(value).toISOString().slice(0, 10));
+const isoTime = (value) => (isBlank(value) ? null : new Date(value).toISOString());
+
+const reportReference = (report) => `${report.report_type.toUpperCase()}-${report.id}`;
+
+const buildReportXml = (report, filer = {}) => {
+  const subject = report.subject || {};
+  const activity = report.activity || [];
+  const caseDetails = report.case_details;
+
+  return buildXml(['RegulatoryReport', [
+    field('Reference', reportReference(report)),
+    field('Status', report.status),
+    field('FilingReference', report.filing_reference),
+    ['Filer', [
+      field('Name', filer.name),
+      field('Identifier', filer.id),
+      field('Country', filer.country)
+    ]],
+    ['Subject', [
+      field('CustomerId', report.user_id),
+      field('FirstName', subject.firstName),
+      field('LastName', subject.lastName),
+      field('DateOfBirth', isoDate(subject.dateOfBirth)),
+      field('Country', subject.country),
+      field('Email', subject.email)
+    ]],
+    ['Activity', [
+      field('Date', isoDate(report.activity_date)),
+      field('From', isoTime(report.period_start)),
+      field('To', isoTime(report.period_end)),
+      isBlank(report.total_amount) ? null : ['Total', String(report.total_amount), { Ccy: report.currency }],
+      ...activity.map((transaction) => ['Transaction', [
+        field('Id', transaction.id),
+        field('Type', transaction.type),
+        field('Direction', transaction.direction),
+        ['Amount', String(transaction.amount), { Ccy: transaction.currency }],
+        field('Status', transaction.status),
+        field('Counterparty', transaction.counterparty),
+        field('CounterpartyCountry', transaction.counterpartyCountry),
+        field('CreatedAt', isoTime(transaction.createdAt)),
+        field('CompletedAt', isoTime(transaction.completedAt))
+      ]])
+    ]],
+    caseDetails ? ['Case', [
+      field('Id', report.case_id),
+      field('Type', caseDetails.type),
+      field('RiskScore', caseDetails.riskScore),
+      field('Decision', caseDetails.decision),
+      field('DecisionReason', caseDetails.decisionReason),
+      field('DecidedAt', isoTime(caseDetails.decidedAt))
+    ]] : null,
+    field('Narrative', report.narrative),
+    ['Preparation', [
+      field('PreparedBy', report.prepared_by),
+      field('ApprovedBy', report.approved_by),
+      field('ApprovedAt', isoTime(report.approved_at)),
+      field('FiledAt', isoTime(report.filed_at))
+    ]]
+  ], { type: report.report_type.toUpperCase() }]);
+};
+
+// Fields are quoted when they hold a separator, quote or line break; fields starting with
+// a formula character are prefixed with a quote so spreadsheets show them as text
+const csvField = (value) => {
+  if (isBlank(value)) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A report without transactions, such as a SAR on a sanctions hit at registration, still
+// gets a row for its subject
+const buildReportCsv = (report) => {
+  const subject = report.subject || {};
+  const activity = report.activity && report.activity.length > 0 ? report.activity : [{}];
+  const subjectName = [subject.firstName, subject.lastName].filter(Boolean).join(' ');
+
+  const rows = activity.map((transaction) => [
+    reportReference(report),
+    report.report_type.toUpperCase(),
+    isoDate(report.activity_date),
+    report.user_id,
+    subjectName,
+    subject.country,
+    transaction.id,
+    transaction.type,
+    transaction.direction,
+    transaction.amount,
+    transaction.currency,
+    transaction.status,
+    transaction.counterparty,
+    transaction.counterpartyCountry,
+    isoTime(transaction.createdAt),
+    isoTime(transaction.completedAt)
+  ]);
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+const renderReport = (report, format, filer) => {
+  const content = format === 'csv' ? buildReportCsv(report) : buildReportXml(report, filer);
+
+  return {
+    format,
+    fileName: `${reportReference(report)}.${format}`,
+    contentType: CONTENT_TYPES[format],
+    content,
+    sha256: crypto.createHash('sha256').update(content).digest('hex')
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CONTENT_TYPES,
+  reportReference,
+  buildReportXml,
+  buildReportCsv,
+  renderReport
+};
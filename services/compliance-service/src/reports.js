@@ -0,0 +1,531 @@
+const fs = require('fs');
+const path = require('path');
+const { withTransaction, compareAmounts } = require('cryptohybrid-shared');
+const { CASE_STATUSES, ANALYST_ROLES } = require('./cases');
+const { EXPORT_FORMATS, renderReport, reportReference } = require('./reportFiles');
+
+// Regulatory reports. Currency transaction reports (CTRs) are generated for each user whose
+// fiat transfers in or out in one currency reach the reporting threshold on a day, and
+// suspicious activity reports (SARs) are drafted from closed compliance cases, with the
+// user's recent transactions as the activity reported. Reports capture the subject and
+// activity when drafted. An analyst completes and submits a draft, a lead other than the
+// preparer approves it, and filing archives the XML and CSV files sent to the regulator
+// with their SHA-256, after which the report no longer changes. Every change is kept in
+// report_events.
+
+const REPORT_TYPES = {
+  CTR: 'ctr',
+  SAR: 'sar'
+};
+
+const REPORT_STATUSES = {
+  DRAFT: 'draft',
+  PENDING_REVIEW: 'pending_review',
+  APPROVED: 'approved',
+  FILED: 'filed',
+  DISMISSED: 'dismissed'
+};
+
+// Fiat transfers with a bank or card on the other side; swaps stay on the platform
+const CTR_TRANSACTION_TYPES = ['sepa', 'swift', 'sepa_deposit', 'card_deposit'];
+
+const INBOUND_TRANSACTION_TYPES = ['deposit', 'sepa_deposit', 'card_deposit', 'receive'];
+
+class ReportError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ReportError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toJsonReport = (report) => ({
+  id: report.id,
+  reference: reportReference(report),
+  type: report.report_type,
+  status: report.status,
+  userId: report.user_id,
+  caseId: report.case_id,
+  activityDate: report.activity_date,
+  periodStart: report.period_start,
+  periodEnd: report.period_end,
+  currency: report.currency,
+  totalAmount: report.total_amount,
+  subject: report.subject,
+  activity: report.activity,
+  caseDetails: report.case_details,
+  narrative: report.narrative,
+  preparedBy: report.prepared_by,
+  submittedAt: report.submitted_at,
+  approvedBy: report.approved_by,
+  approvedAt: report.approved_at,
+  filedBy: report.filed_by,
+  filedAt: report.filed_at,
+  filingReference: report.filing_reference,
+  dismissedBy: report.dismissed_by,
+  dismissedAt: report.dismissed_at,
+  dismissalReason: report.dismissal_reason,
+  createdAt: report.created_at,
+  updatedAt: report.updated_at
+});
+
+const toJsonReportFile = (file) => ({
+  id: file.id,
+  format: file.format,
+  fileName: file.file_name,
+  sha256: file.sha256,
+  createdAt: file.created_at
+});
+
+const toJsonReportEvent = (event) => ({
+  id: event.id,
+  analystId: event.analyst_id,
+  action: event.action,
+  fromStatus: event.from_status,
+  toStatus: event.to_status,
+  details: event.details,
+  createdAt: event.created_at
+});
+
+const toActivity = (row) => ({
+  id: row.id,
+  type: row.transaction_type,
+  direction: INBOUND_TRANSACTION_TYPES.includes(row.transaction_type) ? 'inbound' : 'outbound',
+  amount: row.amount,
+  currency: row.currency,
+  status: row.status,
+  counterparty: row.counterparty,
+  counterpartyCountry: row.counterparty_country,
+  createdAt: row.created_at,
+  completedAt: row.completed_at
+});
+
+const ACTIVITY_COLUMNS = `t.id, t.transaction_type, t.amount::text AS amount, a.symbol AS currency, t.status,
+       t.counterparty, t.counterparty_country, t.created_at, t.completed_at`;
+
+class ReportManager {
+  constructor({ pool, logger = console, ctrThresholds = {}, sarLookbackDays = 90, filer = {}, outboxDir = null }) {
+    this.pool = pool;
+    this.logger = logger;
+    this.ctrThresholds = ctrThresholds;
+    this.sarLookbackDays = sarLookbackDays;
+    this.filer = filer;
+    this.outboxDir = outboxDir;
+  }
+
+  // Appends to the audit trail; analystId is null for changes made by the service itself
+  async recordEvent(client, report, { analystId = null, action, toStatus = report.status, details = null }) {
+    await client.query(
+      `INSERT INTO report_events (report_id, analyst_id, action, from_status, to_status, details, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+      [report.id, analystId, action, report.status, toStatus, details && JSON.stringify(details)]
+    );
+  }
+
+  async findSubject(client, userId) {
+    const result = await client.query(
+      'SELECT first_name, last_name, date_of_birth, country_code, email FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = result.rows[0];
+
+    return user ? {
+      firstName: user.first_name,
+      lastName: user.last_name,
+      dateOfBirth: user.date_of_birth,
+      country: user.country_code,
+      email: user.email
+    } : {};
+  }
+
+  // Drafts the CTRs for a UTC day (YYYY-MM-DD), one per user and currency whose completed
+  // fiat transfers in and out add up to the currency's threshold. Currencies without a
+  // threshold are not reported. A day already reported is not reported again.
+  async generateCtrs(date) {
+    const result = await this.pool.query(
+      `SELECT t.user_id, a.symbol AS currency, SUM(t.amount)::text AS total, array_agg(t.id) AS transaction_ids
+       FROM transactions t
+       JOIN assets a ON a.id = COALESCE(t.from_asset_id, t.to_asset_id)
+       WHERE a.asset_type = 'fiat'
+         AND t.transaction_type = ANY($1)
+         AND t.status = 'completed'
+         AND t.completed_at >= $2::date AND t.completed_at < $2::date + 1
+       GROUP BY t.user_id, a.symbol`,
+      [CTR_TRANSACTION_TYPES, date]
+    );
+
+    const reportable = result.rows.filter((row) => {
+      const threshold = this.ctrThresholds[row.currency];
+      return threshold !== undefined && compareAmounts(row.total, threshold) >= 0;
+    });
+
+    const generated = [];
+    for (const row of reportable) {
+      const report = await withTransaction(this.pool, async (client) => {
+        const activity = await client.query(
+          `SELECT ${ACTIVITY_COLUMNS}
+           FROM transactions t
+           JOIN assets a ON a.id = COALESCE(t.from_asset_id, t.to_asset_id)
+           WHERE t.id = ANY($1)
+           ORDER BY t.completed_at, t.id`,
+          [row.transaction_ids]
+        );
+
+        const inserted = await client.query(
+          `INSERT INTO regulatory_reports (report_type, status, user_id, activity_date, period_start, period_end, currency,
+                                           total_amount, subject, activity, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $4::date, $4::date + 1, $5, $6, $7, $8, NOW(), NOW())
+           ON CONFLICT DO NOTHING
+           RETURNING *`,
+          [
+            REPORT_TYPES.CTR, REPORT_STATUSES.DRAFT, row.user_id, date, row.currency, row.total,
+            JSON.stringify(await this.findSubject(client, row.user_id)),
+            JSON.stringify(activity.rows.map(toActivity))
+          ]
+        );
+
+        const created = inserted.rows[0];
+        if (!created) {
+          return null;
+        }
+
+        await this.recordEvent(client, { ...created, status: null }, {
+          action: 'generated',
+          toStatus: REPORT_STATUSES.DRAFT,
+          details: { currency: row.currency, total: row.total, threshold: this.ctrThresholds[row.currency] }
+        });
+
+        return created;
+      });
+
+      if (report) {
+        generated.push(report);
+      }
+    }
+
+    return generated;
+  }
+
+  // Drafts a SAR from a closed case, reporting the user's transactions in the lookback
+  // period before the case was opened along with the case's own transaction. The decision
+  // reason seeds the narrative, which the analyst completes before submitting.
+  async draftSar(caseId, analyst = null) {
+    return withTransaction(this.pool, async (client) => {
+      const caseResult = await client.query('SELECT * FROM compliance_cases WHERE id = $1', [caseId]);
+      const complianceCase = caseResult.rows[0];
+      if (!complianceCase) {
+        throw new ReportError('CASE_NOT_FOUND', 'Case not found');
+      }
+      if (![CASE_STATUSES.APPROVED, CASE_STATUSES.REJECTED].includes(complianceCase.status)) {
+        throw new ReportError('CASE_OPEN', 'SARs are drafted from closed cases');
+      }
+
+      const activity = await client.query(
+        `SELECT ${ACTIVITY_COLUMNS}
+         FROM transactions t
+         JOIN compliance_cases c ON c.id = $1
+         LEFT JOIN assets a ON a.id = COALESCE(t.from_asset_id, t.to_asset_id)
+         WHERE t.user_id = c.user_id
+           AND (t.id = c.transaction_id
+                OR (t.created_at >= c.created_at - make_interval(days => $2) AND t.created_at <= c.created_at))
+         ORDER BY t.created_at, t.id`,
+        [complianceCase.id, this.sarLookbackDays]
+      );
+
+      const inserted = await client.query(
+        `INSERT INTO regulatory_reports (report_type, status, user_id, case_id, period_start, period_end, subject, activity,
+                                         case_details, narrative, created_at, updated_at)
+         SELECT $1, $2, user_id, id, created_at - make_interval(days => $4), created_at, $5, $6, $7, $8, NOW(), NOW()
+         FROM compliance_cases
+         WHERE id = $3
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [
+          REPORT_TYPES.SAR, REPORT_STATUSES.DRAFT, complianceCase.id, this.sarLookbackDays,
+          JSON.stringify(await this.findSubject(client, complianceCase.user_id)),
+          JSON.stringify(activity.rows.map(toActivity)),
+          JSON.stringify({
+            type: complianceCase.case_type,
+            riskScore: complianceCase.risk_score,
+            decision: complianceCase.decision,
+            decisionReason: complianceCase.decision_reason,
+            decidedAt: complianceCase.decided_at
+          }),
+          complianceCase.decision_reason
+        ]
+      );
+
+      const report = inserted.rows[0];
+      if (!report) {
+        const existing = await client.query(
+          'SELECT id FROM regulatory_reports WHERE report_type = $1 AND case_id = $2',
+          [REPORT_TYPES.SAR, complianceCase.id]
+        );
+        throw new ReportError('REPORT_EXISTS', 'A SAR has already been drafted for this case', { reportId: existing.rows[0].id });
+      }
+
+      await this.recordEvent(client, { ...report, status: null }, {
+        analystId: analyst && analyst.id,
+        action: 'drafted',
+        toStatus: REPORT_STATUSES.DRAFT,
+        details: { caseId: complianceCase.id, caseType: complianceCase.case_type }
+      });
+
+      return report;
+    });
+  }
+
+  // Rejected cases confirmed the activity as suspicious, so each gets a SAR drafted
+  async draftSars() {
+    const result = await this.pool.query(
+      `SELECT c.id FROM compliance_cases c
+       WHERE c.status = $1
+         AND NOT EXISTS (SELECT 1 FROM regulatory_reports r WHERE r.report_type = $2 AND r.case_id = c.id)
+       ORDER BY c.decided_at
+       LIMIT 100`,
+      [CASE_STATUSES.REJECTED, REPORT_TYPES.SAR]
+    );
+
+    const drafted = [];
+    for (const { id } of result.rows) {
+      try {
+        drafted.push(await this.draftSar(id));
+      } catch (error) {
+        if (!(error instanceof ReportError && error.code === 'REPORT_EXISTS')) {
+          throw error;
+        }
+      }
+    }
+
+    return drafted;
+  }
+
+  async listReports({ type = null, status = null, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM regulatory_reports
+       WHERE ($1::text IS NULL OR report_type = $1)
+         AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC, id
+       LIMIT $3 OFFSET $4`,
+      [type, status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  async getReport(reportId) {
+    const result = await this.pool.query('SELECT * FROM regulatory_reports WHERE id = $1', [reportId]);
+    if (result.rows.length === 0) {
+      throw new ReportError('REPORT_NOT_FOUND', 'Report not found');
+    }
+
+    const [files, events] = await Promise.all([
+      this.pool.query(
+        'SELECT id, format, file_name, sha256, created_at FROM regulatory_report_files WHERE report_id = $1 ORDER BY format',
+        [reportId]
+      ),
+      this.pool.query('SELECT * FROM report_events WHERE report_id = $1 ORDER BY created_at, id', [reportId])
+    ]);
+
+    return { report: result.rows[0], files: files.rows, events: events.rows };
+  }
+
+  // A filed report's archived file, or the file as it would be filed now
+  async exportReport(reportId, format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ReportError('UNSUPPORTED_FORMAT', `Reports are exported as ${EXPORT_FORMATS.join(' or ')}`);
+    }
+
+    const { report } = await this.getReport(reportId);
+    if (report.status === REPORT_STATUSES.FILED) {
+      const archived = await this.pool.query(
+        'SELECT * FROM regulatory_report_files WHERE report_id = $1 AND format = $2',
+        [reportId, format]
+      );
+      const file = archived.rows[0];
+      return { format, fileName: file.file_name, contentType: file.content_type, content: file.content, sha256: file.sha256 };
+    }
+
+    return renderReport(report, format, this.filer);
+  }
+
+  async lockReport(client, reportId) {
+    const result = await client.query('SELECT * FROM regulatory_reports WHERE id = $1 FOR UPDATE', [reportId]);
+    if (result.rows.length === 0) {
+      throw new ReportError('REPORT_NOT_FOUND', 'Report not found');
+    }
+
+    return result.rows[0];
+  }
+
+  checkStatus(report, statuses) {
+    if (!statuses.includes(report.status)) {
+      throw new ReportError('INVALID_REPORT_STATUS', `Report is ${report.status}`);
+    }
+  }
+
+  checkLead(analyst, message) {
+    if (analyst.role !== ANALYST_ROLES.LEAD) {
+      throw new ReportError('LEAD_REQUIRED', message);
+    }
+  }
+
+  // Applies a status change under lock and records it
+  async transition(reportId, analyst, { from, action, prepare = () => {}, set, details = null }) {
+    return withTransaction(this.pool, async (client) => {
+      const report = await this.lockReport(client, reportId);
+      this.checkStatus(report, from);
+      prepare(report);
+
+      const { sql, values, toStatus } = set(report);
+      const updated = await client.query(
+        `UPDATE regulatory_reports SET ${sql}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [reportId, ...values]
+      );
+
+      await this.recordEvent(client, report, { analystId: analyst.id, action, toStatus, details });
+
+      return updated.rows[0];
+    });
+  }
+
+  // Drafts can be worded until they are submitted
+  updateNarrative(reportId, analyst, narrative) {
+    return this.transition(reportId, analyst, {
+      from: [REPORT_STATUSES.DRAFT],
+      action: 'narrative_updated',
+      set: (report) => ({ sql: 'narrative = $2', values: [narrative], toStatus: report.status })
+    });
+  }
+
+  // The analyst submitting a draft is its preparer. A SAR cannot go without a narrative.
+  submit(reportId, analyst) {
+    return this.transition(reportId, analyst, {
+      from: [REPORT_STATUSES.DRAFT],
+      action: 'submitted',
+      prepare: (report) => {
+        if (report.report_type === REPORT_TYPES.SAR && !(report.narrative || '').trim()) {
+          throw new ReportError('NARRATIVE_REQUIRED', 'A SAR needs a narrative before it is submitted');
+        }
+      },
+      set: () => ({
+        sql: 'status = $2, prepared_by = $3, submitted_at = NOW()',
+        values: [REPORT_STATUSES.PENDING_REVIEW, analyst.id],
+        toStatus: REPORT_STATUSES.PENDING_REVIEW
+      })
+    });
+  }
+
+  approve(reportId, analyst) {
+    return this.transition(reportId, analyst, {
+      from: [REPORT_STATUSES.PENDING_REVIEW],
+      action: 'approved',
+      prepare: (report) => {
+        this.checkLead(analyst, 'Reports are approved by a lead');
+        if (report.prepared_by === analyst.id) {
+          throw new ReportError('SAME_PREPARER', 'Reports are approved by someone other than their preparer');
+        }
+      },
+      set: () => ({
+        sql: 'status = $2, approved_by = $3, approved_at = NOW()',
+        values: [REPORT_STATUSES.APPROVED, analyst.id],
+        toStatus: REPORT_STATUSES.APPROVED
+      })
+    });
+  }
+
+  // Sends a report under review back to draft for the preparer to rework
+  returnToDraft(reportId, analyst, reason) {
+    return this.transition(reportId, analyst, {
+      from: [REPORT_STATUSES.PENDING_REVIEW],
+      action: 'returned',
+      prepare: () => this.checkLead(analyst, 'Reports are returned by a lead'),
+      set: () => ({ sql: 'status = $2', values: [REPORT_STATUSES.DRAFT], toStatus: REPORT_STATUSES.DRAFT }),
+      details: { reason }
+    });
+  }
+
+  // Closes a report that will not be filed, such as a CTR for activity already reported
+  dismiss(reportId, analyst, reason) {
+    return this.transition(reportId, analyst, {
+      from: [REPORT_STATUSES.DRAFT, REPORT_STATUSES.PENDING_REVIEW],
+      action: 'dismissed',
+      prepare: () => this.checkLead(analyst, 'Reports are dismissed by a lead'),
+      set: () => ({
+        sql: 'status = $2, dismissed_by = $3, dismissed_at = NOW(), dismissal_reason = $4',
+        values: [REPORT_STATUSES.DISMISSED, analyst.id, reason],
+        toStatus: REPORT_STATUSES.DISMISSED
+      }),
+      details: { reason }
+    });
+  }
+
+  // Records an approved report as filed with the regulator under the reference they gave
+  // it, and archives the files filed. The files are also written to the outbox directory
+  // when one is configured, for the filing system to pick up.
+  async file(reportId, analyst, filingReference) {
+    const { report, files } = await withTransaction(this.pool, async (client) => {
+      const locked = await this.lockReport(client, reportId);
+      this.checkStatus(locked, [REPORT_STATUSES.APPROVED]);
+      this.checkLead(analyst, 'Reports are filed by a lead');
+
+      const updated = await client.query(
+        `UPDATE regulatory_reports
+         SET status = $2, filed_by = $3, filed_at = NOW(), filing_reference = $4, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [reportId, REPORT_STATUSES.FILED, analyst.id, filingReference]
+      );
+      const filed = updated.rows[0];
+
+      const rendered = EXPORT_FORMATS.map((format) => renderReport(filed, format, this.filer));
+      for (const file of rendered) {
+        await client.query(
+          `INSERT INTO regulatory_report_files (report_id, format, file_name, content_type, content, sha256, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+          [reportId, file.format, file.fileName, file.contentType, file.content, file.sha256]
+        );
+      }
+
+      await this.recordEvent(client, locked, {
+        analystId: analyst.id,
+        action: 'filed',
+        toStatus: REPORT_STATUSES.FILED,
+        details: { filingReference, files: rendered.map(({ fileName, sha256 }) => ({ fileName, sha256 })) }
+      });
+
+      return { report: filed, files: rendered };
+    });
+
+    await this.writeOutbox(files);
+
+    return report;
+  }
+
+  async writeOutbox(files) {
+    if (!this.outboxDir) {
+      return;
+    }
+
+    try {
+      await fs.promises.mkdir(this.outboxDir, { recursive: true });
+      for (const file of files) {
+        await fs.promises.writeFile(path.join(this.outboxDir, file.fileName), file.content);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to write ${files.map((file) => file.fileName).join(', ')} to the report outbox:`, error);
+    }
+  }
+}
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_STATUSES,
+  EXPORT_FORMATS,
+  ReportError,
+  ReportManager,
+  toJsonReport,
+  toJsonReportFile,
+  toJsonReportEvent
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+const { SanctionsListError, SanctionsListImporter } = require('./sanctionsLists');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Imports a sanctions list file, replacing the list's entries. With --list, prints every
+// import instead.
+async function importList(list, file) {
+  const importer = new SanctionsListImporter({ pool, logger: { info() {} } });
+
+  try {
+    if (list === '--list') {
+      for (const imported of await importer.listImports()) {
+        console.log(`${imported.importedAt.toISOString()} ${imported.list} ${imported.fileName}: ${imported.entryCount} entries, ${imported.nameCount} names, ${imported.addressCount} addresses`);
+      }
+      return;
+    }
+
+    const imported = await importer.importList(list, path.basename(file), fs.readFileSync(file));
+    console.log(imported.changed
+      ? `✓ ${imported.list}: ${imported.entryCount} entries, ${imported.nameCount} names and ${imported.addressCount} addresses imported`
+      : `- ${imported.list}: ${path.basename(file)} is the list already imported`);
+  } catch (error) {
+    console.error(`Importing the sanctions list failed${error instanceof SanctionsListError ? ` (${error.code})` : ''}:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const [list, file] = process.argv.slice(2);
+  if (!list || (list !== '--list' && !file)) {
+    console.error('Usage: npm run sanctions:import -- <ofac|eu|un|internal> <file> | --list');
+    process.exitCode = 1;
+  } else {
+    importList(list, file);
+  }
+}
+
+module.exports = { importList };
@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const {
+  withTransaction,
+  parseXml,
+  find,
+  findAll,
+  textOf,
+  XmlError,
+  SANCTIONS_LISTS,
+  normalizeName,
+  normalizeAddress
+} = require('cryptohybrid-shared');
+
+// Sanctions list files and their import. Each list is read from the format its publisher
+// uses and replaces the list's entries in one database transaction, so screening never
+// sees a list half imported:
+//
+//   ofac      the SDN list as sdn.xml, or sdn.csv (primary names only; aliases are in alt.csv)
+//   eu        the EU consolidated financial sanctions list, XML
+//   un        the UN Security Council consolidated list, XML
+//   internal  our own watchlist, CSV with the header id,type,name,aliases,programs,countries,addresses
+//
+// In the internal list, aliases, programs and countries are separated by semicolons, and
+// addresses are CURRENCY:address pairs separated by semicolons.
+
+const ENTRY_TYPES = ['individual', 'entity', 'vessel', 'aircraft'];
+
+const INSERT_BATCH_SIZE = 1000;
+
+// OFAC and the UN mark digital currency addresses in the entry's identifiers and remarks
+const OFAC_ADDRESS_TYPE = /^Digital Currency Address - (\w+)$/i;
+const OFAC_REMARKS_ADDRESS = /Digital Currency Address - (\w+) ([^;\s]+)/gi;
+
+class SanctionsListError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SanctionsListError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const joinName = (...parts) => parts.map((part) => (part || '').trim()).filter(Boolean).join(' ');
+
+const entryType = (value) => {
+  const type = String(value || '').trim().toLowerCase();
+  if (['individual', 'person', 'p'].includes(type)) {
+    return 'individual';
+  }
+  return ENTRY_TYPES.includes(type) ? type : 'entity';
+};
+
+const unique = (values) => [...new Set(values.map((value) => (value || '').trim()).filter(Boolean))];
+
+// RFC 4180 records: quoted fields may hold commas, quotes doubled and line breaks
+const parseCsv = (content) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const text = String(content).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((row) => row.some((value) => value.trim()));
+};
+
+const parseOfacXml = (document) => findAll(document, 'sdnEntry').map((entry) => {
+  const type = entryType(textOf(entry, 'sdnType'));
+  const name = (node) => (type === 'individual'
+    ? joinName(textOf(node, 'firstName'), textOf(node, 'lastName'))
+    : joinName(textOf(node, 'lastName')));
+
+  const addresses = findAll(entry, 'idList', 'id')
+    .map((id) => ({ match: OFAC_ADDRESS_TYPE.exec(textOf(id, 'idType') || ''), address: textOf(id, 'idNumber') }))
+    .filter(({ match, address }) => match && address)
+    .map(({ match, address }) => ({ currency: match[1].toUpperCase(), address }));
+
+  return {
+    externalId: textOf(entry, 'uid'),
+    entryType: type,
+    names: unique([name(entry), ...findAll(entry, 'akaList', 'aka').map(name)]),
+    programs: unique(findAll(entry, 'programList', 'program').map((program) => program.text)),
+    countries: unique([
+      ...findAll(entry, 'addressList', 'address').map((address) => textOf(address, 'country')),
+      ...findAll(entry, 'nationalityList', 'nationality').map((nationality) => textOf(nationality, 'country'))
+    ]),
+    addresses
+  };
+});
+
+// sdn.csv has no header; empty fields are -0-
+const parseOfacCsv = (content) => parseCsv(content).map((row) => {
+  const field = (index) => {
+    const value = (row[index] || '').trim();
+    return value === '-0-' ? '' : value;
+  };
+
+  return {
+    externalId: field(0),
+    entryType: entryType(field(2)),
+    names: unique([field(1)]),
+    programs: unique(field(3).replace(/^\[|\]$/g, '').split('] [')),
+    countries: [],
+    addresses: [...field(11).matchAll(OFAC_REMARKS_ADDRESS)].map((match) => ({
+      currency: match[1].toUpperCase(),
+      address: match[2]
+    }))
+  };
+});
+
+const parseEuXml = (document) => findAll(document, 'sanctionEntity').map((entity) => {
+  const subjectType = find(entity, 'subjectType');
+
+  return {
+    externalId: entity.attributes.logicalId || entity.attributes.euReferenceNumber,
+    entryType: entryType(subjectType && subjectType.attributes.code),
+    names: unique(findAll(entity, 'nameAlias').map((alias) => alias.attributes.wholeName
+      || joinName(alias.attributes.firstName, alias.attributes.middleName, alias.attributes.lastName))),
+    programs: unique(findAll(entity, 'regulation').map((regulation) => regulation.attributes.programme)),
+    countries: unique([
+      ...findAll(entity, 'citizenship').map((citizenship) => citizenship.attributes.countryIso2Code),
+      ...findAll(entity, 'address').map((address) => address.attributes.countryIso2Code)
+    ]).filter((country) => country !== '00'),
+    addresses: []
+  };
+});
+
+const parseUnXml = (document) => {
+  const parse = (node, type, aliasElement) => ({
+    externalId: textOf(node, 'DATAID'),
+    entryType: type,
+    names: unique([
+      joinName(textOf(node, 'FIRST_NAME'), textOf(node, 'SECOND_NAME'), textOf(node, 'THIRD_NAME'), textOf(node, 'FOURTH_NAME')),
+      ...findAll(node, aliasElement).map((alias) => textOf(alias, 'ALIAS_NAME'))
+    ]),
+    programs: unique([textOf(node, 'UN_LIST_TYPE')]),
+    countries: unique(findAll(node, 'NATIONALITY', 'VALUE').map((value) => value.text)),
+    addresses: []
+  });
+
+  return [
+    ...findAll(document, 'INDIVIDUALS', 'INDIVIDUAL').map((node) => parse(node, 'individual', 'INDIVIDUAL_ALIAS')),
+    ...findAll(document, 'ENTITIES', 'ENTITY').map((node) => parse(node, 'entity', 'ENTITY_ALIAS'))
+  ];
+};
+
+const INTERNAL_COLUMNS = ['id', 'type', 'name', 'aliases', 'programs', 'countries', 'addresses'];
+
+const parseInternalCsv = (content) => {
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const missing = INTERNAL_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new SanctionsListError('INVALID_LIST', `The internal list is missing the columns ${missing.join(', ')}`);
+  }
+
+  const split = (value) => (value || '').split(';').map((item) => item.trim()).filter(Boolean);
+
+  return rows.map((row) => {
+    const field = (column) => (row[columns.indexOf(column)] || '').trim();
+
+    return {
+      externalId: field('id'),
+      entryType: entryType(field('type')),
+      names: unique([field('name'), ...split(field('aliases'))]),
+      programs: split(field('programs')),
+      countries: split(field('countries')).map((country) => country.toUpperCase()),
+      addresses: split(field('addresses')).map((pair) => {
+        const separator = pair.indexOf(':');
+        return separator > 0 && separator < pair.length - 1 && !/^0x/i.test(pair)
+          ? { currency: pair.slice(0, separator).toUpperCase(), address: pair.slice(separator + 1).trim() }
+          : { currency: null, address: pair };
+      })
+    };
+  });
+};
+
+// Entries of a list file, each { externalId, entryType, names, programs, countries,
+// addresses: [{ currency, address }] }. Entries listed more than once are merged.
+const parseSanctionsList = (list, content, fileName = '') => {
+  const csv = /\.csv$/i.test(fileName);
+  let entries;
+
+  try {
+    if (list === 'ofac') {
+      entries = csv ? parseOfacCsv(content) : parseOfacXml(parseXml(content));
+    } else if (list === 'eu' && !csv) {
+      entries = parseEuXml(parseXml(content));
+    } else if (list === 'un' && !csv) {
+      entries = parseUnXml(parseXml(content));
+    } else if (list === 'internal' && csv) {
+      entries = parseInternalCsv(content);
+    } else {
+      throw new SanctionsListError('UNSUPPORTED_FORMAT', `${list} lists are not read from ${csv ? 'CSV' : 'XML'}`);
+    }
+  } catch (error) {
+    if (error instanceof XmlError) {
+      throw new SanctionsListError('INVALID_LIST', `${fileName || list} is not valid XML: ${error.message}`);
+    }
+    throw error;
+  }
+
+  const merged = new Map();
+  for (const entry of entries) {
+    if (!entry.externalId || (entry.names.length === 0 && entry.addresses.length === 0)) {
+      continue;
+    }
+
+    const existing = merged.get(entry.externalId);
+    if (existing) {
+      existing.names = unique([...existing.names, ...entry.names]);
+      existing.programs = unique([...existing.programs, ...entry.programs]);
+      existing.countries = unique([...existing.countries, ...entry.countries]);
+      existing.addresses.push(...entry.addresses);
+    } else {
+      merged.set(entry.externalId, { ...entry });
+    }
+  }
+
+  return [...merged.values()];
+};
+
+const toJsonImport = (imported) => ({
+  id: imported.id,
+  list: imported.list,
+  fileName: imported.file_name,
+  sha256: imported.sha256,
+  entryCount: imported.entry_count,
+  nameCount: imported.name_count,
+  addressCount: imported.address_count,
+  importedAt: imported.imported_at
+});
+
+class SanctionsListImporter {
+  constructor({ pool, logger = console }) {
+    this.pool = pool;
+    this.logger = logger;
+  }
+
+  // Replaces a list's entries with those of a file. A file identical to the last one
+  // imported for the list is skipped, and a file without entries is refused rather than
+  // emptying the list.
+  async importList(list, fileName, content) {
+    if (!SANCTIONS_LISTS.includes(list)) {
+      throw new SanctionsListError('UNKNOWN_LIST', `Lists are ${SANCTIONS_LISTS.join(', ')}`);
+    }
+
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    const latest = await this.pool.query(
+      'SELECT * FROM sanctions_lists WHERE list = $1 ORDER BY imported_at DESC LIMIT 1',
+      [list]
+    );
+    if (latest.rows[0] && latest.rows[0].sha256 === sha256) {
+      return { ...toJsonImport(latest.rows[0]), changed: false };
+    }
+
+    const entries = parseSanctionsList(list, content, fileName)
+      .map((entry) => ({ ...entry, id: crypto.randomUUID() }));
+    if (entries.length === 0) {
+      throw new SanctionsListError('EMPTY_LIST', `${fileName} has no ${list} entries`);
+    }
+
+    const names = entries.flatMap((entry) => entry.names.map((name, index) => ({
+      entry_id: entry.id,
+      name,
+      normalized_name: normalizeName(name),
+      is_primary: index === 0
+    })));
+    const addresses = entries.flatMap((entry) => entry.addresses.map((address) => ({
+      entry_id: entry.id,
+      currency: address.currency,
+      address: address.address,
+      normalized_address: normalizeAddress(address.address)
+    })));
+
+    const imported = await withTransaction(this.pool, async (client) => {
+      await client.query('DELETE FROM sanctions_entries WHERE list = $1', [list]);
+
+      for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+        const batch = entries.slice(i, i + INSERT_BATCH_SIZE).map((entry) => ({
+          id: entry.id,
+          external_id: entry.externalId,
+          entry_type: entry.entryType,
+          programs: entry.programs,
+          countries: entry.countries
+        }));
+        await client.query(
+          `INSERT INTO sanctions_entries (id, list, external_id, entry_type, programs, countries, created_at)
+           SELECT e.id, $1, e.external_id, e.entry_type,
+                  ARRAY(SELECT jsonb_array_elements_text(e.programs)), ARRAY(SELECT jsonb_array_elements_text(e.countries)), NOW()
+           FROM jsonb_to_recordset($2) AS e(id UUID, external_id TEXT, entry_type TEXT, programs JSONB, countries JSONB)`,
+          [list, JSON.stringify(batch)]
+        );
+      }
+
+      for (let i = 0; i < names.length; i += INSERT_BATCH_SIZE) {
+        await client.query(
+          `INSERT INTO sanctions_names (entry_id, name, normalized_name, is_primary)
+           SELECT n.entry_id, n.name, n.normalized_name, n.is_primary
+           FROM jsonb_to_recordset($1) AS n(entry_id UUID, name TEXT, normalized_name TEXT, is_primary BOOLEAN)`,
+          [JSON.stringify(names.slice(i, i + INSERT_BATCH_SIZE))]
+        );
+      }
+
+      for (let i = 0; i < addresses.length; i += INSERT_BATCH_SIZE) {
+        await client.query(
+          `INSERT INTO sanctions_addresses (entry_id, currency, address, normalized_address)
+           SELECT a.entry_id, a.currency, a.address, a.normalized_address
+           FROM jsonb_to_recordset($1) AS a(entry_id UUID, currency TEXT, address TEXT, normalized_address TEXT)`,
+          [JSON.stringify(addresses.slice(i, i + INSERT_BATCH_SIZE))]
+        );
+      }
+
+      const result = await client.query(
+        `INSERT INTO sanctions_lists (list, file_name, sha256, entry_count, name_count, address_count, imported_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING *`,
+        [list, fileName, sha256, entries.length, names.length, addresses.length]
+      );
+
+      return result.rows[0];
+    });
+
+    this.logger.info(`Imported ${entries.length} ${list} entries with ${names.length} names and ${addresses.length} addresses from ${fileName}`);
+
+    return { ...toJsonImport(imported), changed: true };
+  }
+
+  // Every import, newest first
+  async listImports() {
+    const result = await this.pool.query('SELECT * FROM sanctions_lists ORDER BY imported_at DESC');
+    return result.rows.map(toJsonImport);
+  }
+}
+
+module.exports = {
+  SanctionsListError,
+  SanctionsListImporter,
+  parseCsv,
+  parseSanctionsList,
+  toJsonImport
+};
@@ -0,0 +1,285 @@
+const { withTransaction, multiplyAmounts } = require('cryptohybrid-shared');
+const { RULE_STAGES, validateRule, evaluateRules, velocityConditions, usesField, windowSeconds } = require('./amlRules');
+
+// Transaction monitoring against the AML rules in aml_rules. Transfers are screened by the
+// pre-transaction rules before they go ahead, and completed transactions are reviewed by
+// the post-transaction rules. Matches are recorded in aml_alerts with the rule versions
+// that matched and why.
+
+// Transactions that no longer move funds and are left out of velocity windows
+const INACTIVE_STATUSES = ['failed', 'cancelled', 'expired', 'reversed', 'rejected'];
+
+const RULE_FIELDS = ['name', 'description', 'stage', 'action', 'score', 'conditions', 'isActive'];
+
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+
+class AmlError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'AmlError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toJsonRule = (rule) => ({
+  code: rule.code,
+  version: rule.version,
+  name: rule.name,
+  description: rule.description,
+  stage: rule.stage,
+  action: rule.action,
+  score: rule.score,
+  conditions: rule.conditions,
+  isActive: rule.is_active,
+  publishedBy: rule.published_by,
+  createdAt: rule.created_at
+});
+
+const counterpartyType = (transaction) => {
+  if (!transaction.counterparty) {
+    return null;
+  }
+  if (transaction.transaction_type === 'send') {
+    return 'address';
+  }
+  return IBAN_PATTERN.test(transaction.counterparty) ? 'iban' : 'account';
+};
+
+class AmlEngine {
+  constructor({ pool, priceOracle = null, logger = console, reviewScore = 70, rulesCacheSeconds = 60, onAlert = async () => {} }) {
+    this.pool = pool;
+    this.priceOracle = priceOracle;
+    this.logger = logger;
+    this.reviewScore = reviewScore;
+    this.rulesCacheMs = rulesCacheSeconds * 1000;
+    this.onAlert = onAlert;
+    this.cache = null;
+  }
+
+  // The rules in force: the latest version of each code, when it is active. Rules that fail
+  // validation are skipped rather than stopping monitoring.
+  async loadRules(stage) {
+    if (!this.cache || Date.now() - this.cache.loadedAt > this.rulesCacheMs) {
+      const result = await this.pool.query(
+        'SELECT DISTINCT ON (code) * FROM aml_rules ORDER BY code, version DESC'
+      );
+
+      const rules = result.rows.filter((rule) => rule.is_active).filter((rule) => {
+        const problems = validateRule(rule);
+        if (problems.length > 0) {
+          this.logger.error(`AML rule ${rule.code} v${rule.version} is invalid and skipped: ${problems.map((problem) => problem.message).join('; ')}`);
+        }
+        return problems.length === 0;
+      });
+
+      this.cache = { rules, loadedAt: Date.now() };
+    }
+
+    return this.cache.rules.filter((rule) => rule.stage === stage);
+  }
+
+  async velocity(transaction, asset, condition) {
+    const sameAsset = condition.measure === 'sum' || condition.sameAsset === true;
+
+    // The window ends when the transaction was made, however late it is evaluated
+    const result = await this.pool.query(
+      `WITH anchor AS (SELECT created_at FROM transactions WHERE id = $2)
+       SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS sum, COUNT(DISTINCT counterparty) AS distinct_counterparties
+       FROM transactions, anchor
+       WHERE user_id = $1
+         AND transactions.created_at > anchor.created_at - make_interval(secs => $3)
+         AND transactions.created_at <= anchor.created_at
+         AND status <> ALL($4)
+         AND ($5::text[] IS NULL OR transaction_type = ANY($5))
+         AND ($6::numeric IS NULL OR amount < $6)
+         AND ($7::uuid IS NULL OR COALESCE(from_asset_id, to_asset_id) = $7)`,
+      [
+        transaction.user_id,
+        transaction.id,
+        windowSeconds(condition.window),
+        INACTIVE_STATUSES,
+        condition.transactionTypes || null,
+        condition.maxAmount === undefined ? null : String(condition.maxAmount),
+        sameAsset && asset ? asset.id : null
+      ]
+    );
+
+    const row = result.rows[0];
+    return { count: row.count, sum: row.sum, distinctCounterparties: row.distinct_counterparties }[condition.measure];
+  }
+
+  // What the rules are evaluated against. Values that cannot be established, such as the
+  // USD value of an asset without a price, are left out and never match.
+  async buildContext(transaction, rules) {
+    const [assetResult, userResult] = await Promise.all([
+      this.pool.query('SELECT * FROM assets WHERE id = $1', [transaction.from_asset_id || transaction.to_asset_id]),
+      this.pool.query('SELECT country_code, kyc_level, risk_score FROM users WHERE id = $1', [transaction.user_id])
+    ]);
+    const asset = assetResult.rows[0];
+    const user = userResult.rows[0] || {};
+
+    const context = {
+      amount: transaction.amount,
+      asset: asset ? asset.symbol : null,
+      assetType: asset ? asset.asset_type : null,
+      transactionType: transaction.transaction_type,
+      counterparty: transaction.counterparty,
+      counterpartyType: counterpartyType(transaction),
+      country: user.country_code ? user.country_code.trim() : null,
+      counterpartyCountry: transaction.counterparty_country,
+      kycLevel: user.kyc_level,
+      riskScore: user.risk_score,
+      velocity: {}
+    };
+
+    if (usesField(rules, 'amountUsd') && asset && this.priceOracle) {
+      try {
+        const quote = await this.priceOracle.getPrice(asset, 'usd');
+        context.amountUsd = multiplyAmounts(transaction.amount, quote.price);
+      } catch (error) {
+        this.logger.warn(`No USD value for transaction ${transaction.id}: ${error.message}`);
+      }
+    }
+
+    if (usesField(rules, 'newCounterparty') && transaction.counterparty) {
+      const earlier = await this.pool.query(
+        `SELECT 1 FROM transactions
+         WHERE user_id = $1 AND counterparty = $2 AND id <> $3 AND status <> ALL($4)
+           AND created_at <= (SELECT created_at FROM transactions WHERE id = $3)
+         LIMIT 1`,
+        [transaction.user_id, transaction.counterparty, transaction.id, INACTIVE_STATUSES]
+      );
+      context.newCounterparty = earlier.rows.length === 0;
+    }
+
+    for (const condition of velocityConditions(rules)) {
+      context.velocity[condition.key] = await this.velocity(transaction, asset, condition);
+    }
+
+    return context;
+  }
+
+  async evaluate(transactionId, stage) {
+    const result = await this.pool.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+    const transaction = result.rows[0];
+    if (!transaction) {
+      throw new AmlError('TRANSACTION_NOT_FOUND', `Transaction ${transactionId} not found`);
+    }
+
+    const rules = await this.loadRules(stage);
+    if (rules.length === 0) {
+      return { transaction, evaluation: evaluateRules([], {}, { reviewScore: this.reviewScore }), alert: null };
+    }
+
+    const context = await this.buildContext(transaction, rules);
+    const evaluation = evaluateRules(rules, context, { reviewScore: this.reviewScore });
+
+    const alert = evaluation.matches.length > 0 ? await this.recordAlert(transaction, stage, evaluation) : null;
+
+    return { transaction, evaluation, alert };
+  }
+
+  // Screens a transfer before it goes ahead: 'allow' and 'alert' let it through, 'review'
+  // holds it for approval and 'block' refuses it
+  async screen(transactionId) {
+    const { evaluation, alert } = await this.evaluate(transactionId, RULE_STAGES.PRE);
+
+    await this.pool.query('UPDATE transactions SET risk_score = $1 WHERE id = $2', [evaluation.riskScore, transactionId]);
+
+    return {
+      decision: evaluation.decision,
+      riskScore: evaluation.riskScore,
+      riskLevel: evaluation.riskLevel,
+      riskFactors: evaluation.matches.map((match) => match.name),
+      matchedRules: evaluation.matches,
+      alertId: alert ? alert.id : null
+    };
+  }
+
+  // Reviews a completed transaction for patterns across the user's recent activity
+  async review(transactionId) {
+    const { transaction, evaluation, alert } = await this.evaluate(transactionId, RULE_STAGES.POST);
+
+    if (alert) {
+      this.logger.warn(`AML alert ${alert.id} on transaction ${transactionId}: ${evaluation.matches.map((match) => match.code).join(', ')}`);
+      try {
+        await this.onAlert(alert, transaction);
+      } catch (error) {
+        this.logger.error('Failed to publish AML alert:', error);
+      }
+    }
+
+    return alert;
+  }
+
+  // A transaction is alerted on at most once per stage, as completion events can be
+  // delivered more than once
+  async recordAlert(transaction, stage, evaluation) {
+    const result = await this.pool.query(
+      `INSERT INTO aml_alerts (transaction_id, user_id, stage, decision, risk_score, matched_rules, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (transaction_id, stage) DO NOTHING
+       RETURNING *`,
+      [transaction.id, transaction.user_id, stage, evaluation.decision, evaluation.riskScore, JSON.stringify(evaluation.matches)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Publishes rules given as { code, name, description, stage, action, score, conditions,
+  // isActive }. A rule differing from the version in force is stored as a new version;
+  // unchanged rules are left alone. Nothing is published when any rule is invalid.
+  async publishRules(rules, { publishedBy = null } = {}) {
+    const problems = rules.flatMap((rule) => validateRule(rule).map((problem) => ({ rule: rule && rule.code, ...problem })));
+    if (problems.length > 0) {
+      throw new AmlError('INVALID_RULES', 'Some rules are invalid', { problems });
+    }
+
+    const published = await withTransaction(this.pool, async (client) => {
+      const changes = [];
+      for (const rule of rules) {
+        const current = await client.query(
+          'SELECT * FROM aml_rules WHERE code = $1 ORDER BY version DESC LIMIT 1 FOR UPDATE',
+          [rule.code]
+        );
+        const latest = current.rows[0];
+        const candidate = { description: null, isActive: true, ...rule };
+
+        if (latest && RULE_FIELDS.every((field) => JSON.stringify(toJsonRule(latest)[field]) === JSON.stringify(candidate[field]))) {
+          changes.push({ ...toJsonRule(latest), changed: false });
+          continue;
+        }
+
+        const inserted = await client.query(
+          `INSERT INTO aml_rules (code, version, name, description, stage, action, score, conditions, is_active, published_by, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+           RETURNING *`,
+          [
+            rule.code, latest ? latest.version + 1 : 1, candidate.name, candidate.description, candidate.stage,
+            candidate.action, candidate.score, JSON.stringify(candidate.conditions), candidate.isActive, publishedBy
+          ]
+        );
+        changes.push({ ...toJsonRule(inserted.rows[0]), changed: true });
+      }
+
+      return changes;
+    });
+
+    this.cache = null;
+
+    return published;
+  }
+
+  // Every version of every rule, newest first within each code
+  async listRules() {
+    const result = await this.pool.query('SELECT * FROM aml_rules ORDER BY code, version DESC');
+    return result.rows.map(toJsonRule);
+  }
+}
+
+module.exports = {
+  AmlError,
+  AmlEngine,
+  toJsonRule
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const { Pool } = require('pg');
+require('dotenv').config();
+const { AmlError, AmlEngine } = require('./aml');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Publishes the AML rules in a JSON file, an array of rules, as new versions of the rules
+// that changed. With --list, prints every version of every rule instead.
+async function publishRules(file, { publishedBy = process.env.USER || null } = {}) {
+  const aml = new AmlEngine({ pool });
+
+  try {
+    if (file === '--list') {
+      for (const rule of await aml.listRules()) {
+        console.log(`${rule.code} v${rule.version} ${rule.isActive ? '' : '(inactive) '}${rule.stage}/${rule.action} score ${rule.score}: ${rule.name}`);
+      }
+      return;
+    }
+
+    const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(rules)) {
+      throw new AmlError('INVALID_RULES', `${file} must contain an array of rules`);
+    }
+
+    for (const rule of await aml.publishRules(rules, { publishedBy })) {
+      console.log(`${rule.changed ? '✓' : '-'} ${rule.code} v${rule.version}${rule.changed ? ' published' : ' unchanged'}`);
+    }
+  } catch (error) {
+    if (error instanceof AmlError && error.details) {
+      error.details.problems.forEach((problem) => console.error(`✗ ${problem.rule} ${problem.field}: ${problem.message}`));
+    }
+    console.error('Publishing AML rules failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const [file] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: npm run aml:rules -- <rules.json> | --list');
+    process.exitCode = 1;
+  } else {
+    publishRules(file);
+  }
+}
+
+module.exports = { publishRules };
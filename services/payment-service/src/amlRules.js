@@ -0,0 +1,293 @@
+const { compareAmounts } = require('cryptohybrid-shared');
+
+// AML monitoring rules and their evaluation, kept apart from the database so that rules can
+// be checked before they are published. A rule matches a transaction when all of its
+// conditions hold, and every match is explained condition by condition. Pre-transaction
+// rules decide whether a transfer may go ahead; post-transaction rules look for patterns
+// across completed transactions, such as structuring.
+//
+// A condition is { field, op, value }. Velocity conditions also name a measure and a window
+// and are evaluated over the user's transactions in that window, including the one being
+// checked: { field: 'velocity', measure: 'count', window: '1h', op: 'gt', value: 10 }.
+
+const RULE_STAGES = {
+  PRE: 'pre',
+  POST: 'post'
+};
+
+// Ordered from least to most severe; the most severe action of the matched rules wins
+const RULE_ACTIONS = ['alert', 'review', 'block'];
+
+const FIELD_TYPES = {
+  amount: 'decimal',
+  amountUsd: 'decimal',
+  kycLevel: 'decimal',
+  riskScore: 'decimal',
+  asset: 'text',
+  assetType: 'text',
+  transactionType: 'text',
+  counterparty: 'text',
+  counterpartyType: 'text',
+  country: 'text',
+  counterpartyCountry: 'text',
+  newCounterparty: 'boolean',
+  velocity: 'decimal'
+};
+
+const OPERATORS = {
+  decimal: ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'between'],
+  text: ['eq', 'neq', 'in', 'notIn'],
+  boolean: ['eq']
+};
+
+const OPERATOR_LABELS = {
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  eq: '=',
+  neq: '!=',
+  between: 'between',
+  in: 'in',
+  notIn: 'not in'
+};
+
+// count: transactions; sum: amount, always in the transaction's asset; distinctCounterparties:
+// different counterparties paid. Counts cover all assets unless sameAsset is set.
+const VELOCITY_MEASURES = ['count', 'sum', 'distinctCounterparties'];
+
+const WINDOW_PATTERN = /^(\d+)(m|h|d)$/;
+const WINDOW_UNITS = { m: 60, h: 3600, d: 86400 };
+
+const RULE_CODE_PATTERN = /^[A-Z][A-Z0-9_]{1,49}$/;
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const windowSeconds = (window) => {
+  const match = WINDOW_PATTERN.exec(String(window));
+  return match ? Number(match[1]) * WINDOW_UNITS[match[2]] : null;
+};
+
+// Velocity conditions asking the same question share one lookup
+const velocityKey = ({ measure, window, transactionTypes = null, maxAmount = null, sameAsset = false }) => JSON.stringify([
+  measure,
+  window,
+  measure === 'sum' || sameAsset === true,
+  transactionTypes ? [...transactionTypes].sort() : null,
+  maxAmount === null ? null : String(maxAmount)
+]);
+
+const isDecimal = (value) => DECIMAL_PATTERN.test(String(value));
+
+// Problems with a condition, as { field, code, message }
+const validateCondition = (condition, index) => {
+  const problems = [];
+  const problem = (code, message) => problems.push({ field: `conditions[${index}]`, code, message });
+
+  const type = condition && FIELD_TYPES[condition.field];
+  if (!type) {
+    problem('INVALID_FIELD', `Unknown condition field ${condition && condition.field}`);
+    return problems;
+  }
+  if (!OPERATORS[type].includes(condition.op)) {
+    problem('INVALID_OPERATOR', `${condition.field} conditions take ${OPERATORS[type].join(', ')}`);
+    return problems;
+  }
+
+  const { op, value } = condition;
+  if (op === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(isDecimal)) {
+      problem('INVALID_VALUE', 'between takes a [low, high] pair of numbers');
+    }
+  } else if (op === 'in' || op === 'notIn') {
+    if (!Array.isArray(value) || value.length === 0) {
+      problem('INVALID_VALUE', `${op} takes a non-empty list`);
+    }
+  } else if (type === 'decimal' && !isDecimal(value)) {
+    problem('INVALID_VALUE', `${condition.field} is compared with a number`);
+  } else if (type === 'boolean' && typeof value !== 'boolean') {
+    problem('INVALID_VALUE', `${condition.field} is compared with true or false`);
+  } else if (type === 'text' && (value === undefined || value === null || value === '')) {
+    problem('INVALID_VALUE', `${condition.field} is compared with a value`);
+  }
+
+  if (condition.field === 'velocity') {
+    if (!VELOCITY_MEASURES.includes(condition.measure)) {
+      problem('INVALID_MEASURE', `Velocity measures are ${VELOCITY_MEASURES.join(', ')}`);
+    }
+    if (!windowSeconds(condition.window)) {
+      problem('INVALID_WINDOW', 'Velocity windows are a number of minutes, hours or days, such as 30m, 1h or 7d');
+    }
+    if (condition.transactionTypes !== undefined && (!Array.isArray(condition.transactionTypes) || condition.transactionTypes.length === 0)) {
+      problem('INVALID_VALUE', 'transactionTypes is a non-empty list');
+    }
+    if (condition.maxAmount !== undefined && !isDecimal(condition.maxAmount)) {
+      problem('INVALID_VALUE', 'maxAmount is a number');
+    }
+    if (condition.sameAsset !== undefined && typeof condition.sameAsset !== 'boolean') {
+      problem('INVALID_VALUE', 'sameAsset is true or false');
+    }
+  }
+
+  return problems;
+};
+
+// Problems with a rule, as { field, code, message }; empty when valid
+const validateRule = (rule) => {
+  const problems = [];
+  const problem = (field, code, message) => problems.push({ field, code, message });
+
+  if (!rule || !RULE_CODE_PATTERN.test(rule.code || '')) {
+    problem('code', 'INVALID_CODE', 'Rule codes are 2 to 50 upper-case letters, digits and underscores');
+  }
+  if (!rule || !rule.name) {
+    problem('name', 'NAME_REQUIRED', 'Rules need a name');
+  }
+  if (!rule || !Object.values(RULE_STAGES).includes(rule.stage)) {
+    problem('stage', 'INVALID_STAGE', `Rule stages are ${Object.values(RULE_STAGES).join(' and ')}`);
+  }
+  if (!rule || !RULE_ACTIONS.includes(rule.action)) {
+    problem('action', 'INVALID_ACTION', `Rule actions are ${RULE_ACTIONS.join(', ')}`);
+  }
+  if (!rule || !Number.isInteger(rule.score) || rule.score < 0 || rule.score > 100) {
+    problem('score', 'INVALID_SCORE', 'Rule scores are whole numbers from 0 to 100');
+  }
+  if (!rule || !Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    problem('conditions', 'CONDITIONS_REQUIRED', 'Rules need at least one condition');
+    return problems;
+  }
+
+  rule.conditions.forEach((condition, index) => problems.push(...validateCondition(condition, index)));
+
+  return problems;
+};
+
+const sameText = (a, b) => String(a).toUpperCase() === String(b).toUpperCase();
+
+const compareDecimals = (a, b) => compareAmounts(String(a), String(b));
+
+const test = (type, op, actual, expected) => {
+  if (type === 'decimal') {
+    switch (op) {
+      case 'gt': return compareDecimals(actual, expected) > 0;
+      case 'gte': return compareDecimals(actual, expected) >= 0;
+      case 'lt': return compareDecimals(actual, expected) < 0;
+      case 'lte': return compareDecimals(actual, expected) <= 0;
+      case 'eq': return compareDecimals(actual, expected) === 0;
+      case 'neq': return compareDecimals(actual, expected) !== 0;
+      case 'between': return compareDecimals(actual, expected[0]) >= 0 && compareDecimals(actual, expected[1]) <= 0;
+      default: return false;
+    }
+  }
+
+  switch (op) {
+    case 'eq': return type === 'boolean' ? actual === expected : sameText(actual, expected);
+    case 'neq': return !sameText(actual, expected);
+    case 'in': return expected.some((item) => sameText(actual, item));
+    case 'notIn': return !expected.some((item) => sameText(actual, item));
+    default: return false;
+  }
+};
+
+const describeField = (condition) => {
+  if (condition.field !== 'velocity') {
+    return condition.field;
+  }
+
+  const filters = [
+    condition.transactionTypes ? condition.transactionTypes.join('/') : null,
+    condition.maxAmount !== undefined ? `under ${condition.maxAmount}` : null,
+    condition.measure === 'sum' || condition.sameAsset ? 'in the same asset' : null
+  ].filter(Boolean);
+
+  return `${condition.measure} of transactions${filters.length > 0 ? ` ${filters.join(' ')}` : ''} in ${condition.window}`;
+};
+
+const describeValue = (value) => (Array.isArray(value) ? `[${value.join(', ')}]` : String(value));
+
+const valueOf = (condition, context) => (condition.field === 'velocity'
+  ? (context.velocity || {})[velocityKey(condition)]
+  : context[condition.field]);
+
+// Evaluates a rule against a transaction's context. Fields the context has no value for,
+// such as an amount that could not be priced, never match.
+const evaluateRule = (rule, context) => {
+  const reasons = [];
+
+  for (const condition of rule.conditions) {
+    const actual = valueOf(condition, context);
+    if (actual === undefined || actual === null) {
+      return null;
+    }
+
+    const type = FIELD_TYPES[condition.field];
+    if (type === 'decimal' && !isDecimal(actual)) {
+      return null;
+    }
+    if (!test(type, condition.op, actual, condition.value)) {
+      return null;
+    }
+
+    reasons.push(`${describeField(condition)} ${describeValue(actual)} ${OPERATOR_LABELS[condition.op]} ${describeValue(condition.value)}`);
+  }
+
+  return {
+    code: rule.code,
+    version: rule.version,
+    name: rule.name,
+    action: rule.action,
+    score: rule.score,
+    reasons
+  };
+};
+
+// Evaluates a set of rules. The risk score adds up the scores of the matched rules, capped
+// at 100, and a score of reviewScore or more puts the transaction up for review even when
+// no matched rule asks for it.
+const evaluateRules = (rules, context, { reviewScore = 70 } = {}) => {
+  const matches = rules.map((rule) => evaluateRule(rule, context)).filter(Boolean);
+  const riskScore = Math.min(matches.reduce((sum, match) => sum + match.score, 0), 100);
+
+  let decision = matches.reduce(
+    (strongest, match) => (RULE_ACTIONS.indexOf(match.action) > RULE_ACTIONS.indexOf(strongest) ? match.action : strongest),
+    matches.length > 0 ? 'alert' : 'allow'
+  );
+  if (riskScore >= reviewScore && RULE_ACTIONS.indexOf(decision) < RULE_ACTIONS.indexOf('review')) {
+    decision = 'review';
+  }
+
+  return {
+    decision,
+    riskScore,
+    riskLevel: decision === 'review' || decision === 'block' ? 'high' : riskScore > 30 ? 'medium' : 'low',
+    matches
+  };
+};
+
+// The velocity lookups a set of rules needs, one per distinct question
+const velocityConditions = (rules) => {
+  const conditions = new Map();
+  for (const rule of rules) {
+    for (const condition of rule.conditions) {
+      if (condition.field === 'velocity') {
+        conditions.set(velocityKey(condition), condition);
+      }
+    }
+  }
+  return [...conditions.entries()].map(([key, condition]) => ({ key, ...condition }));
+};
+
+const usesField = (rules, field) => rules.some((rule) => rule.conditions.some((condition) => condition.field === field));
+
+module.exports = {
+  RULE_STAGES,
+  RULE_ACTIONS,
+  FIELD_TYPES,
+  VELOCITY_MEASURES,
+  windowSeconds,
+  validateRule,
+  evaluateRule,
+  evaluateRules,
+  velocityConditions,
+  usesField
+};
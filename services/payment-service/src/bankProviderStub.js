@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+// Stands in for the banking provider in development: posts a signed payment.incoming event
+// to the bank webhook, as the provider does when a transfer arrives on a virtual IBAN
+async function sendIncomingPayment({ url, secret, iban, amount, currency, debtorName, debtorIban, remittanceInformation }) {
+  const event = {
+    id: `stub_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'payment.incoming',
+    data: {
+      iban,
+      amount,
+      currency,
+      debtorName,
+      debtorIban,
+      endToEndId: `E2E${Date.now()}`,
+      remittanceInformation,
+      bookingDate: new Date().toISOString().slice(0, 10)
+    }
+  };
+
+  const body = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const response = await axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json', 'X-Signature': `sha256=${signature}` },
+    validateStatus: () => true
+  });
+
+  return { event, status: response.status, body: response.data };
+}
+
+if (require.main === module) {
+  const [iban, amount, currency = 'EUR'] = process.argv.slice(2);
+  if (!iban || !amount) {
+    console.error('Usage: npm run bank:incoming -- <iban> <amount> [currency]');
+    process.exitCode = 1;
+  } else if (!process.env.BANK_WEBHOOK_SECRET) {
+    console.error('BANK_WEBHOOK_SECRET is not set');
+    process.exitCode = 1;
+  } else {
+    sendIncomingPayment({
+      url: process.env.BANK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3003}/payments/webhooks/bank`,
+      secret: process.env.BANK_WEBHOOK_SECRET,
+      iban,
+      amount,
+      currency: currency.toUpperCase(),
+      debtorName: 'Stub Sender',
+      debtorIban: 'DE89370400440532013000',
+      remittanceInformation: 'Stub incoming transfer'
+    })
+      .then(({ event, status, body }) => {
+        console.log(`${status < 300 ? '✓' : '✗'} ${event.id}: ${status} ${JSON.stringify(body)}`);
+        if (status >= 300) {
+          process.exitCode = 1;
+        }
+      })
+      .catch((error) => {
+        console.error('Sending the incoming payment failed:', error.message);
+        process.exitCode = 1;
+      });
+  }
+}
+
+module.exports = { sendIncomingPayment };
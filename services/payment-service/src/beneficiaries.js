@@ -0,0 +1,127 @@
+// Saved beneficiaries of outgoing bank transfers. Accounts are identified by IBAN or, for
+// banks outside the IBAN countries, by account number and BIC. IBANs, account numbers and
+// BICs are stored compact and upper-cased; a user has at most one active beneficiary per
+// account. Transfers copy the beneficiary's details, so editing or removing one does not
+// change past payments.
+
+class BeneficiaryError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'BeneficiaryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const compact = (value) => (value ? String(value).replace(/\s+/g, '').toUpperCase() : null);
+
+const toJsonBeneficiary = (beneficiary) => ({
+  id: beneficiary.id,
+  name: beneficiary.name,
+  iban: beneficiary.iban,
+  bic: beneficiary.bic,
+  country: beneficiary.country,
+  addressLine: beneficiary.address_line,
+  accountNumber: beneficiary.account_number,
+  bankName: beneficiary.bank_name,
+  intermediaryBic: beneficiary.intermediary_bic,
+  createdAt: beneficiary.created_at
+});
+
+class BeneficiaryManager {
+  constructor({ pool }) {
+    this.pool = pool;
+  }
+
+  async create(userId, { name, iban = null, accountNumber = null, bic = null, country = null, addressLine = null, bankName = null, intermediaryBic = null }) {
+    if (!iban && !(accountNumber && bic)) {
+      throw new BeneficiaryError('ACCOUNT_REQUIRED', 'A beneficiary needs an IBAN, or an account number and BIC');
+    }
+
+    try {
+      const result = await this.pool.query(
+        `INSERT INTO beneficiaries (user_id, name, iban, account_number, bic, country, address_line, bank_name, intermediary_bic,
+                                    created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+         RETURNING *`,
+        [
+          userId, name.trim(), compact(iban), iban ? null : compact(accountNumber), compact(bic), compact(country), addressLine,
+          bankName, compact(intermediaryBic)
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new BeneficiaryError('BENEFICIARY_EXISTS', 'A beneficiary with this account already exists', {
+          iban: compact(iban),
+          accountNumber: iban ? null : compact(accountNumber)
+        });
+      }
+      throw error;
+    }
+  }
+
+  // The user's beneficiary for the account, saved from the transfer details if new
+  async findOrCreate(userId, details) {
+    const existing = await this.pool.query(
+      `SELECT * FROM beneficiaries
+       WHERE user_id = $1 AND is_active = true
+         AND (iban = $2 OR ($2::text IS NULL AND account_number = $3 AND bic = $4))`,
+      [userId, compact(details.iban), compact(details.accountNumber), compact(details.bic)]
+    );
+
+    if (existing.rows.length > 0) {
+      return existing.rows[0];
+    }
+
+    try {
+      return await this.create(userId, details);
+    } catch (error) {
+      // Saved by a concurrent transfer to the same account
+      if (error instanceof BeneficiaryError && error.code === 'BENEFICIARY_EXISTS') {
+        return this.findOrCreate(userId, details);
+      }
+      throw error;
+    }
+  }
+
+  async get(userId, beneficiaryId) {
+    const result = await this.pool.query(
+      'SELECT * FROM beneficiaries WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [beneficiaryId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new BeneficiaryError('BENEFICIARY_NOT_FOUND', 'Beneficiary not found');
+    }
+
+    return result.rows[0];
+  }
+
+  async list(userId) {
+    const result = await this.pool.query(
+      'SELECT * FROM beneficiaries WHERE user_id = $1 AND is_active = true ORDER BY name',
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  async remove(userId, beneficiaryId) {
+    const result = await this.pool.query(
+      'UPDATE beneficiaries SET is_active = false, updated_at = NOW() WHERE id = $1 AND user_id = $2 AND is_active = true RETURNING id',
+      [beneficiaryId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new BeneficiaryError('BENEFICIARY_NOT_FOUND', 'Beneficiary not found');
+    }
+  }
+}
+
+module.exports = {
+  BeneficiaryError,
+  BeneficiaryManager,
+  toJsonBeneficiary
+};
@@ -0,0 +1,412 @@
+const {
+  withTransaction,
+  normalizeAmount,
+  toBaseUnits,
+  fromBaseUnits,
+  addAmounts,
+  subtractAmounts,
+  compareAmounts,
+  LedgerManager
+} = require('cryptohybrid-shared');
+
+// Card top-ups of fiat balances through Stripe PaymentIntents.
+// A deposit is credited only when Stripe's signed webhook reports the payment succeeded,
+// and refunds and disputes of the charge are debited back from the balance, even below
+// zero since the money has already left. Each webhook event is recorded in
+// `stripe_events` in the same database transaction that applies it, so redelivered
+// events are acknowledged without being applied twice and a failed one is retried by
+// Stripe as a whole.
+
+const DEPOSIT_STATUSES = {
+  PENDING: 'pending',
+  CREDITED: 'credited',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+  DISPUTED: 'disputed',
+  CHARGED_BACK: 'charged_back'
+};
+
+// Marks PaymentIntents created for top-ups, as opposed to other Stripe payments
+const DEPOSIT_PURPOSE = 'card_deposit';
+
+class CardDepositError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'CardDepositError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toJsonCardDeposit = (deposit) => ({
+  id: deposit.id,
+  paymentIntentId: deposit.payment_intent_id,
+  walletId: deposit.wallet_id,
+  asset: { id: deposit.asset_id, symbol: deposit.symbol },
+  amount: deposit.amount,
+  refundedAmount: deposit.refunded_amount,
+  disputedAmount: deposit.disputed_amount,
+  status: deposit.status,
+  failureReason: deposit.failure_reason,
+  transactionId: deposit.transaction_id,
+  creditedAt: deposit.credited_at,
+  createdAt: deposit.created_at
+});
+
+class CardDepositManager {
+  constructor({ pool, stripe, webhookSecret, logger = console, onCredited = async () => {} }) {
+    this.pool = pool;
+    this.stripe = stripe;
+    this.webhookSecret = webhookSecret;
+    this.logger = logger;
+    this.onCredited = onCredited;
+  }
+
+  async createDeposit({ userId, walletId = null, asset, amount }) {
+    if (asset.asset_type !== 'fiat') {
+      throw new CardDepositError('INVALID_ASSET', 'Card deposits fund fiat balances');
+    }
+
+    let normalized;
+    try {
+      normalized = normalizeAmount(String(amount), asset.decimals);
+    } catch (error) {
+      throw new CardDepositError('INVALID_AMOUNT', `${asset.symbol} amounts have at most ${asset.decimals} decimal places`);
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await this.stripe.paymentIntents.create({
+        amount: Number(toBaseUnits(normalized, asset.decimals)),
+        currency: asset.symbol.toLowerCase(),
+        metadata: { purpose: DEPOSIT_PURPOSE, userId, walletId: walletId || '' },
+        automatic_payment_methods: { enabled: true }
+      });
+    } catch (error) {
+      // Stripe rejects amounts below its minimum and unsupported currencies as invalid
+      // requests; anything else is Stripe being unavailable
+      throw new CardDepositError(
+        error.type === 'StripeInvalidRequestError' ? 'CARD_DEPOSIT_REJECTED' : 'PROVIDER_UNAVAILABLE',
+        error.message
+      );
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO card_deposits (user_id, wallet_id, asset_id, amount, payment_intent_id, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING *`,
+      [userId, walletId, asset.id, normalized, paymentIntent.id, DEPOSIT_STATUSES.PENDING]
+    );
+
+    return { deposit: { ...result.rows[0], symbol: asset.symbol }, clientSecret: paymentIntent.client_secret };
+  }
+
+  async list({ userId, limit = 50, offset = 0 }) {
+    const result = await this.pool.query(
+      `SELECT d.*, a.symbol
+       FROM card_deposits d
+       JOIN assets a ON a.id = d.asset_id
+       WHERE d.user_id = $1
+       ORDER BY d.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // Verifies the signature over the raw request body and applies the event once
+  async handleWebhook(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw new CardDepositError('WEBHOOK_NOT_CONFIGURED', 'STRIPE_WEBHOOK_SECRET is not set');
+    }
+
+    let event;
+    try {
+      event = this.stripe.webhooks.constructEvent(rawBody, signature, this.webhookSecret);
+    } catch (error) {
+      throw new CardDepositError('INVALID_SIGNATURE', error.message);
+    }
+
+    const credited = [];
+    const applied = await withTransaction(this.pool, async (client) => {
+      const recorded = await client.query(
+        'INSERT INTO stripe_events (id, event_type, processed_at) VALUES ($1, $2, NOW()) ON CONFLICT (id) DO NOTHING RETURNING id',
+        [event.id, event.type]
+      );
+
+      if (recorded.rows.length === 0) {
+        return false;
+      }
+
+      const object = event.data.object;
+      switch (event.type) {
+        case 'payment_intent.succeeded': {
+          const result = await this.credit(client, object);
+          if (result) {
+            credited.push(result);
+          }
+          break;
+        }
+        case 'payment_intent.payment_failed':
+        case 'payment_intent.canceled':
+          await this.fail(client, object);
+          break;
+        case 'charge.refunded':
+          await this.refund(client, object);
+          break;
+        case 'charge.dispute.created':
+          await this.openDispute(client, object);
+          break;
+        case 'charge.dispute.closed':
+          await this.closeDispute(client, object);
+          break;
+        default:
+          this.logger.info(`Ignoring Stripe event ${event.id} of type ${event.type}`);
+      }
+
+      return true;
+    });
+
+    for (const { transaction, deposit } of credited) {
+      try {
+        await this.onCredited(transaction, deposit);
+      } catch (error) {
+        this.logger.error(`Failed to publish card deposit ${deposit.id}:`, error);
+      }
+    }
+
+    return { eventId: event.id, type: event.type, duplicate: !applied };
+  }
+
+  async lockDeposit(client, paymentIntentId) {
+    const result = await client.query(
+      `SELECT d.*, a.symbol, a.decimals
+       FROM card_deposits d
+       JOIN assets a ON a.id = d.asset_id
+       WHERE d.payment_intent_id = $1
+       FOR UPDATE OF d`,
+      [paymentIntentId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Top-ups whose row was not written after the PaymentIntent was created are recovered
+  // from the intent's metadata and currency
+  async recoverDeposit(client, paymentIntent) {
+    const { purpose, userId, walletId } = paymentIntent.metadata || {};
+    if (purpose !== DEPOSIT_PURPOSE || !userId) {
+      return null;
+    }
+
+    const asset = await client.query(
+      `SELECT * FROM assets WHERE symbol = $1 AND asset_type = 'fiat' AND is_active = true`,
+      [paymentIntent.currency.toUpperCase()]
+    );
+
+    if (asset.rows.length === 0) {
+      this.logger.error(`PaymentIntent ${paymentIntent.id} is in ${paymentIntent.currency}, which has no fiat asset`);
+      return null;
+    }
+
+    await client.query(
+      `INSERT INTO card_deposits (user_id, wallet_id, asset_id, amount, payment_intent_id, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())`,
+      [
+        userId, walletId || null, asset.rows[0].id, fromBaseUnits(paymentIntent.amount, asset.rows[0].decimals),
+        paymentIntent.id, DEPOSIT_STATUSES.PENDING
+      ]
+    );
+
+    return this.lockDeposit(client, paymentIntent.id);
+  }
+
+  async credit(client, paymentIntent) {
+    const deposit = await this.lockDeposit(client, paymentIntent.id) || await this.recoverDeposit(client, paymentIntent);
+    if (!deposit) {
+      this.logger.info(`PaymentIntent ${paymentIntent.id} is not a card deposit`);
+      return null;
+    }
+    if (deposit.status !== DEPOSIT_STATUSES.PENDING && deposit.status !== DEPOSIT_STATUSES.FAILED) {
+      return null;
+    }
+    if (paymentIntent.currency.toUpperCase() !== deposit.symbol) {
+      this.logger.error(`PaymentIntent ${paymentIntent.id} was paid in ${paymentIntent.currency}, not ${deposit.symbol}; not crediting it`);
+      return null;
+    }
+
+    // The amount actually collected is credited
+    const amount = fromBaseUnits(paymentIntent.amount_received, deposit.decimals);
+
+    const transactionResult = await client.query(
+      `INSERT INTO transactions (user_id, transaction_type, to_wallet_id, from_asset_id, to_asset_id, amount, status, created_at, completed_at)
+       VALUES ($1, 'card_deposit', $2, $3, $3, $4, 'completed', NOW(), NOW())
+       RETURNING *`,
+      [deposit.user_id, deposit.wallet_id, deposit.asset_id, amount]
+    );
+
+    const transaction = transactionResult.rows[0];
+
+    await LedgerManager.transfer(client, {
+      entryType: 'card_deposit',
+      transactionId: transaction.id,
+      description: `Card deposit ${paymentIntent.id}`,
+      metadata: { paymentIntentId: paymentIntent.id },
+      from: LedgerManager.omnibusAccount(deposit.asset_id),
+      to: LedgerManager.userAccount(deposit.user_id, deposit.wallet_id, deposit.asset_id),
+      amount
+    });
+
+    await client.query(
+      `UPDATE card_deposits
+       SET status = $1, amount = $2, transaction_id = $3, failure_reason = NULL, credited_at = NOW(), updated_at = NOW()
+       WHERE id = $4`,
+      [DEPOSIT_STATUSES.CREDITED, amount, transaction.id, deposit.id]
+    );
+
+    this.logger.info(`Credited card deposit ${deposit.id}: ${amount} ${deposit.symbol}`);
+    return { transaction, deposit: { ...deposit, amount } };
+  }
+
+  async fail(client, paymentIntent) {
+    const error = paymentIntent.last_payment_error;
+    const reason = (error && (error.decline_code || error.code)) || paymentIntent.cancellation_reason || paymentIntent.status;
+
+    await client.query(
+      'UPDATE card_deposits SET status = $1, failure_reason = $2, updated_at = NOW() WHERE payment_intent_id = $3 AND status = $4',
+      [DEPOSIT_STATUSES.FAILED, reason, paymentIntent.id, DEPOSIT_STATUSES.PENDING]
+    );
+  }
+
+  // Refund and dispute events can in principle arrive before the payment's own success
+  // event; failing them makes Stripe deliver them again later
+  async creditedDeposit(client, paymentIntentId, eventType) {
+    const deposit = paymentIntentId ? await this.lockDeposit(client, paymentIntentId) : null;
+    if (!deposit) {
+      this.logger.info(`Ignoring ${eventType} for ${paymentIntentId || 'a payment'} that is not a card deposit`);
+      return null;
+    }
+    if (!deposit.transaction_id) {
+      throw new CardDepositError('DEPOSIT_NOT_CREDITED', `Card deposit ${deposit.id} has not been credited yet`);
+    }
+
+    return deposit;
+  }
+
+  // Debits up to `amount` of what is still credited for the deposit
+  async debit(client, deposit, { entryType, amount, description }) {
+    const outstanding = subtractAmounts(subtractAmounts(deposit.amount, deposit.refunded_amount), deposit.disputed_amount);
+    const debited = compareAmounts(amount, outstanding) > 0 ? outstanding : amount;
+
+    if (compareAmounts(debited, '0') <= 0) {
+      return '0';
+    }
+
+    await LedgerManager.postEntry(client, {
+      entryType,
+      transactionId: deposit.transaction_id,
+      description,
+      metadata: { paymentIntentId: deposit.payment_intent_id },
+      postings: [
+        { account: LedgerManager.userAccount(deposit.user_id, deposit.wallet_id, deposit.asset_id), direction: 'debit', amount: debited },
+        { account: LedgerManager.omnibusAccount(deposit.asset_id), direction: 'credit', amount: debited }
+      ],
+      allowNegative: true
+    });
+
+    return debited;
+  }
+
+  // amount_refunded is cumulative, so only the part not yet reversed is debited
+  async refund(client, charge) {
+    const deposit = await this.creditedDeposit(client, charge.payment_intent, 'charge.refunded');
+    if (!deposit) {
+      return;
+    }
+
+    const refunded = fromBaseUnits(charge.amount_refunded, deposit.decimals);
+    const debited = await this.debit(client, deposit, {
+      entryType: 'card_refund',
+      amount: subtractAmounts(refunded, deposit.refunded_amount),
+      description: `Refund of card deposit ${deposit.payment_intent_id}`
+    });
+
+    const refundedAmount = addAmounts(deposit.refunded_amount, debited);
+    const fullyRefunded = compareAmounts(refundedAmount, deposit.amount) >= 0;
+
+    await client.query(
+      'UPDATE card_deposits SET refunded_amount = $1, status = $2, updated_at = NOW() WHERE id = $3',
+      [refundedAmount, fullyRefunded ? DEPOSIT_STATUSES.REFUNDED : deposit.status, deposit.id]
+    );
+
+    if (fullyRefunded) {
+      await client.query(`UPDATE transactions SET status = 'reversed' WHERE id = $1`, [deposit.transaction_id]);
+    }
+
+    this.logger.warn(`Card deposit ${deposit.id} refunded: ${debited} ${deposit.symbol}`);
+  }
+
+  // Stripe withdraws the disputed amount when the dispute opens and returns it if won
+  async openDispute(client, dispute) {
+    const deposit = await this.creditedDeposit(client, dispute.payment_intent, 'charge.dispute.created');
+    if (!deposit) {
+      return;
+    }
+
+    const debited = await this.debit(client, deposit, {
+      entryType: 'card_chargeback',
+      amount: fromBaseUnits(dispute.amount, deposit.decimals),
+      description: `Dispute ${dispute.id} of card deposit ${deposit.payment_intent_id}`
+    });
+
+    await client.query(
+      'UPDATE card_deposits SET disputed_amount = $1, status = $2, updated_at = NOW() WHERE id = $3',
+      [addAmounts(deposit.disputed_amount, debited), DEPOSIT_STATUSES.DISPUTED, deposit.id]
+    );
+
+    this.logger.warn(`Card deposit ${deposit.id} disputed (${dispute.reason}): ${debited} ${deposit.symbol} debited`);
+  }
+
+  async closeDispute(client, dispute) {
+    const deposit = await this.creditedDeposit(client, dispute.payment_intent, 'charge.dispute.closed');
+    if (!deposit || deposit.status !== DEPOSIT_STATUSES.DISPUTED) {
+      return;
+    }
+
+    if (dispute.status !== 'won') {
+      await client.query(
+        'UPDATE card_deposits SET status = $1, updated_at = NOW() WHERE id = $2',
+        [DEPOSIT_STATUSES.CHARGED_BACK, deposit.id]
+      );
+      await client.query(`UPDATE transactions SET status = 'reversed' WHERE id = $1`, [deposit.transaction_id]);
+      return;
+    }
+
+    if (compareAmounts(deposit.disputed_amount, '0') > 0) {
+      await LedgerManager.transfer(client, {
+        entryType: 'card_chargeback_reversal',
+        transactionId: deposit.transaction_id,
+        description: `Won dispute ${dispute.id} of card deposit ${deposit.payment_intent_id}`,
+        metadata: { paymentIntentId: deposit.payment_intent_id },
+        from: LedgerManager.omnibusAccount(deposit.asset_id),
+        to: LedgerManager.userAccount(deposit.user_id, deposit.wallet_id, deposit.asset_id),
+        amount: deposit.disputed_amount
+      });
+    }
+
+    await client.query(
+      'UPDATE card_deposits SET disputed_amount = 0, status = $1, updated_at = NOW() WHERE id = $2',
+      [DEPOSIT_STATUSES.CREDITED, deposit.id]
+    );
+
+    this.logger.info(`Card deposit ${deposit.id} dispute won: ${deposit.disputed_amount} ${deposit.symbol} credited back`);
+  }
+}
+
+module.exports = {
+  DEPOSIT_STATUSES,
+  CardDepositError,
+  CardDepositManager,
+  toJsonCardDeposit
+};
@@ -6,6 +6,14 @@ const parseNumber = (value, fallback) => {
   return Number.isFinite(parsed) ? parsed : fallback;
 };
 
+const parseList = (value) => value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+
+// CURRENCY:COUNTRY:BANK[:BRANCH] entries, e.g. EUR:DE:50010517,GBP:GB:CHBK:601613
+const parseIbanIssuers = (value) => Object.fromEntries(value.split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+  const [currency, country, bankCode, branchCode] = entry.split(':').map((part) => part.trim().toUpperCase());
+  return [currency, { country, bankCode, branchCode }];
+}));
+
 const requireEnv = (keys) => {
   const missing = keys.filter((key) => !process.env[key]);
   if (missing.length > 0) {
@@ -27,6 +35,7 @@ module.exports = {
   stripeSecretKey: process.env.STRIPE_SECRET_KEY,
   stripeApiVersion: process.env.STRIPE_API_VERSION,
   stripeWebhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  bankWebhookSecret: process.env.BANK_WEBHOOK_SECRET,
   corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean),
   db: {
     maxConnections: parseNumber(process.env.DB_MAX_CONNECTIONS, 10),
@@ -37,6 +46,114 @@ module.exports = {
       reconnectStrategy: (retries) => Math.min(retries * 50, 2000),
     },
   },
+  holds: {
+    ttlMinutes: parseNumber(process.env.HOLD_TTL_MINUTES, 1440),
+  },
+  idempotency: {
+    ttlSeconds: parseNumber(process.env.IDEMPOTENCY_TTL_SECONDS, 86400),
+  },
+  confirmations: {
+    required: {
+      ethereum: parseNumber(process.env.TX_CONFIRMATIONS_ETHEREUM, 12),
+      polygon: parseNumber(process.env.TX_CONFIRMATIONS_POLYGON, 128),
+      bsc: parseNumber(process.env.TX_CONFIRMATIONS_BSC, 15),
+    },
+    dropAfterMinutes: parseNumber(process.env.TX_DROP_AFTER_MINUTES, 60),
+    pollSchedule: process.env.TX_CONFIRMATION_POLL_SCHEDULE || '*/15 * * * * *',
+  },
+  prices: {
+    sources: parseList(process.env.PRICE_SOURCES || 'coingecko'),
+    currencies: parseList(process.env.PRICE_CURRENCIES || 'usd,eur,gbp'),
+    cacheTtlSeconds: parseNumber(process.env.PRICE_CACHE_TTL_SECONDS, 60),
+    maxAgeSeconds: parseNumber(process.env.PRICE_MAX_AGE_SECONDS, 600),
+    chainlinkMaxAgeSeconds: parseNumber(process.env.PRICE_CHAINLINK_MAX_AGE_SECONDS, 90000),
+    coingeckoApiUrl: process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3',
+    coingeckoApiKey: process.env.COINGECKO_API_KEY || null,
+    fixturePath: process.env.PRICE_FIXTURE_PATH || null,
+  },
+  swaps: {
+    providers: parseList(process.env.SWAP_PROVIDERS || 'treasury'),
+    quoteTtlSeconds: parseNumber(process.env.SWAP_QUOTE_TTL_SECONDS, 30),
+    spreadBps: parseNumber(process.env.SWAP_SPREAD_BPS, 50),
+    liquidityDepthUsd: process.env.SWAP_LIQUIDITY_DEPTH_USD || '1000000',
+    dex: {
+      network: process.env.SWAP_DEX_NETWORK || 'ethereum',
+      routerAddress: process.env.SWAP_DEX_ROUTER_ADDRESS,
+      privateKey: process.env.SWAP_DEX_PRIVATE_KEY,
+      deadlineSeconds: parseNumber(process.env.SWAP_DEX_DEADLINE_SECONDS, 120),
+      confirmations: parseNumber(process.env.SWAP_DEX_CONFIRMATIONS, 1),
+    },
+    cex: {
+      apiUrl: process.env.SWAP_CEX_API_URL,
+      apiKey: process.env.SWAP_CEX_API_KEY,
+      apiSecret: process.env.SWAP_CEX_API_SECRET,
+      timeoutMs: parseNumber(process.env.SWAP_CEX_TIMEOUT_MS, 10000),
+    },
+  },
+  swapOrders: {
+    schedule: process.env.SWAP_ORDER_SCHEDULE || '* * * * *',
+    retryMinutes: parseNumber(process.env.SWAP_ORDER_RETRY_MINUTES, 5),
+    limitOrderExpiryDays: parseNumber(process.env.SWAP_LIMIT_ORDER_EXPIRY_DAYS, 30),
+  },
+  sepa: {
+    debtor: {
+      name: process.env.SEPA_DEBTOR_NAME,
+      iban: process.env.SEPA_DEBTOR_IBAN,
+      bic: process.env.SEPA_DEBTOR_BIC,
+    },
+    batchSchedule: process.env.SEPA_BATCH_SCHEDULE || '*/30 * * * *',
+    statementSchedule: process.env.SEPA_STATEMENT_SCHEDULE || '*/5 * * * *',
+    outboxDir: process.env.SEPA_OUTBOX_DIR || null,
+    inboxDir: process.env.SEPA_INBOX_DIR || null,
+  },
+  ibans: {
+    issuers: parseIbanIssuers(process.env.VIRTUAL_IBAN_ISSUERS || 'EUR:DE:50010517,GBP:GB:CHBK:601613,USD:GB:CHBK:601613'),
+  },
+  swift: {
+    sender: {
+      bic: process.env.SWIFT_SENDER_BIC,
+    },
+    messageFormat: (process.env.SWIFT_MESSAGE_FORMAT || 'pacs.008').toLowerCase(),
+    schedule: process.env.SWIFT_SCHEDULE || '* * * * *',
+    outboxDir: process.env.SWIFT_OUTBOX_DIR || null,
+    inboxDir: process.env.SWIFT_INBOX_DIR || null,
+  },
+  aml: {
+    reviewScore: parseNumber(process.env.AML_REVIEW_SCORE, 70),
+    rulesCacheSeconds: parseNumber(process.env.AML_RULES_CACHE_SECONDS, 60),
+  },
+  sanctions: {
+    matchThreshold: parseNumber(process.env.SANCTIONS_MATCH_THRESHOLD, 92) / 100,
+    reviewThreshold: parseNumber(process.env.SANCTIONS_REVIEW_THRESHOLD, 85) / 100,
+    blockedCountries: (process.env.SANCTIONS_BLOCKED_COUNTRIES || '').split(',').map((country) => country.trim().toUpperCase()).filter(Boolean),
+    cacheSeconds: parseNumber(process.env.SANCTIONS_CACHE_SECONDS, 300),
+  },
+  travelRule: {
+    thresholdUsd: process.env.TRAVEL_RULE_THRESHOLD_USD || '1000',
+    transport: (process.env.TRAVEL_RULE_TRANSPORT || 'stub').toLowerCase(),
+    responseTimeoutMinutes: parseNumber(process.env.TRAVEL_RULE_RESPONSE_TIMEOUT_MINUTES, 60),
+    schedule: process.env.TRAVEL_RULE_SCHEDULE || '* * * * *',
+    webhookSecret: process.env.TRAVEL_RULE_WEBHOOK_SECRET,
+    vasp: {
+      name: process.env.TRAVEL_RULE_VASP_NAME || 'CryptoHybrid Bank',
+      lei: process.env.TRAVEL_RULE_VASP_LEI || null,
+      country: process.env.TRAVEL_RULE_VASP_COUNTRY || null,
+    },
+    stub: {
+      response: (process.env.TRAVEL_RULE_STUB_RESPONSE || 'acknowledge').toLowerCase(),
+    },
+    http: {
+      apiUrl: process.env.TRAVEL_RULE_API_URL,
+      apiKey: process.env.TRAVEL_RULE_API_KEY,
+      apiSecret: process.env.TRAVEL_RULE_API_SECRET,
+      timeoutMs: parseNumber(process.env.TRAVEL_RULE_TIMEOUT_MS, 10000),
+    },
+  },
+  blockchain: {
+    ethereumRpcUrl: process.env.ETHEREUM_RPC_URL,
+    polygonRpcUrl: process.env.POLYGON_RPC_URL,
+    bscRpcUrl: process.env.BSC_RPC_URL,
+  },
   kafka: {
     clientId: process.env.KAFKA_CLIENT_ID || 'payment-service',
     brokers: (process.env.KAFKA_BROKERS || '').split(',').map((broker) => broker.trim()).filter(Boolean),
@@ -0,0 +1,264 @@
+const { withTransaction } = require('cryptohybrid-shared');
+
+// Outbound transaction confirmation tracking.
+// Every broadcast send is tracked from its blockchain hash: it stays `broadcast` until a
+// receipt appears, is `confirming` while the block gains depth and becomes `confirmed` or
+// `failed` once it is `confirmations` blocks deep. A receipt that disappears means the
+// block was reorged out, so the send goes back to `broadcast`. A send the node no longer
+// knows about is `replaced` when its nonce was used by another transaction and `dropped`
+// after `dropAfterMinutes`; both are failures. A send replaced by a cancellation fails
+// as `cancelled` once the cancellation confirms; if a replaced transaction is mined
+// instead, tracking switches to it. Outcomes are handed to the callbacks, which settle or
+// unwind the transaction in the same database transaction as the tracking row's move to
+// `confirmed` or `failed`; only the poll that made the move publishes the outcome.
+
+const CONFIRMATION_STATUSES = {
+  BROADCAST: 'broadcast',
+  CONFIRMING: 'confirming',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+const FAILURE_REASONS = {
+  REVERTED: 'reverted',
+  DROPPED: 'dropped',
+  REPLACED: 'replaced',
+  CANCELLED: 'cancelled'
+};
+
+const CANCEL_REPLACEMENT = 'cancel';
+
+class ConfirmationTracker {
+  constructor({ pool, providers, logger = console, confirmations = {}, dropAfterMinutes = 60, batchSize = 100, onConfirmed, onFailed, publish }) {
+    this.pool = pool;
+    this.providers = providers;
+    this.logger = logger;
+    this.confirmations = confirmations;
+    this.dropAfterMinutes = dropAfterMinutes;
+    this.batchSize = batchSize;
+    this.onConfirmed = onConfirmed;
+    this.onFailed = onFailed;
+    this.publish = publish;
+    this.running = false;
+  }
+
+  requiredConfirmations(network) {
+    return Math.max(this.confirmations[network] || 1, 1);
+  }
+
+  // Starts tracking broadcast sends that are not followed yet
+  async enroll() {
+    const result = await this.pool.query(
+      `INSERT INTO transaction_confirmations (transaction_id, network, tx_hash, status, broadcast_at, created_at, updated_at)
+       SELECT t.id, a.blockchain, t.blockchain_tx_hash, $1, t.created_at, NOW(), NOW()
+       FROM transactions t
+       JOIN assets a ON a.id = t.from_asset_id
+       WHERE t.transaction_type = 'send' AND t.blockchain_tx_hash IS NOT NULL
+         AND t.status IN ('pending', 'broadcast')
+         AND NOT EXISTS (SELECT 1 FROM transaction_confirmations c WHERE c.transaction_id = t.id)
+       ON CONFLICT (transaction_id) DO NOTHING`,
+      [CONFIRMATION_STATUSES.BROADCAST]
+    );
+
+    return result.rowCount;
+  }
+
+  // Runs one tracking cycle; overlapping calls are skipped
+  async poll() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.enroll();
+
+      const tracked = await this.pool.query(
+        `SELECT * FROM transaction_confirmations
+         WHERE status IN ($1, $2)
+         ORDER BY last_checked_at NULLS FIRST
+         LIMIT $3`,
+        [CONFIRMATION_STATUSES.BROADCAST, CONFIRMATION_STATUSES.CONFIRMING, this.batchSize]
+      );
+
+      const heads = new Map();
+      for (const row of tracked.rows) {
+        const provider = this.providers[row.network];
+        if (!provider) {
+          continue;
+        }
+
+        try {
+          if (!heads.has(row.network)) {
+            heads.set(row.network, await provider.getBlockNumber());
+          }
+          await this.check(row, provider, heads.get(row.network));
+        } catch (error) {
+          this.logger.error(`Error checking transaction ${row.transaction_id} (${row.tx_hash}):`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async check(row, provider, head) {
+    const receipt = await provider.getTransactionReceipt(row.tx_hash);
+
+    if (receipt) {
+      const confirmations = head - receipt.blockNumber + 1;
+
+      if (row.block_hash && row.block_hash !== receipt.blockHash) {
+        this.logger.warn(`Transaction ${row.tx_hash} moved from block ${row.block_hash} to ${receipt.blockHash} after a reorg`);
+      }
+
+      if (confirmations < this.requiredConfirmations(row.network)) {
+        await this.update(row, {
+          status: CONFIRMATION_STATUSES.CONFIRMING,
+          block_number: receipt.blockNumber,
+          block_hash: receipt.blockHash,
+          confirmations
+        });
+        return;
+      }
+
+      const mined = { block_number: receipt.blockNumber, block_hash: receipt.blockHash, confirmations };
+      // What the mined transaction paid for gas, to settle the send's network fee
+      const gas = { gasUsed: receipt.gasUsed.toString(), effectiveGasPrice: receipt.gasPrice.toString() };
+
+      if (receipt.status === 1 && row.replacement_type === CANCEL_REPLACEMENT) {
+        await this.fail(row, FAILURE_REASONS.CANCELLED, mined, gas);
+      } else if (receipt.status === 1) {
+        await this.confirm(row, mined, gas);
+      } else {
+        await this.fail(row, FAILURE_REASONS.REVERTED, mined, gas);
+      }
+      return;
+    }
+
+    // A receipt seen earlier is gone: its block was reorged out
+    if (row.status === CONFIRMATION_STATUSES.CONFIRMING) {
+      this.logger.warn(`Transaction ${row.tx_hash} lost its receipt in a reorg; waiting for it to be mined again`);
+    }
+
+    const transaction = await provider.getTransaction(row.tx_hash);
+    const fromAddress = transaction ? transaction.from : row.from_address;
+    const nonce = transaction ? transaction.nonce : row.nonce;
+
+    // Another transaction with the same nonce was mined, so this one never can be. The
+    // receipt is checked again in case this transaction was mined in the meantime.
+    if (fromAddress && nonce !== null && nonce !== undefined) {
+      const minedNonce = await provider.getTransactionCount(fromAddress, 'latest');
+      if (minedNonce > Number(nonce) && !(await provider.getTransactionReceipt(row.tx_hash))) {
+        if (await this.followReplacedTransaction(row, provider)) {
+          return;
+        }
+
+        await this.fail(row, FAILURE_REASONS.REPLACED, { from_address: fromAddress, nonce });
+        return;
+      }
+    }
+
+    if (transaction) {
+      await this.update(row, {
+        status: CONFIRMATION_STATUSES.BROADCAST,
+        from_address: transaction.from,
+        nonce: transaction.nonce,
+        block_number: null,
+        block_hash: null,
+        confirmations: 0,
+        last_seen_at: new Date()
+      });
+      return;
+    }
+
+    const lastSeen = new Date(row.last_seen_at || row.broadcast_at);
+    if (Date.now() - lastSeen.getTime() > this.dropAfterMinutes * 60 * 1000) {
+      await this.fail(row, FAILURE_REASONS.DROPPED);
+      return;
+    }
+
+    await this.update(row, { status: CONFIRMATION_STATUSES.BROADCAST, block_number: null, block_hash: null, confirmations: 0 });
+  }
+
+  // A transaction this send replaced was mined ahead of the replacement, so the send went
+  // through as originally signed. Tracking moves to it and continues on the next poll.
+  async followReplacedTransaction(row, provider) {
+    for (const replacedHash of row.replaced_tx_hashes || []) {
+      if (await provider.getTransactionReceipt(replacedHash)) {
+        this.logger.warn(`Transaction ${row.transaction_id} was mined as ${replacedHash} instead of its replacement ${row.tx_hash}`);
+        await this.update(row, { tx_hash: replacedHash, replacement_type: null, status: CONFIRMATION_STATUSES.BROADCAST });
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  async confirm(row, fields, gas) {
+    const details = { network: row.network, txHash: row.tx_hash, blockNumber: fields.block_number, ...gas };
+
+    const confirmed = await this.settle(row, { ...fields, status: CONFIRMATION_STATUSES.CONFIRMED, confirmed_at: new Date() },
+      (client) => this.onConfirmed(client, row.transaction_id, details));
+
+    if (confirmed) {
+      await this.publish('transaction-completed', confirmed, details);
+    }
+  }
+
+  async fail(row, reason, fields = {}, gas = {}) {
+    const details = { network: row.network, txHash: row.tx_hash, ...gas };
+
+    const failed = await this.settle(row, { ...fields, status: CONFIRMATION_STATUSES.FAILED, failure_reason: reason },
+      (client) => this.onFailed(client, row.transaction_id, reason, details));
+
+    if (failed) {
+      this.logger.warn(`Transaction ${row.transaction_id} (${row.tx_hash}) failed on ${row.network}: ${reason}`);
+      await this.publish('transaction-failed', failed, { reason, ...details });
+    }
+  }
+
+  // Moves a tracking row to its outcome and hands the transaction to the callback in one
+  // database transaction. The transaction is locked first, in the order the wallet
+  // service's replacements lock them. Nothing happens when another poll already moved the
+  // row or the send was sped up or cancelled since it was read; the replacement is tracked
+  // under its own hash.
+  async settle(row, fields, callback) {
+    return withTransaction(this.pool, async (client) => {
+      await client.query('SELECT id FROM transactions WHERE id = $1 FOR UPDATE', [row.transaction_id]);
+
+      const columns = Object.keys(fields);
+      const assignments = columns.map((column, index) => `${column} = $${index + 5}`);
+      const moved = await client.query(
+        `UPDATE transaction_confirmations
+         SET ${assignments.join(', ')}, last_checked_at = NOW(), updated_at = NOW()
+         WHERE transaction_id = $1 AND tx_hash = $2 AND status IN ($3, $4)
+         RETURNING transaction_id`,
+        [row.transaction_id, row.tx_hash, CONFIRMATION_STATUSES.BROADCAST, CONFIRMATION_STATUSES.CONFIRMING, ...columns.map((column) => fields[column])]
+      );
+      if (moved.rows.length === 0) {
+        return null;
+      }
+
+      return callback(client);
+    });
+  }
+
+  async update(row, fields) {
+    const columns = Object.keys(fields);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    await this.pool.query(
+      `UPDATE transaction_confirmations
+       SET ${assignments.join(', ')}, last_checked_at = NOW(), updated_at = NOW()
+       WHERE transaction_id = $1`,
+      [row.transaction_id, ...columns.map((column) => fields[column])]
+    );
+  }
+}
+
+module.exports = {
+  CONFIRMATION_STATUSES,
+  FAILURE_REASONS,
+  ConfirmationTracker
+};
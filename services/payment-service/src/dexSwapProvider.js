@@ -0,0 +1,162 @@
+const { ethers } = require('ethers');
+const { toBaseUnits, fromBaseUnits } = require('cryptohybrid-shared');
+const { SwapProviderError, SwapProvider } = require('./swapProviders');
+
+// Swaps through a Uniswap V2-style router on one network, from the treasury's hot wallet.
+// Assets trade directly against each other (a single pair); the network's native coin is
+// routed through the router's wrapped token. Trades from the hot wallet are sent one at a
+// time so their nonces and token allowances never race.
+
+const ROUTER_ABI = [
+  'function WETH() view returns (address)',
+  'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)',
+  'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline) payable returns (uint256[] amounts)',
+  'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)'
+];
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const PAIR_ABI = [
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)'
+];
+
+// Native coin of each network; other assets on a network are ERC-20 tokens
+const NATIVE_ASSETS = {
+  ethereum: 'ETH',
+  polygon: 'MATIC',
+  bsc: 'BNB'
+};
+
+const pairInterface = new ethers.Interface(PAIR_ABI);
+
+const isNativeAsset = (asset) => NATIVE_ASSETS[asset.blockchain] === asset.symbol;
+
+class DexSwapProvider extends SwapProvider {
+  constructor({ network, signer, routerAddress, deadlineSeconds = 120, confirmations = 1, name = 'dex' }) {
+    super(name);
+    this.network = network;
+    this.signer = signer;
+    this.router = new ethers.Contract(routerAddress, ROUTER_ABI, signer);
+    this.deadlineSeconds = deadlineSeconds;
+    this.confirmations = confirmations;
+    this.queue = Promise.resolve();
+    this.wrappedNative = null;
+  }
+
+  // Both assets on the provider's network, each the native coin or a token with a contract
+  supports(fromAsset, toAsset) {
+    return super.supports(fromAsset, toAsset)
+      && [fromAsset, toAsset].every((asset) => (
+        asset.blockchain === this.network && (isNativeAsset(asset) || Boolean(asset.contract_address))
+      ));
+  }
+
+  async tokenAddress(asset) {
+    if (!isNativeAsset(asset)) {
+      return ethers.getAddress(asset.contract_address);
+    }
+
+    if (!this.wrappedNative) {
+      this.wrappedNative = await this.router.WETH();
+    }
+
+    return this.wrappedNative;
+  }
+
+  async path(fromAsset, toAsset) {
+    return Promise.all([this.tokenAddress(fromAsset), this.tokenAddress(toAsset)]);
+  }
+
+  async quote({ fromAsset, toAsset, amount }) {
+    const amountIn = toBaseUnits(amount, fromAsset.decimals);
+    const amounts = await this.router.getAmountsOut(amountIn, await this.path(fromAsset, toAsset));
+
+    return { amountOut: fromBaseUnits(amounts[amounts.length - 1], toAsset.decimals), expiresAt: null, reference: null };
+  }
+
+  async execute(params) {
+    const run = this.queue.catch(() => {}).then(() => this.swap(params));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async approve(token, amount) {
+    const contract = new ethers.Contract(token, ERC20_ABI, this.signer);
+    const owner = await this.signer.getAddress();
+    const spender = await this.router.getAddress();
+
+    if ((await contract.allowance(owner, spender)) < amount) {
+      const approval = await contract.approve(spender, ethers.MaxUint256);
+      await approval.wait(this.confirmations);
+    }
+  }
+
+  async swap({ fromAsset, toAsset, amount, minAmountOut }) {
+    const path = await this.path(fromAsset, toAsset);
+    const amountIn = toBaseUnits(amount, fromAsset.decimals);
+    const amountOutMin = toBaseUnits(minAmountOut, toAsset.decimals);
+    const recipient = await this.signer.getAddress();
+    const deadline = Math.floor(Date.now() / 1000) + this.deadlineSeconds;
+
+    // A quote that no longer clears the minimum would only revert on chain
+    const amounts = await this.router.getAmountsOut(amountIn, path);
+    if (amounts[amounts.length - 1] < amountOutMin) {
+      throw new SwapProviderError('SLIPPAGE_EXCEEDED', 'The pool price moved beyond the slippage tolerance', {
+        currentAmount: fromBaseUnits(amounts[amounts.length - 1], toAsset.decimals),
+        minimumAmount: minAmountOut
+      });
+    }
+
+    let sent;
+    try {
+      if (isNativeAsset(fromAsset)) {
+        sent = await this.router.swapExactETHForTokens(amountOutMin, path, recipient, deadline, { value: amountIn });
+      } else {
+        await this.approve(path[0], amountIn);
+        sent = isNativeAsset(toAsset)
+          ? await this.router.swapExactTokensForETH(amountIn, amountOutMin, path, recipient, deadline)
+          : await this.router.swapExactTokensForTokens(amountIn, amountOutMin, path, recipient, deadline);
+      }
+    } catch (error) {
+      throw new SwapProviderError('PROVIDER_REJECTED', `${this.name} swap was not sent: ${error.shortMessage || error.message}`);
+    }
+
+    let receipt;
+    try {
+      receipt = await sent.wait(this.confirmations);
+    } catch (error) {
+      // Reverted, or not mined in time; either way the outcome needs checking by hand
+      throw new SwapProviderError('PROVIDER_FAILED', `${this.name} swap ${sent.hash} did not complete: ${error.shortMessage || error.message}`, {
+        txHash: sent.hash
+      });
+    }
+
+    return { amountOut: fromBaseUnits(DexSwapProvider.amountOut(receipt), toAsset.decimals), providerTxId: receipt.hash };
+  }
+
+  // The amount the pair paid out, from its Swap event
+  static amountOut(receipt) {
+    for (const log of receipt.logs) {
+      let event;
+      try {
+        event = pairInterface.parseLog(log);
+      } catch (error) {
+        continue;
+      }
+
+      if (event && event.name === 'Swap') {
+        return event.args.amount0Out + event.args.amount1Out;
+      }
+    }
+
+    throw new SwapProviderError('PROVIDER_FAILED', `No Swap event in ${receipt.hash}`, { txHash: receipt.hash });
+  }
+}
+
+module.exports = {
+  DexSwapProvider
+};
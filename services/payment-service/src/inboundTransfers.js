@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { withTransaction, LedgerManager } = require('cryptohybrid-shared');
+
+// Incoming bank transfers, reported by the bank's camt statements or pushed by the banking
+// provider's webhook. A credit to an active virtual IBAN goes to its owner's fiat balance
+// as a completed sepa_deposit transaction; anything else is parked in the asset's suspense
+// account as unmatched for manual handling. Credits are recorded once per bank reference,
+// however many times and through whichever channel they are reported.
+
+const INBOUND_STATUSES = {
+  CREDITED: 'credited',
+  UNMATCHED: 'unmatched',
+  REVERSED: 'reversed'
+};
+
+class InboundTransferError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'InboundTransferError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const compact = (value) => (value ? String(value).replace(/\s+/g, '').toUpperCase() : null);
+
+class InboundTransferManager {
+  constructor({ pool, logger = console, webhookSecret = null, onCredited = async () => {} }) {
+    this.pool = pool;
+    this.logger = logger;
+    this.webhookSecret = webhookSecret;
+    this.onCredited = onCredited;
+  }
+
+  // Returns 'credited', 'unmatched' or 'ignored', with the transaction and inbound row
+  // when the transfer was credited
+  async credit(client, { statementId = null, reference, creditorIban, currency, amount, debtorName = null, debtorIban = null, endToEndId = null, remittanceInformation = null, bookingDate = null }) {
+    if (reference) {
+      const seen = await client.query('SELECT id FROM inbound_transfers WHERE bank_reference = $1', [reference]);
+      if (seen.rows.length > 0) {
+        return { outcome: 'ignored' };
+      }
+    } else {
+      this.logger.warn(`Incoming transfer ${endToEndId || ''} has no bank reference; it cannot be deduplicated`);
+    }
+
+    const assetResult = await client.query(
+      `SELECT * FROM assets WHERE symbol = $1 AND asset_type = 'fiat' AND is_active = true`,
+      [currency]
+    );
+    const asset = assetResult.rows[0];
+    if (!asset) {
+      this.logger.error(`Incoming transfer ${reference} is in ${currency}, which has no fiat asset`);
+      return { outcome: 'ignored' };
+    }
+
+    const iban = compact(creditorIban);
+    const ibanResult = await client.query(
+      'SELECT * FROM virtual_ibans WHERE iban = $1 AND currency = $2 AND is_active = true',
+      [iban, currency]
+    );
+    const virtualIban = ibanResult.rows[0];
+
+    let transaction = null;
+    if (virtualIban) {
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (user_id, transaction_type, from_asset_id, to_asset_id, amount, status, created_at, completed_at)
+         VALUES ($1, 'sepa_deposit', $2, $2, $3, 'completed', NOW(), NOW())
+         RETURNING *`,
+        [virtualIban.user_id, asset.id, amount]
+      );
+      transaction = transactionResult.rows[0];
+    }
+
+    await LedgerManager.transfer(client, {
+      entryType: virtualIban ? 'sepa_deposit' : 'sepa_unmatched',
+      transactionId: transaction ? transaction.id : null,
+      description: `Incoming transfer ${reference || endToEndId || ''} to ${iban}`,
+      metadata: { bankReference: reference, endToEndId, debtorIban, creditorIban: iban },
+      from: LedgerManager.omnibusAccount(asset.id),
+      to: virtualIban ? LedgerManager.userAccount(virtualIban.user_id, null, asset.id) : LedgerManager.suspenseAccount(asset.id),
+      amount,
+      allowNegative: true
+    });
+
+    const inbound = await client.query(
+      `INSERT INTO inbound_transfers (statement_id, bank_reference, virtual_iban_id, user_id, asset_id, amount, creditor_iban,
+                                      debtor_name, debtor_iban, end_to_end_id, remittance_information, transaction_id, status,
+                                      booking_date, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
+       RETURNING *`,
+      [
+        statementId, reference, virtualIban ? virtualIban.id : null, virtualIban ? virtualIban.user_id : null, asset.id,
+        amount, iban, debtorName, compact(debtorIban), endToEndId,
+        remittanceInformation && remittanceInformation.slice(0, 500),
+        transaction ? transaction.id : null, virtualIban ? INBOUND_STATUSES.CREDITED : INBOUND_STATUSES.UNMATCHED,
+        bookingDate
+      ]
+    );
+
+    if (!virtualIban) {
+      this.logger.warn(`Incoming transfer ${reference} to ${iban} matches no virtual IBAN; parked in suspense`);
+      return { outcome: 'unmatched' };
+    }
+
+    return { outcome: 'credited', transaction, inbound: inbound.rows[0] };
+  }
+
+  // A credit taken back by the bank, such as a recalled incoming transfer
+  async reverse(client, { reference, endToEndId = null, amount }) {
+    const result = await client.query(
+      `SELECT * FROM inbound_transfers
+       WHERE status <> $1 AND (bank_reference = $2 OR (end_to_end_id = $3 AND amount = $4))
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE`,
+      [INBOUND_STATUSES.REVERSED, reference, endToEndId, amount]
+    );
+
+    const inbound = result.rows[0];
+    if (!inbound) {
+      this.logger.warn(`Reversed credit ${reference} matches no incoming transfer`);
+      return 'ignored';
+    }
+
+    await LedgerManager.postEntry(client, {
+      entryType: 'sepa_deposit_reversal',
+      transactionId: inbound.transaction_id,
+      description: `Reversal of incoming transfer ${inbound.bank_reference || inbound.end_to_end_id}`,
+      metadata: { bankReference: inbound.bank_reference },
+      postings: [
+        {
+          account: inbound.user_id ? LedgerManager.userAccount(inbound.user_id, null, inbound.asset_id) : LedgerManager.suspenseAccount(inbound.asset_id),
+          direction: 'debit',
+          amount: inbound.amount
+        },
+        { account: LedgerManager.omnibusAccount(inbound.asset_id), direction: 'credit', amount: inbound.amount }
+      ],
+      allowNegative: true
+    });
+
+    await client.query(
+      'UPDATE inbound_transfers SET status = $1, updated_at = NOW() WHERE id = $2',
+      [INBOUND_STATUSES.REVERSED, inbound.id]
+    );
+    if (inbound.transaction_id) {
+      await client.query(`UPDATE transactions SET status = 'reversed' WHERE id = $1`, [inbound.transaction_id]);
+    }
+
+    return 'reversed';
+  }
+
+  // The banking provider's incoming payment notifications, signed with a shared secret as
+  // the hex HMAC-SHA256 of the raw body
+  async handleWebhook(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw new InboundTransferError('WEBHOOK_NOT_CONFIGURED', 'BANK_WEBHOOK_SECRET is not set');
+    }
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest();
+    const received = Buffer.from(String(signature || '').replace(/^sha256=/, ''), 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new InboundTransferError('INVALID_SIGNATURE', 'Webhook signature does not match');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new InboundTransferError('INVALID_PAYLOAD', 'Webhook body is not JSON');
+    }
+
+    const { id, type, data = {} } = event;
+    if (!id || !data.amount || !data.currency || !data.iban) {
+      throw new InboundTransferError('INVALID_PAYLOAD', 'Webhook events need an id and the iban, amount and currency');
+    }
+
+    const details = {
+      reference: String(id).slice(0, 35),
+      creditorIban: data.iban,
+      currency: String(data.currency).toUpperCase(),
+      amount: String(data.amount),
+      debtorName: data.debtorName || null,
+      debtorIban: data.debtorIban || null,
+      endToEndId: data.endToEndId || null,
+      remittanceInformation: data.remittanceInformation || null,
+      bookingDate: data.bookingDate || null
+    };
+
+    let result;
+    if (type === 'payment.incoming') {
+      result = await withTransaction(this.pool, (client) => this.credit(client, details));
+    } else if (type === 'payment.incoming.reversed') {
+      const reference = data.originalId ? String(data.originalId).slice(0, 35) : details.reference;
+      result = { outcome: await withTransaction(this.pool, (client) => this.reverse(client, { ...details, reference })) };
+    } else {
+      this.logger.info(`Ignoring bank webhook ${id} of type ${type}`);
+      return { outcome: 'ignored' };
+    }
+
+    if (result.outcome === 'credited') {
+      await this.notify(result);
+    }
+
+    return { outcome: result.outcome };
+  }
+
+  async notify({ transaction, inbound }) {
+    try {
+      await this.onCredited(transaction, inbound);
+    } catch (error) {
+      this.logger.error('Failed to publish incoming transfer event:', error);
+    }
+  }
+}
+
+module.exports = {
+  INBOUND_STATUSES,
+  InboundTransferError,
+  InboundTransferManager
+};
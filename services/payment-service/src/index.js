@@ -12,9 +12,25 @@ const Stripe = require('stripe');
 const axios = require('axios');
 const cron = require('node-cron');
 const { Kafka } = require('kafkajs');
+const { ethers } = require('ethers');
+const { withTransaction, fromBaseUnits, multiplyAmounts, compareAmounts, subtractAmounts, LedgerManager, LedgerError, HoldManager, HOLD_STATUSES, PriceOracleError, SCREENING_DECISIONS, SUBJECT_TYPES, SanctionsScreener, createIdempotencyMiddleware, createPriceOracle } = require('cryptohybrid-shared');
 require('dotenv').config();
 
 const config = require('./config');
+const { FAILURE_REASONS, ConfirmationTracker } = require('./confirmationTracker');
+const { SwapError, SwapEngine } = require('./swaps');
+const { FREQUENCIES, SwapOrderError, SwapOrderManager, toJsonOrder } = require('./swapOrders');
+const { CardDepositError, CardDepositManager, toJsonCardDeposit } = require('./cardDeposits');
+const { BeneficiaryError, BeneficiaryManager, toJsonBeneficiary } = require('./beneficiaries');
+const { SepaManager, toJsonSepaTransfer } = require('./sepa');
+const { InboundTransferError, InboundTransferManager } = require('./inboundTransfers');
+const { VirtualIbanError, VirtualIbanManager, toJsonVirtualIban } = require('./virtualIbans');
+const { SwiftError, SwiftManager, toJsonSwiftTransfer } = require('./swift');
+const { CHARGE_BEARERS, PURPOSE_CODES } = require('./swiftMessages');
+const { AmlError, AmlEngine } = require('./aml');
+const { TRAVEL_RULE_STATUSES, TravelRuleError, StubTravelRuleTransport, HttpTravelRuleTransport, TravelRuleManager, validateBeneficiary, toJsonTravelRuleTransfer } = require('./travelRule');
+const { TreasurySwapProvider, CexSwapProvider } = require('./swapProviders');
+const { DexSwapProvider } = require('./dexSwapProvider');
 
 const app = express();
 const PORT = config.port;
@@ -66,6 +82,223 @@ const kafka = new Kafka({
 const producer = kafka.producer();
 const consumer = kafka.consumer({ groupId: 'payment-service-group' });
 
+// Blockchain providers
+const providers = {
+  ethereum: new ethers.JsonRpcProvider(config.blockchain.ethereumRpcUrl || 'https://mainnet.infura.io/v3/your-project-id'),
+  polygon: new ethers.JsonRpcProvider(config.blockchain.polygonRpcUrl || 'https://polygon-rpc.com'),
+  bsc: new ethers.JsonRpcProvider(config.blockchain.bscRpcUrl || 'https://bsc-dataseed.binance.org')
+};
+
+const priceOracle = createPriceOracle({ config: config.prices, redisClient, logger, httpClient: axios, providers });
+
+// Liquidity providers swaps are routed between, in SWAP_PROVIDERS
+const swapProviders = config.swaps.providers.map((name) => {
+  switch (name) {
+    case 'treasury':
+      return new TreasurySwapProvider({ priceOracle, liquidityDepthUsd: config.swaps.liquidityDepthUsd });
+    case 'dex': {
+      const { network, routerAddress, privateKey, deadlineSeconds, confirmations } = config.swaps.dex;
+      if (!routerAddress || !privateKey || !providers[network]) {
+        throw new Error('SWAP_DEX_ROUTER_ADDRESS, SWAP_DEX_PRIVATE_KEY and a supported SWAP_DEX_NETWORK are required for the dex swap provider');
+      }
+      return new DexSwapProvider({
+        network,
+        signer: new ethers.Wallet(privateKey, providers[network]),
+        routerAddress,
+        deadlineSeconds,
+        confirmations
+      });
+    }
+    case 'cex': {
+      const { apiUrl, apiKey, apiSecret, timeoutMs } = config.swaps.cex;
+      if (!apiUrl || !apiKey || !apiSecret) {
+        throw new Error('SWAP_CEX_API_URL, SWAP_CEX_API_KEY and SWAP_CEX_API_SECRET are required for the cex swap provider');
+      }
+      return new CexSwapProvider({ httpClient: axios, baseUrl: apiUrl, apiKey, apiSecret, timeoutMs });
+    }
+    default:
+      throw new Error(`Unknown swap provider: ${name} (expected treasury, dex or cex)`);
+  }
+});
+
+// Screens crypto destination addresses and bank transfer beneficiaries against the sanctions lists
+const sanctions = new SanctionsScreener({ pool, logger, ...config.sanctions });
+
+const aml = new AmlEngine({
+  pool,
+  priceOracle,
+  logger,
+  reviewScore: config.aml.reviewScore,
+  rulesCacheSeconds: config.aml.rulesCacheSeconds,
+  onAlert: (alert, transaction) => producer.send({
+    topic: 'aml-alert',
+    messages: [{
+      key: transaction.id,
+      value: JSON.stringify({
+        alertId: alert.id,
+        transactionId: transaction.id,
+        userId: transaction.user_id,
+        stage: alert.stage,
+        decision: alert.decision,
+        riskScore: alert.risk_score,
+        matchedRules: alert.matched_rules,
+        timestamp: new Date().toISOString()
+      })
+    }]
+  })
+});
+
+const swapEngine = new SwapEngine({
+  pool,
+  priceOracle,
+  providers: swapProviders,
+  logger,
+  quoteTtlSeconds: config.swaps.quoteTtlSeconds,
+  spreadBps: config.swaps.spreadBps,
+  holdTtlMinutes: config.holds.ttlMinutes
+});
+
+// Transaction types settled by the confirmation tracker once they are on chain
+const ONCHAIN_TRANSACTION_TYPES = ['send'];
+
+// Transaction types settled when the bank reports them booked
+const BANK_TRANSACTION_TYPES = ['sepa', 'swift'];
+
+// Failures where a transaction of the send was mined, so its network fee was paid
+const GAS_SPENT_REASONS = [FAILURE_REASONS.REVERTED, FAILURE_REASONS.CANCELLED];
+
+const publishTransactionEvent = (topic, transaction, details = {}) => producer.send({
+  topic,
+  messages: [{
+    key: transaction.id,
+    value: JSON.stringify({
+      transactionId: transaction.id,
+      userId: transaction.user_id,
+      status: topic === 'transaction-completed' ? 'completed' : 'failed',
+      ...details,
+      timestamp: new Date().toISOString()
+    })
+  }]
+});
+
+const publishSwapCompleted = (transaction, swap, details = {}) => publishTransactionEvent('transaction-completed', transaction, {
+  type: 'swap',
+  fromAssetId: swap.from_asset_id,
+  toAssetId: swap.to_asset_id,
+  amount: swap.from_amount,
+  toAmount: swap.to_amount,
+  ...details
+});
+
+const swapOrders = new SwapOrderManager({
+  pool,
+  swapEngine,
+  priceOracle,
+  logger,
+  retryMinutes: config.swapOrders.retryMinutes,
+  limitOrderExpiryDays: config.swapOrders.limitOrderExpiryDays,
+  onExecuted: (order, { transaction, swap }) => publishSwapCompleted(transaction, swap, { orderId: order.id })
+});
+
+const cardDeposits = new CardDepositManager({
+  pool,
+  stripe,
+  webhookSecret: config.stripeWebhookSecret,
+  logger,
+  onCredited: (transaction, deposit) => publishTransactionEvent('transaction-completed', transaction, {
+    type: 'card_deposit',
+    assetId: deposit.asset_id,
+    amount: deposit.amount
+  })
+});
+
+const beneficiaries = new BeneficiaryManager({ pool });
+
+const virtualIbans = new VirtualIbanManager({ pool, issuers: config.ibans.issuers });
+
+const inboundTransfers = new InboundTransferManager({
+  pool,
+  logger,
+  webhookSecret: config.bankWebhookSecret,
+  onCredited: (transaction, inbound) => publishTransactionEvent('transaction-completed', transaction, {
+    type: 'sepa_deposit',
+    assetId: inbound.asset_id,
+    amount: inbound.amount
+  })
+});
+
+const sepa = new SepaManager({
+  pool,
+  logger,
+  inbound: inboundTransfers,
+  debtor: config.sepa.debtor,
+  outboxDir: config.sepa.outboxDir,
+  inboxDir: config.sepa.inboxDir,
+  holdTtlMinutes: config.holds.ttlMinutes,
+  onBooked: (transaction, transfer) => publishTransactionEvent('transaction-completed', transaction, {
+    type: 'sepa',
+    amount: transfer.amount,
+    currency: transfer.currency,
+    endToEndId: transfer.end_to_end_id
+  }),
+  onRejected: (transaction, transfer) => publishTransactionEvent('transaction-failed', transaction, {
+    type: 'sepa',
+    amount: transfer.amount,
+    currency: transfer.currency,
+    reason: transfer.return_reason
+  })
+});
+
+const swift = new SwiftManager({
+  pool,
+  logger,
+  sender: config.swift.sender,
+  messageFormat: config.swift.messageFormat,
+  outboxDir: config.swift.outboxDir,
+  inboxDir: config.swift.inboxDir,
+  onCompleted: (transaction, transfer) => publishTransactionEvent('transaction-completed', transaction, {
+    type: 'swift',
+    amount: transfer.amount,
+    currency: transfer.currency,
+    uetr: transfer.uetr
+  }),
+  onRejected: (transaction, transfer) => publishTransactionEvent('transaction-failed', transaction, {
+    type: 'swift',
+    amount: transfer.amount,
+    currency: transfer.currency,
+    reason: transfer.status_reason
+  })
+});
+
+// Route for Travel Rule data to beneficiary VASPs, in TRAVEL_RULE_TRANSPORT
+const travelRuleTransport = (() => {
+  switch (config.travelRule.transport) {
+    case 'stub':
+      return new StubTravelRuleTransport({ response: config.travelRule.stub.response });
+    case 'http': {
+      const { apiUrl, apiKey, apiSecret, timeoutMs } = config.travelRule.http;
+      if (!apiUrl || !apiKey || !apiSecret) {
+        throw new Error('TRAVEL_RULE_API_URL, TRAVEL_RULE_API_KEY and TRAVEL_RULE_API_SECRET are required for the http Travel Rule transport');
+      }
+      return new HttpTravelRuleTransport({ httpClient: axios, baseUrl: apiUrl, apiKey, apiSecret, timeoutMs });
+    }
+    default:
+      throw new Error(`Unknown Travel Rule transport: ${config.travelRule.transport} (expected stub or http)`);
+  }
+})();
+
+const travelRule = new TravelRuleManager({
+  pool,
+  transport: travelRuleTransport,
+  logger,
+  priceOracle,
+  thresholdUsd: config.travelRule.thresholdUsd,
+  vasp: config.travelRule.vasp,
+  webhookSecret: config.travelRule.webhookSecret,
+  onAcknowledged: (transfer) => TransactionMonitor.applyTravelRuleResponse(transfer),
+  onRejected: (transfer) => TransactionMonitor.applyTravelRuleResponse(transfer)
+});
+
 // JWT Authentication Middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -106,164 +339,513 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Replays stored responses for retried money-moving requests
+const idempotent = createIdempotencyMiddleware({
+  redisClient,
+  logger,
+  namespace: 'payment-service',
+  ttlSeconds: config.idempotency.ttlSeconds
+});
+
+const addressBlocked = (res) => res.status(403).json({
+  success: false,
+  error: { code: 'ADDRESS_BLOCKED', message: 'Sends to this address are not allowed' }
+});
+
+// Transfers to a listed party are refused, and so are transfers to a name close enough to
+// need a review until compliance clears it
+const beneficiaryBlocked = (res, screening) => res.status(403).json({
+  success: false,
+  error: screening.decision === SCREENING_DECISIONS.MATCH
+    ? { code: 'SANCTIONS_MATCH', message: 'Transfers to this beneficiary are not allowed' }
+    : { code: 'SANCTIONS_REVIEW', message: 'The beneficiary needs a compliance review before transfers can be made' }
+});
+
+// Beneficiaries are screened by name and by the country their account is held in
+const screenBeneficiary = (userId, beneficiary, context) => sanctions.screenName({
+  name: beneficiary.name,
+  country: beneficiary.country || (beneficiary.iban ? beneficiary.iban.slice(0, 2) : beneficiary.bic && beneficiary.bic.slice(4, 6)),
+  subjectType: SUBJECT_TYPES.BENEFICIARY,
+  userId,
+  context: { beneficiaryId: beneficiary.id, ...context }
+});
+
+const insufficientBalance = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INSUFFICIENT_BALANCE',
+    message: 'Insufficient balance',
+    details: error.details
+  }
+});
+
 // Payment utilities
 class PaymentManager {
-  static async createStripePaymentIntent(amount, currency, metadata = {}) {
-    try {
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
-        currency: currency.toLowerCase(),
-        metadata: metadata,
-        automatic_payment_methods: {
-          enabled: true,
-        },
-      });
+  static async getFiatAsset(currency) {
+    const result = await pool.query(
+      `SELECT * FROM assets WHERE symbol = $1 AND asset_type = 'fiat' AND is_active = true`,
+      [currency]
+    );
 
-      return paymentIntent;
-    } catch (error) {
-      logger.error('Stripe payment intent creation failed:', error);
-      throw error;
+    return result.rows[0] || null;
+  }
+
+  // Builds the ledger entry that settles a completed transaction
+  static settlementEntry(transaction) {
+    const fromAccount = LedgerManager.userAccount(transaction.user_id, transaction.from_wallet_id, transaction.from_asset_id);
+
+    switch (transaction.transaction_type) {
+      case 'send':
+      case 'sepa':
+      case 'swift': {
+        const postings = [
+          { account: fromAccount, direction: 'debit', amount: transaction.amount },
+          { account: LedgerManager.omnibusAccount(transaction.from_asset_id), direction: 'credit', amount: transaction.amount }
+        ];
+
+        if (transaction.fee && compareAmounts(transaction.fee, '0') > 0) {
+          postings.push(
+            { account: fromAccount, direction: 'debit', amount: transaction.fee },
+            { account: LedgerManager.feeAccount(transaction.from_asset_id), direction: 'credit', amount: transaction.fee }
+          );
+        }
+
+        return { entryType: transaction.transaction_type, transactionId: transaction.id, postings };
+      }
+      // Swaps pending from before quotes were executed in one step
+      case 'swap': {
+        const toAmount = multiplyAmounts(transaction.amount, transaction.exchange_rate);
+        return {
+          entryType: 'swap',
+          transactionId: transaction.id,
+          postings: [
+            { account: fromAccount, direction: 'debit', amount: transaction.amount },
+            { account: LedgerManager.omnibusAccount(transaction.from_asset_id), direction: 'credit', amount: transaction.amount },
+            { account: LedgerManager.omnibusAccount(transaction.to_asset_id), direction: 'debit', amount: toAmount },
+            {
+              account: LedgerManager.userAccount(transaction.user_id, transaction.to_wallet_id || transaction.from_wallet_id, transaction.to_asset_id),
+              direction: 'credit',
+              amount: toAmount
+            }
+          ]
+        };
+      }
+      default:
+        return null;
     }
   }
 
-  static async confirmStripePaymentIntent(paymentIntentId) {
+  // Reserves the funds a new transaction will spend until it settles or fails
+  static async reserveFunds(client, { transactionId, userId, walletId, assetId, amount }) {
+    return HoldManager.placeHold(client, {
+      userId,
+      walletId,
+      assetId,
+      amount: amount.toString(),
+      transactionId,
+      reason: 'transaction',
+      expiresAt: new Date(Date.now() + config.holds.ttlMinutes * 60 * 1000)
+    });
+  }
+}
+
+// Transaction monitoring utilities
+class TransactionMonitor {
+  // Screens a transfer that has just been created with its funds reserved and applies the
+  // decision: blocked transfers fail at once and transfers up for review wait in
+  // pending_approval. Transfers that cannot be screened are held for review.
+  static async screenTransaction(transaction, details = {}) {
+    let assessment;
     try {
-      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-      return paymentIntent;
+      assessment = await aml.screen(transaction.id);
     } catch (error) {
-      logger.error('Stripe payment intent confirmation failed:', error);
-      throw error;
+      logger.error(`Screening transaction ${transaction.id} failed:`, error);
+      assessment = {
+        decision: 'review',
+        riskScore: null,
+        riskLevel: 'high',
+        riskFactors: ['Risk assessment failed'],
+        matchedRules: [],
+        alertId: null
+      };
+    }
+
+    let status = transaction.status;
+    if (assessment.decision === 'block') {
+      await TransactionMonitor.failTransaction(transaction.id, 'failed');
+      status = 'failed';
+    } else if (assessment.decision === 'review') {
+      // Funds stay reserved for as long as the compliance review takes
+      await withTransaction(pool, async (client) => {
+        await client.query(
+          'UPDATE transactions SET status = $1 WHERE id = $2',
+          ['pending_approval', transaction.id]
+        );
+        await client.query(
+          'UPDATE fund_holds SET expires_at = NULL, updated_at = NOW() WHERE transaction_id = $1 AND status = $2',
+          [transaction.id, HOLD_STATUSES.ACTIVE]
+        );
+      });
+      status = 'pending_approval';
+    }
+
+    if (status !== transaction.status) {
+      await producer.send({
+        topic: 'high-risk-transaction',
+        messages: [{
+          key: transaction.id,
+          value: JSON.stringify({
+            transactionId: transaction.id,
+            userId: transaction.user_id,
+            ...details,
+            decision: assessment.decision,
+            riskScore: assessment.riskScore,
+            riskFactors: assessment.riskFactors,
+            matchedRules: assessment.matchedRules,
+            alertId: assessment.alertId,
+            timestamp: new Date().toISOString()
+          })
+        }]
+      });
+    }
+
+    const { riskScore, riskLevel, riskFactors } = assessment;
+    return { status, riskAssessment: { riskScore, riskLevel, riskFactors } };
+  }
+
+  // Applies a compliance decision on a transaction held for approval. Approved transfers go
+  // ahead as if they had passed screening; rejected ones fail and their funds are released.
+  static async applyComplianceDecision({ transactionId, decision, reason, caseId }) {
+    if (decision === 'rejected') {
+      const rejected = await TransactionMonitor.failTransaction(transactionId, 'rejected');
+      if (rejected) {
+        const result = await pool.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+        await publishTransactionEvent('transaction-failed', result.rows[0], { reason: 'compliance_rejected', caseId });
+        logger.info(`Transaction ${transactionId} rejected by compliance case ${caseId}: ${reason}`);
+      }
+      return rejected;
+    }
+
+    const approved = await withTransaction(pool, async (client) => {
+      const result = await client.query(
+        'UPDATE transactions SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+        ['pending', transactionId, 'pending_approval']
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        'UPDATE fund_holds SET expires_at = $1, updated_at = NOW() WHERE transaction_id = $2 AND status = $3',
+        [new Date(Date.now() + config.holds.ttlMinutes * 60 * 1000), transactionId, HOLD_STATUSES.ACTIVE]
+      );
+
+      return result.rows[0];
+    });
+
+    if (approved) {
+      logger.info(`Transaction ${transactionId} approved by compliance case ${caseId}`);
+      await TransactionMonitor.releaseTransaction(transactionId);
     }
+
+    return approved;
   }
 
-  static async createSEPATransfer(amount, currency, recipientIban, description) {
-    try {
-      // In production, this would integrate with a SEPA provider like Stripe or FinLego
-      // For demo purposes, we'll simulate the transfer
-      const transfer = {
-        id: `sepa_${Date.now()}`,
-        amount: amount,
-        currency: currency,
-        recipientIban: recipientIban,
-        description: description,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
+  // Sends a screened transfer on. A send carrying Travel Rule data for another VASP waits in
+  // pending_travel_rule, its funds reserved until the response timeout, for that VASP to
+  // acknowledge it. Resolves to the transaction's status.
+  static async releaseTransaction(transactionId) {
+    const transfer = await travelRule.getForTransaction(transactionId);
+    if (!transfer || [TRAVEL_RULE_STATUSES.UNHOSTED, TRAVEL_RULE_STATUSES.ACKNOWLEDGED].includes(transfer.status)) {
+      await TransactionMonitor.monitorTransaction(transactionId);
+      const result = await pool.query('SELECT status FROM transactions WHERE id = $1', [transactionId]);
+      return result.rows[0].status;
+    }
 
-      return transfer;
-    } catch (error) {
-      logger.error('SEPA transfer creation failed:', error);
-      throw error;
+    const held = await withTransaction(pool, async (client) => {
+      const result = await client.query(
+        'UPDATE transactions SET status = $1 WHERE id = $2 AND status = $3 RETURNING id',
+        ['pending_travel_rule', transactionId, 'pending']
+      );
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await client.query(
+        'UPDATE fund_holds SET expires_at = $1, updated_at = NOW() WHERE transaction_id = $2 AND status = $3',
+        [new Date(Date.now() + config.travelRule.responseTimeoutMinutes * 60 * 1000), transactionId, HOLD_STATUSES.ACTIVE]
+      );
+      return true;
+    });
+    if (!held) {
+      return null;
+    }
+
+    await travelRule.send(transfer.id);
+
+    const result = await pool.query('SELECT status FROM transactions WHERE id = $1', [transactionId]);
+    return result.rows[0].status;
+  }
+
+  // Applies the beneficiary VASP's answer to a send waiting for it: acknowledged sends go
+  // ahead, rejected ones fail and their funds are released
+  static async applyTravelRuleResponse(transfer) {
+    const transactionId = transfer.transaction_id;
+
+    if (transfer.status === TRAVEL_RULE_STATUSES.REJECTED) {
+      const rejected = await TransactionMonitor.failTransaction(transactionId, 'failed');
+      if (rejected) {
+        const result = await pool.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+        await publishTransactionEvent('transaction-failed', result.rows[0], {
+          reason: 'travel_rule_rejected',
+          travelRuleTransferId: transfer.id,
+          beneficiaryVasp: transfer.beneficiary_vasp_id
+        });
+        logger.info(`Transaction ${transactionId} failed: Travel Rule data rejected by ${transfer.beneficiary_vasp_id}`);
+      }
+      return rejected;
+    }
+
+    const acknowledged = await withTransaction(pool, async (client) => {
+      const result = await client.query(
+        'UPDATE transactions SET status = $1 WHERE id = $2 AND status = $3 RETURNING *',
+        ['pending', transactionId, 'pending_travel_rule']
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        'UPDATE fund_holds SET expires_at = $1, updated_at = NOW() WHERE transaction_id = $2 AND status = $3',
+        [new Date(Date.now() + config.holds.ttlMinutes * 60 * 1000), transactionId, HOLD_STATUSES.ACTIVE]
+      );
+
+      return result.rows[0];
+    });
+
+    if (acknowledged) {
+      logger.info(`Transaction ${transactionId} released: Travel Rule data acknowledged by ${transfer.beneficiary_vasp_id}`);
+      await TransactionMonitor.monitorTransaction(transactionId);
     }
+
+    return acknowledged;
   }
 
-  static async createSWIFTTransfer(amount, currency, recipientBank, description) {
+  // Marks a pending transaction completed and posts it to the ledger in one database
+  // transaction, capturing the funds reserved for it
+  static async completeTransaction(transactionId, details = {}) {
+    let completed;
+
     try {
-      // In production, this would integrate with a SWIFT provider
-      const transfer = {
-        id: `swift_${Date.now()}`,
-        amount: amount,
-        currency: currency,
-        recipientBank: recipientBank,
-        description: description,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-      };
+      completed = await withTransaction(pool, async (client) => {
+        const result = await client.query(
+          'SELECT * FROM transactions WHERE id = $1 FOR UPDATE',
+          [transactionId]
+        );
+
+        const transaction = result.rows[0];
+        if (!transaction || transaction.status !== 'pending') {
+          return null;
+        }
+
+        const entry = PaymentManager.settlementEntry(transaction);
+        const hold = await HoldManager.getActiveHold(client, transaction.id);
+
+        if (entry && hold) {
+          await HoldManager.captureHold(client, hold.id, entry);
+        } else if (entry) {
+          await LedgerManager.postEntry(client, entry);
+        } else {
+          logger.warn(`No ledger settlement defined for ${transaction.transaction_type} transaction ${transaction.id}`);
+        }
+
+        await client.query(
+          'UPDATE transactions SET status = $1, completed_at = NOW() WHERE id = $2',
+          ['completed', transactionId]
+        );
 
-      return transfer;
+        return transaction;
+      });
     } catch (error) {
-      logger.error('SWIFT transfer creation failed:', error);
+      if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+        await TransactionMonitor.failTransaction(transactionId, 'failed');
+        logger.warn(`Transaction ${transactionId} failed: insufficient balance at settlement`);
+        return null;
+      }
       throw error;
     }
+
+    if (!completed) {
+      return null;
+    }
+
+    // Publish transaction completion event
+    await publishTransactionEvent('transaction-completed', completed, details);
+
+    return completed;
   }
-}
 
-// Transaction monitoring utilities
-class TransactionMonitor {
-  static async checkTransactionRisk(transaction) {
-    try {
-      // In production, this would integrate with Chainalysis or Elliptic
-      // For demo purposes, we'll implement basic risk scoring
-      let riskScore = 0;
-      const riskFactors = [];
-
-      // Check amount
-      if (transaction.amount > 10000) {
-        riskScore += 30;
-        riskFactors.push('High amount transaction');
+  // Completes a send confirmed on chain within the tracker's database transaction. Sends
+  // are settled when they are signed, so only the mined hash and the network fee paid
+  // need recording. Resolves to the transaction to publish as completed.
+  static async confirmTransaction(client, transactionId, details = {}) {
+    const result = await client.query(
+      `UPDATE transactions SET status = 'completed', completed_at = NOW() WHERE id = $1 AND status = 'broadcast' RETURNING *`,
+      [transactionId]
+    );
+    const transaction = result.rows[0];
+    if (!transaction) {
+      return null;
+    }
+
+    // A sped-up send is recorded under the hash that was actually mined
+    if (details.txHash && transaction.blockchain_tx_hash !== details.txHash) {
+      await client.query('UPDATE transactions SET blockchain_tx_hash = $1 WHERE id = $2', [details.txHash, transactionId]);
+      transaction.blockchain_tx_hash = details.txHash;
+    }
+
+    return TransactionMonitor.settleNetworkFee(client, transaction, details);
+  }
+
+  // Sends are charged their maximum network fee when they are signed; once mined, the
+  // part beyond gas used times the effective gas price is refunded and the fee recorded is
+  // what was paid
+  static async settleNetworkFee(client, transaction, { gasUsed, effectiveGasPrice }) {
+    if (!gasUsed || !effectiveGasPrice || !transaction.fee_asset_id || transaction.fee === null) {
+      return transaction;
+    }
+
+    const feeAsset = await client.query('SELECT decimals FROM assets WHERE id = $1', [transaction.fee_asset_id]);
+    const paid = fromBaseUnits(BigInt(gasUsed) * BigInt(effectiveGasPrice), feeAsset.rows[0].decimals);
+    if (compareAmounts(transaction.fee, paid) <= 0) {
+      return transaction;
+    }
+
+    await LedgerManager.transfer(client, {
+      entryType: 'network_fee_refund',
+      transactionId: transaction.id,
+      description: 'Unused network fee',
+      metadata: { gasUsed, effectiveGasPrice },
+      from: LedgerManager.omnibusAccount(transaction.fee_asset_id),
+      to: LedgerManager.userAccount(transaction.user_id, transaction.from_wallet_id, transaction.fee_asset_id),
+      amount: subtractAmounts(transaction.fee, paid)
+    });
+
+    await client.query('UPDATE transactions SET fee = $1 WHERE id = $2', [paid, transaction.id]);
+    return { ...transaction, fee: paid };
+  }
+
+  // Fails a send that reverted, was cancelled, was dropped or was replaced on chain, within
+  // the tracker's database transaction: reserved funds are released, and a broadcast send,
+  // settled when it was signed, has its ledger entries reversed. The network fee is refunded when
+  // no transaction of the send was mined, and otherwise the part its gas did not use.
+  // Resolves to the transaction to publish as failed.
+  static async failOnchainTransaction(client, transactionId, reason, details = {}) {
+    const result = await client.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+
+    const transaction = result.rows[0];
+    if (!transaction || !['pending', 'broadcast'].includes(transaction.status)) {
+      return null;
+    }
+
+    let failed = transaction;
+    if (transaction.status === 'broadcast') {
+      await LedgerManager.reverseTransaction(client, transactionId, {
+        entryType: 'send_reversal',
+        entryTypes: GAS_SPENT_REASONS.includes(reason) ? ['send'] : ['send', 'network_fee'],
+        description: `Send ${reason} on chain`,
+        metadata: { reason, ...details }
+      });
+
+      if (GAS_SPENT_REASONS.includes(reason)) {
+        failed = await TransactionMonitor.settleNetworkFee(client, transaction, details);
       }
+    } else {
+      await HoldManager.releaseTransactionHolds(client, transactionId, HOLD_STATUSES.RELEASED);
+    }
+
+    await client.query(
+      'UPDATE transactions SET status = $1 WHERE id = $2',
+      ['failed', transactionId]
+    );
 
-      // Check frequency (simplified)
-      const recentTransactions = await pool.query(
-        'SELECT COUNT(*) FROM transactions WHERE user_id = $1 AND created_at > NOW() - INTERVAL \'1 hour\'',
-        [transaction.userId]
+    return failed;
+  }
+
+  // Moves an unsettled transaction to a terminal status and releases its reserved funds
+  static async failTransaction(transactionId, status = 'failed') {
+    return withTransaction(pool, async (client) => {
+      const result = await client.query(
+        'SELECT * FROM transactions WHERE id = $1 FOR UPDATE',
+        [transactionId]
       );
 
-      if (recentTransactions.rows[0].count > 10) {
-        riskScore += 20;
-        riskFactors.push('High transaction frequency');
+      const transaction = result.rows[0];
+      if (!transaction || !['pending', 'pending_approval', 'pending_travel_rule', 'queued'].includes(transaction.status)) {
+        return null;
       }
 
-      // Check destination (simplified)
-      if (transaction.toAddress && transaction.toAddress.startsWith('0x')) {
-        // This would check against known risky addresses
-        riskScore += 10;
-        riskFactors.push('Crypto address destination');
-      }
+      await HoldManager.releaseTransactionHolds(
+        client,
+        transactionId,
+        status === 'expired' ? HOLD_STATUSES.EXPIRED : HOLD_STATUSES.RELEASED
+      );
 
-      return {
-        riskScore: Math.min(riskScore, 100),
-        riskLevel: riskScore > 70 ? 'high' : riskScore > 30 ? 'medium' : 'low',
-        riskFactors
-      };
-    } catch (error) {
-      logger.error('Transaction risk assessment failed:', error);
-      return {
-        riskScore: 50,
-        riskLevel: 'medium',
-        riskFactors: ['Risk assessment failed']
-      };
-    }
+      const updated = await client.query(
+        'UPDATE transactions SET status = $1 WHERE id = $2 RETURNING id, status',
+        [status, transactionId]
+      );
+
+      return updated.rows[0];
+    });
   }
 
+  // Off-chain transactions settle right away. On-chain sends are queued for the wallet
+  // service, which signs, settles and broadcasts them; the confirmation tracker follows
+  // them from their blockchain hash and completes them once they are confirmed.
   static async monitorTransaction(transactionId) {
     try {
-      // In production, this would integrate with blockchain monitoring services
-      logger.info(`Monitoring transaction: ${transactionId}`);
-      
-      // Simulate monitoring process
-      setTimeout(async () => {
-        try {
-          await pool.query(
-            'UPDATE transactions SET status = $1, completed_at = NOW() WHERE id = $2',
-            ['completed', transactionId]
-          );
+      const result = await pool.query('SELECT transaction_type FROM transactions WHERE id = $1', [transactionId]);
+      const transaction = result.rows[0];
 
-          // Publish transaction completion event
-          await producer.send({
-            topic: 'transaction-completed',
-            messages: [{
-              key: transactionId,
-              value: JSON.stringify({
-                transactionId,
-                status: 'completed',
-                timestamp: new Date().toISOString()
-              })
-            }]
-          });
-
-          logger.info(`Transaction ${transactionId} completed successfully`);
-        } catch (error) {
-          logger.error(`Error completing transaction ${transactionId}:`, error);
-        }
-      }, 30000); // 30 seconds delay for demo
+      if (!transaction) {
+        return;
+      }
+      if (ONCHAIN_TRANSACTION_TYPES.includes(transaction.transaction_type)) {
+        await pool.query(
+          'UPDATE transactions SET status = $1 WHERE id = $2 AND status = $3',
+          ['queued', transactionId, 'pending']
+        );
+        logger.info(`Transaction ${transactionId} queued for broadcast`);
+        return;
+      }
+      if (BANK_TRANSACTION_TYPES.includes(transaction.transaction_type)) {
+        logger.info(`Transaction ${transactionId} will settle once the bank books it`);
+        return;
+      }
 
+      const completed = await TransactionMonitor.completeTransaction(transactionId);
+      if (completed) {
+        logger.info(`Transaction ${transactionId} completed successfully`);
+      }
     } catch (error) {
       logger.error('Transaction monitoring failed:', error);
     }
   }
 }
 
+// Follows broadcast sends to their on-chain outcome
+const confirmationTracker = new ConfirmationTracker({
+  pool,
+  providers,
+  logger,
+  confirmations: config.confirmations.required,
+  dropAfterMinutes: config.confirmations.dropAfterMinutes,
+  onConfirmed: (client, transactionId, details) => TransactionMonitor.confirmTransaction(client, transactionId, details),
+  onFailed: (client, transactionId, reason, details) => TransactionMonitor.failOnchainTransaction(client, transactionId, reason, details),
+  publish: (topic, transaction, details) => publishTransactionEvent(topic, transaction, details)
+});
+
 // Middleware
 app.use(helmet());
 if (config.corsOrigins.length > 0) {
@@ -273,6 +855,103 @@ if (config.corsOrigins.length > 0) {
 }
 app.use(compression());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+
+const CARD_DEPOSIT_ERROR_STATUSES = {
+  ASSET_NOT_FOUND: 404,
+  WALLET_NOT_FOUND: 404,
+  PROVIDER_UNAVAILABLE: 502,
+  WEBHOOK_NOT_CONFIGURED: 503,
+  DEPOSIT_NOT_CREDITED: 409
+};
+
+const cardDepositError = (res, error) => res.status(CARD_DEPOSIT_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message }
+});
+
+// Stripe webhooks. Stripe signs the raw body, so this route is registered before the JSON
+// parser; it is authenticated by the signature rather than a token. Errors make Stripe
+// retry the event.
+app.post('/payments/webhooks/stripe', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  try {
+    const result = await cardDeposits.handleWebhook(req.body, req.headers['stripe-signature']);
+
+    res.json({ success: true, data: { received: true, duplicate: result.duplicate } });
+
+  } catch (error) {
+    if (error instanceof CardDepositError) {
+      logger.warn(`Stripe webhook rejected: ${error.code} ${error.message}`);
+      return cardDepositError(res, error);
+    }
+
+    logger.error('Stripe webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'WEBHOOK_FAILED', message: 'Failed to process webhook' }
+    });
+  }
+});
+
+const INBOUND_TRANSFER_ERROR_STATUSES = {
+  INVALID_SIGNATURE: 401,
+  WEBHOOK_NOT_CONFIGURED: 503
+};
+
+// Incoming payment notifications from the banking provider, signed over the raw body like
+// Stripe's. Errors make the provider retry.
+app.post('/payments/webhooks/bank', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  try {
+    const result = await inboundTransfers.handleWebhook(req.body, req.headers['x-signature']);
+
+    res.json({ success: true, data: { received: true, outcome: result.outcome } });
+
+  } catch (error) {
+    if (error instanceof InboundTransferError) {
+      logger.warn(`Bank webhook rejected: ${error.code} ${error.message}`);
+      return res.status(INBOUND_TRANSFER_ERROR_STATUSES[error.code] || 400).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    logger.error('Bank webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'WEBHOOK_FAILED', message: 'Failed to process webhook' }
+    });
+  }
+});
+
+const TRAVEL_RULE_WEBHOOK_ERROR_STATUSES = {
+  INVALID_SIGNATURE: 401,
+  WEBHOOK_NOT_CONFIGURED: 503
+};
+
+// Answers from beneficiary VASPs to the Travel Rule data sent to them, signed over the raw
+// body like the bank's. Errors make the sender retry.
+app.post('/payments/webhooks/travel-rule', express.raw({ type: 'application/json', limit: '1mb' }), async (req, res) => {
+  try {
+    const result = await travelRule.handleWebhook(req.body, req.headers['x-signature']);
+
+    res.json({ success: true, data: { received: true, outcome: result.outcome } });
+
+  } catch (error) {
+    if (error instanceof TravelRuleError) {
+      logger.warn(`Travel Rule webhook rejected: ${error.code} ${error.message}`);
+      return res.status(TRAVEL_RULE_WEBHOOK_ERROR_STATUSES[error.code] || 400).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    logger.error('Travel Rule webhook error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'WEBHOOK_FAILED', message: 'Failed to process webhook' }
+    });
+  }
+});
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -292,8 +971,18 @@ app.post('/payments/send', authenticateToken, [
   body('toAddress').notEmpty(),
   body('assetId').isUUID(),
   body('amount').isFloat({ min: 0.000001 }),
-  body('memo').optional().isLength({ max: 255 })
-], validateRequest, async (req, res) => {
+  body('memo').optional().isLength({ max: 255 }),
+  body('beneficiary').optional().isObject(),
+  body('beneficiary.type').optional().isIn(['natural', 'legal']),
+  body('beneficiary.firstName').optional().trim().isLength({ min: 1, max: 100 }),
+  body('beneficiary.lastName').optional().trim().isLength({ min: 1, max: 100 }),
+  body('beneficiary.name').optional().trim().isLength({ min: 1, max: 140 }),
+  body('beneficiary.country').optional().isISO31661Alpha2(),
+  body('beneficiary.walletType').optional().isIn(['hosted', 'unhosted']),
+  body('beneficiary.vasp.id').optional().trim().isLength({ min: 1, max: 100 }),
+  body('beneficiary.vasp.name').optional().trim().isLength({ min: 1, max: 140 }),
+  body('beneficiary.vasp.lei').optional().trim().isLength({ min: 20, max: 20 }).isAlphanumeric()
+], validateRequest, idempotent, async (req, res) => {
   try {
     const { fromWalletId, toAddress, assetId, amount, memo } = req.body;
 
@@ -327,74 +1016,73 @@ app.post('/payments/send', authenticateToken, [
 
     const asset = assetResult.rows[0];
 
-    // Check balance
-    const balanceResult = await pool.query(
-      'SELECT balance FROM balances WHERE user_id = $1 AND wallet_id = $2 AND asset_id = $3',
-      [req.user.userId, fromWalletId, assetId]
-    );
-
-    if (balanceResult.rows.length === 0 || parseFloat(balanceResult.rows[0].balance) < amount) {
-      return res.status(400).json({
-        success: false,
-        error: { 
-          code: 'INSUFFICIENT_BALANCE', 
-          message: 'Insufficient balance',
-          details: {
-            required: amount.toString(),
-            available: balanceResult.rows[0]?.balance || '0'
-          }
-        }
-      });
+    const screening = await sanctions.screenAddress({
+      address: toAddress,
+      userId: req.user.userId,
+      context: { walletId: fromWalletId, assetId }
+    });
+    if (screening.decision !== SCREENING_DECISIONS.CLEAR) {
+      return addressBlocked(res);
     }
 
-    // Create transaction record
-    const transactionResult = await pool.query(
-      `INSERT INTO transactions (user_id, transaction_type, from_wallet_id, from_asset_id, amount, status, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
-       RETURNING id, status, created_at`,
-      [req.user.userId, 'send', fromWalletId, assetId, amount, 'pending']
-    );
+    // Sends above the Travel Rule threshold carry the beneficiary's identity
+    const { required: travelRuleRequired, amountUsd } = await travelRule.assess(asset, amount);
+    const beneficiary = travelRuleRequired
+      ? validateBeneficiary(req.body.beneficiary, { thresholdUsd: config.travelRule.thresholdUsd, amountUsd })
+      : null;
+
+    // Create the transaction record and reserve the funds it will spend
+    let travelRuleTransfer = null;
+    const transaction = await withTransaction(pool, async (client) => {
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (user_id, transaction_type, from_wallet_id, from_asset_id, amount, counterparty, status, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         RETURNING id, user_id, status, created_at`,
+        [req.user.userId, 'send', fromWalletId, assetId, amount, toAddress, 'pending']
+      );
 
-    const transaction = transactionResult.rows[0];
+      const created = transactionResult.rows[0];
 
-    // Risk assessment
-    const riskAssessment = await TransactionMonitor.checkTransactionRisk({
-      userId: req.user.userId,
-      amount,
-      toAddress,
-      asset: asset.symbol
-    });
+      await PaymentManager.reserveFunds(client, {
+        transactionId: created.id,
+        userId: req.user.userId,
+        walletId: fromWalletId,
+        assetId,
+        amount
+      });
 
-    // Update transaction with risk score
-    await pool.query(
-      'UPDATE transactions SET risk_score = $1 WHERE id = $2',
-      [riskAssessment.riskScore, transaction.id]
-    );
+      if (beneficiary) {
+        travelRuleTransfer = await travelRule.record(client, {
+          transaction: created,
+          wallet,
+          asset,
+          amount,
+          amountUsd,
+          toAddress,
+          beneficiary
+        });
+      }
 
-    // If high risk, require manual approval
-    if (riskAssessment.riskLevel === 'high') {
-      await pool.query(
-        'UPDATE transactions SET status = $1 WHERE id = $2',
-        ['pending_approval', transaction.id]
-      );
+      return created;
+    });
 
-      // Publish high-risk transaction event
-      await producer.send({
-        topic: 'high-risk-transaction',
-        messages: [{
-          key: transaction.id,
-          value: JSON.stringify({
-            transactionId: transaction.id,
-            userId: req.user.userId,
-            amount,
-            toAddress,
-            riskScore: riskAssessment.riskScore,
-            riskFactors: riskAssessment.riskFactors,
-            timestamp: new Date().toISOString()
-          })
-        }]
+    // AML screening
+    const { status, riskAssessment } = await TransactionMonitor.screenTransaction(transaction, {
+      type: 'send',
+      assetId,
+      amount,
+      toAddress
+    });
+
+    if (status === 'failed') {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'TRANSACTION_BLOCKED', message: 'Transaction blocked by compliance checks' }
       });
+    }
 
+    // If high risk, require manual approval
+    if (status === 'pending_approval') {
       return res.status(201).json({
         success: true,
         data: {
@@ -407,7 +1095,7 @@ app.post('/payments/send', authenticateToken, [
               name: asset.name
             },
             toAddress,
-            status: 'pending_approval',
+            status,
             riskAssessment,
             createdAt: transaction.created_at
           }
@@ -416,11 +1104,18 @@ app.post('/payments/send', authenticateToken, [
       });
     }
 
-    // Start monitoring the transaction
-    TransactionMonitor.monitorTransaction(transaction.id);
+    // Send it on, once the beneficiary's VASP has acknowledged any Travel Rule data
+    const releasedStatus = await TransactionMonitor.releaseTransaction(transaction.id);
 
     logger.info(`Payment transaction created: ${transaction.id} for user ${req.user.userId}`);
 
+    if (releasedStatus === 'failed') {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'TRAVEL_RULE_REJECTED', message: 'The beneficiary\'s VASP rejected the transfer' }
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: {
@@ -433,203 +1128,868 @@ app.post('/payments/send', authenticateToken, [
             name: asset.name
           },
           toAddress,
-          status: transaction.status,
+          status: releasedStatus || transaction.status,
           riskAssessment,
+          travelRule: travelRuleTransfer ? { id: travelRuleTransfer.id, walletType: travelRuleTransfer.wallet_type } : null,
           createdAt: transaction.created_at
         }
       },
-      message: 'Payment initiated successfully'
+      message: releasedStatus === 'pending_travel_rule'
+        ? 'Payment created; it is sent once the beneficiary\'s VASP acknowledges the Travel Rule data'
+        : 'Payment queued for broadcast'
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+    if (error instanceof TravelRuleError) {
+      return res.status(400).json({
+        success: false,
+        error: { code: error.code, message: error.message, details: error.details }
+      });
+    }
+
+    logger.error('Send payment error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'PAYMENT_FAILED', message: 'Failed to send payment' }
+    });
+  }
+});
+
+const SWAP_ERROR_STATUSES = {
+  QUOTE_NOT_FOUND: 404,
+  QUOTE_ALREADY_EXECUTED: 409,
+  QUOTE_EXPIRED: 409,
+  SLIPPAGE_EXCEEDED: 409,
+  NO_LIQUIDITY: 503,
+  PROVIDER_FAILED: 502,
+  SWAP_UNRESOLVED: 502
+};
+
+// Prices that cannot be read make a swap unavailable rather than invalid
+const swapError = (res, error) => {
+  const status = error instanceof PriceOracleError
+    ? (error.code === 'UNSUPPORTED_CURRENCY' ? 400 : 503)
+    : SWAP_ERROR_STATUSES[error.code] || 400;
+
+  return res.status(status).json({
+    success: false,
+    error: { code: error.code, message: error.message, details: error.details }
+  });
+};
+
+// Checks the assets and wallet of a swap before it is quoted
+const loadSwapParties = async (res, { userId, fromAssetId, toAssetId, walletId }) => {
+  const assetsResult = await pool.query(
+    'SELECT * FROM assets WHERE id IN ($1, $2) AND is_active = true',
+    [fromAssetId, toAssetId]
+  );
+
+  const fromAsset = assetsResult.rows.find((asset) => asset.id === fromAssetId);
+  const toAsset = assetsResult.rows.find((asset) => asset.id === toAssetId);
+
+  if (!fromAsset || !toAsset) {
+    res.status(404).json({
+      success: false,
+      error: { code: 'ASSET_NOT_FOUND', message: 'One or more assets not found' }
+    });
+    return null;
+  }
+
+  if (walletId) {
+    const walletResult = await pool.query(
+      'SELECT id FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, userId]
+    );
+
+    if (walletResult.rows.length === 0) {
+      res.status(404).json({
+        success: false,
+        error: { code: 'WALLET_NOT_FOUND', message: 'Wallet not found' }
+      });
+      return null;
+    }
+  }
+
+  return { fromAsset, toAsset };
+};
+
+const swapQuote = (quote, fromAsset, toAsset) => ({
+  id: quote.id,
+  fromAsset: { id: fromAsset.id, symbol: fromAsset.symbol, name: fromAsset.name },
+  toAsset: { id: toAsset.id, symbol: toAsset.symbol, name: toAsset.name },
+  amount: quote.from_amount,
+  expectedAmount: quote.to_amount,
+  exchangeRate: quote.exchange_rate,
+  midRate: quote.mid_rate,
+  fee: quote.fee,
+  priceImpact: quote.price_impact,
+  provider: quote.provider,
+  providerQuotes: quote.provider_quotes,
+  expiresAt: quote.expires_at
+});
+
+// Validation chains are mutable, so each route builds its own
+const swapAssetValidators = () => [
+  body('fromAssetId').isUUID(),
+  body('toAssetId').isUUID(),
+  body('amount').isFloat({ min: 0.000001 }),
+  body('walletId').optional().isUUID()
+];
+
+// Quote a swap; the quote can be executed until it expires
+app.post('/payments/swap/quote', authenticateToken, swapAssetValidators(), validateRequest, async (req, res) => {
+  try {
+    const { fromAssetId, toAssetId, amount, walletId = null } = req.body;
+
+    const parties = await loadSwapParties(res, { userId: req.user.userId, fromAssetId, toAssetId, walletId });
+    if (!parties) {
+      return;
+    }
+
+    const quote = await swapEngine.quote({ userId: req.user.userId, walletId, ...parties, amount });
+
+    res.status(201).json({
+      success: true,
+      data: { quote: swapQuote(quote, parties.fromAsset, parties.toAsset) },
+      message: 'Swap quoted successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof SwapError || error instanceof PriceOracleError) {
+      return swapError(res, error);
+    }
+
+    logger.error('Swap quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'SWAP_QUOTE_FAILED', message: 'Failed to quote swap' }
+    });
+  }
+});
+
+// Swap cryptocurrencies, either executing a quote or quoting and executing in one step
+app.post('/payments/swap', authenticateToken, [
+  body('quoteId').optional().isUUID(),
+  ...swapAssetValidators().map((validator) => validator.if(body('quoteId').not().exists())),
+  body('slippageTolerance').optional().isFloat({ min: 0, max: 50 })
+], validateRequest, idempotent, async (req, res) => {
+  try {
+    const { fromAssetId, toAssetId, amount, slippageTolerance = 0.5, walletId = null } = req.body;
+    let { quoteId } = req.body;
+
+    if (!quoteId) {
+      const parties = await loadSwapParties(res, { userId: req.user.userId, fromAssetId, toAssetId, walletId });
+      if (!parties) {
+        return;
+      }
+
+      quoteId = (await swapEngine.quote({ userId: req.user.userId, walletId, ...parties, amount })).id;
+    }
+
+    const { transaction, swap, fromAsset, toAsset } = await swapEngine.execute({
+      userId: req.user.userId,
+      quoteId,
+      slippageTolerance
+    });
+
+    await publishSwapCompleted(transaction, swap);
+
+    logger.info(`Swap executed: ${transaction.id} for user ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        transaction: {
+          id: transaction.id,
+          type: 'swap',
+          quoteId,
+          fromAsset: { symbol: fromAsset.symbol, name: fromAsset.name },
+          toAsset: { symbol: toAsset.symbol, name: toAsset.name },
+          amount: swap.from_amount,
+          receivedAmount: swap.to_amount,
+          exchangeRate: swap.exchange_rate,
+          fee: swap.fee,
+          priceImpact: swap.price_impact,
+          provider: swap.provider,
+          providerTxId: swap.provider_tx_id,
+          slippageTolerance: slippageTolerance.toString(),
+          status: transaction.status,
+          createdAt: transaction.created_at,
+          completedAt: transaction.completed_at
+        }
+      },
+      message: 'Swap completed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+    if (error instanceof SwapError || error instanceof PriceOracleError) {
+      return swapError(res, error);
+    }
+
+    logger.error('Swap error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'SWAP_FAILED', message: 'Failed to execute swap' }
+    });
+  }
+});
+
+const SWAP_ORDER_ERROR_STATUSES = {
+  ASSET_NOT_FOUND: 404,
+  WALLET_NOT_FOUND: 404,
+  ORDER_NOT_FOUND: 404,
+  ORDER_NOT_CANCELLABLE: 409
+};
+
+const swapOrderError = (res, error) => res.status(SWAP_ORDER_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+// Place a limit order: buy or sell an asset against a quote asset once its price crosses the limit
+app.post('/payments/orders/limit', authenticateToken, [
+  body('side').isIn(['buy', 'sell']),
+  body('assetId').isUUID(),
+  body('quoteAssetId').isUUID(),
+  body('amount').isFloat({ min: 0.000001 }),
+  body('limitPrice').isFloat({ gt: 0 }),
+  body('expiresAt').optional().isISO8601(),
+  body('walletId').optional().isUUID()
+], validateRequest, idempotent, async (req, res) => {
+  try {
+    const order = await swapOrders.placeLimitOrder({ userId: req.user.userId, ...req.body });
+
+    logger.info(`Limit order placed: ${order.id} for user ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { order: toJsonOrder(order) },
+      message: 'Limit order placed successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+    if (error instanceof SwapOrderError) {
+      return swapOrderError(res, error);
+    }
+
+    logger.error('Limit order error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDER_FAILED', message: 'Failed to place limit order' }
+    });
+  }
+});
+
+// Set up a recurring buy of a crypto asset with a fiat balance
+app.post('/payments/orders/recurring', authenticateToken, [
+  body('fromAssetId').isUUID(),
+  body('toAssetId').isUUID(),
+  body('amount').isFloat({ min: 0.000001 }),
+  body('frequency').isIn(Object.keys(FREQUENCIES)),
+  body('startAt').optional().isISO8601(),
+  body('slippageTolerance').optional().isFloat({ min: 0, max: 50 }),
+  body('walletId').optional().isUUID()
+], validateRequest, idempotent, async (req, res) => {
+  try {
+    const order = await swapOrders.createRecurringBuy({ userId: req.user.userId, ...req.body });
+
+    logger.info(`Recurring buy created: ${order.id} for user ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { order: toJsonOrder(order) },
+      message: 'Recurring buy created successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof SwapOrderError) {
+      return swapOrderError(res, error);
+    }
+
+    logger.error('Recurring buy error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDER_FAILED', message: 'Failed to create recurring buy' }
+    });
+  }
+});
+
+// Order history
+app.get('/payments/orders', authenticateToken, async (req, res) => {
+  try {
+    const { type = null, status = null, limit = 50, offset = 0 } = req.query;
+
+    const orders = await swapOrders.list({ userId: req.user.userId, type, status, limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        orders: orders.map(toJsonOrder),
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          total: orders.length
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDERS_FETCH_FAILED', message: 'Failed to get orders' }
+    });
+  }
+});
+
+// An order and the swaps it has executed
+app.get('/payments/orders/:orderId', authenticateToken, async (req, res) => {
+  try {
+    const { order, fills } = await swapOrders.get(req.user.userId, req.params.orderId);
+
+    res.json({
+      success: true,
+      data: {
+        order: toJsonOrder(order),
+        fills: fills.map((fill) => ({
+          transactionId: fill.transaction_id,
+          amount: fill.from_amount,
+          receivedAmount: fill.to_amount,
+          exchangeRate: fill.exchange_rate,
+          fee: fill.fee,
+          provider: fill.provider,
+          createdAt: fill.created_at
+        }))
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SwapOrderError) {
+      return swapOrderError(res, error);
+    }
+
+    logger.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDER_FETCH_FAILED', message: 'Failed to get order' }
+    });
+  }
+});
+
+// Cancel an open limit order or an active recurring buy
+app.post('/payments/orders/:orderId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const order = await swapOrders.cancel(req.user.userId, req.params.orderId);
+
+    logger.info(`Order cancelled: ${order.id} for user ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      data: { order: toJsonOrder(order) },
+      message: 'Order cancelled successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof SwapOrderError) {
+      return swapOrderError(res, error);
+    }
+
+    logger.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ORDER_CANCEL_FAILED', message: 'Failed to cancel order' }
+    });
+  }
+});
+
+// Start a card top-up of a fiat balance; the client confirms the returned PaymentIntent
+// with Stripe and the balance is credited once Stripe reports the payment succeeded
+app.post('/payments/deposits/card', authenticateToken, [
+  body('assetId').isUUID(),
+  body('amount').isFloat({ min: 0.01 }),
+  body('walletId').optional().isUUID()
+], validateRequest, idempotent, async (req, res) => {
+  try {
+    const { assetId, amount, walletId = null } = req.body;
+
+    const assetResult = await pool.query('SELECT * FROM assets WHERE id = $1 AND is_active = true', [assetId]);
+    if (assetResult.rows.length === 0) {
+      throw new CardDepositError('ASSET_NOT_FOUND', 'Asset not found');
+    }
+
+    if (walletId) {
+      const walletResult = await pool.query(
+        'SELECT id FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+        [walletId, req.user.userId]
+      );
+      if (walletResult.rows.length === 0) {
+        throw new CardDepositError('WALLET_NOT_FOUND', 'Wallet not found');
+      }
+    }
+
+    const { deposit, clientSecret } = await cardDeposits.createDeposit({
+      userId: req.user.userId,
+      walletId,
+      asset: assetResult.rows[0],
+      amount
+    });
+
+    logger.info(`Card deposit started: ${deposit.id} (${deposit.payment_intent_id}) for user ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { deposit: toJsonCardDeposit(deposit), clientSecret },
+      message: 'Card deposit created successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof CardDepositError) {
+      return cardDepositError(res, error);
+    }
+
+    logger.error('Card deposit error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CARD_DEPOSIT_FAILED', message: 'Failed to create card deposit' }
+    });
+  }
+});
+
+// Card top-ups and their refund and dispute state
+app.get('/payments/deposits/card', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+
+    const deposits = await cardDeposits.list({ userId: req.user.userId, limit, offset });
+
+    res.json({
+      success: true,
+      data: {
+        deposits: deposits.map(toJsonCardDeposit),
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          total: deposits.length
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get card deposits error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CARD_DEPOSITS_FETCH_FAILED', message: 'Failed to get card deposits' }
+    });
+  }
+});
+
+// Get transaction history
+app.get('/payments/transactions', authenticateToken, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, status, type } = req.query;
+
+    let query = `
+      SELECT t.id, t.transaction_type, t.amount, t.fee, t.exchange_rate, t.status, t.blockchain_tx_hash, t.risk_score, t.created_at, t.completed_at,
+             fa.symbol as from_symbol, fa.name as from_name,
+             ta.symbol as to_symbol, ta.name as to_name,
+             c.status as confirmation_status, c.block_number, c.confirmations, c.failure_reason
+      FROM transactions t
+      LEFT JOIN assets fa ON t.from_asset_id = fa.id
+      LEFT JOIN assets ta ON t.to_asset_id = ta.id
+      LEFT JOIN transaction_confirmations c ON c.transaction_id = t.id
+      WHERE t.user_id = $1
+    `;
+    
+    const params = [req.user.userId];
+    let paramCount = 1;
+
+    if (status) {
+      paramCount++;
+      query += ` AND t.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (type) {
+      paramCount++;
+      query += ` AND t.transaction_type = $${paramCount}`;
+      params.push(type);
+    }
+
+    query += ` ORDER BY t.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, params);
+
+    const transactions = result.rows.map(tx => ({
+      id: tx.id,
+      type: tx.transaction_type,
+      amount: tx.amount,
+      fee: tx.fee,
+      exchangeRate: tx.exchange_rate,
+      status: tx.status,
+      blockchainTxHash: tx.blockchain_tx_hash,
+      confirmation: tx.confirmation_status ? {
+        status: tx.confirmation_status,
+        blockNumber: tx.block_number,
+        confirmations: tx.confirmations,
+        failureReason: tx.failure_reason
+      } : null,
+      riskScore: tx.risk_score,
+      fromAsset: tx.from_symbol ? {
+        symbol: tx.from_symbol,
+        name: tx.from_name
+      } : null,
+      toAsset: tx.to_symbol ? {
+        symbol: tx.to_symbol,
+        name: tx.to_name
+      } : null,
+      createdAt: tx.created_at,
+      completedAt: tx.completed_at
+    }));
+
+    res.json({
+      success: true,
+      data: { transactions }
+    });
+
+  } catch (error) {
+    logger.error('Get transactions error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRANSACTIONS_FETCH_FAILED', message: 'Failed to fetch transactions' }
+    });
+  }
+});
+
+// Cancel a transaction that has not settled yet
+app.post('/payments/transactions/:transactionId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transactionResult = await pool.query(
+      'SELECT id, status FROM transactions WHERE id = $1 AND user_id = $2',
+      [transactionId, req.user.userId]
+    );
+
+    if (transactionResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'TRANSACTION_NOT_FOUND', message: 'Transaction not found' }
+      });
+    }
+
+    const cancelled = await TransactionMonitor.failTransaction(transactionId, 'cancelled');
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: { code: 'TRANSACTION_NOT_CANCELLABLE', message: 'Only unsettled transactions can be cancelled' }
+      });
+    }
+
+    logger.info(`Transaction ${transactionId} cancelled by user ${req.user.userId}`);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          id: cancelled.id,
+          status: cancelled.status
+        }
+      },
+      message: 'Transaction cancelled successfully'
+    });
+
+  } catch (error) {
+    logger.error('Cancel transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRANSACTION_CANCEL_FAILED', message: 'Failed to cancel transaction' }
+    });
+  }
+});
+
+// Get the Travel Rule data sent with a transaction, and the beneficiary VASP's answer
+app.get('/payments/transactions/:transactionId/travel-rule', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await travelRule.getTransfer(req.user.userId, req.params.transactionId);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'TRAVEL_RULE_NOT_FOUND', message: 'No Travel Rule data was sent with this transaction' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { travelRule: toJsonTravelRuleTransfer(transfer) }
+    });
+
+  } catch (error) {
+    logger.error('Get Travel Rule transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRAVEL_RULE_FETCH_FAILED', message: 'Failed to get Travel Rule data' }
+    });
+  }
+});
+
+const VIRTUAL_IBAN_ERROR_STATUSES = {
+  IBAN_NOT_FOUND: 404,
+  IBAN_EXISTS: 409
+};
+
+const virtualIbanError = (res, error) => res.status(VIRTUAL_IBAN_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+// Issue a virtual IBAN in a currency; transfers sent to it are credited to the user's
+// fiat balance
+app.post('/accounts/ibans', authenticateToken, [
+  body('currency').isISO4217()
+], validateRequest, async (req, res) => {
+  try {
+    const currency = req.body.currency.toUpperCase();
+
+    const asset = await PaymentManager.getFiatAsset(currency);
+    if (!asset) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'UNSUPPORTED_CURRENCY', message: `Currency ${currency} is not supported` }
+      });
+    }
+
+    const virtualIban = await virtualIbans.issue(req.user.userId, currency);
+
+    logger.info(`Virtual IBAN issued: ${virtualIban.id} (${currency}) for user ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: { iban: toJsonVirtualIban(virtualIban) },
+      message: 'IBAN issued successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof VirtualIbanError) {
+      return virtualIbanError(res, error);
+    }
+
+    logger.error('Issue IBAN error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'IBAN_ISSUE_FAILED', message: 'Failed to issue IBAN' }
+    });
+  }
+});
+
+// List the user's virtual IBANs, with closed ones when includeClosed=true
+app.get('/accounts/ibans', authenticateToken, async (req, res) => {
+  try {
+    const ibans = await virtualIbans.list(req.user.userId, { includeClosed: req.query.includeClosed === 'true' });
+
+    res.json({
+      success: true,
+      data: { ibans: ibans.map(toJsonVirtualIban) }
     });
 
   } catch (error) {
-    logger.error('Send payment error:', error);
+    logger.error('Get IBANs error:', error);
     res.status(500).json({
       success: false,
-      error: { code: 'PAYMENT_FAILED', message: 'Failed to send payment' }
+      error: { code: 'IBANS_FETCH_FAILED', message: 'Failed to get IBANs' }
     });
   }
 });
 
-// Swap cryptocurrencies
-app.post('/payments/swap', authenticateToken, [
-  body('fromAssetId').isUUID(),
-  body('toAssetId').isUUID(),
-  body('amount').isFloat({ min: 0.000001 }),
-  body('slippageTolerance').optional().isFloat({ min: 0, max: 50 })
-], validateRequest, async (req, res) => {
+// Close a virtual IBAN; later transfers to it are not credited to the user
+app.post('/accounts/ibans/:ibanId/close', authenticateToken, async (req, res) => {
   try {
-    const { fromAssetId, toAssetId, amount, slippageTolerance = 0.5 } = req.body;
+    const virtualIban = await virtualIbans.close(req.user.userId, req.params.ibanId);
 
-    // Get asset information
-    const assetsResult = await pool.query(
-      'SELECT * FROM assets WHERE id IN ($1, $2) AND is_active = true',
-      [fromAssetId, toAssetId]
-    );
-
-    if (assetsResult.rows.length !== 2) {
-      return res.status(404).json({
-        success: false,
-        error: { code: 'ASSET_NOT_FOUND', message: 'One or more assets not found' }
-      });
-    }
+    logger.info(`Virtual IBAN closed: ${virtualIban.id} for user ${req.user.userId}`);
 
-    const fromAsset = assetsResult.rows.find(a => a.id === fromAssetId);
-    const toAsset = assetsResult.rows.find(a => a.id === toAssetId);
+    res.json({
+      success: true,
+      data: { iban: toJsonVirtualIban(virtualIban) },
+      message: 'IBAN closed successfully'
+    });
 
-    // In production, this would integrate with DEX aggregators like 1inch or 0x
-    // For demo purposes, we'll simulate the swap
-    const exchangeRate = 0.95; // Simulated exchange rate
-    const expectedAmount = amount * exchangeRate;
-    const minimumAmount = expectedAmount * (1 - slippageTolerance / 100);
+  } catch (error) {
+    if (error instanceof VirtualIbanError) {
+      return virtualIbanError(res, error);
+    }
 
-    // Create swap transaction record
-    const transactionResult = await pool.query(
-      `INSERT INTO transactions (user_id, transaction_type, from_asset_id, to_asset_id, amount, exchange_rate, status, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-       RETURNING id, status, created_at`,
-      [req.user.userId, 'swap', fromAssetId, toAssetId, amount, exchangeRate, 'pending']
-    );
+    logger.error('Close IBAN error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'IBAN_CLOSE_FAILED', message: 'Failed to close IBAN' }
+    });
+  }
+});
 
-    const transaction = transactionResult.rows[0];
+const BENEFICIARY_ERROR_STATUSES = {
+  BENEFICIARY_NOT_FOUND: 404,
+  BENEFICIARY_EXISTS: 409
+};
 
-    // Start monitoring the swap
-    TransactionMonitor.monitorTransaction(transaction.id);
+const beneficiaryError = (res, error) => res.status(BENEFICIARY_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
 
-    logger.info(`Swap transaction created: ${transaction.id} for user ${req.user.userId}`);
+// Save a beneficiary for bank transfers, with an IBAN or, outside the IBAN countries, an
+// account number and BIC
+app.post('/payments/beneficiaries', authenticateToken, [
+  body('iban').if(body('accountNumber').not().exists()).isIBAN(),
+  body('accountNumber').optional().matches(/^[A-Za-z0-9]{1,34}$/),
+  body('name').trim().isLength({ min: 1, max: 140 }),
+  body('bic').if((bic, { req }) => bic !== undefined || req.body.accountNumber !== undefined).isBIC(),
+  body('country').optional().isISO31661Alpha2(),
+  body('addressLine').optional().trim().isLength({ max: 140 }),
+  body('bankName').optional().trim().isLength({ max: 140 }),
+  body('intermediaryBic').optional().isBIC()
+], validateRequest, async (req, res) => {
+  try {
+    const { name, iban, accountNumber, bic, country, addressLine, bankName, intermediaryBic } = req.body;
+    const beneficiary = await beneficiaries.create(req.user.userId, {
+      name, iban, accountNumber, bic, country, addressLine, bankName, intermediaryBic
+    });
 
     res.status(201).json({
       success: true,
-      data: {
-        transaction: {
-          id: transaction.id,
-          type: 'swap',
-          fromAsset: {
-            symbol: fromAsset.symbol,
-            name: fromAsset.name
-          },
-          toAsset: {
-            symbol: toAsset.symbol,
-            name: toAsset.name
-          },
-          amount: amount.toString(),
-          expectedAmount: expectedAmount.toString(),
-          minimumAmount: minimumAmount.toString(),
-          exchangeRate: exchangeRate.toString(),
-          slippageTolerance: slippageTolerance.toString(),
-          status: transaction.status,
-          createdAt: transaction.created_at
-        }
-      },
-      message: 'Swap initiated successfully'
+      data: { beneficiary: toJsonBeneficiary(beneficiary) },
+      message: 'Beneficiary saved successfully'
     });
 
   } catch (error) {
-    logger.error('Swap error:', error);
+    if (error instanceof BeneficiaryError) {
+      return beneficiaryError(res, error);
+    }
+
+    logger.error('Create beneficiary error:', error);
     res.status(500).json({
       success: false,
-      error: { code: 'SWAP_FAILED', message: 'Failed to initiate swap' }
+      error: { code: 'BENEFICIARY_CREATE_FAILED', message: 'Failed to save beneficiary' }
     });
   }
 });
 
-// Get transaction history
-app.get('/payments/transactions', authenticateToken, async (req, res) => {
+// List saved beneficiaries
+app.get('/payments/beneficiaries', authenticateToken, async (req, res) => {
   try {
-    const { limit = 50, offset = 0, status, type } = req.query;
-
-    let query = `
-      SELECT t.id, t.transaction_type, t.amount, t.fee, t.exchange_rate, t.status, t.blockchain_tx_hash, t.risk_score, t.created_at, t.completed_at,
-             fa.symbol as from_symbol, fa.name as from_name,
-             ta.symbol as to_symbol, ta.name as to_name
-      FROM transactions t
-      LEFT JOIN assets fa ON t.from_asset_id = fa.id
-      LEFT JOIN assets ta ON t.to_asset_id = ta.id
-      WHERE t.user_id = $1
-    `;
-    
-    const params = [req.user.userId];
-    let paramCount = 1;
-
-    if (status) {
-      paramCount++;
-      query += ` AND t.status = $${paramCount}`;
-      params.push(status);
-    }
-
-    if (type) {
-      paramCount++;
-      query += ` AND t.transaction_type = $${paramCount}`;
-      params.push(type);
-    }
+    const saved = await beneficiaries.list(req.user.userId);
 
-    query += ` ORDER BY t.created_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(parseInt(limit), parseInt(offset));
+    res.json({
+      success: true,
+      data: { beneficiaries: saved.map(toJsonBeneficiary) }
+    });
 
-    const result = await pool.query(query, params);
+  } catch (error) {
+    logger.error('Get beneficiaries error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'BENEFICIARIES_FETCH_FAILED', message: 'Failed to get beneficiaries' }
+    });
+  }
+});
 
-    const transactions = result.rows.map(tx => ({
-      id: tx.id,
-      type: tx.transaction_type,
-      amount: tx.amount,
-      fee: tx.fee,
-      exchangeRate: tx.exchange_rate,
-      status: tx.status,
-      blockchainTxHash: tx.blockchain_tx_hash,
-      riskScore: tx.risk_score,
-      fromAsset: tx.from_symbol ? {
-        symbol: tx.from_symbol,
-        name: tx.from_name
-      } : null,
-      toAsset: tx.to_symbol ? {
-        symbol: tx.to_symbol,
-        name: tx.to_name
-      } : null,
-      createdAt: tx.created_at,
-      completedAt: tx.completed_at
-    }));
+// Remove a saved beneficiary; transfers already made to it are unaffected
+app.delete('/payments/beneficiaries/:beneficiaryId', authenticateToken, async (req, res) => {
+  try {
+    await beneficiaries.remove(req.user.userId, req.params.beneficiaryId);
 
     res.json({
       success: true,
-      data: { transactions }
+      message: 'Beneficiary removed successfully'
     });
 
   } catch (error) {
-    logger.error('Get transactions error:', error);
+    if (error instanceof BeneficiaryError) {
+      return beneficiaryError(res, error);
+    }
+
+    logger.error('Remove beneficiary error:', error);
     res.status(500).json({
       success: false,
-      error: { code: 'TRANSACTIONS_FETCH_FAILED', message: 'Failed to fetch transactions' }
+      error: { code: 'BENEFICIARY_REMOVE_FAILED', message: 'Failed to remove beneficiary' }
     });
   }
 });
 
-// Create SEPA transfer
+// Create SEPA transfer, to a saved beneficiary or to recipient details saved as one. The
+// funds are reserved until the next batch is sent to the bank, and the transfer completes
+// once the bank's statement books it.
 app.post('/payments/sepa', authenticateToken, [
   body('amount').isFloat({ min: 0.01 }),
-  body('currency').isIn(['EUR', 'USD']),
-  body('recipientIban').isIBAN(),
-  body('recipientName').trim().isLength({ min: 1, max: 100 }),
+  body('currency').isIn(['EUR']),
+  body('beneficiaryId').if(body('recipientIban').not().exists()).isUUID(),
+  body('recipientIban').if(body('beneficiaryId').not().exists()).isIBAN(),
+  body('recipientName').if(body('beneficiaryId').not().exists()).trim().isLength({ min: 1, max: 140 }),
+  body('recipientBic').optional().isBIC(),
+  body('recipientCountry').optional().isISO31661Alpha2(),
+  body('recipientAddressLine').optional().trim().isLength({ max: 140 }),
   body('description').optional().isLength({ max: 140 })
-], validateRequest, async (req, res) => {
+], validateRequest, idempotent, async (req, res) => {
   try {
-    const { amount, currency, recipientIban, recipientName, description } = req.body;
+    const { amount, currency, beneficiaryId, recipientIban, recipientName, recipientBic, recipientCountry, recipientAddressLine, description } = req.body;
+
+    const asset = await PaymentManager.getFiatAsset(currency);
+    if (!asset) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'UNSUPPORTED_CURRENCY', message: `Currency ${currency} is not supported` }
+      });
+    }
+
+    const beneficiary = beneficiaryId
+      ? await beneficiaries.get(req.user.userId, beneficiaryId)
+      : await beneficiaries.findOrCreate(req.user.userId, {
+        name: recipientName,
+        iban: recipientIban,
+        bic: recipientBic,
+        country: recipientCountry,
+        addressLine: recipientAddressLine
+      });
+    if (!beneficiary.iban) {
+      throw new BeneficiaryError('IBAN_REQUIRED', 'SEPA transfers need a beneficiary with an IBAN');
+    }
+
+    const screening = await screenBeneficiary(req.user.userId, beneficiary, { type: 'sepa', amount, currency });
+    if (screening.decision !== SCREENING_DECISIONS.CLEAR) {
+      return beneficiaryBlocked(res, screening);
+    }
 
-    // Create SEPA transfer
-    const transfer = await PaymentManager.createSEPATransfer(
+    const { transaction, transfer } = await sepa.createTransfer({
+      userId: req.user.userId,
+      beneficiary,
+      asset,
       amount,
-      currency,
-      recipientIban,
-      description || `Transfer to ${recipientName}`
-    );
+      remittanceInformation: description || null
+    });
 
-    // Create transaction record
-    const transactionResult = await pool.query(
-      `INSERT INTO transactions (user_id, transaction_type, amount, status, created_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       RETURNING id, status, created_at`,
-      [req.user.userId, 'sepa', amount, 'pending']
-    );
+    const { status, riskAssessment } = await TransactionMonitor.screenTransaction(transaction, {
+      type: 'sepa',
+      assetId: asset.id,
+      amount,
+      recipientIban: beneficiary.iban
+    });
 
-    const transaction = transactionResult.rows[0];
+    if (status === 'failed') {
+      return res.status(403).json({
+        success: false,
+        error: { code: 'TRANSACTION_BLOCKED', message: 'Transaction blocked by compliance checks' }
+      });
+    }
 
     logger.info(`SEPA transfer created: ${transaction.id} for user ${req.user.userId}`);
 
@@ -641,17 +2001,25 @@ app.post('/payments/sepa', authenticateToken, [
           type: 'sepa',
           amount: amount.toString(),
           currency,
-          recipientIban,
-          recipientName,
-          description: transfer.description,
-          status: transaction.status,
+          status,
+          riskAssessment,
           createdAt: transaction.created_at
-        }
+        },
+        transfer: toJsonSepaTransfer(transfer)
       },
-      message: 'SEPA transfer initiated successfully'
+      message: status === 'pending_approval'
+        ? 'SEPA transfer created but requires manual approval due to high risk'
+        : 'SEPA transfer initiated successfully'
     });
 
   } catch (error) {
+    if (error instanceof BeneficiaryError) {
+      return beneficiaryError(res, error);
+    }
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+
     logger.error('SEPA transfer error:', error);
     res.status(500).json({
       success: false,
@@ -660,36 +2028,101 @@ app.post('/payments/sepa', authenticateToken, [
   }
 });
 
-// Create SWIFT transfer
+// Get a SEPA transfer's bank status
+app.get('/payments/sepa/:transactionId', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await sepa.getTransfer(req.user.userId, req.params.transactionId);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'TRANSFER_NOT_FOUND', message: 'SEPA transfer not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { transfer: toJsonSepaTransfer(transfer) }
+    });
+
+  } catch (error) {
+    logger.error('Get SEPA transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'SEPA_FETCH_FAILED', message: 'Failed to get SEPA transfer' }
+    });
+  }
+});
+
+const SWIFT_ERROR_STATUSES = {
+  SWIFT_NOT_CONFIGURED: 503
+};
+
+const swiftError = (res, error) => res.status(SWIFT_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+// Create SWIFT transfer, to a saved beneficiary or to recipient details saved as one.
+// recipientBank carries the beneficiary bank's BIC and name and an optional intermediary
+// bank; the transfer is debited right away and completes when the bank reports it credited.
 app.post('/payments/swift', authenticateToken, [
   body('amount').isFloat({ min: 0.01 }),
   body('currency').isIn(['USD', 'EUR', 'GBP']),
-  body('recipientBank').isObject(),
-  body('recipientName').trim().isLength({ min: 1, max: 100 }),
+  body('beneficiaryId').if(body('recipientName').not().exists()).isUUID(),
+  body('recipientName').if(body('beneficiaryId').not().exists()).trim().isLength({ min: 1, max: 140 }),
+  body('recipientIban').if(body('beneficiaryId').not().exists()).if(body('recipientAccountNumber').not().exists()).isIBAN(),
+  body('recipientAccountNumber').optional().matches(/^[A-Za-z0-9]{1,34}$/),
+  body('recipientCountry').if(body('beneficiaryId').not().exists()).isISO31661Alpha2(),
+  body('recipientAddressLine').optional().trim().isLength({ max: 140 }),
+  body('recipientBank').if(body('beneficiaryId').not().exists()).isObject(),
+  body('recipientBank.bic').if(body('beneficiaryId').not().exists()).isBIC(),
+  body('recipientBank.name').optional().trim().isLength({ max: 140 }),
+  body('recipientBank.intermediaryBic').optional().isBIC(),
+  body('chargeBearer').optional().isIn(Object.keys(CHARGE_BEARERS)),
+  body('purposeCode').optional().isIn(PURPOSE_CODES),
   body('description').optional().isLength({ max: 140 })
-], validateRequest, async (req, res) => {
+], validateRequest, idempotent, async (req, res) => {
   try {
-    const { amount, currency, recipientBank, recipientName, description } = req.body;
+    const { amount, currency, beneficiaryId, recipientName, recipientIban, recipientAccountNumber, recipientCountry, recipientAddressLine, recipientBank = {}, chargeBearer, purposeCode, description } = req.body;
 
-    // Create SWIFT transfer
-    const transfer = await PaymentManager.createSWIFTTransfer(
-      amount,
-      currency,
-      recipientBank,
-      description || `Transfer to ${recipientName}`
-    );
+    const asset = await PaymentManager.getFiatAsset(currency);
+    if (!asset) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'UNSUPPORTED_CURRENCY', message: `Currency ${currency} is not supported` }
+      });
+    }
 
-    // Create transaction record
-    const transactionResult = await pool.query(
-      `INSERT INTO transactions (user_id, transaction_type, amount, status, created_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       RETURNING id, status, created_at`,
-      [req.user.userId, 'swift', amount, 'pending']
-    );
+    const beneficiary = beneficiaryId
+      ? await beneficiaries.get(req.user.userId, beneficiaryId)
+      : await beneficiaries.findOrCreate(req.user.userId, {
+        name: recipientName,
+        iban: recipientIban,
+        accountNumber: recipientAccountNumber,
+        bic: recipientBank.bic,
+        country: recipientCountry,
+        addressLine: recipientAddressLine,
+        bankName: recipientBank.name,
+        intermediaryBic: recipientBank.intermediaryBic
+      });
+
+    const screening = await screenBeneficiary(req.user.userId, beneficiary, { type: 'swift', amount, currency });
+    if (screening.decision !== SCREENING_DECISIONS.CLEAR) {
+      return beneficiaryBlocked(res, screening);
+    }
 
-    const transaction = transactionResult.rows[0];
+    const { transaction, transfer } = await swift.createTransfer({
+      userId: req.user.userId,
+      beneficiary,
+      asset,
+      amount,
+      chargeBearer,
+      purposeCode,
+      intermediaryBic: recipientBank.intermediaryBic,
+      remittanceInformation: description || null
+    });
 
-    logger.info(`SWIFT transfer created: ${transaction.id} for user ${req.user.userId}`);
+    logger.info(`SWIFT transfer created: ${transaction.id} (${transfer.uetr}) for user ${req.user.userId}`);
 
     res.status(201).json({
       success: true,
@@ -699,17 +2132,25 @@ app.post('/payments/swift', authenticateToken, [
           type: 'swift',
           amount: amount.toString(),
           currency,
-          recipientBank,
-          recipientName,
-          description: transfer.description,
           status: transaction.status,
           createdAt: transaction.created_at
-        }
+        },
+        transfer: toJsonSwiftTransfer(transfer)
       },
       message: 'SWIFT transfer initiated successfully'
     });
 
   } catch (error) {
+    if (error instanceof SwiftError) {
+      return swiftError(res, error);
+    }
+    if (error instanceof BeneficiaryError) {
+      return beneficiaryError(res, error);
+    }
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+
     logger.error('SWIFT transfer error:', error);
     res.status(500).json({
       success: false,
@@ -718,40 +2159,59 @@ app.post('/payments/swift', authenticateToken, [
   }
 });
 
-// Background job to process pending transactions
+// Get a SWIFT transfer with its UETR and latest status report
+app.get('/payments/swift/:transactionId', authenticateToken, async (req, res) => {
+  try {
+    const transfer = await swift.getTransfer(req.user.userId, req.params.transactionId);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'TRANSFER_NOT_FOUND', message: 'SWIFT transfer not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { transfer: toJsonSwiftTransfer(transfer) }
+    });
+
+  } catch (error) {
+    logger.error('Get SWIFT transfer error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'SWIFT_FETCH_FAILED', message: 'Failed to get SWIFT transfer' }
+    });
+  }
+});
+
+// Track broadcast sends until they confirm or fail on chain
+cron.schedule(config.confirmations.pollSchedule, async () => {
+  try {
+    await confirmationTracker.poll();
+  } catch (error) {
+    logger.error('Confirmation tracking job failed:', error);
+  }
+});
+
+// Background job to process pending off-chain transactions; on-chain sends are settled
+// by the confirmation tracker and bank transfers by the bank's statements
 cron.schedule('*/2 * * * *', async () => {
   try {
     logger.info('Processing pending transactions...');
     
     // Get pending transactions
     const pendingTransactions = await pool.query(
-      'SELECT * FROM transactions WHERE status = $1 AND created_at < NOW() - INTERVAL \'5 minutes\'',
-      ['pending']
+      'SELECT * FROM transactions WHERE status = $1 AND transaction_type <> ALL($2) AND created_at < NOW() - INTERVAL \'5 minutes\'',
+      ['pending', [...ONCHAIN_TRANSACTION_TYPES, ...BANK_TRANSACTION_TYPES]]
     );
 
     for (const transaction of pendingTransactions.rows) {
       try {
         // Simulate transaction processing
-        await pool.query(
-          'UPDATE transactions SET status = $1, completed_at = NOW() WHERE id = $2',
-          ['completed', transaction.id]
-        );
-
-        // Publish transaction completion event
-        await producer.send({
-          topic: 'transaction-completed',
-          messages: [{
-            key: transaction.id,
-            value: JSON.stringify({
-              transactionId: transaction.id,
-              userId: transaction.user_id,
-              status: 'completed',
-              timestamp: new Date().toISOString()
-            })
-          }]
-        });
-
-        logger.info(`Transaction ${transaction.id} processed successfully`);
+        const completed = await TransactionMonitor.completeTransaction(transaction.id);
+        if (completed) {
+          logger.info(`Transaction ${transaction.id} processed successfully`);
+        }
       } catch (error) {
         logger.error(`Error processing transaction ${transaction.id}:`, error);
       }
@@ -763,25 +2223,116 @@ cron.schedule('*/2 * * * *', async () => {
   }
 });
 
+// Background job to release expired fund holds
+cron.schedule('* * * * *', async () => {
+  try {
+    const expiredHolds = await HoldManager.findExpiredHolds(pool);
+
+    for (const hold of expiredHolds) {
+      try {
+        if (hold.transaction_id) {
+          await TransactionMonitor.failTransaction(hold.transaction_id, 'expired');
+        }
+
+        // Holds whose transaction already moved on are released on their own
+        await withTransaction(pool, async (client) => {
+          const current = await client.query('SELECT status FROM fund_holds WHERE id = $1', [hold.id]);
+          if (current.rows[0]?.status === HOLD_STATUSES.ACTIVE) {
+            await HoldManager.releaseHold(client, hold.id, HOLD_STATUSES.EXPIRED);
+          }
+        });
+
+        logger.info(`Fund hold ${hold.id} expired`);
+      } catch (error) {
+        logger.error(`Error expiring fund hold ${hold.id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Fund hold expiry job failed:', error);
+  }
+});
+
+// Background job to trigger limit orders and run recurring buys
+cron.schedule(config.swapOrders.schedule, async () => {
+  try {
+    await swapOrders.run();
+  } catch (error) {
+    logger.error('Swap order job failed:', error);
+  }
+});
+
+// Background jobs to send pending SEPA transfers to the bank and apply its statements
+cron.schedule(config.sepa.batchSchedule, async () => {
+  try {
+    await sepa.runBatch();
+  } catch (error) {
+    logger.error('SEPA batch job failed:', error);
+  }
+});
+
+cron.schedule(config.sepa.statementSchedule, async () => {
+  try {
+    await sepa.ingestInbox();
+  } catch (error) {
+    logger.error('SEPA statement job failed:', error);
+  }
+});
+
+// Background job to retry Travel Rule data that could not be sent to the beneficiary VASP
+cron.schedule(config.travelRule.schedule, async () => {
+  try {
+    await travelRule.run();
+  } catch (error) {
+    logger.error('Travel Rule job failed:', error);
+  }
+});
+
+// Background job to send SWIFT messages and apply the status reports received
+cron.schedule(config.swift.schedule, async () => {
+  try {
+    await swift.run();
+  } catch (error) {
+    logger.error('SWIFT job failed:', error);
+  }
+});
+
 // Kafka consumer setup
 async function setupKafkaConsumer() {
   try {
     await consumer.connect();
     await consumer.subscribe({ topic: 'transaction-completed' });
+    await consumer.subscribe({ topic: 'compliance-decision' });
 
     await consumer.run({
+      // Errors propagate so kafkajs retries the message instead of committing its offset;
+      // both handlers are safe to run again. Only undecodable messages are skipped.
       eachMessage: async ({ topic, partition, message }) => {
+        let data;
         try {
-          const data = JSON.parse(message.value.toString());
-          logger.info(`Received message from ${topic}:`, data);
-          
-          // Handle transaction completion
-          if (topic === 'transaction-completed') {
-            // Update user balances, send notifications, etc.
-            logger.info(`Transaction ${data.transactionId} completed`);
-          }
+          data = JSON.parse(message.value.toString());
         } catch (error) {
-          logger.error('Error processing Kafka message:', error);
+          logger.error(`Skipping undecodable message from ${topic} at offset ${message.offset}:`, error);
+          return;
+        }
+        logger.info(`Received message from ${topic}:`, data);
+
+        // Review completed transactions against the post-transaction AML rules
+        if (topic === 'transaction-completed' && data.transactionId) {
+          logger.info(`Transaction ${data.transactionId} completed`);
+          try {
+            await aml.review(data.transactionId);
+          } catch (error) {
+            // A transaction that does not exist will not appear on a retry either
+            if (!(error instanceof AmlError && error.code === 'TRANSACTION_NOT_FOUND')) {
+              throw error;
+            }
+            logger.error(`Skipping completion of unknown transaction ${data.transactionId}`);
+          }
+        }
+
+        // Resume or cancel transactions held for manual approval
+        if (topic === 'compliance-decision' && data.transactionId) {
+          await TransactionMonitor.applyComplianceDecision(data);
         }
       },
     });
@@ -900,6 +2451,7 @@ module.exports = {
   pool,
   redisClient,
   producer,
+  providers,
   consumer,
   kafka,
   stripe
@@ -51,26 +51,6 @@ async function migrate() {
       );
     `);
 
-    // Create swaps table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS swaps (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        user_id UUID NOT NULL,
-        from_asset_id UUID NOT NULL,
-        to_asset_id UUID NOT NULL,
-        from_amount DECIMAL(20, 8) NOT NULL,
-        to_amount DECIMAL(20, 8) NOT NULL,
-        exchange_rate DECIMAL(20, 8) NOT NULL,
-        slippage_tolerance DECIMAL(5, 4) NOT NULL,
-        price_impact DECIMAL(5, 4),
-        status VARCHAR(50) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed', 'cancelled')),
-        provider VARCHAR(100),
-        provider_tx_id VARCHAR(255),
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      );
-    `);
-
     // Create indexes
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
@@ -79,8 +59,6 @@ async function migrate() {
       CREATE INDEX IF NOT EXISTS idx_transactions_created_at ON transactions(created_at);
       CREATE INDEX IF NOT EXISTS idx_payment_methods_user_id ON payment_methods(user_id);
       CREATE INDEX IF NOT EXISTS idx_payment_methods_type ON payment_methods(type);
-      CREATE INDEX IF NOT EXISTS idx_swaps_user_id ON swaps(user_id);
-      CREATE INDEX IF NOT EXISTS idx_swaps_status ON swaps(status);
     `);
 
     console.log('Payment service migrations completed successfully');
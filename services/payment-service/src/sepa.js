@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withTransaction, addAmounts, LedgerManager, HoldManager } = require('cryptohybrid-shared');
+const { buildPain001, parseCamt } = require('./sepaMessages');
+const { InboundTransferManager } = require('./inboundTransfers');
+
+// SEPA Credit Transfers through the platform's bank account.
+// A transfer reserves the user's funds when requested. The batch job moves pending
+// transfers into a pain.001 file for the bank, taking the funds from the user's balance
+// as it does, and writes the file to the outbox directory the bank connection picks up.
+// Statements and notifications (camt.053/054) from the bank then book each transfer by its
+// end-to-end id, or reverse it when the bank returns it, and pass incoming transfers on to
+// be credited to the owner of the virtual IBAN they were sent to.
+
+const TRANSFER_STATUSES = {
+  PENDING: 'pending',
+  BATCHED: 'batched',
+  BOOKED: 'booked',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+// End-to-end and message ids are limited to 35 characters
+const compactId = (uuid) => uuid.replace(/-/g, '');
+
+const toJsonSepaTransfer = (transfer) => ({
+  id: transfer.id,
+  transactionId: transfer.transaction_id,
+  beneficiaryId: transfer.beneficiary_id,
+  creditorName: transfer.creditor_name,
+  creditorIban: transfer.creditor_iban,
+  creditorBic: transfer.creditor_bic,
+  endToEndId: transfer.end_to_end_id,
+  amount: transfer.amount,
+  currency: transfer.currency,
+  remittanceInformation: transfer.remittance_information,
+  status: transfer.status,
+  returnReason: transfer.return_reason,
+  bookedAt: transfer.booked_at,
+  createdAt: transfer.created_at
+});
+
+class SepaManager {
+  constructor({ pool, logger = console, debtor = {}, outboxDir = null, inboxDir = null, holdTtlMinutes = 1440, batchSize = 500, onBooked = async () => {}, onRejected = async () => {}, inbound = null }) {
+    this.pool = pool;
+    this.logger = logger;
+    this.debtor = debtor;
+    this.outboxDir = outboxDir;
+    this.inboxDir = inboxDir;
+    this.holdTtlMinutes = holdTtlMinutes;
+    this.batchSize = batchSize;
+    this.onBooked = onBooked;
+    this.onRejected = onRejected;
+    this.inbound = inbound || new InboundTransferManager({ pool, logger });
+  }
+
+  async createTransfer({ userId, beneficiary, asset, amount, remittanceInformation = null }) {
+    return withTransaction(this.pool, async (client) => {
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (user_id, transaction_type, from_asset_id, amount, counterparty, counterparty_country, status, created_at)
+         VALUES ($1, 'sepa', $2, $3, $4, $5, 'pending', NOW())
+         RETURNING *`,
+        [userId, asset.id, amount, beneficiary.iban, beneficiary.iban.slice(0, 2)]
+      );
+
+      const transaction = transactionResult.rows[0];
+
+      await HoldManager.placeHold(client, {
+        userId,
+        walletId: null,
+        assetId: asset.id,
+        amount: amount.toString(),
+        transactionId: transaction.id,
+        reason: 'transaction',
+        expiresAt: new Date(Date.now() + this.holdTtlMinutes * 60 * 1000)
+      });
+
+      const transferResult = await client.query(
+        `INSERT INTO sepa_transfers (transaction_id, user_id, beneficiary_id, creditor_name, creditor_iban, creditor_bic,
+                                     end_to_end_id, amount, currency, remittance_information, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+         RETURNING *`,
+        [
+          transaction.id, userId, beneficiary.id, beneficiary.name, beneficiary.iban, beneficiary.bic,
+          compactId(transaction.id), amount, asset.symbol, remittanceInformation, TRANSFER_STATUSES.PENDING
+        ]
+      );
+
+      return { transaction, transfer: transferResult.rows[0] };
+    });
+  }
+
+  async getTransfer(userId, transactionId) {
+    const result = await this.pool.query(
+      'SELECT * FROM sepa_transfers WHERE transaction_id = $1 AND user_id = $2',
+      [transactionId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Moves pending transfers into a new pain.001 file. Returns the batch, or null when
+  // there was nothing to send.
+  async createBatch() {
+    if (!this.debtor.iban || !this.debtor.name) {
+      this.logger.warn('SEPA debtor account is not configured; transfers are not being sent');
+      return null;
+    }
+
+    return withTransaction(this.pool, async (client) => {
+      // Transfers cancelled, expired or blocked before they were sent; those awaiting approval
+      // stay pending
+      await client.query(
+        `UPDATE sepa_transfers s SET status = $1, updated_at = NOW()
+         FROM transactions t
+         WHERE t.id = s.transaction_id AND s.status = $2 AND t.status NOT IN ('pending', 'pending_approval')`,
+        [TRANSFER_STATUSES.CANCELLED, TRANSFER_STATUSES.PENDING]
+      );
+
+      const pending = await client.query(
+        `SELECT s.* FROM sepa_transfers s
+         JOIN transactions t ON t.id = s.transaction_id
+         WHERE s.status = $1 AND t.status = 'pending'
+         ORDER BY s.created_at
+         LIMIT $2
+         FOR UPDATE OF s, t SKIP LOCKED`,
+        [TRANSFER_STATUSES.PENDING, this.batchSize]
+      );
+
+      const transfers = [];
+      for (const transfer of pending.rows) {
+        const hold = await HoldManager.getActiveHold(client, transfer.transaction_id);
+        if (!hold) {
+          this.logger.error(`SEPA transfer ${transfer.id} has no reserved funds; cancelling it`);
+          await client.query(`UPDATE transactions SET status = 'failed' WHERE id = $1`, [transfer.transaction_id]);
+          await client.query('UPDATE sepa_transfers SET status = $1, updated_at = NOW() WHERE id = $2', [TRANSFER_STATUSES.CANCELLED, transfer.id]);
+          continue;
+        }
+
+        // The funds leave the user's balance for the platform account the bank debits
+        await HoldManager.captureHold(client, hold.id, {
+          entryType: 'sepa',
+          transactionId: transfer.transaction_id,
+          description: `SEPA transfer ${transfer.end_to_end_id}`,
+          metadata: { endToEndId: transfer.end_to_end_id, creditorIban: transfer.creditor_iban },
+          postings: [
+            { account: LedgerManager.userAccount(transfer.user_id, null, hold.asset_id), direction: 'debit', amount: transfer.amount },
+            { account: LedgerManager.omnibusAccount(hold.asset_id), direction: 'credit', amount: transfer.amount }
+          ]
+        });
+
+        transfers.push(transfer);
+      }
+
+      if (transfers.length === 0) {
+        return null;
+      }
+
+      const batchId = crypto.randomUUID();
+      const messageId = compactId(batchId);
+      const xml = buildPain001({
+        messageId,
+        debtor: this.debtor,
+        transfers: transfers.map((transfer) => ({
+          instructionId: transfer.end_to_end_id,
+          endToEndId: transfer.end_to_end_id,
+          amount: transfer.amount,
+          currency: transfer.currency,
+          creditor: { name: transfer.creditor_name, iban: transfer.creditor_iban, bic: transfer.creditor_bic },
+          remittanceInformation: transfer.remittance_information
+        }))
+      });
+
+      const batchResult = await client.query(
+        `INSERT INTO sepa_batches (id, message_id, number_of_transactions, control_sum, xml, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+        [batchId, messageId, transfers.length, addAmounts(...transfers.map((transfer) => transfer.amount)), xml]
+      );
+
+      const ids = transfers.map((transfer) => transfer.id);
+      await client.query(
+        'UPDATE sepa_transfers SET status = $1, batch_id = $2, updated_at = NOW() WHERE id = ANY($3)',
+        [TRANSFER_STATUSES.BATCHED, batchId, ids]
+      );
+      await client.query(
+        `UPDATE transactions SET status = 'processing' WHERE id = ANY($1)`,
+        [transfers.map((transfer) => transfer.transaction_id)]
+      );
+
+      this.logger.info(`SEPA batch ${messageId} created with ${transfers.length} transfers`);
+      return batchResult.rows[0];
+    });
+  }
+
+  // Writes batches not yet handed over to the outbox directory
+  async exportBatches() {
+    if (!this.outboxDir) {
+      return 0;
+    }
+
+    const batches = await this.pool.query(
+      'SELECT id, message_id, xml FROM sepa_batches WHERE exported_at IS NULL ORDER BY created_at'
+    );
+
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    for (const batch of batches.rows) {
+      const fileName = `pain.001.${batch.message_id}.xml`;
+      await fs.promises.writeFile(path.join(this.outboxDir, fileName), batch.xml);
+      await this.pool.query(
+        'UPDATE sepa_batches SET exported_at = NOW(), file_name = $1 WHERE id = $2',
+        [fileName, batch.id]
+      );
+      this.logger.info(`SEPA batch ${batch.message_id} exported to ${fileName}`);
+    }
+
+    return batches.rows.length;
+  }
+
+  async runBatch() {
+    await this.createBatch();
+    await this.exportBatches();
+  }
+
+  // Applies a camt.053 or camt.054 file once; only booked entries are acted on
+  async ingestStatement(xml, fileName = null) {
+    const statement = parseCamt(xml);
+    const events = { booked: [], rejected: [], credited: [] };
+    const summary = { booked: 0, rejected: 0, credited: 0, unmatched: 0, reversed: 0, ignored: 0 };
+
+    const applied = await withTransaction(this.pool, async (client) => {
+      const entries = statement.reports.reduce((count, report) => count + report.entries.length, 0);
+      const recorded = await client.query(
+        `INSERT INTO bank_statements (message_id, message_type, file_name, entries, received_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (message_id) DO NOTHING
+         RETURNING id`,
+        [statement.messageId, statement.messageType, fileName, entries]
+      );
+
+      if (recorded.rows.length === 0) {
+        return false;
+      }
+
+      for (const report of statement.reports) {
+        for (const entry of report.entries) {
+          for (const item of entry.transactions) {
+            const outcome = entry.status === 'BOOK'
+              ? await this.applyTransaction(client, { statementId: recorded.rows[0].id, report, entry, item, events })
+              : 'ignored';
+            summary[outcome] += 1;
+          }
+        }
+      }
+
+      return true;
+    });
+
+    if (!applied) {
+      this.logger.info(`${statement.messageType} ${statement.messageId} was already ingested`);
+      return { messageId: statement.messageId, duplicate: true, summary };
+    }
+
+    await this.notify(events);
+    this.logger.info(`Ingested ${statement.messageType} ${statement.messageId}: ${JSON.stringify(summary)}`);
+    return { messageId: statement.messageId, duplicate: false, summary };
+  }
+
+  async applyTransaction(client, { statementId, report, entry, item, events }) {
+    const returned = entry.direction === 'CRDT' && (entry.reversal || item.returnReason);
+
+    if ((entry.direction === 'DBIT' && !entry.reversal) || returned) {
+      const result = await client.query(
+        'SELECT * FROM sepa_transfers WHERE end_to_end_id = $1 FOR UPDATE',
+        [item.endToEndId]
+      );
+      const transfer = result.rows[0];
+
+      if (transfer && !returned) {
+        return this.book(client, transfer, entry, events);
+      }
+      if (transfer) {
+        return this.reject(client, transfer, item, events);
+      }
+      // Debits the platform did not initiate, such as bank fees, are reconciled by hand
+      if (!returned) {
+        return 'ignored';
+      }
+    }
+
+    if (entry.direction === 'DBIT') {
+      return this.reverseInbound(client, entry, item);
+    }
+
+    return this.creditInbound(client, { statementId, report, entry, item, events });
+  }
+
+  async book(client, transfer, entry, events) {
+    if (transfer.status !== TRANSFER_STATUSES.BATCHED) {
+      return 'ignored';
+    }
+
+    await client.query(
+      'UPDATE sepa_transfers SET status = $1, booked_at = COALESCE($2::date, NOW()), updated_at = NOW() WHERE id = $3',
+      [TRANSFER_STATUSES.BOOKED, entry.bookingDate, transfer.id]
+    );
+    const transaction = await client.query(
+      `UPDATE transactions SET status = 'completed', completed_at = NOW() WHERE id = $1 RETURNING *`,
+      [transfer.transaction_id]
+    );
+
+    events.booked.push({ transaction: transaction.rows[0], transfer });
+    return 'booked';
+  }
+
+  // The bank returned the transfer: the debited funds go back to the user
+  async reject(client, transfer, item, events) {
+    if (![TRANSFER_STATUSES.BATCHED, TRANSFER_STATUSES.BOOKED].includes(transfer.status)) {
+      return 'ignored';
+    }
+
+    const reason = item.returnReason || 'REVERSED';
+    await LedgerManager.reverseTransaction(client, transfer.transaction_id, {
+      entryType: 'sepa_return',
+      description: `SEPA transfer ${transfer.end_to_end_id} returned (${reason})`,
+      metadata: { endToEndId: transfer.end_to_end_id, returnReason: reason }
+    });
+
+    await client.query(
+      'UPDATE sepa_transfers SET status = $1, return_reason = $2, updated_at = NOW() WHERE id = $3',
+      [TRANSFER_STATUSES.REJECTED, reason, transfer.id]
+    );
+    const transaction = await client.query(
+      `UPDATE transactions SET status = 'failed' WHERE id = $1 RETURNING *`,
+      [transfer.transaction_id]
+    );
+
+    events.rejected.push({ transaction: transaction.rows[0], transfer: { ...transfer, return_reason: reason } });
+    return 'rejected';
+  }
+
+  async creditInbound(client, { statementId, report, entry, item, events }) {
+    const result = await this.inbound.credit(client, {
+      statementId,
+      reference: item.reference || entry.reference,
+      creditorIban: item.creditorIban || report.iban,
+      currency: item.currency || entry.currency,
+      amount: item.amount,
+      debtorName: item.debtorName,
+      debtorIban: item.debtorIban,
+      endToEndId: item.endToEndId,
+      remittanceInformation: item.remittanceInformation,
+      bookingDate: entry.bookingDate
+    });
+
+    if (result.outcome === 'credited') {
+      events.credited.push(result);
+    }
+    return result.outcome;
+  }
+
+  reverseInbound(client, entry, item) {
+    return this.inbound.reverse(client, {
+      reference: item.reference || entry.reference,
+      endToEndId: item.endToEndId,
+      amount: item.amount
+    });
+  }
+
+  async notify(events) {
+    const calls = [
+      ...events.booked.map((event) => () => this.onBooked(event.transaction, event.transfer)),
+      ...events.rejected.map((event) => () => this.onRejected(event.transaction, event.transfer)),
+      ...events.credited.map((event) => () => this.inbound.notify(event))
+    ];
+
+    for (const call of calls) {
+      try {
+        await call();
+      } catch (error) {
+        this.logger.error('Failed to publish SEPA event:', error);
+      }
+    }
+  }
+
+  // Ingests every statement file in the inbox directory, moving each to processed/ or,
+  // if it cannot be applied, to failed/
+  async ingestInbox() {
+    if (!this.inboxDir) {
+      return 0;
+    }
+
+    const files = (await fs.promises.readdir(this.inboxDir, { withFileTypes: true }))
+      .filter((file) => file.isFile() && file.name.toLowerCase().endsWith('.xml'))
+      .map((file) => file.name)
+      .sort();
+
+    for (const fileName of files) {
+      const source = path.join(this.inboxDir, fileName);
+      let target = 'processed';
+
+      try {
+        await this.ingestStatement(await fs.promises.readFile(source, 'utf8'), fileName);
+      } catch (error) {
+        this.logger.error(`Failed to ingest bank statement ${fileName}:`, error);
+        target = 'failed';
+      }
+
+      await fs.promises.mkdir(path.join(this.inboxDir, target), { recursive: true });
+      await fs.promises.rename(source, path.join(this.inboxDir, target, fileName));
+    }
+
+    return files.length;
+  }
+}
+
+module.exports = {
+  TRANSFER_STATUSES,
+  SepaManager,
+  toJsonSepaTransfer
+};
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+require('dotenv').config();
+const { SepaManager } = require('./sepa');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Ingests camt.053/054 files given on the command line, for statements the bank delivered
+// outside the inbox directory
+async function importStatements(files) {
+  const sepa = new SepaManager({ pool });
+
+  try {
+    for (const file of files) {
+      const result = await sepa.ingestStatement(fs.readFileSync(file, 'utf8'), path.basename(file));
+      console.log(`${result.duplicate ? '-' : '✓'} ${file}: ${result.duplicate ? 'already ingested' : JSON.stringify(result.summary)}`);
+    }
+  } catch (error) {
+    console.error('Statement import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    console.error('Usage: npm run sepa:import -- <statement.xml>...');
+    process.exitCode = 1;
+  } else {
+    importStatements(files);
+  }
+}
+
+module.exports = { importStatements };
@@ -0,0 +1,188 @@
+const { normalizeAmount, toBaseUnits, addAmounts, XmlError, buildXml, parseXml, find, findAll, textOf } = require('cryptohybrid-shared');
+
+// ISO 20022 messages for SEPA Credit Transfers: pain.001.001.09 payment initiation files
+// sent to the bank, and camt.053 statements and camt.054 notifications received from it.
+// Statement readers accept the element layouts of camt versions 02 through 08.
+
+const PAIN_001_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.09';
+
+const STATEMENT_ROOTS = {
+  BkToCstmrStmt: { messageType: 'camt.053', report: 'Stmt' },
+  BkToCstmrDbtCdtNtfctn: { messageType: 'camt.054', report: 'Ntfctn' }
+};
+
+class SepaMessageError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SepaMessageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Letters that do not decompose into a Latin letter and an accent
+const TRANSLITERATIONS = { Æ: 'AE', æ: 'ae', Ø: 'O', ø: 'o', Œ: 'OE', œ: 'oe', ß: 'ss', Ł: 'L', ł: 'l', Đ: 'D', đ: 'd', Þ: 'TH', þ: 'th', '&': '+' };
+
+// The SEPA character set: other characters are transliterated where possible, or replaced
+const sepaText = (value, maxLength) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[ÆæØøŒœßŁłĐđÞþ&]/g, (letter) => TRANSLITERATIONS[letter])
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, maxLength);
+
+const formatAmount = (amount) => {
+  const cents = toBaseUnits(amount, 2);
+  return `${cents / 100n}.${String(cents % 100n).padStart(2, '0')}`;
+};
+
+const dateTime = (date) => date.toISOString().slice(0, 19);
+
+const agent = (bic) => (bic ? ['FinInstnId', [['BICFI', bic]]] : ['FinInstnId', [['Othr', [['Id', 'NOTPROVIDED']]]]]);
+
+const postalAddress = ({ country, addressLine }) => (country || addressLine
+  ? ['PstlAdr', [country && ['Ctry', country], addressLine && ['AdrLine', sepaText(addressLine, 70)]]]
+  : null);
+
+// One payment information block debiting the platform account for all transfers, each
+// booked individually so statements report them by end-to-end id
+const buildPain001 = ({ messageId, createdAt = new Date(), executionDate = createdAt, debtor, transfers }) => {
+  if (transfers.length === 0) {
+    throw new SepaMessageError('EMPTY_BATCH', 'A payment file needs at least one transfer');
+  }
+
+  const count = String(transfers.length);
+  const controlSum = formatAmount(addAmounts(...transfers.map((transfer) => transfer.amount)));
+
+  return buildXml(['Document', [
+    ['CstmrCdtTrfInitn', [
+      ['GrpHdr', [
+        ['MsgId', messageId],
+        ['CreDtTm', dateTime(createdAt)],
+        ['NbOfTxs', count],
+        ['CtrlSum', controlSum],
+        ['InitgPty', [['Nm', sepaText(debtor.name, 70)]]]
+      ]],
+      ['PmtInf', [
+        ['PmtInfId', messageId],
+        ['PmtMtd', 'TRF'],
+        ['BtchBookg', 'false'],
+        ['NbOfTxs', count],
+        ['CtrlSum', controlSum],
+        ['PmtTpInf', [['SvcLvl', [['Cd', 'SEPA']]]]],
+        ['ReqdExctnDt', [['Dt', executionDate.toISOString().slice(0, 10)]]],
+        ['Dbtr', [['Nm', sepaText(debtor.name, 70)]]],
+        ['DbtrAcct', [['Id', [['IBAN', debtor.iban]]]]],
+        ['DbtrAgt', [agent(debtor.bic)]],
+        ['ChrgBr', 'SLEV'],
+        ...transfers.map((transfer) => ['CdtTrfTxInf', [
+          ['PmtId', [
+            ['InstrId', transfer.instructionId],
+            ['EndToEndId', transfer.endToEndId]
+          ]],
+          ['Amt', [['InstdAmt', formatAmount(transfer.amount), { Ccy: transfer.currency }]]],
+          transfer.creditor.bic ? ['CdtrAgt', [agent(transfer.creditor.bic)]] : null,
+          ['Cdtr', [
+            ['Nm', sepaText(transfer.creditor.name, 70)],
+            postalAddress(transfer.creditor)
+          ]],
+          ['CdtrAcct', [['Id', [['IBAN', transfer.creditor.iban]]]]],
+          transfer.remittanceInformation ? ['RmtInf', [['Ustrd', sepaText(transfer.remittanceInformation, 140)]]] : null
+        ]])
+      ]]
+    ]]
+  ], { xmlns: PAIN_001_NAMESPACE }]);
+};
+
+// Party names moved under Pty in camt version 08
+const partyName = (parties, role) => textOf(parties, role, 'Nm') || textOf(parties, role, 'Pty', 'Nm');
+
+const amountOf = (node) => {
+  const amount = find(node, 'Amt') || find(node, 'AmtDtls', 'TxAmt', 'Amt');
+  return amount ? { amount: normalizeAmount(amount.text), currency: amount.attributes.Ccy || null } : null;
+};
+
+const readTransaction = (details, entryAmount) => {
+  const parties = find(details, 'RltdPties');
+  const amount = amountOf(details) || entryAmount;
+
+  return {
+    endToEndId: textOf(details, 'Refs', 'EndToEndId'),
+    instructionId: textOf(details, 'Refs', 'InstrId'),
+    reference: textOf(details, 'Refs', 'AcctSvcrRef'),
+    amount: amount.amount,
+    currency: amount.currency,
+    debtorName: parties && partyName(parties, 'Dbtr'),
+    debtorIban: parties && textOf(parties, 'DbtrAcct', 'Id', 'IBAN'),
+    creditorName: parties && partyName(parties, 'Cdtr'),
+    creditorIban: parties && textOf(parties, 'CdtrAcct', 'Id', 'IBAN'),
+    remittanceInformation: findAll(details, 'RmtInf', 'Ustrd').map((line) => line.text).join(' ') || null,
+    returnReason: textOf(details, 'RtrInf', 'Rsn', 'Cd')
+  };
+};
+
+const readEntry = (entry) => {
+  const entryAmount = amountOf(entry);
+  if (!entryAmount) {
+    throw new SepaMessageError('INVALID_ENTRY', 'Statement entry without an amount', { reference: textOf(entry, 'NtryRef') });
+  }
+
+  const details = findAll(entry, 'NtryDtls', 'TxDtls');
+
+  return {
+    reference: textOf(entry, 'AcctSvcrRef') || textOf(entry, 'NtryRef'),
+    amount: entryAmount.amount,
+    currency: entryAmount.currency,
+    direction: textOf(entry, 'CdtDbtInd'),
+    reversal: textOf(entry, 'RvslInd') === 'true',
+    status: textOf(entry, 'Sts', 'Cd') || textOf(entry, 'Sts'),
+    bookingDate: textOf(entry, 'BookgDt', 'Dt') || (textOf(entry, 'BookgDt', 'DtTm') || '').slice(0, 10) || null,
+    // Entries without details are reported as a single transaction of the entry amount
+    transactions: details.length > 0
+      ? details.map((transaction) => readTransaction(transaction, entryAmount))
+      : [readTransaction({ name: 'TxDtls', attributes: {}, children: [], text: '' }, entryAmount)]
+  };
+};
+
+const parseCamt = (xml) => {
+  let document;
+  try {
+    document = parseXml(xml);
+  } catch (error) {
+    if (error instanceof XmlError) {
+      throw new SepaMessageError('INVALID_XML', error.message);
+    }
+    throw error;
+  }
+
+  const message = document.children[0];
+  const root = message && STATEMENT_ROOTS[message.name];
+  if (document.name !== 'Document' || !root) {
+    throw new SepaMessageError('UNSUPPORTED_MESSAGE', 'Expected a camt.053 statement or camt.054 notification', {
+      root: message ? message.name : document.name
+    });
+  }
+
+  return {
+    messageType: root.messageType,
+    messageId: textOf(message, 'GrpHdr', 'MsgId'),
+    createdAt: textOf(message, 'GrpHdr', 'CreDtTm'),
+    reports: findAll(message, root.report).map((report) => ({
+      id: textOf(report, 'Id'),
+      iban: textOf(report, 'Acct', 'Id', 'IBAN'),
+      currency: textOf(report, 'Acct', 'Ccy'),
+      entries: findAll(report, 'Ntry').map(readEntry)
+    }))
+  };
+};
+
+module.exports = {
+  PAIN_001_NAMESPACE,
+  SepaMessageError,
+  sepaText,
+  formatAmount,
+  buildPain001,
+  parseCamt
+};
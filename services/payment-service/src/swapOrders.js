@@ -0,0 +1,505 @@
+const {
+  withTransaction,
+  normalizeAmount,
+  multiplyAmounts,
+  divideAmounts,
+  compareAmounts,
+  LedgerError,
+  HOLD_STATUSES,
+  HoldManager,
+  PriceOracleError
+} = require('cryptohybrid-shared');
+const { SwapError } = require('./swaps');
+
+// Limit orders and recurring buys, executed through the swap engine by a scheduler.
+// A limit order buys or sells an asset against a quote asset once the oracle price of the
+// asset in the quote asset crosses the limit price, and fills only at a quote at least as
+// good as the limit. A recurring buy converts a fiat amount into a crypto asset every day,
+// week or month. A limit order reserves what it spends from when it is placed until it is
+// filled, cancelled or expires; a recurring buy reserves nothing in advance and swaps from
+// the balance available at each run, recording why when it cannot be funded. An order whose
+// swap has an unknown outcome is not tried again until it is reconciled.
+
+const ORDER_TYPES = {
+  LIMIT: 'limit',
+  RECURRING: 'recurring'
+};
+
+const ORDER_STATUSES = {
+  OPEN: 'open',
+  ACTIVE: 'active',
+  EXECUTING: 'executing',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+  NEEDS_RECONCILIATION: 'needs_reconciliation'
+};
+
+const FREQUENCIES = {
+  daily: '1 day',
+  weekly: '7 days',
+  monthly: '1 month'
+};
+
+const PRICING_CURRENCY = 'usd';
+
+// Failures a later attempt may not run into again
+const RETRYABLE_ERRORS = ['LIMIT_NOT_MET', 'SLIPPAGE_EXCEEDED', 'PROVIDER_FAILED', 'NO_LIQUIDITY', 'PRICE_STALE', 'PRICE_UNAVAILABLE', 'QUOTE_EXPIRED'];
+
+const ORDER_SELECT = `
+  SELECT o.*, row_to_json(fa) AS from_asset, row_to_json(ta) AS to_asset
+  FROM swap_orders o
+  JOIN assets fa ON fa.id = o.from_asset_id
+  JOIN assets ta ON ta.id = o.to_asset_id`;
+
+class SwapOrderError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SwapOrderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toJsonAsset = (asset) => ({ id: asset.id, symbol: asset.symbol, name: asset.name });
+
+const toJsonOrder = (order) => ({
+  id: order.id,
+  type: order.order_type,
+  side: order.side,
+  walletId: order.wallet_id,
+  fromAsset: toJsonAsset(order.from_asset),
+  toAsset: toJsonAsset(order.to_asset),
+  amount: order.amount,
+  limitPrice: order.limit_price,
+  slippageTolerance: order.slippage_tolerance,
+  frequency: order.frequency,
+  nextRunAt: order.next_run_at,
+  lastRunAt: order.last_run_at,
+  lastError: order.last_error,
+  status: order.status,
+  expiresAt: order.expires_at,
+  filledAt: order.filled_at,
+  cancelledAt: order.cancelled_at,
+  createdAt: order.created_at
+});
+
+class SwapOrderManager {
+  constructor({ pool, swapEngine, priceOracle, logger = console, retryMinutes = 5, limitOrderExpiryDays = 30, batchSize = 100, onExecuted = async () => {} }) {
+    this.pool = pool;
+    this.swapEngine = swapEngine;
+    this.priceOracle = priceOracle;
+    this.logger = logger;
+    this.retryMinutes = retryMinutes;
+    this.limitOrderExpiryDays = limitOrderExpiryDays;
+    this.batchSize = batchSize;
+    this.onExecuted = onExecuted;
+    this.running = false;
+  }
+
+  async loadAsset(assetId) {
+    const result = await this.pool.query('SELECT * FROM assets WHERE id = $1 AND is_active = true', [assetId]);
+    if (result.rows.length === 0) {
+      throw new SwapOrderError('ASSET_NOT_FOUND', 'Asset not found', { assetId });
+    }
+
+    return result.rows[0];
+  }
+
+  async checkWallet(userId, walletId) {
+    if (!walletId) {
+      return;
+    }
+
+    const result = await this.pool.query(
+      'SELECT id FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new SwapOrderError('WALLET_NOT_FOUND', 'Wallet not found');
+    }
+  }
+
+  static orderAmount(amount, asset) {
+    try {
+      return normalizeAmount(String(amount), asset.decimals);
+    } catch (error) {
+      throw new SwapOrderError('INVALID_AMOUNT', `${asset.symbol} amounts have at most ${asset.decimals} decimal places`);
+    }
+  }
+
+  // Buys spend `amount` of the quote asset; sells spend `amount` of the asset
+  async placeLimitOrder({ userId, walletId = null, side, assetId, quoteAssetId, amount, limitPrice, expiresAt = null }) {
+    if (assetId === quoteAssetId) {
+      throw new SwapOrderError('SAME_ASSET', 'Cannot trade an asset against itself');
+    }
+
+    await this.checkWallet(userId, walletId);
+    const [asset, quoteAsset] = await Promise.all([this.loadAsset(assetId), this.loadAsset(quoteAssetId)]);
+    const [fromAsset, toAsset] = side === 'buy' ? [quoteAsset, asset] : [asset, quoteAsset];
+
+    const expires = expiresAt ? new Date(expiresAt) : new Date(Date.now() + this.limitOrderExpiryDays * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(expires.getTime()) || expires <= new Date()) {
+      throw new SwapOrderError('INVALID_EXPIRY', 'expiresAt must be a date in the future');
+    }
+
+    const orderAmount = SwapOrderManager.orderAmount(amount, fromAsset);
+
+    const order = await withTransaction(this.pool, async (client) => {
+      const hold = await HoldManager.placeHold(client, { userId, walletId, assetId: fromAsset.id, amount: orderAmount, reason: 'limit_order' });
+
+      const result = await client.query(
+        `INSERT INTO swap_orders (user_id, wallet_id, order_type, side, from_asset_id, to_asset_id, amount, limit_price,
+                                  status, expires_at, hold_id, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+         RETURNING *`,
+        [
+          userId, walletId, ORDER_TYPES.LIMIT, side, fromAsset.id, toAsset.id, orderAmount,
+          normalizeAmount(String(limitPrice)), ORDER_STATUSES.OPEN, expires, hold.id
+        ]
+      );
+
+      return result.rows[0];
+    });
+
+    return { ...order, from_asset: fromAsset, to_asset: toAsset };
+  }
+
+  // Reserves the funds of a limit order that has no active hold, as after a swap that
+  // released it failed. Resolves to the id of the order's hold.
+  static async holdOrderFunds(client, order) {
+    if (order.hold_id && (await HoldManager.lockHold(client, order.hold_id)).status === HOLD_STATUSES.ACTIVE) {
+      return order.hold_id;
+    }
+
+    const hold = await HoldManager.placeHold(client, {
+      userId: order.user_id,
+      walletId: order.wallet_id,
+      assetId: order.from_asset_id,
+      amount: order.amount,
+      reason: 'limit_order'
+    });
+
+    return hold.id;
+  }
+
+  static async releaseOrderHold(client, holdId) {
+    if (holdId && (await HoldManager.lockHold(client, holdId)).status === HOLD_STATUSES.ACTIVE) {
+      await HoldManager.releaseHold(client, holdId);
+    }
+  }
+
+  async createRecurringBuy({ userId, walletId = null, fromAssetId, toAssetId, amount, frequency, startAt = null, slippageTolerance = 1 }) {
+    await this.checkWallet(userId, walletId);
+    const [fromAsset, toAsset] = await Promise.all([this.loadAsset(fromAssetId), this.loadAsset(toAssetId)]);
+
+    if (fromAsset.asset_type !== 'fiat' || toAsset.asset_type !== 'crypto') {
+      throw new SwapOrderError('INVALID_ASSET_PAIR', 'Recurring buys convert a fiat balance into a crypto asset');
+    }
+
+    const firstRun = startAt ? new Date(startAt) : new Date();
+    if (Number.isNaN(firstRun.getTime())) {
+      throw new SwapOrderError('INVALID_START', 'startAt must be a date');
+    }
+
+    const result = await this.pool.query(
+      `INSERT INTO swap_orders (user_id, wallet_id, order_type, from_asset_id, to_asset_id, amount, slippage_tolerance,
+                                frequency, next_run_at, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+       RETURNING *`,
+      [
+        userId, walletId, ORDER_TYPES.RECURRING, fromAsset.id, toAsset.id, SwapOrderManager.orderAmount(amount, fromAsset),
+        slippageTolerance, frequency, firstRun, ORDER_STATUSES.ACTIVE
+      ]
+    );
+
+    return { ...result.rows[0], from_asset: fromAsset, to_asset: toAsset };
+  }
+
+  async list({ userId, type = null, status = null, limit = 50, offset = 0 }) {
+    const result = await this.pool.query(
+      `${ORDER_SELECT}
+       WHERE o.user_id = $1 AND ($2::text IS NULL OR o.order_type = $2) AND ($3::text IS NULL OR o.status = $3)
+       ORDER BY o.created_at DESC
+       LIMIT $4 OFFSET $5`,
+      [userId, type, status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // The order and the swaps it has executed
+  async get(userId, orderId) {
+    const result = await this.pool.query(`${ORDER_SELECT} WHERE o.id = $1 AND o.user_id = $2`, [orderId, userId]);
+    if (result.rows.length === 0) {
+      throw new SwapOrderError('ORDER_NOT_FOUND', 'Order not found');
+    }
+
+    const fills = await this.pool.query(
+      `SELECT transaction_id, from_amount, to_amount, exchange_rate, fee, provider, created_at
+       FROM swaps WHERE order_id = $1
+       ORDER BY created_at DESC`,
+      [orderId]
+    );
+
+    return { order: result.rows[0], fills: fills.rows };
+  }
+
+  async cancel(userId, orderId) {
+    const cancelled = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        `UPDATE swap_orders SET status = $1, cancelled_at = NOW(), updated_at = NOW()
+         WHERE id = $2 AND user_id = $3 AND status = ANY($4)
+         RETURNING hold_id`,
+        [ORDER_STATUSES.CANCELLED, orderId, userId, [ORDER_STATUSES.OPEN, ORDER_STATUSES.ACTIVE]]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await SwapOrderManager.releaseOrderHold(client, result.rows[0].hold_id);
+      return true;
+    });
+
+    if (!cancelled) {
+      const { order } = await this.get(userId, orderId);
+      throw new SwapOrderError('ORDER_NOT_CANCELLABLE', `A ${order.status} order cannot be cancelled`, { status: order.status });
+    }
+
+    return (await this.get(userId, orderId)).order;
+  }
+
+  // One scheduler pass; a pass still running when the next is due is not overlapped
+  async run() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      await this.expireLimitOrders();
+      await this.runLimitOrders();
+      await this.runRecurringBuys();
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async expireLimitOrders() {
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        `UPDATE swap_orders SET status = $1, updated_at = NOW()
+         WHERE order_type = $2 AND status = $3 AND expires_at <= NOW()
+         RETURNING hold_id`,
+        [ORDER_STATUSES.EXPIRED, ORDER_TYPES.LIMIT, ORDER_STATUSES.OPEN]
+      );
+
+      for (const { hold_id: holdId } of result.rows) {
+        await SwapOrderManager.releaseOrderHold(client, holdId);
+      }
+
+      return result.rowCount;
+    });
+  }
+
+  async runLimitOrders() {
+    const orders = (await this.pool.query(
+      `${ORDER_SELECT}
+       WHERE o.order_type = $1 AND o.status = $2 AND o.expires_at > NOW()
+       ORDER BY o.created_at
+       LIMIT $3`,
+      [ORDER_TYPES.LIMIT, ORDER_STATUSES.OPEN, this.batchSize]
+    )).rows;
+
+    if (orders.length === 0) {
+      return 0;
+    }
+
+    const assets = new Map(orders.flatMap((order) => [[order.from_asset.id, order.from_asset], [order.to_asset.id, order.to_asset]]));
+    const { quotes: prices } = await this.priceOracle.getPrices([...assets.values()], PRICING_CURRENCY);
+
+    let filled = 0;
+    for (const order of orders) {
+      const [asset, quoteAsset] = order.side === 'buy' ? [order.to_asset, order.from_asset] : [order.from_asset, order.to_asset];
+      if (!prices.has(asset.id) || !prices.has(quoteAsset.id)) {
+        continue;
+      }
+
+      const marketPrice = divideAmounts(prices.get(asset.id).price, prices.get(quoteAsset.id).price);
+      const crossed = compareAmounts(marketPrice, order.limit_price);
+      if (order.side === 'buy' ? crossed > 0 : crossed < 0) {
+        continue;
+      }
+
+      if (await this.executeLimitOrder(order)) {
+        filled += 1;
+      }
+    }
+
+    return filled;
+  }
+
+  async executeLimitOrder(order) {
+    const claimed = await this.pool.query(
+      'UPDATE swap_orders SET status = $1, updated_at = NOW() WHERE id = $2 AND status = $3 RETURNING id',
+      [ORDER_STATUSES.EXECUTING, order.id, ORDER_STATUSES.OPEN]
+    );
+
+    if (claimed.rows.length === 0) {
+      return false;
+    }
+
+    // At least the limit price: the asset bought per quote asset spent, or the quote asset
+    // received per asset sold
+    const minToAmount = order.side === 'buy'
+      ? divideAmounts(order.amount, order.limit_price)
+      : multiplyAmounts(order.amount, order.limit_price);
+
+    try {
+      await this.fill(order, { minToAmount, slippageTolerance: 0, orderHoldId: order.hold_id });
+
+      await this.pool.query(
+        `UPDATE swap_orders SET status = $1, filled_at = NOW(), last_run_at = NOW(), last_error = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [ORDER_STATUSES.FILLED, order.id]
+      );
+
+      return true;
+    } catch (error) {
+      const code = this.failureCode(order, error);
+
+      // An order going back to open is funded again, as the swap may have released its hold
+      await withTransaction(this.pool, async (client) => {
+        let status = code === 'SWAP_UNRESOLVED' ? ORDER_STATUSES.NEEDS_RECONCILIATION : ORDER_STATUSES.FAILED;
+        let lastError = code === 'LIMIT_NOT_MET' ? null : code;
+        let holdId = order.hold_id;
+
+        if (RETRYABLE_ERRORS.includes(code)) {
+          try {
+            holdId = await SwapOrderManager.holdOrderFunds(client, order);
+            status = ORDER_STATUSES.OPEN;
+          } catch (holdError) {
+            if (!(holdError instanceof LedgerError && holdError.code === 'INSUFFICIENT_BALANCE')) {
+              throw holdError;
+            }
+            lastError = holdError.code;
+          }
+        }
+        if (status !== ORDER_STATUSES.OPEN) {
+          await SwapOrderManager.releaseOrderHold(client, holdId);
+        }
+
+        await client.query(
+          'UPDATE swap_orders SET status = $1, hold_id = $2, last_run_at = NOW(), last_error = $3, updated_at = NOW() WHERE id = $4',
+          [status, holdId, lastError, order.id]
+        );
+      });
+
+      return false;
+    }
+  }
+
+  async runRecurringBuys() {
+    const orders = (await this.pool.query(
+      `${ORDER_SELECT}
+       WHERE o.order_type = $1 AND o.status = $2 AND o.next_run_at <= NOW()
+       ORDER BY o.next_run_at
+       LIMIT $3`,
+      [ORDER_TYPES.RECURRING, ORDER_STATUSES.ACTIVE, this.batchSize]
+    )).rows;
+
+    let executed = 0;
+    for (const order of orders) {
+      // Claims the run by moving to the next one; runs missed while the service was down
+      // are skipped rather than bought all at once
+      const claimed = await this.pool.query(
+        `UPDATE swap_orders
+         SET next_run_at = CASE WHEN next_run_at + $1::interval > NOW() THEN next_run_at + $1::interval ELSE NOW() + $1::interval END,
+             updated_at = NOW()
+         WHERE id = $2 AND status = $3 AND next_run_at <= NOW()
+         RETURNING id`,
+        [FREQUENCIES[order.frequency], order.id, ORDER_STATUSES.ACTIVE]
+      );
+
+      if (claimed.rows.length === 0) {
+        continue;
+      }
+
+      try {
+        await this.fill(order, { minToAmount: null, slippageTolerance: order.slippage_tolerance });
+        await this.pool.query(
+          'UPDATE swap_orders SET last_run_at = NOW(), last_error = NULL, updated_at = NOW() WHERE id = $1',
+          [order.id]
+        );
+        executed += 1;
+      } catch (error) {
+        const code = this.failureCode(order, error);
+
+        // A retryable failure is tried again shortly, within the same period
+        await this.pool.query(
+          `UPDATE swap_orders
+           SET last_run_at = NOW(), last_error = $1, updated_at = NOW(),
+               next_run_at = CASE WHEN $2 THEN LEAST(next_run_at, NOW() + $3 * INTERVAL '1 minute') ELSE next_run_at END,
+               status = CASE WHEN $4 THEN $5 ELSE status END
+           WHERE id = $6`,
+          [code, RETRYABLE_ERRORS.includes(code), this.retryMinutes, code === 'SWAP_UNRESOLVED', ORDER_STATUSES.NEEDS_RECONCILIATION, order.id]
+        );
+      }
+    }
+
+    return executed;
+  }
+
+  async fill(order, { minToAmount, slippageTolerance, orderHoldId = null }) {
+    const quote = await this.swapEngine.quote({
+      userId: order.user_id,
+      walletId: order.wallet_id,
+      fromAsset: order.from_asset,
+      toAsset: order.to_asset,
+      amount: order.amount,
+      minToAmount
+    });
+
+    const result = await this.swapEngine.execute({
+      userId: order.user_id,
+      quoteId: quote.id,
+      slippageTolerance,
+      orderId: order.id,
+      orderHoldId
+    });
+
+    this.logger.info(`${order.order_type} order ${order.id} executed swap ${result.transaction.id}`);
+
+    try {
+      await this.onExecuted(order, result);
+    } catch (error) {
+      this.logger.error(`Failed to publish the swap of order ${order.id}:`, error);
+    }
+
+    return result;
+  }
+
+  failureCode(order, error) {
+    if (error instanceof SwapError || error instanceof LedgerError || error instanceof PriceOracleError) {
+      if (error.code !== 'LIMIT_NOT_MET') {
+        this.logger.warn(`${order.order_type} order ${order.id} did not execute: ${error.code}`);
+      }
+      return error.code;
+    }
+
+    this.logger.error(`${order.order_type} order ${order.id} failed:`, error);
+    return 'EXECUTION_FAILED';
+  }
+}
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_STATUSES,
+  FREQUENCIES,
+  SwapOrderError,
+  SwapOrderManager,
+  toJsonOrder
+};
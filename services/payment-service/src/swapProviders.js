@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const {
+  normalizeAmount,
+  addAmounts,
+  subtractAmounts,
+  multiplyAmounts,
+  divideAmounts,
+  truncateAmount,
+  compareAmounts
+} = require('cryptohybrid-shared');
+
+// Liquidity providers for swaps.
+// A provider quotes how much of the target asset it delivers for an amount of the source
+// asset, and executes a quoted swap no worse than a minimum amount out, returning the amount
+// delivered and its own id for the trade. Every provider trades the platform's treasury
+// inventory, so a fill is settled to the user the same way whichever provider made it.
+
+const PRICING_CURRENCY = 'usd';
+
+class SwapProviderError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SwapProviderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class SwapProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether the provider can trade between the two assets at all
+  supports(fromAsset, toAsset) {
+    return fromAsset.id !== toAsset.id;
+  }
+
+  // Resolves to { amountOut, expiresAt, reference }; expiresAt and reference (the
+  // provider's own quote id) are null when the provider does not hold its quotes
+  async quote({ fromAsset, toAsset, amount }) {
+    throw new Error(`${this.name} swap provider does not implement quote`);
+  }
+
+  // Resolves to { amountOut, providerTxId }, or throws SLIPPAGE_EXCEEDED without trading
+  async execute({ quote, fromAsset, toAsset, amount, minAmountOut }) {
+    throw new Error(`${this.name} swap provider does not implement execute`);
+  }
+}
+
+// Fills from the treasury's own balances at the oracle mid price, less a price impact that
+// grows with the trade's notional against the configured liquidity depth. Opposite user
+// swaps net out in the treasury instead of reaching an external venue.
+class TreasurySwapProvider extends SwapProvider {
+  constructor({ priceOracle, liquidityDepthUsd = '1000000' }) {
+    super('treasury');
+    this.priceOracle = priceOracle;
+    this.liquidityDepthUsd = String(liquidityDepthUsd);
+  }
+
+  async amountOut(fromAsset, toAsset, amount) {
+    const [fromPrice, toPrice] = await Promise.all([
+      this.priceOracle.getPrice(fromAsset, PRICING_CURRENCY),
+      this.priceOracle.getPrice(toAsset, PRICING_CURRENCY)
+    ]);
+
+    const notional = multiplyAmounts(amount, fromPrice.price);
+    const priceImpact = divideAmounts(notional, addAmounts(notional, this.liquidityDepthUsd));
+
+    return truncateAmount(
+      multiplyAmounts(divideAmounts(notional, toPrice.price), subtractAmounts('1', priceImpact)),
+      toAsset.decimals
+    );
+  }
+
+  async quote({ fromAsset, toAsset, amount }) {
+    return { amountOut: await this.amountOut(fromAsset, toAsset, amount), expiresAt: null, reference: null };
+  }
+
+  // Fills at the lower of the quoted and current amounts
+  async execute({ quote, fromAsset, toAsset, amount, minAmountOut }) {
+    const current = await this.amountOut(fromAsset, toAsset, amount);
+    if (compareAmounts(current, minAmountOut) < 0) {
+      throw new SwapProviderError('SLIPPAGE_EXCEEDED', 'The treasury price moved beyond the slippage tolerance', {
+        currentAmount: current,
+        minimumAmount: minAmountOut
+      });
+    }
+
+    return {
+      amountOut: compareAmounts(current, quote.provider_amount) < 0 ? current : quote.provider_amount,
+      providerTxId: null
+    };
+  }
+}
+
+// Firm-quote (RFQ) REST API of an exchange or OTC desk:
+//   POST /v1/quotes { from, to, amount } -> { id, amountOut, expiresAt }
+//   POST /v1/quotes/:id/accept { clientOrderId, minAmountOut } -> { orderId, status, amountOut }
+// Requests are signed with HMAC-SHA256 over timestamp + method + path + body.
+class CexSwapProvider extends SwapProvider {
+  constructor({ httpClient, baseUrl, apiKey, apiSecret, timeoutMs = 10000, name = 'cex' }) {
+    super(name);
+    this.httpClient = httpClient;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.timeoutMs = timeoutMs;
+  }
+
+  signedHeaders(method, path, body) {
+    const timestamp = String(Date.now());
+    const signature = crypto
+      .createHmac('sha256', this.apiSecret)
+      .update(`${timestamp}${method}${path}${body}`)
+      .digest('hex');
+
+    return {
+      'Content-Type': 'application/json',
+      'X-API-KEY': this.apiKey,
+      'X-TIMESTAMP': timestamp,
+      'X-SIGNATURE': signature
+    };
+  }
+
+  async post(path, payload) {
+    const body = JSON.stringify(payload);
+
+    try {
+      const response = await this.httpClient.post(`${this.baseUrl}${path}`, body, {
+        headers: this.signedHeaders('POST', path, body),
+        timeout: this.timeoutMs
+      });
+
+      return response.data;
+    } catch (error) {
+      const data = error.response && error.response.data;
+      throw new SwapProviderError('PROVIDER_REJECTED', `${this.name} rejected the request: ${(data && data.message) || error.message}`, {
+        status: error.response && error.response.status,
+        code: data && data.code
+      });
+    }
+  }
+
+  async quote({ fromAsset, toAsset, amount }) {
+    const data = await this.post('/v1/quotes', { from: fromAsset.symbol, to: toAsset.symbol, amount });
+
+    return {
+      amountOut: truncateAmount(normalizeAmount(String(data.amountOut)), toAsset.decimals),
+      expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+      reference: data.id
+    };
+  }
+
+  async execute({ quote, toAsset, minAmountOut }) {
+    const data = await this.post(`/v1/quotes/${encodeURIComponent(quote.provider_quote_id)}/accept`, {
+      clientOrderId: quote.id,
+      minAmountOut
+    });
+
+    if (data.status !== 'filled') {
+      throw new SwapProviderError('PROVIDER_REJECTED', `${this.name} did not fill the order (${data.status})`, {
+        orderId: data.orderId
+      });
+    }
+
+    return {
+      amountOut: truncateAmount(normalizeAmount(String(data.amountOut)), toAsset.decimals),
+      providerTxId: String(data.orderId)
+    };
+  }
+}
+
+module.exports = {
+  SwapProviderError,
+  SwapProvider,
+  TreasurySwapProvider,
+  CexSwapProvider
+};
@@ -0,0 +1,329 @@
+const {
+  withTransaction,
+  normalizeAmount,
+  subtractAmounts,
+  multiplyAmounts,
+  divideAmounts,
+  truncateAmount,
+  compareAmounts,
+  LedgerManager,
+  HOLD_STATUSES,
+  HoldManager
+} = require('cryptohybrid-shared');
+const { SwapProviderError } = require('./swapProviders');
+
+// Swaps between assets held on the platform.
+// A quote asks every provider that supports the pair how much it would deliver and keeps
+// the best, with the other answers recorded alongside it. The user receives that amount less
+// the platform spread, truncated to the asset's decimals; the spread and the rounding are the
+// swap's fee. A quote can be executed until it expires, and not after the winning provider's
+// own quote does. Executing reserves the user's funds, trades through the provider no worse
+// than the slippage tolerance allows and settles both legs in one ledger entry. The user
+// never receives more than quoted; a better fill is kept as fee.
+
+const QUOTE_STATUSES = {
+  OPEN: 'open',
+  EXECUTING: 'executing',
+  EXECUTED: 'executed',
+  FAILED: 'failed'
+};
+
+const PRICING_CURRENCY = 'usd';
+
+class SwapError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SwapError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class SwapEngine {
+  constructor({ pool, priceOracle, providers, logger = console, quoteTtlSeconds = 30, spreadBps = 50, holdTtlMinutes = 1440 }) {
+    this.pool = pool;
+    this.priceOracle = priceOracle;
+    this.providers = providers;
+    this.logger = logger;
+    this.quoteTtlSeconds = quoteTtlSeconds;
+    this.spreadBps = spreadBps;
+    this.holdTtlMinutes = holdTtlMinutes;
+  }
+
+  // What the user receives from a provider's amount, after the spread
+  userAmount(providerAmount, toAsset) {
+    return truncateAmount(
+      multiplyAmounts(providerAmount, subtractAmounts('1', divideAmounts(this.spreadBps, '10000'))),
+      toAsset.decimals
+    );
+  }
+
+  // Best provider quote for the swap, with every provider's answer
+  async route(fromAsset, toAsset, amount) {
+    const candidates = this.providers.filter((provider) => provider.supports(fromAsset, toAsset));
+    const results = await Promise.allSettled(candidates.map((provider) => provider.quote({ fromAsset, toAsset, amount })));
+
+    const quotes = [];
+    let best = null;
+    results.forEach((result, index) => {
+      const provider = candidates[index];
+      if (result.status === 'rejected') {
+        this.logger.warn(`Swap provider ${provider.name} could not quote ${fromAsset.symbol}/${toAsset.symbol}: ${result.reason && result.reason.message}`);
+        quotes.push({ provider: provider.name, error: (result.reason && result.reason.code) || 'QUOTE_FAILED' });
+        return;
+      }
+
+      quotes.push({ provider: provider.name, amountOut: result.value.amountOut });
+      if (compareAmounts(result.value.amountOut, '0') > 0 && (!best || compareAmounts(result.value.amountOut, best.amountOut) > 0)) {
+        best = { ...result.value, provider };
+      }
+    });
+
+    if (!best) {
+      throw new SwapError('NO_LIQUIDITY', `No provider can fill a ${fromAsset.symbol} to ${toAsset.symbol} swap right now`, { quotes });
+    }
+
+    return { best, quotes };
+  }
+
+  // minToAmount rejects the quote with LIMIT_NOT_MET, without storing it, when the user
+  // would receive less
+  async quote({ userId, walletId = null, fromAsset, toAsset, amount: requested, minToAmount = null }) {
+    if (fromAsset.id === toAsset.id) {
+      throw new SwapError('SAME_ASSET', 'Cannot swap an asset for itself');
+    }
+
+    let amount;
+    try {
+      amount = normalizeAmount(String(requested), fromAsset.decimals);
+    } catch (error) {
+      throw new SwapError('INVALID_AMOUNT', `${fromAsset.symbol} amounts have at most ${fromAsset.decimals} decimal places`);
+    }
+
+    const [fromPrice, toPrice, { best, quotes }] = await Promise.all([
+      this.priceOracle.getPrice(fromAsset, PRICING_CURRENCY),
+      this.priceOracle.getPrice(toAsset, PRICING_CURRENCY),
+      this.route(fromAsset, toAsset, amount)
+    ]);
+
+    const toAmount = this.userAmount(best.amountOut, toAsset);
+    if (compareAmounts(toAmount, '0') <= 0) {
+      throw new SwapError('AMOUNT_TOO_SMALL', `The swap would not receive any ${toAsset.symbol}`);
+    }
+    if (minToAmount !== null && compareAmounts(toAmount, minToAmount) < 0) {
+      throw new SwapError('LIMIT_NOT_MET', `The swap would receive ${toAmount} ${toAsset.symbol}, below ${minToAmount}`, {
+        toAmount,
+        minToAmount
+      });
+    }
+
+    // Price impact is measured against the oracle mid price
+    const midRate = divideAmounts(fromPrice.price, toPrice.price);
+    const priceImpact = subtractAmounts('1', divideAmounts(best.amountOut, multiplyAmounts(amount, midRate)));
+
+    const result = await this.pool.query(
+      `INSERT INTO swap_quotes (user_id, wallet_id, from_asset_id, to_asset_id, from_amount, to_amount, exchange_rate,
+                                mid_rate, fee, price_impact, provider, provider_amount, provider_quote_id, provider_quotes,
+                                status, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+               LEAST(NOW() + $16 * INTERVAL '1 second', COALESCE($17::timestamp, 'infinity')), NOW())
+       RETURNING *`,
+      [
+        userId, walletId, fromAsset.id, toAsset.id, amount, toAmount, divideAmounts(toAmount, amount),
+        midRate, subtractAmounts(best.amountOut, toAmount), priceImpact, best.provider.name, best.amountOut,
+        best.reference, JSON.stringify(quotes), QUOTE_STATUSES.OPEN, this.quoteTtlSeconds, best.expiresAt
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // orderId links the swap to the limit order or recurring buy that placed it, and
+  // orderHoldId is the order's own reservation, released as the swap reserves the funds
+  async execute({ userId, quoteId, slippageTolerance = 0.5, orderId = null, orderHoldId = null }) {
+    const { quote, transaction, fromAsset, toAsset } = await this.reserve({ userId, quoteId, orderHoldId });
+
+    const provider = this.providers.find((candidate) => candidate.name === quote.provider);
+
+    let fill;
+    try {
+      if (!provider) {
+        throw new SwapProviderError('PROVIDER_UNAVAILABLE', `Swap provider ${quote.provider} is no longer enabled`);
+      }
+
+      const minAmountOut = truncateAmount(
+        multiplyAmounts(quote.provider_amount, subtractAmounts('1', divideAmounts(slippageTolerance, '100'))),
+        toAsset.decimals
+      );
+      fill = await provider.execute({ quote, fromAsset, toAsset, amount: quote.from_amount, minAmountOut });
+    } catch (error) {
+      // A trade that was sent may still have happened, so it keeps its reservation
+      if (error instanceof SwapProviderError && error.details && error.details.txHash) {
+        await this.suspend(transaction);
+        this.logger.error(`Swap ${transaction.id} via ${quote.provider} has an unknown outcome and needs reconciling: ${error.message}`);
+        throw new SwapError('SWAP_UNRESOLVED', `The swap was sent to ${quote.provider} but its outcome is not known yet; it will be reconciled`, {
+          provider: quote.provider,
+          transactionId: transaction.id,
+          txHash: error.details.txHash
+        });
+      }
+
+      await this.abandon(quote, transaction);
+
+      if (!(error instanceof SwapProviderError)) {
+        throw error;
+      }
+      if (error.code === 'SLIPPAGE_EXCEEDED') {
+        throw new SwapError('SLIPPAGE_EXCEEDED', 'The price moved beyond your slippage tolerance; request a new quote', {
+          ...error.details,
+          quotedAmount: quote.provider_amount
+        });
+      }
+      throw new SwapError('PROVIDER_FAILED', `The swap could not be filled by ${quote.provider}; request a new quote`, {
+        provider: quote.provider,
+        reason: error.code
+      });
+    }
+
+    return this.settle({ quote, transaction, fromAsset, toAsset, fill, slippageTolerance, orderId });
+  }
+
+  // Claims an open quote and reserves the funds it spends, before anything is traded
+  async reserve({ userId, quoteId, orderHoldId = null }) {
+    return withTransaction(this.pool, async (client) => {
+      const locked = await client.query(
+        `SELECT q.*, q.expires_at <= NOW() AS expired, row_to_json(fa) AS from_asset, row_to_json(ta) AS to_asset
+         FROM swap_quotes q
+         JOIN assets fa ON fa.id = q.from_asset_id
+         JOIN assets ta ON ta.id = q.to_asset_id
+         WHERE q.id = $1 AND q.user_id = $2
+         FOR UPDATE OF q`,
+        [quoteId, userId]
+      );
+
+      const quote = locked.rows[0];
+      if (!quote) {
+        throw new SwapError('QUOTE_NOT_FOUND', 'Swap quote not found');
+      }
+      if (quote.status !== QUOTE_STATUSES.OPEN) {
+        throw new SwapError('QUOTE_ALREADY_EXECUTED', 'This quote was already used');
+      }
+      if (quote.expired) {
+        throw new SwapError('QUOTE_EXPIRED', 'This quote has expired; request a new one', { expiresAt: quote.expires_at });
+      }
+
+      // Processing keeps the pending-transaction job and cancellation away while it trades
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (user_id, transaction_type, from_wallet_id, to_wallet_id, from_asset_id, to_asset_id, amount,
+                                   fee_asset_id, exchange_rate, status, created_at)
+         VALUES ($1, 'swap', $2, $2, $3, $4, $5, $4, $6, 'processing', NOW())
+         RETURNING *`,
+        [userId, quote.wallet_id, quote.from_asset_id, quote.to_asset_id, quote.from_amount, quote.exchange_rate]
+      );
+
+      const transaction = transactionResult.rows[0];
+
+      if (orderHoldId && (await HoldManager.lockHold(client, orderHoldId)).status === HOLD_STATUSES.ACTIVE) {
+        await HoldManager.releaseHold(client, orderHoldId);
+      }
+
+      await HoldManager.placeHold(client, {
+        userId,
+        walletId: quote.wallet_id,
+        assetId: quote.from_asset_id,
+        amount: quote.from_amount,
+        transactionId: transaction.id,
+        reason: 'swap',
+        expiresAt: new Date(Date.now() + this.holdTtlMinutes * 60 * 1000)
+      });
+
+      await client.query('UPDATE swap_quotes SET status = $1 WHERE id = $2', [QUOTE_STATUSES.EXECUTING, quoteId]);
+
+      return { quote, transaction, fromAsset: quote.from_asset, toAsset: quote.to_asset };
+    });
+  }
+
+  // Releases the reservation of a swap the provider did not fill
+  async abandon(quote, transaction) {
+    await withTransaction(this.pool, async (client) => {
+      await HoldManager.releaseTransactionHolds(client, transaction.id);
+      await client.query('UPDATE transactions SET status = $1 WHERE id = $2', ['failed', transaction.id]);
+      await client.query('UPDATE swap_quotes SET status = $1 WHERE id = $2', [QUOTE_STATUSES.FAILED, quote.id]);
+    });
+  }
+
+  // Leaves a swap whose trade may have happened processing, with its quote executing and
+  // its hold kept past the hold expiry job, until it is reconciled by hand
+  async suspend(transaction) {
+    await this.pool.query(
+      'UPDATE fund_holds SET expires_at = NULL, updated_at = NOW() WHERE transaction_id = $1 AND status = $2',
+      [transaction.id, HOLD_STATUSES.ACTIVE]
+    );
+  }
+
+  async settle({ quote, transaction, fromAsset, toAsset, fill, slippageTolerance, orderId }) {
+    const received = this.userAmount(fill.amountOut, toAsset);
+    const toAmount = compareAmounts(received, quote.to_amount) < 0 ? received : quote.to_amount;
+    const fee = subtractAmounts(fill.amountOut, toAmount);
+    const rate = divideAmounts(toAmount, quote.from_amount);
+    const priceImpact = subtractAmounts('1', divideAmounts(fill.amountOut, multiplyAmounts(quote.from_amount, quote.mid_rate)));
+
+    try {
+      return await withTransaction(this.pool, async (client) => {
+        const hold = await HoldManager.getActiveHold(client, transaction.id);
+
+        await HoldManager.captureHold(client, hold.id, {
+          entryType: 'swap',
+          transactionId: transaction.id,
+          description: `Swap ${quote.from_amount} ${fromAsset.symbol} for ${toAmount} ${toAsset.symbol}`,
+          metadata: { quoteId: quote.id, provider: quote.provider, providerTxId: fill.providerTxId },
+          postings: [
+            { account: LedgerManager.userAccount(transaction.user_id, quote.wallet_id, quote.from_asset_id), direction: 'debit', amount: quote.from_amount },
+            { account: LedgerManager.omnibusAccount(quote.from_asset_id), direction: 'credit', amount: quote.from_amount },
+            { account: LedgerManager.omnibusAccount(quote.to_asset_id), direction: 'debit', amount: fill.amountOut },
+            { account: LedgerManager.userAccount(transaction.user_id, quote.wallet_id, quote.to_asset_id), direction: 'credit', amount: toAmount },
+            { account: LedgerManager.feeAccount(quote.to_asset_id), direction: 'credit', amount: fee }
+          ].filter((posting) => compareAmounts(posting.amount, '0') > 0)
+        });
+
+        const completed = await client.query(
+          `UPDATE transactions SET status = 'completed', fee = $1, exchange_rate = $2, completed_at = NOW()
+           WHERE id = $3
+           RETURNING *`,
+          [fee, rate, transaction.id]
+        );
+
+        const swapResult = await client.query(
+          `INSERT INTO swaps (user_id, transaction_id, quote_id, wallet_id, from_asset_id, to_asset_id, from_amount, to_amount,
+                              exchange_rate, mid_rate, fee, fee_asset_id, slippage_tolerance, price_impact, status, provider,
+                              provider_tx_id, order_id, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $6, $12, $13, 'completed', $14, $15, $16, NOW(), NOW())
+           RETURNING *`,
+          [
+            transaction.user_id, transaction.id, quote.id, quote.wallet_id, quote.from_asset_id, quote.to_asset_id,
+            quote.from_amount, toAmount, rate, quote.mid_rate, fee, slippageTolerance, priceImpact, quote.provider,
+            fill.providerTxId, orderId
+          ]
+        );
+
+        await client.query(
+          'UPDATE swap_quotes SET status = $1, executed_at = NOW() WHERE id = $2',
+          [QUOTE_STATUSES.EXECUTED, quote.id]
+        );
+
+        return { transaction: completed.rows[0], swap: swapResult.rows[0], fromAsset, toAsset };
+      });
+    } catch (error) {
+      // The provider has traded, so the swap stays processing with its hold until reconciled
+      this.logger.error(`Swap ${transaction.id} was filled by ${quote.provider} (${fill.providerTxId}) but could not be settled:`, error);
+      await this.suspend(transaction);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  QUOTE_STATUSES,
+  SwapError,
+  SwapEngine
+};
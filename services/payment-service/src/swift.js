@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withTransaction, LedgerManager } = require('cryptohybrid-shared');
+const { validateSwiftTransfer, buildMt103, buildPacs008, parseStatusMessage } = require('./swiftMessages');
+
+// International wire transfers over SWIFT. A transfer is validated, debited from the
+// user's balance and recorded with its MT103 and pacs.008 messages in one database
+// transaction; a job then hands the message in the configured format to the bank
+// connection through the outbox directory. MT199 gpi tracker and pacs.002 status messages
+// read from the inbox directory move the transfer on: accepted by a bank on the way,
+// completed once credited to the beneficiary, or rejected, which returns the funds.
+
+const TRANSFER_STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  ACCEPTED: 'accepted',
+  COMPLETED: 'completed',
+  REJECTED: 'rejected'
+};
+
+const MESSAGE_FORMATS = {
+  mt103: 'MT103',
+  'pacs.008': 'pacs.008'
+};
+
+class SwiftError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SwiftError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const statusReason = ({ reason, information }) => [reason, information]
+  .filter(Boolean)
+  .join(': ')
+  .replace(/\s+/g, ' ')
+  .slice(0, 255) || null;
+
+// Field 20 of an MT103 holds at most 16 characters
+const referenceFor = (transactionId) => transactionId.replace(/-/g, '').slice(0, 16).toUpperCase();
+
+const toJsonSwiftTransfer = (transfer) => ({
+  id: transfer.id,
+  transactionId: transfer.transaction_id,
+  beneficiaryId: transfer.beneficiary_id,
+  reference: transfer.reference,
+  uetr: transfer.uetr,
+  creditorName: transfer.creditor_name,
+  creditorAccount: transfer.creditor_account,
+  creditorBic: transfer.creditor_bic,
+  intermediaryBic: transfer.intermediary_bic,
+  amount: transfer.amount,
+  currency: transfer.currency,
+  chargeBearer: transfer.charge_bearer,
+  purposeCode: transfer.purpose_code,
+  remittanceInformation: transfer.remittance_information,
+  status: transfer.status,
+  statusCode: transfer.status_code,
+  statusReason: transfer.status_reason,
+  sentAt: transfer.sent_at,
+  createdAt: transfer.created_at
+});
+
+class SwiftManager {
+  constructor({ pool, logger = console, sender = {}, messageFormat = 'pacs.008', outboxDir = null, inboxDir = null, onCompleted = async () => {}, onRejected = async () => {} }) {
+    this.pool = pool;
+    this.logger = logger;
+    this.sender = sender;
+    this.messageType = MESSAGE_FORMATS[messageFormat] || MESSAGE_FORMATS['pacs.008'];
+    this.outboxDir = outboxDir;
+    this.inboxDir = inboxDir;
+    this.onCompleted = onCompleted;
+    this.onRejected = onRejected;
+  }
+
+  // The ordering customer: the user, identified by their virtual IBAN in the currency if
+  // they have one, otherwise by their customer id with us
+  async debtorFor(client, userId, currency) {
+    const result = await client.query(
+      `SELECT u.first_name, u.last_name, u.country_code,
+              (SELECT iban FROM virtual_ibans v
+               WHERE v.user_id = u.id AND v.currency = $2 AND v.is_active = true
+               ORDER BY v.created_at LIMIT 1) AS iban
+       FROM users u WHERE u.id = $1`,
+      [userId, currency]
+    );
+
+    const user = result.rows[0];
+    return {
+      name: `${user.first_name} ${user.last_name}`,
+      account: user.iban || userId.replace(/-/g, '').toUpperCase(),
+      country: user.country_code && user.country_code.length === 2 ? user.country_code : null
+    };
+  }
+
+  async createTransfer({ userId, beneficiary, asset, amount, chargeBearer = 'SHA', purposeCode = null, intermediaryBic = null, remittanceInformation = null }) {
+    if (!this.sender.bic) {
+      throw new SwiftError('SWIFT_NOT_CONFIGURED', 'International transfers are not available');
+    }
+
+    const creditor = {
+      name: beneficiary.name,
+      account: beneficiary.iban || beneficiary.account_number,
+      country: beneficiary.country,
+      addressLines: beneficiary.address_line ? [beneficiary.address_line] : []
+    };
+    const routing = {
+      creditorBic: beneficiary.bic,
+      intermediaryBic: intermediaryBic || beneficiary.intermediary_bic || null
+    };
+
+    const problems = validateSwiftTransfer({
+      senderBic: this.sender.bic,
+      ...routing,
+      chargeBearer,
+      purposeCode,
+      currency: asset.symbol,
+      creditorAccount: creditor.account
+    });
+    if (problems.length > 0) {
+      throw new SwiftError('INVALID_TRANSFER', problems[0].message, { errors: problems });
+    }
+
+    return withTransaction(this.pool, async (client) => {
+      const transactionResult = await client.query(
+        `INSERT INTO transactions (user_id, transaction_type, from_asset_id, amount, counterparty, counterparty_country, status, created_at)
+         VALUES ($1, 'swift', $2, $3, $4, $5, 'processing', NOW())
+         RETURNING *`,
+        [userId, asset.id, amount, creditor.account, creditor.country || routing.creditorBic.slice(4, 6)]
+      );
+
+      const transaction = transactionResult.rows[0];
+
+      // Wires cannot be recalled once sent, so the funds leave the balance right away
+      await LedgerManager.transfer(client, {
+        entryType: 'swift',
+        transactionId: transaction.id,
+        description: `SWIFT transfer to ${creditor.name}`,
+        from: LedgerManager.userAccount(userId, null, asset.id),
+        to: LedgerManager.omnibusAccount(asset.id),
+        amount
+      });
+
+      const reference = referenceFor(transaction.id);
+      const transferResult = await client.query(
+        `INSERT INTO swift_transfers (transaction_id, user_id, beneficiary_id, reference, uetr, creditor_name, creditor_account,
+                                      creditor_bic, intermediary_bic, amount, currency, charge_bearer, purpose_code,
+                                      remittance_information, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW())
+         RETURNING *`,
+        [
+          transaction.id, userId, beneficiary.id, reference, crypto.randomUUID(), creditor.name, creditor.account,
+          routing.creditorBic, routing.intermediaryBic, amount, asset.symbol, chargeBearer, purposeCode,
+          remittanceInformation, TRANSFER_STATUSES.PENDING
+        ]
+      );
+
+      const transfer = transferResult.rows[0];
+      const details = {
+        reference,
+        endToEndId: transaction.id.replace(/-/g, ''),
+        uetr: transfer.uetr,
+        valueDate: new Date(),
+        amount,
+        currency: asset.symbol,
+        chargeBearer,
+        purposeCode,
+        senderBic: this.sender.bic,
+        debtor: await this.debtorFor(client, userId, asset.symbol),
+        ...routing,
+        creditor,
+        remittanceInformation
+      };
+
+      for (const [messageType, content] of [['MT103', buildMt103(details)], ['pacs.008', buildPacs008(details)]]) {
+        await client.query(
+          `INSERT INTO swift_messages (swift_transfer_id, direction, message_type, message_id, content, created_at)
+           VALUES ($1, 'outbound', $2, $3, $4, NOW())`,
+          [transfer.id, messageType, reference, content]
+        );
+      }
+
+      return { transaction, transfer };
+    });
+  }
+
+  async getTransfer(userId, transactionId) {
+    const result = await this.pool.query(
+      'SELECT * FROM swift_transfers WHERE transaction_id = $1 AND user_id = $2',
+      [transactionId, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Writes messages of pending transfers to the outbox directory and marks them sent
+  async exportMessages() {
+    if (!this.outboxDir) {
+      return 0;
+    }
+
+    const messages = await this.pool.query(
+      `SELECT m.id, m.swift_transfer_id, m.message_id, m.content
+       FROM swift_messages m
+       JOIN swift_transfers s ON s.id = m.swift_transfer_id
+       WHERE m.direction = 'outbound' AND m.message_type = $1 AND m.exported_at IS NULL AND s.status = $2
+       ORDER BY m.created_at`,
+      [this.messageType, TRANSFER_STATUSES.PENDING]
+    );
+
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    for (const message of messages.rows) {
+      const fileName = `${this.messageType}.${message.message_id}.${this.messageType === 'MT103' ? 'fin' : 'xml'}`;
+      await fs.promises.writeFile(path.join(this.outboxDir, fileName), message.content);
+
+      await withTransaction(this.pool, async (client) => {
+        await client.query(
+          'UPDATE swift_messages SET exported_at = NOW(), file_name = $1 WHERE id = $2',
+          [fileName, message.id]
+        );
+        await client.query(
+          'UPDATE swift_transfers SET status = $1, sent_at = NOW(), updated_at = NOW() WHERE id = $2 AND status = $3',
+          [TRANSFER_STATUSES.SENT, message.swift_transfer_id, TRANSFER_STATUSES.PENDING]
+        );
+      });
+      this.logger.info(`SWIFT ${this.messageType} ${message.message_id} exported to ${fileName}`);
+    }
+
+    return messages.rows.length;
+  }
+
+  // Applies an MT199 or pacs.002 once; returns the transfers it updated
+  async ingestStatusMessage(content, fileName = null) {
+    const message = parseStatusMessage(content);
+    const events = [];
+
+    const updated = await withTransaction(this.pool, async (client) => {
+      const recorded = await client.query(
+        `INSERT INTO swift_messages (direction, message_type, message_id, content, file_name, created_at)
+         VALUES ('inbound', $1, $2, $3, $4, NOW())
+         ON CONFLICT (message_type, message_id) WHERE direction = 'inbound' DO NOTHING
+         RETURNING id`,
+        [message.messageType, message.messageId, content, fileName]
+      );
+
+      if (message.messageId && recorded.rows.length === 0) {
+        return null;
+      }
+
+      const transfers = [];
+      for (const update of message.updates) {
+        const transfer = await this.applyStatus(client, update, events);
+        if (transfer) {
+          transfers.push(transfer);
+          await client.query(
+            'UPDATE swift_messages SET swift_transfer_id = $1 WHERE id = $2 AND swift_transfer_id IS NULL',
+            [transfer.id, recorded.rows[0].id]
+          );
+        }
+      }
+
+      return transfers;
+    });
+
+    if (!updated) {
+      this.logger.info(`${message.messageType} ${message.messageId} was already ingested`);
+      return { messageId: message.messageId, duplicate: true, transfers: [] };
+    }
+
+    for (const event of events) {
+      try {
+        await (event.status === TRANSFER_STATUSES.COMPLETED
+          ? this.onCompleted(event.transaction, event.transfer)
+          : this.onRejected(event.transaction, event.transfer));
+      } catch (error) {
+        this.logger.error('Failed to publish SWIFT event:', error);
+      }
+    }
+
+    return { messageId: message.messageId, duplicate: false, transfers: updated };
+  }
+
+  async applyStatus(client, update, events) {
+    const result = await client.query(
+      'SELECT * FROM swift_transfers WHERE uetr::text = $1 OR reference = $2 ORDER BY created_at LIMIT 1 FOR UPDATE',
+      [update.uetr, update.reference]
+    );
+
+    const transfer = result.rows[0];
+    if (!transfer) {
+      this.logger.warn(`SWIFT status ${update.code} for ${update.uetr || update.reference} matches no transfer`);
+      return null;
+    }
+
+    // Final statuses are not revisited, and unknown codes only record the report
+    const final = [TRANSFER_STATUSES.COMPLETED, TRANSFER_STATUSES.REJECTED].includes(transfer.status);
+    if (final || !update.status) {
+      this.logger.info(`SWIFT status ${update.code} for ${transfer.reference} left it ${transfer.status}`);
+      return transfer;
+    }
+
+    const updated = await client.query(
+      `UPDATE swift_transfers SET status = $1, status_code = $2, status_reason = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [update.status, update.code, statusReason(update), transfer.id]
+    );
+
+    if (update.status === TRANSFER_STATUSES.COMPLETED) {
+      const transaction = await client.query(
+        `UPDATE transactions SET status = 'completed', completed_at = NOW() WHERE id = $1 RETURNING *`,
+        [transfer.transaction_id]
+      );
+      events.push({ status: update.status, transaction: transaction.rows[0], transfer: updated.rows[0] });
+    }
+
+    if (update.status === TRANSFER_STATUSES.REJECTED) {
+      await LedgerManager.reverseTransaction(client, transfer.transaction_id, {
+        entryType: 'swift_return',
+        description: `SWIFT transfer ${transfer.reference} rejected (${update.reason || update.code})`,
+        metadata: { uetr: transfer.uetr, reason: update.reason }
+      });
+      const transaction = await client.query(
+        `UPDATE transactions SET status = 'failed' WHERE id = $1 RETURNING *`,
+        [transfer.transaction_id]
+      );
+      events.push({ status: update.status, transaction: transaction.rows[0], transfer: updated.rows[0] });
+    }
+
+    return updated.rows[0];
+  }
+
+  // Ingests every status message in the inbox directory, moving each to processed/ or,
+  // if it cannot be applied, to failed/
+  async ingestInbox() {
+    if (!this.inboxDir) {
+      return 0;
+    }
+
+    const files = (await fs.promises.readdir(this.inboxDir, { withFileTypes: true }))
+      .filter((file) => file.isFile())
+      .map((file) => file.name)
+      .sort();
+
+    for (const fileName of files) {
+      const source = path.join(this.inboxDir, fileName);
+      let target = 'processed';
+
+      try {
+        await this.ingestStatusMessage(await fs.promises.readFile(source, 'utf8'), fileName);
+      } catch (error) {
+        this.logger.error(`Failed to ingest SWIFT message ${fileName}:`, error);
+        target = 'failed';
+      }
+
+      await fs.promises.mkdir(path.join(this.inboxDir, target), { recursive: true });
+      await fs.promises.rename(source, path.join(this.inboxDir, target, fileName));
+    }
+
+    return files.length;
+  }
+
+  async run() {
+    await this.exportMessages();
+    await this.ingestInbox();
+  }
+}
+
+module.exports = {
+  TRANSFER_STATUSES,
+  SwiftError,
+  SwiftManager,
+  toJsonSwiftTransfer
+};
@@ -0,0 +1,308 @@
+const { XmlError, buildXml, parseXml, find, findAll, textOf } = require('cryptohybrid-shared');
+const { formatAmount } = require('./sepaMessages');
+
+// SWIFT messages for cross-border customer transfers: MT103 and its ISO 20022 successor
+// pacs.008.001.08 (CBPR+) sent for each transfer, and the MT199 gpi tracker and pacs.002
+// status reports received about them. Transfers are validated before either is built.
+
+const PACS_008_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08';
+
+const BIC_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+// MT103 field 71A code and the pacs.008 ChrgBr it corresponds to
+const CHARGE_BEARERS = {
+  OUR: 'DEBT',
+  SHA: 'SHAR',
+  BEN: 'CRED'
+};
+
+// The ISO 20022 external purpose codes accepted for customer transfers
+const PURPOSE_CODES = [
+  'BEXP', 'CHAR', 'COMC', 'DIVI', 'EDUC', 'FEES', 'GDDS', 'GIFT', 'GOVT', 'INSU', 'INTC', 'INTE', 'INVS',
+  'LOAN', 'MDCS', 'OTHR', 'PENS', 'RENT', 'SALA', 'SCVE', 'SUPP', 'TAXS', 'TRAD'
+];
+
+// Within the EEA both sides must bear their own bank's charges
+const EEA_COUNTRIES = [
+  'AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE', 'IS', 'IT', 'LI',
+  'LT', 'LU', 'LV', 'MT', 'NL', 'NO', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'
+];
+
+// ISO 20022 transaction statuses, also used by the gpi tracker in MT199 narratives
+const STATUS_CODES = {
+  ACCC: 'completed',
+  ACSC: 'completed',
+  ACSP: 'accepted',
+  ACTC: 'accepted',
+  ACCP: 'accepted',
+  ACWC: 'accepted',
+  PDNG: 'accepted',
+  RJCT: 'rejected'
+};
+
+class SwiftMessageError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SwiftMessageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const bicCountry = (bic) => (bic ? bic.slice(4, 6) : null);
+
+// Problems with a transfer's bank details, as { field, code, message }; empty when valid
+const validateSwiftTransfer = ({ senderBic, creditorBic, intermediaryBic = null, chargeBearer, purposeCode = null, currency, creditorAccount }) => {
+  const problems = [];
+  const problem = (field, code, message) => problems.push({ field, code, message });
+
+  if (!creditorBic || !BIC_PATTERN.test(creditorBic)) {
+    problem('bic', 'INVALID_BIC', 'The beneficiary bank BIC is not a valid 8 or 11 character BIC');
+  }
+  if (intermediaryBic && !BIC_PATTERN.test(intermediaryBic)) {
+    problem('intermediaryBic', 'INVALID_BIC', 'The intermediary bank BIC is not a valid 8 or 11 character BIC');
+  }
+  if (intermediaryBic && creditorBic && intermediaryBic.slice(0, 8) === creditorBic.slice(0, 8)) {
+    problem('intermediaryBic', 'INVALID_INTERMEDIARY', 'The intermediary bank cannot be the beneficiary bank');
+  }
+  if (!CHARGE_BEARERS[chargeBearer]) {
+    problem('chargeBearer', 'INVALID_CHARGE_BEARER', `Charge bearer must be one of ${Object.keys(CHARGE_BEARERS).join(', ')}`);
+  } else if (chargeBearer !== 'SHA' && EEA_COUNTRIES.includes(bicCountry(senderBic)) && EEA_COUNTRIES.includes(bicCountry(creditorBic))) {
+    problem('chargeBearer', 'CHARGE_BEARER_NOT_ALLOWED', 'Transfers within the EEA must share charges (SHA)');
+  }
+  if (purposeCode && !PURPOSE_CODES.includes(purposeCode)) {
+    problem('purposeCode', 'INVALID_PURPOSE_CODE', `Purpose code must be one of ${PURPOSE_CODES.join(', ')}`);
+  }
+  if (!/^[A-Z]{3}$/.test(currency || '')) {
+    problem('currency', 'INVALID_CURRENCY', 'Currency must be an ISO 4217 code');
+  }
+  if (!creditorAccount || !/^[A-Z0-9]{1,34}$/.test(creditorAccount)) {
+    problem('account', 'INVALID_ACCOUNT', 'The beneficiary account must be 1 to 34 letters and digits');
+  }
+
+  return problems;
+};
+
+// The SWIFT x character set; lines cannot start with ':' or '-', which delimit fields
+const swiftText = (value, maxLength) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^[:-]+/, '')
+  .slice(0, maxLength);
+
+// Up to lineCount lines of 35 characters, broken at spaces where possible
+const swiftLines = (value, lineCount) => {
+  const lines = [];
+  let rest = swiftText(value, 35 * lineCount);
+
+  while (rest && lines.length < lineCount) {
+    let line = rest.slice(0, 35);
+    if (rest.length > 35 && line.includes(' ')) {
+      line = line.slice(0, line.lastIndexOf(' '));
+    }
+    lines.push(line.trim().replace(/^[:-]+/, ''));
+    rest = rest.slice(line.length).trim();
+  }
+
+  return lines.filter(Boolean);
+};
+
+const mtAmount = (amount) => formatAmount(amount).replace('.', ',');
+
+const mtDate = (date) => date.toISOString().slice(2, 10).replace(/-/g, '');
+
+// Logical terminal address: the BIC8, a terminal code and the branch
+const terminal = (bic, code) => `${bic.slice(0, 8)}${code}${(bic.slice(8) || 'XXX')}`;
+
+const partyField = (tag, { account, name, addressLines = [] }) => [
+  `:${tag}:/${account}`,
+  ...swiftLines(name, 1),
+  ...addressLines.flatMap((line) => swiftLines(line, 1)).slice(0, 3)
+];
+
+// The MT103 sent to the receiver, the intermediary bank if there is one
+const buildMt103 = ({ reference, uetr, valueDate, amount, currency, chargeBearer, purposeCode, senderBic, debtor, intermediaryBic, creditorBic, creditor, remittanceInformation }) => {
+  const receiver = intermediaryBic || creditorBic;
+  const fields = [
+    `:20:${reference}`,
+    ':23B:CRED',
+    `:32A:${mtDate(valueDate)}${currency}${mtAmount(amount)}`,
+    ...partyField('50K', debtor),
+    intermediaryBic && `:56A:${intermediaryBic}`,
+    `:57A:${creditorBic}`,
+    ...partyField('59', creditor),
+    remittanceInformation && swiftLines(remittanceInformation, 4).map((line, index) => (index === 0 ? `:70:${line}` : line)),
+    `:71A:${chargeBearer}`,
+    // Charges the beneficiary bears are reported as taken by the sender, which takes none
+    chargeBearer === 'BEN' && `:71F:${currency}0,`,
+    purposeCode && `:77B:/PURP/${purposeCode}`
+  ].flat().filter(Boolean);
+
+  return [
+    `{1:F01${terminal(senderBic, 'A')}0000000000}`,
+    `{2:I103${terminal(receiver, 'X')}N}`,
+    `{3:{121:${uetr}}}`,
+    `{4:\r\n${fields.join('\r\n')}\r\n-}`
+  ].join('');
+};
+
+const agent = (bic) => ['FinInstnId', [['BICFI', bic]]];
+
+const account = (id) => (/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(id)
+  ? ['Id', [['IBAN', id]]]
+  : ['Id', [['Othr', [['Id', id]]]]]);
+
+const party = ({ name, country, addressLines = [] }) => [
+  ['Nm', swiftText(name, 140)],
+  country || addressLines.length > 0
+    ? ['PstlAdr', [country && ['Ctry', country], ...addressLines.slice(0, 3).map((line) => ['AdrLine', swiftText(line, 70)])]]
+    : null
+];
+
+// The pacs.008 for the same transfer, settled through the receiver's account with us (INDA)
+const buildPacs008 = ({ reference, endToEndId, uetr, createdAt = new Date(), valueDate, amount, currency, chargeBearer, purposeCode, senderBic, debtor, intermediaryBic, creditorBic, creditor, remittanceInformation }) => buildXml(['Document', [
+  ['FIToFICstmrCdtTrf', [
+    ['GrpHdr', [
+      ['MsgId', reference],
+      ['CreDtTm', createdAt.toISOString().slice(0, 19)],
+      ['NbOfTxs', '1'],
+      ['SttlmInf', [['SttlmMtd', 'INDA']]]
+    ]],
+    ['CdtTrfTxInf', [
+      ['PmtId', [
+        ['InstrId', reference],
+        ['EndToEndId', endToEndId],
+        ['UETR', uetr]
+      ]],
+      ['IntrBkSttlmAmt', formatAmount(amount), { Ccy: currency }],
+      ['IntrBkSttlmDt', valueDate.toISOString().slice(0, 10)],
+      ['ChrgBr', CHARGE_BEARERS[chargeBearer]],
+      chargeBearer === 'BEN'
+        ? ['ChrgsInf', [['Amt', '0.00', { Ccy: currency }], ['Agt', [agent(senderBic)]]]]
+        : null,
+      ['InstgAgt', [agent(senderBic)]],
+      ['InstdAgt', [agent(intermediaryBic || creditorBic)]],
+      intermediaryBic ? ['IntrmyAgt1', [agent(intermediaryBic)]] : null,
+      ['Dbtr', party(debtor)],
+      ['DbtrAcct', [account(debtor.account)]],
+      ['DbtrAgt', [agent(senderBic)]],
+      ['CdtrAgt', [agent(creditorBic)]],
+      ['Cdtr', party(creditor)],
+      ['CdtrAcct', [account(creditor.account)]],
+      purposeCode ? ['Purp', [['Cd', purposeCode]]] : null,
+      remittanceInformation ? ['RmtInf', [['Ustrd', swiftText(remittanceInformation, 140)]]] : null
+    ]]
+  ]]
+], { xmlns: PACS_008_NAMESPACE }]);
+
+const statusOf = (code) => STATUS_CODES[code] || null;
+
+// Splits an MT message into its header blocks and text block fields
+const parseMt = (text) => {
+  const header = text.match(/\{2:([IO])(\d{3})/);
+  const uetr = text.match(/\{121:([0-9a-fA-F-]{36})\}/);
+  const body = text.match(/\{4:\r?\n([\s\S]*?)\r?\n-\}/);
+  if (!header || !body) {
+    throw new SwiftMessageError('INVALID_MESSAGE', 'Not a SWIFT MT message');
+  }
+
+  const fields = {};
+  for (const field of body[1].split(/\r?\n(?=:\w{2,3}:)/)) {
+    const match = field.match(/^:(\w{2,3}):([\s\S]*)$/);
+    if (match) {
+      fields[match[1]] = match[2].trim();
+    }
+  }
+
+  return { messageType: `MT${header[2]}`, uetr: uetr ? uetr[1].toLowerCase() : null, fields };
+};
+
+// gpi tracker updates carry the status as //CODE or //CODE/REASON in field 79
+const readMt199 = (text) => {
+  const message = parseMt(text);
+  if (message.messageType !== 'MT199') {
+    throw new SwiftMessageError('UNSUPPORTED_MESSAGE', 'Expected an MT199 or pacs.002 status message', { messageType: message.messageType });
+  }
+
+  const narrative = message.fields['79'] || '';
+  const status = narrative.match(/\/\/(ACCC|ACSC|ACSP|ACTC|ACCP|ACWC|PDNG|RJCT)(?:\/([A-Z0-9]{4}))?/);
+
+  return {
+    messageType: 'MT199',
+    messageId: message.fields['20'] || null,
+    updates: [{
+      reference: message.fields['21'] || null,
+      uetr: message.uetr,
+      status: status ? statusOf(status[1]) : null,
+      code: status ? status[1] : null,
+      reason: status ? status[2] || null : null,
+      information: narrative || null
+    }]
+  };
+};
+
+const readPacs002 = (xml) => {
+  let document;
+  try {
+    document = parseXml(xml);
+  } catch (error) {
+    if (error instanceof XmlError) {
+      throw new SwiftMessageError('INVALID_MESSAGE', error.message);
+    }
+    throw error;
+  }
+
+  const report = find(document, 'FIToFIPmtStsRpt');
+  if (document.name !== 'Document' || !report) {
+    throw new SwiftMessageError('UNSUPPORTED_MESSAGE', 'Expected an MT199 or pacs.002 status message', {
+      root: document.children[0] ? document.children[0].name : document.name
+    });
+  }
+
+  const transactions = findAll(report, 'TxInfAndSts');
+  const group = find(report, 'OrgnlGrpInfAndSts');
+  const updates = transactions.map((transaction) => ({
+    reference: textOf(transaction, 'OrgnlInstrId') || textOf(transaction, 'OrgnlEndToEndId'),
+    uetr: (textOf(transaction, 'OrgnlUETR') || '').toLowerCase() || null,
+    status: statusOf(textOf(transaction, 'TxSts')),
+    code: textOf(transaction, 'TxSts'),
+    reason: textOf(transaction, 'StsRsnInf', 'Rsn', 'Cd'),
+    information: findAll(transaction, 'StsRsnInf', 'AddtlInf').map((line) => line.text).join(' ') || null
+  }));
+
+  // A status for the whole message, which carried a single transfer
+  if (updates.length === 0 && group && textOf(group, 'GrpSts')) {
+    updates.push({
+      reference: textOf(group, 'OrgnlMsgId'),
+      uetr: null,
+      status: statusOf(textOf(group, 'GrpSts')),
+      code: textOf(group, 'GrpSts'),
+      reason: textOf(group, 'StsRsnInf', 'Rsn', 'Cd'),
+      information: findAll(group, 'StsRsnInf', 'AddtlInf').map((line) => line.text).join(' ') || null
+    });
+  }
+
+  return { messageType: 'pacs.002', messageId: textOf(report, 'GrpHdr', 'MsgId'), updates };
+};
+
+// Reads an MT199 or pacs.002 into status updates for the transfers they refer to
+const parseStatusMessage = (content) => {
+  const text = String(content).replace(/^\uFEFF/, '').trim();
+  return text.startsWith('<') ? readPacs002(text) : readMt199(text);
+};
+
+module.exports = {
+  PACS_008_NAMESPACE,
+  BIC_PATTERN,
+  CHARGE_BEARERS,
+  PURPOSE_CODES,
+  SwiftMessageError,
+  validateSwiftTransfer,
+  swiftText,
+  buildMt103,
+  buildPacs008,
+  parseStatusMessage
+};
@@ -0,0 +1,462 @@
+const crypto = require('crypto');
+const { multiplyAmounts, compareAmounts } = require('cryptohybrid-shared');
+
+// Travel Rule data for crypto sends (FATF Recommendation 16).
+// Sends worth at least the threshold carry the originator's and the beneficiary's identity
+// as an IVMS101 payload, stored with the transaction. When the beneficiary's wallet is held
+// by another VASP, the payload goes to that VASP through the configured transport and the
+// send waits until the VASP acknowledges it; a rejection fails the send. Payloads for
+// unhosted wallets are only kept on record.
+
+const TRAVEL_RULE_STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  ACKNOWLEDGED: 'acknowledged',
+  REJECTED: 'rejected',
+  UNHOSTED: 'unhosted'
+};
+
+const WALLET_TYPES = ['hosted', 'unhosted'];
+
+const PERSON_TYPES = ['natural', 'legal'];
+
+class TravelRuleError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'TravelRuleError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const nameOf = (person) => (person.type === 'legal'
+  ? person.name
+  : [person.firstName, person.lastName].filter(Boolean).join(' '));
+
+// IVMS101 Person: natural persons by their legal name, legal persons by their registered
+// name and LEI when known
+const ivmsPerson = (person) => {
+  if (person.type === 'legal') {
+    return {
+      legalPerson: {
+        name: { nameIdentifier: [{ legalPersonName: person.name, legalPersonNameIdentifierType: 'LEGL' }] },
+        ...(person.lei && { nationalIdentification: { nationalIdentifier: person.lei, nationalIdentifierType: 'LEIX' } }),
+        ...(person.customerIdentification && { customerIdentification: person.customerIdentification }),
+        ...(person.country && { countryOfRegistration: person.country })
+      }
+    };
+  }
+
+  return {
+    naturalPerson: {
+      name: { nameIdentifier: [{ primaryIdentifier: person.lastName, secondaryIdentifier: person.firstName, nameIdentifierType: 'LEGL' }] },
+      ...(person.customerIdentification && { customerIdentification: person.customerIdentification }),
+      ...(person.country && { countryOfResidence: person.country })
+    }
+  };
+};
+
+// The IVMS101 identity payload exchanged between VASPs; the beneficiary VASP is left out
+// for unhosted wallets
+const buildIvms101 = ({ originator, beneficiary, originatingVasp, beneficiaryVasp = null }) => ({
+  originator: {
+    originatorPersons: [ivmsPerson(originator)],
+    accountNumber: [originator.accountNumber].filter(Boolean)
+  },
+  beneficiary: {
+    beneficiaryPersons: [ivmsPerson(beneficiary)],
+    accountNumber: [beneficiary.accountNumber].filter(Boolean)
+  },
+  originatingVASP: {
+    originatingVASP: ivmsPerson({ type: 'legal', ...originatingVasp })
+  },
+  ...(beneficiaryVasp && {
+    beneficiaryVASP: {
+      beneficiaryVASP: ivmsPerson({ type: 'legal', name: beneficiaryVasp.name, lei: beneficiaryVasp.lei })
+    }
+  })
+});
+
+// Checks the beneficiary details given with a send: who they are, and who holds their wallet
+const validateBeneficiary = (beneficiary, { thresholdUsd = null, amountUsd = null } = {}) => {
+  if (!beneficiary) {
+    throw new TravelRuleError('BENEFICIARY_REQUIRED', 'Sends of this value need the beneficiary\'s details', { thresholdUsd, amountUsd });
+  }
+
+  const errors = [];
+  const type = beneficiary.type || 'natural';
+  if (!PERSON_TYPES.includes(type)) {
+    errors.push('type must be natural or legal');
+  } else if (type === 'natural' && (!beneficiary.firstName || !beneficiary.lastName)) {
+    errors.push('firstName and lastName are required for a natural person');
+  } else if (type === 'legal' && !beneficiary.name) {
+    errors.push('name is required for a legal person');
+  }
+  if (!WALLET_TYPES.includes(beneficiary.walletType)) {
+    errors.push('walletType must be hosted or unhosted');
+  } else if (beneficiary.walletType === 'hosted' && !(beneficiary.vasp && beneficiary.vasp.id)) {
+    errors.push('vasp.id is required for a hosted wallet');
+  }
+
+  if (errors.length > 0) {
+    throw new TravelRuleError('INVALID_BENEFICIARY', 'The beneficiary\'s details are incomplete', { errors });
+  }
+
+  return { ...beneficiary, type };
+};
+
+const toJsonTravelRuleTransfer = (transfer) => ({
+  id: transfer.id,
+  transactionId: transfer.transaction_id,
+  amount: transfer.amount,
+  amountUsd: transfer.amount_usd,
+  beneficiaryAddress: transfer.beneficiary_address,
+  beneficiaryName: transfer.beneficiary_name,
+  walletType: transfer.wallet_type,
+  beneficiaryVasp: transfer.beneficiary_vasp_id
+    ? { id: transfer.beneficiary_vasp_id, name: transfer.beneficiary_vasp_name }
+    : null,
+  payload: transfer.payload,
+  transport: transfer.transport,
+  transportReference: transfer.transport_reference,
+  status: transfer.status,
+  statusReason: transfer.status_reason,
+  sentAt: transfer.sent_at,
+  respondedAt: transfer.responded_at,
+  createdAt: transfer.created_at
+});
+
+// A route to counterparty VASPs. send resolves to { status, reference, reason }: 'sent'
+// while the VASP has yet to answer, which it does later through the Travel Rule webhook,
+// or 'acknowledged' or 'rejected' when it answers at once.
+class TravelRuleTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async send({ transfer, asset }) {
+    throw new Error(`${this.name} Travel Rule transport does not implement send`);
+  }
+}
+
+// Stands in for counterparty VASPs in development: every transfer is answered at once with
+// the configured response, or left waiting for `npm run travel-rule:respond` with 'none'
+class StubTravelRuleTransport extends TravelRuleTransport {
+  constructor({ response = 'acknowledge' } = {}) {
+    super('stub');
+    this.response = response;
+  }
+
+  async send({ transfer }) {
+    const reference = `stub_${transfer.id}`;
+
+    switch (this.response) {
+      case 'acknowledge':
+        return { status: TRAVEL_RULE_STATUSES.ACKNOWLEDGED, reference, reason: null };
+      case 'reject':
+        return { status: TRAVEL_RULE_STATUSES.REJECTED, reference, reason: 'Rejected by the stub VASP' };
+      default:
+        return { status: TRAVEL_RULE_STATUSES.SENT, reference, reason: null };
+    }
+  }
+}
+
+// A Travel Rule network's REST API, which routes the payload to the beneficiary's VASP:
+//   POST /v1/transfers { transferId, beneficiaryVasp, asset, amount, address, ivms101 } -> { id, status, reason }
+// with status 'pending', 'acknowledged' or 'rejected'. Requests are signed with
+// HMAC-SHA256 over timestamp + body.
+class HttpTravelRuleTransport extends TravelRuleTransport {
+  constructor({ httpClient, baseUrl, apiKey, apiSecret, timeoutMs = 10000 }) {
+    super('http');
+    this.httpClient = httpClient;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send({ transfer, asset }) {
+    const body = JSON.stringify({
+      transferId: transfer.id,
+      beneficiaryVasp: transfer.beneficiary_vasp_id,
+      asset: asset.symbol,
+      amount: String(transfer.amount),
+      address: transfer.beneficiary_address,
+      ivms101: transfer.payload
+    });
+    const timestamp = String(Date.now());
+    const signature = crypto.createHmac('sha256', this.apiSecret).update(`${timestamp}${body}`).digest('hex');
+
+    let response;
+    try {
+      response = await this.httpClient.post(`${this.baseUrl}/v1/transfers`, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-API-KEY': this.apiKey,
+          'X-TIMESTAMP': timestamp,
+          'X-SIGNATURE': signature
+        },
+        timeout: this.timeoutMs
+      });
+    } catch (error) {
+      const data = error.response && error.response.data;
+      throw new TravelRuleError('TRANSPORT_FAILED', `The Travel Rule network refused the transfer: ${(data && data.message) || error.message}`);
+    }
+
+    const { id, status, reason = null } = response.data || {};
+    if (!id) {
+      throw new TravelRuleError('TRANSPORT_FAILED', 'The Travel Rule network returned no transfer id');
+    }
+
+    return {
+      status: [TRAVEL_RULE_STATUSES.ACKNOWLEDGED, TRAVEL_RULE_STATUSES.REJECTED].includes(status) ? status : TRAVEL_RULE_STATUSES.SENT,
+      reference: String(id),
+      reason
+    };
+  }
+}
+
+class TravelRuleManager {
+  constructor({ pool, transport, logger = console, priceOracle = null, thresholdUsd = '1000', vasp = {}, webhookSecret = null, onAcknowledged = async () => {}, onRejected = async () => {} }) {
+    this.pool = pool;
+    this.transport = transport;
+    this.logger = logger;
+    this.priceOracle = priceOracle;
+    this.thresholdUsd = String(thresholdUsd);
+    this.vasp = vasp;
+    this.webhookSecret = webhookSecret;
+    this.onAcknowledged = onAcknowledged;
+    this.onRejected = onRejected;
+  }
+
+  // Whether a send needs Travel Rule data, with its USD value. Sends that cannot be valued
+  // are treated as above the threshold.
+  async assess(asset, amount) {
+    if (compareAmounts(this.thresholdUsd, '0') <= 0) {
+      return { required: true, amountUsd: null };
+    }
+
+    try {
+      const quote = await this.priceOracle.getPrice(asset, 'usd');
+      const amountUsd = multiplyAmounts(String(amount), quote.price);
+      return { required: compareAmounts(amountUsd, this.thresholdUsd) >= 0, amountUsd };
+    } catch (error) {
+      this.logger.warn(`No USD value for a ${asset.symbol} send, requiring Travel Rule data: ${error.message}`);
+      return { required: true, amountUsd: null };
+    }
+  }
+
+  // Stores the Travel Rule data of a send in the database transaction creating it
+  async record(client, { transaction, wallet, asset, amount, amountUsd, toAddress, beneficiary }) {
+    const userResult = await client.query(
+      'SELECT id, first_name, last_name, country_code FROM users WHERE id = $1',
+      [transaction.user_id]
+    );
+    const user = userResult.rows[0];
+
+    const hosted = beneficiary.walletType === 'hosted';
+    const payload = buildIvms101({
+      originator: {
+        type: 'natural',
+        firstName: user.first_name,
+        lastName: user.last_name,
+        customerIdentification: user.id,
+        country: user.country_code ? user.country_code.trim() : null,
+        accountNumber: wallet.wallet_address
+      },
+      beneficiary: { ...beneficiary, accountNumber: toAddress },
+      originatingVasp: this.vasp,
+      beneficiaryVasp: hosted ? { name: beneficiary.vasp.name || beneficiary.vasp.id, lei: beneficiary.vasp.lei } : null
+    });
+
+    const result = await client.query(
+      `INSERT INTO travel_rule_transfers (transaction_id, user_id, asset_id, amount, amount_usd, beneficiary_address, beneficiary_name,
+                                          wallet_type, beneficiary_vasp_id, beneficiary_vasp_name, payload, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+       RETURNING *`,
+      [
+        transaction.id,
+        transaction.user_id,
+        asset.id,
+        amount,
+        amountUsd,
+        toAddress,
+        nameOf(beneficiary),
+        beneficiary.walletType,
+        hosted ? beneficiary.vasp.id : null,
+        hosted ? beneficiary.vasp.name || null : null,
+        JSON.stringify(payload),
+        hosted ? TRAVEL_RULE_STATUSES.PENDING : TRAVEL_RULE_STATUSES.UNHOSTED
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  async getForTransaction(transactionId) {
+    const result = await this.pool.query('SELECT * FROM travel_rule_transfers WHERE transaction_id = $1', [transactionId]);
+    return result.rows[0] || null;
+  }
+
+  async getTransfer(userId, transactionId) {
+    const result = await this.pool.query(
+      'SELECT * FROM travel_rule_transfers WHERE transaction_id = $1 AND user_id = $2',
+      [transactionId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Hands a pending transfer to the transport. Transport failures leave it pending for the
+  // next run.
+  async send(transferId) {
+    const result = await this.pool.query(
+      `SELECT t.*, a.symbol FROM travel_rule_transfers t
+       JOIN assets a ON a.id = t.asset_id
+       WHERE t.id = $1 AND t.status = $2`,
+      [transferId, TRAVEL_RULE_STATUSES.PENDING]
+    );
+    const transfer = result.rows[0];
+    if (!transfer) {
+      return null;
+    }
+
+    let outcome;
+    try {
+      outcome = await this.transport.send({ transfer, asset: { symbol: transfer.symbol } });
+    } catch (error) {
+      await this.pool.query(
+        'UPDATE travel_rule_transfers SET attempts = attempts + 1, last_error = $1, updated_at = NOW() WHERE id = $2',
+        [String(error.message).slice(0, 255), transfer.id]
+      );
+      this.logger.error(`Sending Travel Rule transfer ${transfer.id} failed:`, error);
+      return transfer;
+    }
+
+    const sent = await this.pool.query(
+      `UPDATE travel_rule_transfers
+       SET status = $1, transport = $2, transport_reference = $3, attempts = attempts + 1, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+       WHERE id = $4 AND status = $5
+       RETURNING *`,
+      [TRAVEL_RULE_STATUSES.SENT, this.transport.name, outcome.reference, transfer.id, TRAVEL_RULE_STATUSES.PENDING]
+    );
+    this.logger.info(`Travel Rule transfer ${transfer.id} sent to ${transfer.beneficiary_vasp_id} through ${this.transport.name}`);
+
+    if (outcome.status === TRAVEL_RULE_STATUSES.SENT) {
+      return sent.rows[0] || transfer;
+    }
+
+    return this.respond({ transferId: transfer.id, status: outcome.status, reason: outcome.reason });
+  }
+
+  // Sends the transfers still pending for sends waiting on them, and applies again the
+  // answers whose send is still waiting because applying them failed after they were recorded
+  async run() {
+    const result = await this.pool.query(
+      `SELECT t.id FROM travel_rule_transfers t
+       JOIN transactions tx ON tx.id = t.transaction_id
+       WHERE t.status = $1 AND tx.status = 'pending_travel_rule'
+       ORDER BY t.created_at`,
+      [TRAVEL_RULE_STATUSES.PENDING]
+    );
+
+    for (const { id } of result.rows) {
+      await this.send(id);
+    }
+
+    const answered = await this.pool.query(
+      `SELECT t.* FROM travel_rule_transfers t
+       JOIN transactions tx ON tx.id = t.transaction_id
+       WHERE t.status = ANY($1) AND tx.status = 'pending_travel_rule'
+       ORDER BY t.responded_at`,
+      [[TRAVEL_RULE_STATUSES.ACKNOWLEDGED, TRAVEL_RULE_STATUSES.REJECTED]]
+    );
+
+    for (const transfer of answered.rows) {
+      await this.apply(transfer);
+    }
+  }
+
+  // Moves the send of an answered transfer on. A failure is logged and left to the next run.
+  async apply(transfer) {
+    try {
+      if (transfer.status === TRAVEL_RULE_STATUSES.ACKNOWLEDGED) {
+        await this.onAcknowledged(transfer);
+      } else {
+        await this.onRejected(transfer);
+      }
+    } catch (error) {
+      this.logger.error(`Applying the answer to Travel Rule transfer ${transfer.id} failed:`, error);
+    }
+  }
+
+  // Records the counterparty VASP's answer to a transfer sent to it, once
+  async respond({ transferId, status, reason = null }) {
+    if (![TRAVEL_RULE_STATUSES.ACKNOWLEDGED, TRAVEL_RULE_STATUSES.REJECTED].includes(status)) {
+      throw new TravelRuleError('INVALID_STATUS', `A VASP can only acknowledge or reject a transfer, not ${status}`);
+    }
+
+    const result = await this.pool.query(
+      `UPDATE travel_rule_transfers
+       SET status = $1, status_reason = $2, responded_at = NOW(), updated_at = NOW()
+       WHERE id = $3 AND status = $4
+       RETURNING *`,
+      [status, reason ? String(reason).slice(0, 255) : null, transferId, TRAVEL_RULE_STATUSES.SENT]
+    );
+    const transfer = result.rows[0];
+    if (!transfer) {
+      return null;
+    }
+
+    this.logger.info(`Travel Rule transfer ${transfer.id} ${status} by ${transfer.beneficiary_vasp_id}${reason ? `: ${reason}` : ''}`);
+    await this.apply(transfer);
+
+    return transfer;
+  }
+
+  // Answers from counterparty VASPs, signed with a shared secret as the hex HMAC-SHA256 of
+  // the raw body. Events are { id, type: 'transfer.acknowledged' | 'transfer.rejected',
+  // data: { transferId, reason } }.
+  async handleWebhook(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw new TravelRuleError('WEBHOOK_NOT_CONFIGURED', 'TRAVEL_RULE_WEBHOOK_SECRET is not set');
+    }
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest();
+    const received = Buffer.from(String(signature || '').replace(/^sha256=/, ''), 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new TravelRuleError('INVALID_SIGNATURE', 'Webhook signature does not match');
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new TravelRuleError('INVALID_PAYLOAD', 'Webhook body is not JSON');
+    }
+
+    const { id, type, data = {} } = event;
+    const status = { 'transfer.acknowledged': TRAVEL_RULE_STATUSES.ACKNOWLEDGED, 'transfer.rejected': TRAVEL_RULE_STATUSES.REJECTED }[type];
+    if (!status) {
+      this.logger.info(`Ignoring Travel Rule webhook ${id} of type ${type}`);
+      return { outcome: 'ignored' };
+    }
+    if (!data.transferId) {
+      throw new TravelRuleError('INVALID_PAYLOAD', 'Webhook events need the transferId');
+    }
+
+    const transfer = await this.respond({ transferId: data.transferId, status, reason: data.reason || null });
+    return { outcome: transfer ? status : 'ignored', transfer };
+  }
+}
+
+module.exports = {
+  TRAVEL_RULE_STATUSES,
+  TravelRuleError,
+  TravelRuleTransport,
+  StubTravelRuleTransport,
+  HttpTravelRuleTransport,
+  TravelRuleManager,
+  buildIvms101,
+  validateBeneficiary,
+  toJsonTravelRuleTransfer
+};
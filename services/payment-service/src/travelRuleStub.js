@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const axios = require('axios');
+require('dotenv').config();
+
+// Stands in for a beneficiary VASP in development: posts its signed answer to Travel Rule
+// data to the Travel Rule webhook, as the VASP or its Travel Rule network does
+async function sendResponse({ url, secret, transferId, response, reason }) {
+  const event = {
+    id: `stub_${crypto.randomBytes(8).toString('hex')}`,
+    type: response === 'reject' ? 'transfer.rejected' : 'transfer.acknowledged',
+    data: { transferId, reason: reason || null }
+  };
+
+  const body = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+  const result = await axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json', 'X-Signature': `sha256=${signature}` },
+    validateStatus: () => true
+  });
+
+  return { event, status: result.status, body: result.data };
+}
+
+if (require.main === module) {
+  const [transferId, response, ...reason] = process.argv.slice(2);
+  if (!transferId || !['acknowledge', 'reject'].includes(response)) {
+    console.error('Usage: npm run travel-rule:respond -- <travelRuleTransferId> <acknowledge|reject> [reason]');
+    process.exitCode = 1;
+  } else if (!process.env.TRAVEL_RULE_WEBHOOK_SECRET) {
+    console.error('TRAVEL_RULE_WEBHOOK_SECRET is not set');
+    process.exitCode = 1;
+  } else {
+    sendResponse({
+      url: process.env.TRAVEL_RULE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3003}/payments/webhooks/travel-rule`,
+      secret: process.env.TRAVEL_RULE_WEBHOOK_SECRET,
+      transferId,
+      response,
+      reason: reason.join(' ')
+    })
+      .then(({ event, status, body }) => {
+        console.log(`${status < 300 ? '✓' : '✗'} ${event.id}: ${status} ${JSON.stringify(body)}`);
+        if (status >= 300) {
+          process.exitCode = 1;
+        }
+      })
+      .catch((error) => {
+        console.error('Sending the VASP response failed:', error.message);
+        process.exitCode = 1;
+      });
+  }
+}
+
+module.exports = { sendResponse };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+// Virtual IBANs: account numbers issued to users on the platform's bank accounts so that
+// incoming transfers can be told apart and credited to the right user. Each currency is
+// issued from a country and bank (and branch, where the country's BBAN has one) set in
+// configuration; the account part is random, and the national and IBAN check digits are
+// computed from the country's BBAN layout. A user holds one active IBAN per currency.
+
+// BBAN layouts: the bank and branch codes, the number of account digits and, where the
+// country has them, national check digits computed over the rest of the BBAN
+const BBAN_LAYOUTS = {
+  BE: { bankCode: /^\d{3}$/, accountDigits: 7, checkDigits: (bban) => String(Number(BigInt(bban) % 97n) || 97).padStart(2, '0') },
+  DE: { bankCode: /^\d{8}$/, accountDigits: 10 },
+  GB: { bankCode: /^[A-Z]{4}$/, branchCode: /^\d{6}$/, accountDigits: 8 },
+  IE: { bankCode: /^[A-Z]{4}$/, branchCode: /^\d{6}$/, accountDigits: 8 },
+  LT: { bankCode: /^\d{5}$/, accountDigits: 11 },
+  NL: { bankCode: /^[A-Z]{4}$/, accountDigits: 10 }
+};
+
+class VirtualIbanError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'VirtualIbanError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// ISO 13616: letters count as 10 to 35, and the remainder mod 97 of the rearranged IBAN is 1
+const mod97 = (value) => {
+  const digits = value.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  return Number(BigInt(digits) % 97n);
+};
+
+const ibanCheckDigits = (country, bban) => String(98 - mod97(`${bban}${country}00`)).padStart(2, '0');
+
+const buildIban = (country, bban) => `${country}${ibanCheckDigits(country, bban)}${bban}`;
+
+const isValidIban = (iban) => {
+  const compact = String(iban).replace(/\s+/g, '').toUpperCase();
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(compact) && mod97(`${compact.slice(4)}${compact.slice(0, 4)}`) === 1;
+};
+
+// Checks an issuer from configuration against its country's layout
+const validateIssuer = (currency, issuer) => {
+  const layout = issuer && BBAN_LAYOUTS[issuer.country];
+  if (!layout) {
+    throw new Error(`Virtual IBAN issuer for ${currency} has an unsupported country: ${issuer && issuer.country}`);
+  }
+  if (!layout.bankCode.test(issuer.bankCode || '')) {
+    throw new Error(`Virtual IBAN issuer for ${currency} has an invalid ${issuer.country} bank code`);
+  }
+  if (layout.branchCode && !layout.branchCode.test(issuer.branchCode || '')) {
+    throw new Error(`Virtual IBAN issuer for ${currency} needs a valid ${issuer.country} branch code`);
+  }
+  return layout;
+};
+
+const randomDigits = (count) => Array.from({ length: count }, () => crypto.randomInt(10)).join('');
+
+const generateIban = (issuer, layout) => {
+  const accountNumber = randomDigits(layout.accountDigits);
+  let bban = `${issuer.bankCode}${layout.branchCode ? issuer.branchCode : ''}${accountNumber}`;
+  if (layout.checkDigits) {
+    bban += layout.checkDigits(bban);
+  }
+  return { iban: buildIban(issuer.country, bban), accountNumber };
+};
+
+const toJsonVirtualIban = (virtualIban) => ({
+  id: virtualIban.id,
+  iban: virtualIban.iban,
+  bankCode: virtualIban.bank_code,
+  accountNumber: virtualIban.account_number,
+  currency: virtualIban.currency,
+  isActive: virtualIban.is_active,
+  createdAt: virtualIban.created_at,
+  closedAt: virtualIban.closed_at
+});
+
+class VirtualIbanManager {
+  constructor({ pool, issuers = {}, maxAttempts = 5 }) {
+    this.pool = pool;
+    this.issuers = issuers;
+    this.maxAttempts = maxAttempts;
+    this.layouts = Object.fromEntries(
+      Object.entries(issuers).map(([currency, issuer]) => [currency, validateIssuer(currency, issuer)])
+    );
+  }
+
+  async issue(userId, currency) {
+    const issuer = this.issuers[currency];
+    if (!issuer) {
+      throw new VirtualIbanError('CURRENCY_NOT_SUPPORTED', `IBANs are not issued in ${currency}`, {
+        supported: Object.keys(this.issuers)
+      });
+    }
+
+    const existing = await this.pool.query(
+      'SELECT * FROM virtual_ibans WHERE user_id = $1 AND currency = $2 AND is_active = true',
+      [userId, currency]
+    );
+    if (existing.rows.length > 0) {
+      throw new VirtualIbanError('IBAN_EXISTS', `An active ${currency} IBAN already exists`, { iban: existing.rows[0].iban });
+    }
+
+    // Random account numbers rarely collide; a collision is retried with a new one
+    for (let attempt = 1; ; attempt += 1) {
+      const { iban, accountNumber } = generateIban(issuer, this.layouts[currency]);
+
+      try {
+        const result = await this.pool.query(
+          `INSERT INTO virtual_ibans (user_id, iban, bank_code, account_number, currency, is_active, created_at)
+           VALUES ($1, $2, $3, $4, $5, true, NOW())
+           RETURNING *`,
+          [userId, iban, issuer.branchCode ? `${issuer.bankCode}${issuer.branchCode}` : issuer.bankCode, accountNumber, currency]
+        );
+
+        return result.rows[0];
+      } catch (error) {
+        if (error.code !== '23505') {
+          throw error;
+        }
+        if (error.constraint === 'idx_virtual_ibans_user_currency') {
+          throw new VirtualIbanError('IBAN_EXISTS', `An active ${currency} IBAN already exists`);
+        }
+        if (attempt >= this.maxAttempts) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async list(userId, { includeClosed = false } = {}) {
+    const result = await this.pool.query(
+      `SELECT * FROM virtual_ibans
+       WHERE user_id = $1 AND ($2 OR is_active = true)
+       ORDER BY is_active DESC, created_at DESC`,
+      [userId, includeClosed]
+    );
+
+    return result.rows;
+  }
+
+  // Transfers arriving after an IBAN is closed are no longer credited to the user and are
+  // parked as unmatched
+  async close(userId, ibanId) {
+    const result = await this.pool.query(
+      `UPDATE virtual_ibans SET is_active = false, closed_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND is_active = true
+       RETURNING *`,
+      [ibanId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new VirtualIbanError('IBAN_NOT_FOUND', 'IBAN not found');
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = {
+  BBAN_LAYOUTS,
+  VirtualIbanError,
+  VirtualIbanManager,
+  buildIban,
+  isValidIban,
+  toJsonVirtualIban
+};
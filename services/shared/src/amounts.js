@@ -0,0 +1,79 @@
+// Exact decimal arithmetic for money amounts.
+// Amounts travel as decimal strings (as returned by pg for DECIMAL columns) and are
+// converted to bigint base units for comparisons and sums, never to floats.
+
+// Scale of the DECIMAL(36,18) amount columns
+const LEDGER_SCALE = 18;
+
+const DECIMAL_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const toBaseUnits = (value, decimals = LEDGER_SCALE) => {
+  const text = typeof value === 'bigint' ? value.toString() : String(value).trim();
+
+  if (!DECIMAL_PATTERN.test(text)) {
+    throw new Error(`Invalid decimal amount: ${value}`);
+  }
+
+  const negative = text.startsWith('-');
+  const [whole, fraction = ''] = (negative ? text.slice(1) : text).split('.');
+
+  if (fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+    throw new Error(`Amount ${value} has more than ${decimals} decimal places`);
+  }
+
+  const units = BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+  return negative ? -units : units;
+};
+
+const fromBaseUnits = (units, decimals = LEDGER_SCALE) => {
+  const value = BigInt(units);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals > 0 ? digits.slice(-decimals).replace(/0+$/, '') : '';
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+const normalizeAmount = (value, decimals = LEDGER_SCALE) => fromBaseUnits(toBaseUnits(value, decimals), decimals);
+
+const addAmounts = (...values) => fromBaseUnits(values.reduce((sum, value) => sum + toBaseUnits(value), 0n));
+
+const subtractAmounts = (a, b) => fromBaseUnits(toBaseUnits(a) - toBaseUnits(b));
+
+// Multiplies two amounts, truncating the product to the ledger scale
+const multiplyAmounts = (a, b) => fromBaseUnits((toBaseUnits(a) * toBaseUnits(b)) / 10n ** BigInt(LEDGER_SCALE));
+
+// Divides two amounts, truncating the quotient to the ledger scale
+const divideAmounts = (a, b) => {
+  const divisor = toBaseUnits(b);
+  if (divisor === 0n) {
+    throw new Error('Division by zero');
+  }
+
+  return fromBaseUnits((toBaseUnits(a) * 10n ** BigInt(LEDGER_SCALE)) / divisor);
+};
+
+// Truncates an amount to the given number of decimal places
+const truncateAmount = (value, decimals) => {
+  const factor = 10n ** BigInt(LEDGER_SCALE - decimals);
+  return fromBaseUnits((toBaseUnits(value) / factor) * factor);
+};
+
+const compareAmounts = (a, b) => {
+  const difference = toBaseUnits(a) - toBaseUnits(b);
+  return difference === 0n ? 0 : difference > 0n ? 1 : -1;
+};
+
+module.exports = {
+  LEDGER_SCALE,
+  toBaseUnits,
+  fromBaseUnits,
+  normalizeAmount,
+  addAmounts,
+  subtractAmounts,
+  multiplyAmounts,
+  divideAmounts,
+  truncateAmount,
+  compareAmounts
+};
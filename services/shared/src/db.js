@@ -0,0 +1,18 @@
+// Runs callback inside a single database transaction on a dedicated client
+const withTransaction = async (pool, callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { withTransaction };
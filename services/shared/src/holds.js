@@ -0,0 +1,165 @@
+const { toBaseUnits, fromBaseUnits } = require('./amounts');
+const { LedgerError, LedgerManager } = require('./ledger');
+
+// Fund reservations.
+// A hold moves funds from available to `balances.locked_balance` when a transaction is
+// initiated, and is either captured (settled through the ledger) or released when the
+// transaction fails, is cancelled or expires. All methods must run inside a transaction.
+
+const HOLD_STATUSES = {
+  ACTIVE: 'active',
+  CAPTURED: 'captured',
+  RELEASED: 'released',
+  EXPIRED: 'expired'
+};
+
+class HoldManager {
+  // Locks the user's ledger account and balance row. The ledger account lock is taken
+  // first, as in LedgerManager.postEntry, so holds and postings serialize per account.
+  static async lockBalance(client, { userId, walletId, assetId }) {
+    const account = await LedgerManager.getAccount(client, LedgerManager.userAccount(userId, walletId, assetId));
+    await client.query('SELECT id FROM ledger_accounts WHERE id = $1 FOR UPDATE', [account.id]);
+
+    const result = await client.query(
+      `SELECT balance, locked_balance FROM balances
+       WHERE user_id = $1 AND wallet_id IS NOT DISTINCT FROM $2 AND asset_id = $3
+       FOR UPDATE`,
+      [userId, walletId || null, assetId]
+    );
+
+    return result.rows[0] || { balance: '0', locked_balance: '0' };
+  }
+
+  static async placeHold(client, { userId, walletId = null, assetId, amount, transactionId = null, reason = null, expiresAt = null }) {
+    const units = toBaseUnits(amount);
+    if (units <= 0n) {
+      throw new LedgerError('INVALID_HOLD', 'Hold amounts must be positive');
+    }
+
+    const balance = await this.lockBalance(client, { userId, walletId, assetId });
+    const available = toBaseUnits(balance.balance) - toBaseUnits(balance.locked_balance);
+
+    if (available < units) {
+      throw new LedgerError('INSUFFICIENT_BALANCE', 'Insufficient balance', {
+        required: fromBaseUnits(units),
+        available: fromBaseUnits(available > 0n ? available : 0n)
+      });
+    }
+
+    await client.query(
+      `UPDATE balances SET locked_balance = locked_balance + $1, updated_at = NOW()
+       WHERE user_id = $2 AND wallet_id IS NOT DISTINCT FROM $3 AND asset_id = $4`,
+      [fromBaseUnits(units), userId, walletId || null, assetId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO fund_holds (user_id, wallet_id, asset_id, transaction_id, amount, status, reason, expires_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+       RETURNING *`,
+      [userId, walletId || null, assetId, transactionId, fromBaseUnits(units), HOLD_STATUSES.ACTIVE, reason, expiresAt]
+    );
+
+    return result.rows[0];
+  }
+
+  // The transaction's first active hold, or its first for `reason`
+  static async getActiveHold(client, transactionId, reason = null) {
+    const result = await client.query(
+      `SELECT * FROM fund_holds
+       WHERE transaction_id = $1 AND status = $2 AND ($3::text IS NULL OR reason = $3)
+       ORDER BY created_at LIMIT 1`,
+      [transactionId, HOLD_STATUSES.ACTIVE, reason]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async lockHold(client, holdId) {
+    const result = await client.query(
+      'SELECT * FROM fund_holds WHERE id = $1 FOR UPDATE',
+      [holdId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new LedgerError('HOLD_NOT_FOUND', `Hold ${holdId} not found`);
+    }
+
+    return result.rows[0];
+  }
+
+  // Locks an active hold and removes its amount from the locked balance
+  static async closeHold(client, holdId, status) {
+    const hold = await this.lockHold(client, holdId);
+    if (hold.status !== HOLD_STATUSES.ACTIVE) {
+      throw new LedgerError('HOLD_NOT_ACTIVE', `Hold ${holdId} is already ${hold.status}`, { status: hold.status });
+    }
+
+    await this.lockBalance(client, { userId: hold.user_id, walletId: hold.wallet_id, assetId: hold.asset_id });
+
+    await client.query(
+      `UPDATE balances SET locked_balance = locked_balance - $1, updated_at = NOW()
+       WHERE user_id = $2 AND wallet_id IS NOT DISTINCT FROM $3 AND asset_id = $4`,
+      [hold.amount, hold.user_id, hold.wallet_id, hold.asset_id]
+    );
+
+    const updated = await client.query(
+      `UPDATE fund_holds SET status = $1, closed_at = NOW(), updated_at = NOW()
+       WHERE id = $2
+       RETURNING *`,
+      [status, holdId]
+    );
+
+    return updated.rows[0];
+  }
+
+  // Settles a hold: releases the reservation and posts the settling journal entry. The
+  // hold's account and the entry's are locked together first, as postEntry locks them, so
+  // that closing the hold does not lock its account ahead of the others.
+  static async captureHold(client, holdId, entry) {
+    const locked = await this.lockHold(client, holdId);
+    await LedgerManager.lockAccounts(client, [
+      LedgerManager.userAccount(locked.user_id, locked.wallet_id, locked.asset_id),
+      ...(entry.postings || []).map((posting) => posting.account)
+    ]);
+
+    const hold = await this.closeHold(client, holdId, HOLD_STATUSES.CAPTURED);
+    const journalEntry = await LedgerManager.postEntry(client, entry);
+
+    return { hold, journalEntry };
+  }
+
+  static async releaseHold(client, holdId, status = HOLD_STATUSES.RELEASED) {
+    return this.closeHold(client, holdId, status);
+  }
+
+  static async releaseTransactionHolds(client, transactionId, status = HOLD_STATUSES.RELEASED) {
+    const result = await client.query(
+      'SELECT id FROM fund_holds WHERE transaction_id = $1 AND status = $2',
+      [transactionId, HOLD_STATUSES.ACTIVE]
+    );
+
+    const released = [];
+    for (const row of result.rows) {
+      released.push(await this.closeHold(client, row.id, status));
+    }
+
+    return released;
+  }
+
+  static async findExpiredHolds(client, limit = 100) {
+    const result = await client.query(
+      `SELECT id, transaction_id FROM fund_holds
+       WHERE status = $1 AND expires_at IS NOT NULL AND expires_at < NOW()
+       ORDER BY expires_at
+       LIMIT $2`,
+      [HOLD_STATUSES.ACTIVE, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = {
+  HOLD_STATUSES,
+  HoldManager
+};
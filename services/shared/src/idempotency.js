@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Idempotency-Key handling for money-moving endpoints.
+// The first request with a key stores a fingerprint of the request and, once handled,
+// the response. Replays with the same key and body get the stored response back; a key
+// reused with a different body is rejected. Keys are scoped per service and per user.
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{1,255}$/;
+
+const RECORD_STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+// JSON with sorted object keys, so equal bodies always hash the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}\n${req.originalUrl.split('?')[0]}\n${canonicalize(req.body || {})}`)
+  .digest('hex');
+
+const idempotencyError = (res, status, code, message) => res.status(status).json({
+  success: false,
+  error: { code, message }
+});
+
+// Returns middleware for routes that must run at most once per key. Mount it after
+// authentication so keys can be scoped to req.user.
+const createIdempotencyMiddleware = ({ redisClient, logger = console, namespace, ttlSeconds = 86400 }) => {
+  const storageKey = (req, key) => `idempotency:${namespace}:${req.user ? req.user.userId : 'anonymous'}:${key}`;
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return idempotencyError(res, 400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be 1-255 characters of letters, digits, "-", "_", ":" or "."');
+    }
+
+    const recordKey = storageKey(req, key);
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      const claimed = await redisClient.set(
+        recordKey,
+        JSON.stringify({ status: RECORD_STATUSES.PROCESSING, fingerprint }),
+        { NX: true, EX: ttlSeconds }
+      );
+
+      if (!claimed) {
+        const stored = await redisClient.get(recordKey);
+        const record = stored ? JSON.parse(stored) : null;
+
+        if (!record) {
+          return idempotencyError(res, 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'A request with this Idempotency-Key is being processed, retry shortly');
+        }
+        if (record.fingerprint !== fingerprint) {
+          return idempotencyError(res, 422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used with a different request');
+        }
+        if (record.status !== RECORD_STATUSES.COMPLETED) {
+          return idempotencyError(res, 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS', 'A request with this Idempotency-Key is being processed, retry shortly');
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.statusCode).json(record.body);
+      }
+    } catch (error) {
+      logger.error('Idempotency store error:', error);
+      return idempotencyError(res, 503, 'IDEMPOTENCY_UNAVAILABLE', 'Request could not be processed safely, retry later');
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      // Server errors leave the outcome unknown to the client; free the key so it can retry
+      const settle = res.statusCode >= 500 || responseBody === undefined
+        ? redisClient.del(recordKey)
+        : redisClient.set(
+          recordKey,
+          JSON.stringify({ status: RECORD_STATUSES.COMPLETED, fingerprint, statusCode: res.statusCode, body: responseBody }),
+          { EX: ttlSeconds }
+        );
+
+      Promise.resolve(settle).catch((error) => logger.error('Failed to store idempotent response:', error));
+    });
+
+    return next();
+  };
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  fingerprintRequest,
+  createIdempotencyMiddleware
+};
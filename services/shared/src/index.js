@@ -0,0 +1,61 @@
+const amounts = require('./amounts');
+const { withTransaction } = require('./db');
+const { ACCOUNT_TYPES, NORMAL_BALANCES, LedgerError, LedgerManager } = require('./ledger');
+const { HOLD_STATUSES, HoldManager } = require('./holds');
+const { IDEMPOTENCY_HEADER, fingerprintRequest, createIdempotencyMiddleware } = require('./idempotency');
+const {
+  PRICE_SOURCE_TYPES,
+  PriceOracleError,
+  CoinGeckoPriceSource,
+  ChainlinkPriceSource,
+  StaticPriceSource,
+  PriceOracle,
+  createPriceOracle
+} = require('./priceOracle');
+const { XmlError, escapeXml, buildXml, parseXml, find, findAll, textOf } = require('./xml');
+const {
+  SANCTIONS_LISTS,
+  SCREENING_DECISIONS,
+  SUBJECT_TYPES,
+  SanctionsError,
+  SanctionsScreener,
+  normalizeName,
+  normalizeAddress,
+  nameSimilarity
+} = require('./sanctions');
+
+module.exports = {
+  ...amounts,
+  withTransaction,
+  ACCOUNT_TYPES,
+  NORMAL_BALANCES,
+  LedgerError,
+  LedgerManager,
+  HOLD_STATUSES,
+  HoldManager,
+  IDEMPOTENCY_HEADER,
+  fingerprintRequest,
+  createIdempotencyMiddleware,
+  PRICE_SOURCE_TYPES,
+  PriceOracleError,
+  CoinGeckoPriceSource,
+  ChainlinkPriceSource,
+  StaticPriceSource,
+  PriceOracle,
+  createPriceOracle,
+  XmlError,
+  escapeXml,
+  buildXml,
+  parseXml,
+  find,
+  findAll,
+  textOf,
+  SANCTIONS_LISTS,
+  SCREENING_DECISIONS,
+  SUBJECT_TYPES,
+  SanctionsError,
+  SanctionsScreener,
+  normalizeName,
+  normalizeAddress,
+  nameSimilarity
+};
@@ -0,0 +1,407 @@
+const { toBaseUnits, fromBaseUnits } = require('./amounts');
+
+// Double-entry ledger.
+// Every balance movement is a journal entry whose postings debit and credit ledger
+// accounts by the same total per asset. User balances in the `balances` table are a
+// materialization of the user accounts' postings, kept as running totals that each entry
+// moves by its postings, and can be rebuilt from the journal.
+
+const ACCOUNT_TYPES = {
+  USER: 'user',
+  FEE: 'fee',
+  SUSPENSE: 'suspense',
+  OMNIBUS: 'omnibus'
+};
+
+// User accounts are liabilities owed to customers and fees are revenue, so both grow
+// with credits. Omnibus accounts hold the custodied assets and suspense accounts park
+// unreconciled amounts, so both grow with debits.
+const NORMAL_BALANCES = {
+  [ACCOUNT_TYPES.USER]: 'credit',
+  [ACCOUNT_TYPES.FEE]: 'credit',
+  [ACCOUNT_TYPES.SUSPENSE]: 'debit',
+  [ACCOUNT_TYPES.OMNIBUS]: 'debit'
+};
+
+const DIRECTIONS = ['debit', 'credit'];
+
+class LedgerError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'LedgerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class LedgerManager {
+  static userAccount(userId, walletId, assetId) {
+    return { type: ACCOUNT_TYPES.USER, userId, walletId: walletId || null, assetId };
+  }
+
+  static omnibusAccount(assetId) {
+    return { type: ACCOUNT_TYPES.OMNIBUS, assetId };
+  }
+
+  static feeAccount(assetId) {
+    return { type: ACCOUNT_TYPES.FEE, assetId };
+  }
+
+  static suspenseAccount(assetId) {
+    return { type: ACCOUNT_TYPES.SUSPENSE, assetId };
+  }
+
+  static accountKey(account) {
+    if (!NORMAL_BALANCES[account.type]) {
+      throw new LedgerError('INVALID_ACCOUNT', `Unknown ledger account type: ${account.type}`);
+    }
+    if (!account.assetId) {
+      throw new LedgerError('INVALID_ACCOUNT', 'Ledger accounts require an asset');
+    }
+
+    if (account.type === ACCOUNT_TYPES.USER) {
+      if (!account.userId) {
+        throw new LedgerError('INVALID_ACCOUNT', 'User ledger accounts require a user');
+      }
+      return `user:${account.userId}:${account.walletId || 'fiat'}:${account.assetId}`;
+    }
+
+    return `${account.type}:${account.assetId}`;
+  }
+
+  // Finds or creates an account without locking it, so that accounts are only ever locked
+  // in the order lockAccounts takes them
+  static async getAccount(client, account) {
+    const accountKey = this.accountKey(account);
+    const isUserAccount = account.type === ACCOUNT_TYPES.USER;
+
+    const inserted = await client.query(
+      `INSERT INTO ledger_accounts (account_key, account_type, user_id, wallet_id, asset_id, normal_balance, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (account_key) DO NOTHING
+       RETURNING id, account_key, account_type, user_id, wallet_id, asset_id, normal_balance`,
+      [
+        accountKey,
+        account.type,
+        isUserAccount ? account.userId : null,
+        isUserAccount ? account.walletId || null : null,
+        account.assetId,
+        NORMAL_BALANCES[account.type]
+      ]
+    );
+
+    if (inserted.rows.length > 0) {
+      return inserted.rows[0];
+    }
+
+    const existing = await client.query(
+      `SELECT id, account_key, account_type, user_id, wallet_id, asset_id, normal_balance
+       FROM ledger_accounts WHERE account_key = $1`,
+      [accountKey]
+    );
+
+    return existing.rows[0];
+  }
+
+  // Locks the accounts in a stable order so concurrent entries serialize instead of
+  // deadlocking, and materialized balances see each other's postings. Anything locking
+  // more than one account must lock them all here before touching any of them.
+  static async lockAccounts(client, accounts) {
+    const rows = [];
+    for (const account of accounts) {
+      rows.push(await this.getAccount(client, account));
+    }
+
+    const accountIds = [...new Set(rows.map((row) => row.id))];
+    await client.query(
+      'SELECT id FROM ledger_accounts WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+      [accountIds]
+    );
+
+    return rows;
+  }
+
+  // Posts a balanced journal entry. Must run inside a transaction (see withTransaction)
+  // so that the entry, its postings and the materialized balances commit together.
+  static async postEntry(client, { entryType, transactionId = null, description = null, metadata = null, postings, allowNegative = false }) {
+    if (!entryType) {
+      throw new LedgerError('INVALID_ENTRY', 'Journal entries require an entry type');
+    }
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw new LedgerError('INVALID_ENTRY', 'Journal entries require at least two postings');
+    }
+
+    const totals = new Map();
+    for (const posting of postings) {
+      if (!DIRECTIONS.includes(posting.direction)) {
+        throw new LedgerError('INVALID_ENTRY', `Invalid posting direction: ${posting.direction}`);
+      }
+
+      const units = toBaseUnits(posting.amount);
+      if (units <= 0n) {
+        throw new LedgerError('INVALID_ENTRY', 'Posting amounts must be positive');
+      }
+
+      const assetId = posting.account.assetId;
+      const net = (totals.get(assetId) || 0n) + (posting.direction === 'debit' ? units : -units);
+      totals.set(assetId, net);
+    }
+
+    for (const [assetId, net] of totals) {
+      if (net !== 0n) {
+        throw new LedgerError('UNBALANCED_ENTRY', 'Debits must equal credits for every asset', {
+          assetId,
+          imbalance: fromBaseUnits(net)
+        });
+      }
+    }
+
+    const accounts = await this.lockAccounts(client, postings.map((posting) => posting.account));
+
+    const entryResult = await client.query(
+      `INSERT INTO journal_entries (entry_type, transaction_id, description, metadata, created_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       RETURNING id, entry_type, transaction_id, created_at`,
+      [entryType, transactionId, description, metadata ? JSON.stringify(metadata) : null]
+    );
+
+    const entry = entryResult.rows[0];
+
+    for (let i = 0; i < postings.length; i++) {
+      await client.query(
+        `INSERT INTO ledger_postings (journal_entry_id, account_id, asset_id, direction, amount, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [entry.id, accounts[i].id, accounts[i].asset_id, postings[i].direction, fromBaseUnits(toBaseUnits(postings[i].amount))]
+      );
+    }
+
+    // Net movement of each user account in the entry, in the direction of its normal balance
+    const userAccounts = new Map();
+    accounts.forEach((account, index) => {
+      if (account.account_type !== ACCOUNT_TYPES.USER) {
+        return;
+      }
+      const units = toBaseUnits(postings[index].amount);
+      const moved = userAccounts.has(account.id) ? userAccounts.get(account.id).delta : 0n;
+      userAccounts.set(account.id, { account, delta: moved + (postings[index].direction === account.normal_balance ? units : -units) });
+    });
+
+    const debitedAccountIds = new Set(
+      accounts.filter((account, index) => postings[index].direction === 'debit').map((account) => account.id)
+    );
+
+    // Funds reserved by holds are not available to other postings
+    for (const { account, delta } of userAccounts.values()) {
+      const balance = await this.adjustBalance(client, account, fromBaseUnits(delta));
+      const available = toBaseUnits(balance.balance) - toBaseUnits(balance.locked_balance);
+
+      if (!allowNegative && debitedAccountIds.has(account.id) && available < 0n) {
+        throw new LedgerError('INSUFFICIENT_BALANCE', 'Insufficient balance', {
+          accountId: account.id,
+          balance: balance.balance,
+          lockedBalance: balance.locked_balance
+        });
+      }
+    }
+
+    return entry;
+  }
+
+  // Moves amount (plus an optional fee to the fee account) from one account to another
+  static async transfer(client, { entryType, transactionId, description, metadata, from, to, amount, fee, allowNegative }) {
+    const postings = [
+      { account: from, direction: 'debit', amount },
+      { account: to, direction: 'credit', amount }
+    ];
+
+    if (fee && toBaseUnits(fee) > 0n) {
+      postings.push(
+        { account: from, direction: 'debit', amount: fee },
+        { account: this.feeAccount(from.assetId), direction: 'credit', amount: fee }
+      );
+    }
+
+    return this.postEntry(client, { entryType, transactionId, description, metadata, postings, allowNegative });
+  }
+
+  // Posts the mirror image of every entry recorded for a transaction, or only of entries of
+  // the given types, once. Returns null when there is nothing to reverse or the reversal
+  // was already posted.
+  static async reverseTransaction(client, transactionId, { entryType = 'reversal', entryTypes = null, description = null, metadata = null } = {}) {
+    const existing = await client.query(
+      'SELECT id FROM journal_entries WHERE transaction_id = $1 AND entry_type = $2',
+      [transactionId, entryType]
+    );
+
+    if (existing.rows.length > 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `SELECT p.direction, p.amount, la.account_type, la.user_id, la.wallet_id, la.asset_id
+       FROM ledger_postings p
+       JOIN journal_entries je ON je.id = p.journal_entry_id
+       JOIN ledger_accounts la ON la.id = p.account_id
+       WHERE je.transaction_id = $1 AND je.entry_type <> $2
+         AND ($3::text[] IS NULL OR je.entry_type = ANY($3))
+       ORDER BY je.created_at, p.id`,
+      [transactionId, entryType, entryTypes]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const postings = result.rows.map((row) => ({
+      account: { type: row.account_type, userId: row.user_id, walletId: row.wallet_id, assetId: row.asset_id },
+      direction: row.direction === 'debit' ? 'credit' : 'debit',
+      amount: row.amount
+    }));
+
+    return this.postEntry(client, { entryType, transactionId, description, metadata, postings, allowNegative: true });
+  }
+
+  static async getAccountBalance(client, accountId) {
+    const result = await client.query(
+      `SELECT balance FROM ledger_account_balances WHERE account_id = $1`,
+      [accountId]
+    );
+
+    return result.rows[0]?.balance || '0';
+  }
+
+  // Moves the materialized balance of a user account by an entry's net postings to it. The
+  // account is locked, so the running total cannot race. An account without a balance yet
+  // gets one derived from its postings.
+  static async adjustBalance(client, account, delta) {
+    const updated = await client.query(
+      `UPDATE balances SET balance = balance + $1, updated_at = NOW()
+       WHERE user_id = $2 AND wallet_id IS NOT DISTINCT FROM $3 AND asset_id = $4
+       RETURNING balance, locked_balance`,
+      [delta, account.user_id, account.wallet_id, account.asset_id]
+    );
+
+    if (updated.rows.length > 0) {
+      return updated.rows[0];
+    }
+
+    const derived = await this.getAccountBalance(client, account.id);
+    const inserted = await client.query(
+      `INSERT INTO balances (user_id, wallet_id, asset_id, balance, locked_balance, updated_at)
+       VALUES ($1, $2, $3, $4, 0, NOW())
+       RETURNING balance, locked_balance`,
+      [account.user_id, account.wallet_id, account.asset_id, derived]
+    );
+
+    return inserted.rows[0];
+  }
+
+  // Rebuilds every materialized user balance from the journal and active holds
+  static async rebuildBalances(client) {
+    await client.query('LOCK TABLE ledger_postings IN SHARE MODE');
+
+    await client.query(
+      `INSERT INTO balances (user_id, wallet_id, asset_id, balance, locked_balance, updated_at)
+       SELECT la.user_id, la.wallet_id, la.asset_id, 0, 0, NOW()
+       FROM ledger_accounts la
+       WHERE la.account_type = $1
+         AND NOT EXISTS (
+           SELECT 1 FROM balances b
+           WHERE b.user_id = la.user_id AND b.wallet_id IS NOT DISTINCT FROM la.wallet_id AND b.asset_id = la.asset_id
+         )`,
+      [ACCOUNT_TYPES.USER]
+    );
+
+    const result = await client.query(
+      `UPDATE balances b
+       SET balance = COALESCE((
+             SELECT SUM(lab.balance)
+             FROM ledger_account_balances lab
+             WHERE lab.account_type = $1
+               AND lab.user_id = b.user_id
+               AND lab.wallet_id IS NOT DISTINCT FROM b.wallet_id
+               AND lab.asset_id = b.asset_id
+           ), 0),
+           locked_balance = COALESCE((
+             SELECT SUM(fh.amount)
+             FROM fund_holds fh
+             WHERE fh.status = 'active'
+               AND fh.user_id = b.user_id
+               AND fh.wallet_id IS NOT DISTINCT FROM b.wallet_id
+               AND fh.asset_id = b.asset_id
+           ), 0),
+           updated_at = NOW()`,
+      [ACCOUNT_TYPES.USER]
+    );
+
+    return { balancesRebuilt: result.rowCount };
+  }
+
+  // Checks that debits equal credits per asset and per entry, and that the
+  // materialized balances match the journal
+  static async verifyInvariants(client) {
+    const assetTotals = await client.query(
+      `SELECT p.asset_id, a.symbol,
+              SUM(CASE WHEN p.direction = 'debit' THEN p.amount ELSE 0 END) AS total_debits,
+              SUM(CASE WHEN p.direction = 'credit' THEN p.amount ELSE 0 END) AS total_credits
+       FROM ledger_postings p
+       JOIN assets a ON a.id = p.asset_id
+       GROUP BY p.asset_id, a.symbol
+       ORDER BY a.symbol`
+    );
+
+    const unbalancedEntries = await client.query(
+      `SELECT journal_entry_id, asset_id,
+              SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) AS imbalance
+       FROM ledger_postings
+       GROUP BY journal_entry_id, asset_id
+       HAVING SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0
+       LIMIT 100`
+    );
+
+    const balanceDrift = await client.query(
+      `SELECT b.user_id, b.wallet_id, b.asset_id, b.balance AS materialized_balance, lab.balance AS ledger_balance
+       FROM balances b
+       JOIN ledger_account_balances lab
+         ON lab.account_type = $1
+        AND lab.user_id = b.user_id
+        AND lab.wallet_id IS NOT DISTINCT FROM b.wallet_id
+        AND lab.asset_id = b.asset_id
+       WHERE b.balance <> lab.balance
+       LIMIT 100`,
+      [ACCOUNT_TYPES.USER]
+    );
+
+    const assets = assetTotals.rows.map((row) => ({
+      assetId: row.asset_id,
+      symbol: row.symbol,
+      totalDebits: row.total_debits,
+      totalCredits: row.total_credits,
+      balanced: toBaseUnits(row.total_debits) === toBaseUnits(row.total_credits)
+    }));
+
+    return {
+      balanced: assets.every((asset) => asset.balanced) && unbalancedEntries.rows.length === 0,
+      assets,
+      unbalancedEntries: unbalancedEntries.rows.map((row) => ({
+        journalEntryId: row.journal_entry_id,
+        assetId: row.asset_id,
+        imbalance: row.imbalance
+      })),
+      balanceDrift: balanceDrift.rows.map((row) => ({
+        userId: row.user_id,
+        walletId: row.wallet_id,
+        assetId: row.asset_id,
+        materializedBalance: row.materialized_balance,
+        ledgerBalance: row.ledger_balance
+      }))
+    };
+  }
+}
+
+module.exports = {
+  ACCOUNT_TYPES,
+  NORMAL_BALANCES,
+  LedgerError,
+  LedgerManager
+};
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const { normalizeAmount, fromBaseUnits, addAmounts, multiplyAmounts, compareAmounts } = require('./amounts');
+
+// Asset prices in fiat currencies.
+// Each source reports observations for the assets it knows, looked up by the asset's
+// `price_feeds` ids. Observations older than the source's maximum age are ignored and the
+// rest are aggregated to their median. Quotes are cached in Redis; an asset without a
+// fresh observation is reported as stale or unavailable, never priced at 0.
+
+const PRICE_SOURCE_TYPES = ['coingecko', 'chainlink', 'static'];
+
+// Chainlink aggregator selectors: latestRoundData() and decimals()
+const LATEST_ROUND_DATA = '0xfeaf968c';
+const DECIMALS = '0x313ce567';
+
+class PriceOracleError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'PriceOracleError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Decimal string of a price reported as a JSON number or string, to the ledger scale
+const toPrice = (value) => {
+  const text = typeof value === 'number'
+    ? value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 18 })
+    : String(value);
+
+  return normalizeAmount(text);
+};
+
+const medianPrice = (prices) => {
+  const sorted = [...prices].sort(compareAmounts);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : multiplyAmounts(addAmounts(sorted[middle - 1], sorted[middle]), '0.5');
+};
+
+const feedIds = (asset) => asset.price_feeds || {};
+
+// CoinGecko-compatible HTTP API; price_feeds.coingecko is the coin id
+class CoinGeckoPriceSource {
+  constructor({ httpClient, baseUrl = 'https://api.coingecko.com/api/v3', apiKey = null, timeoutMs = 5000, maxAgeSeconds = null }) {
+    this.name = 'coingecko';
+    this.httpClient = httpClient;
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.maxAgeSeconds = maxAgeSeconds;
+  }
+
+  async fetchPrices(assets, currency) {
+    const ids = new Map();
+    for (const asset of assets) {
+      const id = feedIds(asset).coingecko;
+      if (id) {
+        ids.set(id, [...(ids.get(id) || []), asset.id]);
+      }
+    }
+
+    if (ids.size === 0) {
+      return [];
+    }
+
+    const response = await this.httpClient.get(`${this.baseUrl}/simple/price`, {
+      params: { ids: [...ids.keys()].join(','), vs_currencies: currency, include_last_updated_at: true },
+      headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+      timeout: this.timeoutMs
+    });
+
+    const observations = [];
+    for (const [id, assetIds] of ids) {
+      const entry = response.data[id];
+      if (!entry || entry[currency] === undefined || entry[currency] === null) {
+        continue;
+      }
+
+      const observedAt = entry.last_updated_at ? new Date(entry.last_updated_at * 1000) : new Date();
+      for (const assetId of assetIds) {
+        observations.push({ assetId, price: toPrice(entry[currency]), observedAt });
+      }
+    }
+
+    return observations;
+  }
+}
+
+// Chainlink-style aggregator contracts; price_feeds.chainlink maps a currency to the
+// network and address of the asset's feed in that currency
+class ChainlinkPriceSource {
+  constructor({ providers, maxAgeSeconds = null }) {
+    this.name = 'chainlink';
+    this.providers = providers;
+    this.maxAgeSeconds = maxAgeSeconds;
+    this.decimals = new Map();
+  }
+
+  async feedDecimals(provider, address) {
+    if (!this.decimals.has(address)) {
+      const result = await provider.call({ to: address, data: DECIMALS });
+      this.decimals.set(address, Number(BigInt(result)));
+    }
+
+    return this.decimals.get(address);
+  }
+
+  async readFeed(feed) {
+    const provider = this.providers[feed.network];
+    if (!provider) {
+      return null;
+    }
+
+    const [result, decimals] = await Promise.all([
+      provider.call({ to: feed.address, data: LATEST_ROUND_DATA }),
+      this.feedDecimals(provider, feed.address)
+    ]);
+
+    // roundId, answer, startedAt, updatedAt, answeredInRound as 32-byte words
+    const words = result.slice(2).match(/.{64}/g) || [];
+    if (words.length < 5) {
+      return null;
+    }
+
+    const answer = BigInt.asIntN(256, BigInt(`0x${words[1]}`));
+    if (answer <= 0n) {
+      return null;
+    }
+
+    return {
+      price: normalizeAmount(fromBaseUnits(answer, decimals)),
+      observedAt: new Date(Number(BigInt(`0x${words[3]}`)) * 1000)
+    };
+  }
+
+  async fetchPrices(assets, currency) {
+    const observations = await Promise.all(assets.map(async (asset) => {
+      const feed = (feedIds(asset).chainlink || {})[currency];
+      if (!feed) {
+        return null;
+      }
+
+      const reading = await this.readFeed(feed);
+      return reading ? { assetId: asset.id, ...reading } : null;
+    }));
+
+    return observations.filter(Boolean);
+  }
+}
+
+// Fixed prices for offline and test environments, keyed by price_feeds.static or the
+// asset symbol: { "observedAt": "...", "prices": { "ETH": { "usd": "2000" } } }. Without
+// observedAt the prices are always fresh.
+class StaticPriceSource {
+  constructor({ prices = {}, observedAt = null, maxAgeSeconds = null }) {
+    this.name = 'static';
+    this.prices = prices;
+    this.observedAt = observedAt ? new Date(observedAt) : null;
+    this.maxAgeSeconds = maxAgeSeconds;
+  }
+
+  static fromFile(path, options = {}) {
+    const fixture = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return new StaticPriceSource({ ...options, prices: fixture.prices, observedAt: fixture.observedAt });
+  }
+
+  async fetchPrices(assets, currency) {
+    return assets
+      .map((asset) => {
+        const entry = this.prices[feedIds(asset).static || asset.symbol];
+        if (!entry || entry[currency] === undefined) {
+          return null;
+        }
+
+        return { assetId: asset.id, price: toPrice(entry[currency]), observedAt: this.observedAt || new Date() };
+      })
+      .filter(Boolean);
+  }
+}
+
+class PriceOracle {
+  constructor({ sources, redisClient = null, logger = console, currencies = ['usd'], cacheTtlSeconds = 60, maxAgeSeconds = 600 }) {
+    this.sources = sources;
+    this.redisClient = redisClient;
+    this.logger = logger;
+    this.currencies = currencies.map((currency) => currency.toLowerCase());
+    this.cacheTtlSeconds = cacheTtlSeconds;
+    this.maxAgeSeconds = maxAgeSeconds;
+  }
+
+  static cacheKey(assetId, currency) {
+    return `price:${currency}:${assetId}`;
+  }
+
+  checkCurrency(currency) {
+    const normalized = String(currency).toLowerCase();
+    if (!this.currencies.includes(normalized)) {
+      throw new PriceOracleError('UNSUPPORTED_CURRENCY', `Prices are not available in ${currency}`, {
+        supportedCurrencies: this.currencies
+      });
+    }
+
+    return normalized;
+  }
+
+  async getPrice(asset, currency = 'usd') {
+    const { quotes, errors } = await this.getPrices([asset], currency);
+    if (errors.has(asset.id)) {
+      throw errors.get(asset.id);
+    }
+
+    return quotes.get(asset.id);
+  }
+
+  // Quotes by asset id, and a PriceOracleError for each asset that could not be priced
+  async getPrices(assets, currency = 'usd') {
+    const quoteCurrency = this.checkCurrency(currency);
+    const quotes = new Map();
+    const errors = new Map();
+
+    const unpriced = [];
+    for (const asset of assets) {
+      // A fiat asset in its own currency needs no source
+      if (asset.asset_type === 'fiat' && asset.symbol.toLowerCase() === quoteCurrency) {
+        quotes.set(asset.id, { assetId: asset.id, currency: quoteCurrency, price: '1', observedAt: new Date().toISOString(), sources: [] });
+      } else {
+        unpriced.push(asset);
+      }
+    }
+
+    const cached = await this.readCache(unpriced, quoteCurrency);
+    const uncached = unpriced.filter((asset) => {
+      if (cached.has(asset.id)) {
+        quotes.set(asset.id, cached.get(asset.id));
+        return false;
+      }
+      return true;
+    });
+
+    if (uncached.length === 0) {
+      return { quotes, errors };
+    }
+
+    const results = await Promise.allSettled(this.sources.map((source) => source.fetchPrices(uncached, quoteCurrency)));
+
+    const observations = new Map();
+    results.forEach((result, index) => {
+      const source = this.sources[index];
+      if (result.status === 'rejected') {
+        this.logger.warn(`Price source ${source.name} failed: ${result.reason && result.reason.message}`);
+        return;
+      }
+
+      for (const observation of result.value) {
+        observations.set(observation.assetId, [...(observations.get(observation.assetId) || []), { ...observation, source }]);
+      }
+    });
+
+    const now = Date.now();
+    for (const asset of uncached) {
+      const observed = observations.get(asset.id) || [];
+      const fresh = observed.filter(({ source, observedAt }) => (
+        now - observedAt.getTime() <= (source.maxAgeSeconds || this.maxAgeSeconds) * 1000
+      ));
+
+      if (fresh.length > 0) {
+        const quote = {
+          assetId: asset.id,
+          currency: quoteCurrency,
+          price: medianPrice(fresh.map((observation) => observation.price)),
+          observedAt: new Date(Math.min(...fresh.map((observation) => observation.observedAt.getTime()))).toISOString(),
+          sources: fresh.map((observation) => observation.source.name)
+        };
+
+        quotes.set(asset.id, quote);
+        await this.writeCache(quote);
+      } else if (observed.length > 0) {
+        const latest = new Date(Math.max(...observed.map((observation) => observation.observedAt.getTime())));
+        errors.set(asset.id, new PriceOracleError('PRICE_STALE', `The latest ${asset.symbol} price is out of date`, {
+          observedAt: latest.toISOString()
+        }));
+      } else {
+        errors.set(asset.id, new PriceOracleError('PRICE_UNAVAILABLE', `No ${asset.symbol} price is available in ${quoteCurrency}`));
+      }
+    }
+
+    return { quotes, errors };
+  }
+
+  async readCache(assets, currency) {
+    const cached = new Map();
+    if (!this.redisClient || assets.length === 0) {
+      return cached;
+    }
+
+    try {
+      const values = await this.redisClient.mGet(assets.map((asset) => PriceOracle.cacheKey(asset.id, currency)));
+      values.forEach((value, index) => {
+        if (value) {
+          cached.set(assets[index].id, JSON.parse(value));
+        }
+      });
+    } catch (error) {
+      this.logger.error('Price cache read error:', error);
+    }
+
+    return cached;
+  }
+
+  async writeCache(quote) {
+    if (!this.redisClient) {
+      return;
+    }
+
+    try {
+      await this.redisClient.set(PriceOracle.cacheKey(quote.assetId, quote.currency), JSON.stringify(quote), { EX: this.cacheTtlSeconds });
+    } catch (error) {
+      this.logger.error('Price cache write error:', error);
+    }
+  }
+}
+
+// Builds the oracle from a service's `prices` config. The HTTP client and the network
+// providers are passed in by the service.
+const createPriceOracle = ({ config, redisClient, logger, httpClient, providers }) => {
+  const sources = config.sources.map((type) => {
+    switch (type) {
+      case 'coingecko':
+        return new CoinGeckoPriceSource({ httpClient, baseUrl: config.coingeckoApiUrl, apiKey: config.coingeckoApiKey });
+      case 'chainlink':
+        return new ChainlinkPriceSource({ providers, maxAgeSeconds: config.chainlinkMaxAgeSeconds });
+      case 'static':
+        if (!config.fixturePath) {
+          throw new Error('PRICE_FIXTURE_PATH is required for the static price source');
+        }
+        return StaticPriceSource.fromFile(config.fixturePath);
+      default:
+        throw new Error(`Unknown price source: ${type} (expected one of ${PRICE_SOURCE_TYPES.join(', ')})`);
+    }
+  });
+
+  return new PriceOracle({
+    sources,
+    redisClient,
+    logger,
+    currencies: config.currencies,
+    cacheTtlSeconds: config.cacheTtlSeconds,
+    maxAgeSeconds: config.maxAgeSeconds
+  });
+};
+
+module.exports = {
+  PRICE_SOURCE_TYPES,
+  PriceOracleError,
+  CoinGeckoPriceSource,
+  ChainlinkPriceSource,
+  StaticPriceSource,
+  PriceOracle,
+  createPriceOracle
+};
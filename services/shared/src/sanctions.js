@@ -0,0 +1,300 @@
+// Sanctions and watchlist screening.
+// Names are screened against the primary names and aliases of the imported lists by fuzzy
+// matching, and crypto addresses against the addresses the lists block. A name scoring at
+// least the match threshold is treated as the listed party, and one scoring at least the
+// review threshold needs a compliance review. Screenings that hit a list are recorded in
+// sanctions_hits, and the compliance service opens a case for each.
+
+const SANCTIONS_LISTS = ['ofac', 'eu', 'un', 'internal'];
+
+const SCREENING_DECISIONS = {
+  CLEAR: 'clear',
+  REVIEW: 'review',
+  MATCH: 'match'
+};
+
+const SUBJECT_TYPES = {
+  USER: 'user',
+  BENEFICIARY: 'beneficiary',
+  ADDRESS: 'address'
+};
+
+// Vessels and aircraft are listed too, but never hold accounts or receive transfers
+const SCREENED_ENTRY_TYPES = ['individual', 'entity'];
+
+// Titles and legal forms that say nothing about who a party is
+const NOISE_TOKENS = new Set([
+  'MR', 'MRS', 'MS', 'MISS', 'DR', 'THE', 'AND', 'OF',
+  'LTD', 'LIMITED', 'LLC', 'INC', 'CO', 'CORP', 'CORPORATION', 'COMPANY',
+  'SA', 'AG', 'GMBH', 'BV', 'PLC', 'JSC', 'PJSC', 'OJSC', 'OOO', 'LLP'
+]);
+
+class SanctionsError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'SanctionsError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Upper-case letters and digits of any script, without accents or punctuation
+const normalizeName = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toUpperCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const nameTokens = (normalized) => normalized.split(' ').filter((token) => token && !NOISE_TOKENS.has(token));
+
+// EVM and bech32 addresses are case-insensitive; base58 and other encodings are not
+const normalizeAddress = (address) => {
+  const trimmed = String(address || '').trim();
+  return /^(0x[0-9a-f]+|bc1|tb1|ltc1)/i.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+};
+
+const jaro = (a, b) => {
+  if (a === b) {
+    return 1;
+  }
+
+  const range = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    for (let j = Math.max(0, i - range); j < Math.min(b.length, i + range + 1); j += 1) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  let j = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) {
+        j += 1;
+      }
+      if (a[i] !== b[j]) {
+        transpositions += 1;
+      }
+      j += 1;
+    }
+  }
+
+  return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+};
+
+const jaroWinkler = (a, b) => {
+  const similarity = jaro(a, b);
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix += 1;
+  }
+  return similarity + prefix * 0.1 * (1 - similarity);
+};
+
+// How well each token of one name is matched in the other, weighted by token length
+const coverage = (from, to) => {
+  const total = from.reduce((sum, token) => sum + token.length, 0);
+  const matched = from.reduce(
+    (sum, token) => sum + token.length * Math.max(...to.map((other) => jaroWinkler(token, other))),
+    0
+  );
+  return matched / total;
+};
+
+// Similarity of two names from 0 to 1, taking both the token order and the spelling of
+// each token into account. A name only partly contained in a longer one scores lower, so
+// a single common first name does not match every listed party carrying it.
+const tokenSimilarity = (aTokens, bTokens) => {
+  if (aTokens.length === 0 || bTokens.length === 0) {
+    return 0;
+  }
+
+  const tokenScore = (coverage(aTokens, bTokens) + coverage(bTokens, aTokens)) / 2;
+  const sortedScore = jaroWinkler([...aTokens].sort().join(' '), [...bTokens].sort().join(' '));
+
+  return Math.min(Math.max(tokenScore, sortedScore), 1);
+};
+
+const nameSimilarity = (a, b) => tokenSimilarity(nameTokens(normalizeName(a)), nameTokens(normalizeName(b)));
+
+const roundScore = (score) => Math.round(score * 10000) / 10000;
+
+class SanctionsScreener {
+  constructor({ pool, logger = console, matchThreshold = 0.92, reviewThreshold = 0.85, blockedCountries = [], cacheSeconds = 300 }) {
+    if (reviewThreshold > matchThreshold) {
+      throw new SanctionsError('INVALID_THRESHOLDS', 'The review threshold cannot be above the match threshold');
+    }
+
+    this.pool = pool;
+    this.logger = logger;
+    this.matchThreshold = matchThreshold;
+    this.reviewThreshold = reviewThreshold;
+    this.blockedCountries = blockedCountries.map((country) => country.toUpperCase());
+    this.cacheMs = cacheSeconds * 1000;
+    this.cache = null;
+  }
+
+  // The listed names, held in memory for matching and reloaded after cacheSeconds so that
+  // imports are picked up
+  async loadNames() {
+    if (!this.cache || Date.now() - this.cache.loadedAt > this.cacheMs) {
+      const result = await this.pool.query(
+        `SELECT n.name, n.normalized_name, e.id AS entry_id, e.list, e.external_id, e.entry_type, e.programs
+         FROM sanctions_names n
+         JOIN sanctions_entries e ON e.id = n.entry_id
+         WHERE e.entry_type = ANY($1)`,
+        [SCREENED_ENTRY_TYPES]
+      );
+
+      const names = result.rows
+        .map((row) => ({ ...row, tokens: nameTokens(row.normalized_name) }))
+        .filter((row) => row.tokens.length > 0);
+
+      this.cache = { names, loadedAt: Date.now() };
+    }
+
+    return this.cache.names;
+  }
+
+  // Listed parties whose names score at least the review threshold, best first, one per
+  // entry. Parties already cleared for this name are left out.
+  async matchName(name) {
+    const normalized = normalizeName(name);
+    const tokens = nameTokens(normalized);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const best = new Map();
+    for (const listed of await this.loadNames()) {
+      const score = tokenSimilarity(tokens, listed.tokens);
+      if (score >= this.reviewThreshold && (!best.has(listed.entry_id) || best.get(listed.entry_id).score < score)) {
+        best.set(listed.entry_id, {
+          list: listed.list,
+          externalId: listed.external_id,
+          entryType: listed.entry_type,
+          name: listed.name,
+          programs: listed.programs,
+          score: roundScore(score)
+        });
+      }
+    }
+    if (best.size === 0) {
+      return [];
+    }
+
+    const cleared = await this.pool.query(
+      'SELECT list, external_id FROM sanctions_clearances WHERE normalized_name = $1',
+      [normalized]
+    );
+    const clearedKeys = new Set(cleared.rows.map((row) => `${row.list}:${row.external_id}`));
+
+    return [...best.values()]
+      .filter((match) => !clearedKeys.has(`${match.list}:${match.externalId}`))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Screens a person's or company's name, and their country when known, for a user:
+  // SUBJECT_TYPES.USER for the user themselves or BENEFICIARY for someone they pay
+  async screenName({ name, country = null, subjectType, userId, context = {} }) {
+    const matches = await this.matchName(name);
+    const countryCode = country ? String(country).trim().toUpperCase() : null;
+    const countryBlocked = Boolean(countryCode && this.blockedCountries.includes(countryCode));
+    const score = matches.length > 0 ? matches[0].score : 0;
+
+    let decision = SCREENING_DECISIONS.CLEAR;
+    if (countryBlocked || score >= this.matchThreshold) {
+      decision = SCREENING_DECISIONS.MATCH;
+    } else if (matches.length > 0) {
+      decision = SCREENING_DECISIONS.REVIEW;
+    }
+
+    const hit = decision === SCREENING_DECISIONS.CLEAR ? null : await this.recordHit({
+      subjectType,
+      subject: name,
+      userId,
+      country: countryCode,
+      decision,
+      score: matches.length > 0 ? score : null,
+      matches,
+      context: { ...context, countryBlocked }
+    });
+
+    return { decision, score, matches, countryBlocked, hitId: hit ? hit.id : null };
+  }
+
+  // Checks a crypto address a user is sending to against the blocked addresses
+  async screenAddress({ address, userId, context = {} }) {
+    const result = await this.pool.query(
+      `SELECT a.address, a.currency, e.list, e.external_id, e.entry_type, e.programs,
+              (SELECT name FROM sanctions_names WHERE entry_id = e.id ORDER BY is_primary DESC, id LIMIT 1) AS name
+       FROM sanctions_addresses a
+       JOIN sanctions_entries e ON e.id = a.entry_id
+       WHERE a.normalized_address = $1`,
+      [normalizeAddress(address)]
+    );
+
+    const matches = result.rows.map((row) => ({
+      list: row.list,
+      externalId: row.external_id,
+      entryType: row.entry_type,
+      name: row.name,
+      programs: row.programs,
+      currency: row.currency,
+      address: row.address
+    }));
+
+    if (matches.length === 0) {
+      return { decision: SCREENING_DECISIONS.CLEAR, matches, hitId: null };
+    }
+
+    const hit = await this.recordHit({
+      subjectType: SUBJECT_TYPES.ADDRESS,
+      subject: address,
+      userId,
+      decision: SCREENING_DECISIONS.MATCH,
+      matches,
+      context
+    });
+
+    return { decision: SCREENING_DECISIONS.MATCH, matches, hitId: hit.id };
+  }
+
+  async recordHit({ subjectType, subject, userId, country = null, decision, score = null, matches, context }) {
+    const result = await this.pool.query(
+      `INSERT INTO sanctions_hits (subject_type, subject, user_id, country, decision, score, matches, context, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       RETURNING *`,
+      [subjectType, subject, userId, country, decision, score, JSON.stringify(matches), JSON.stringify(context)]
+    );
+
+    const hit = result.rows[0];
+    this.logger.warn(`Sanctions ${decision} ${hit.id} screening ${subjectType} for user ${userId}: ${matches.map((match) => `${match.list}:${match.externalId}`).join(', ') || 'blocked country'}`);
+
+    return hit;
+  }
+}
+
+module.exports = {
+  SANCTIONS_LISTS,
+  SCREENING_DECISIONS,
+  SUBJECT_TYPES,
+  SanctionsError,
+  SanctionsScreener,
+  normalizeName,
+  normalizeAddress,
+  nameSimilarity
+};
@@ -0,0 +1,165 @@
+// Minimal XML writing and reading for ISO 20022 bank messages, sanctions lists and other
+// files exchanged with outside parties. Messages are built from nested [name, content,
+// attributes] nodes, where content is text or a list of child nodes; null children are
+// skipped. The reader handles the subset of XML these files use: elements, attributes,
+// text, CDATA, comments and the XML declaration, without DTDs. Element names are read
+// without their namespace prefix.
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const unescapeXml = (value) => value.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+const renderNode = (node, depth) => {
+  const [name, content, attributes = {}] = node;
+  const indent = '  '.repeat(depth);
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (Array.isArray(content)) {
+    const children = content.filter(Boolean);
+    if (children.length === 0) {
+      return `${indent}<${name}${attrs}/>`;
+    }
+    return [
+      `${indent}<${name}${attrs}>`,
+      ...children.map((child) => renderNode(child, depth + 1)),
+      `${indent}</${name}>`
+    ].join('\n');
+  }
+
+  return `${indent}<${name}${attrs}>${escapeXml(content)}</${name}>`;
+};
+
+const buildXml = (root) => `<?xml version="1.0" encoding="UTF-8"?>\n${renderNode(root, 0)}\n`;
+
+class XmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlError';
+  }
+}
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const skipPast = (xml, terminator, from) => {
+  const index = xml.indexOf(terminator, from);
+  if (index === -1) {
+    throw new XmlError('Unterminated markup');
+  }
+  return index + terminator.length;
+};
+
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+// Parses a document into { name, attributes, children, text } nodes
+const parseXml = (source) => {
+  const xml = String(source).replace(/^\uFEFF/, '');
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  while (position < xml.length) {
+    const start = xml.indexOf('<', position);
+    const current = stack[stack.length - 1];
+
+    if (start === -1) {
+      if (xml.slice(position).trim()) {
+        throw new XmlError('Text after the root element');
+      }
+      break;
+    }
+    if (start > position) {
+      current.text += unescapeXml(xml.slice(position, start));
+    }
+
+    if (xml.startsWith('<!--', start)) {
+      position = skipPast(xml, '-->', start);
+    } else if (xml.startsWith('<![CDATA[', start)) {
+      position = skipPast(xml, ']]>', start);
+      current.text += xml.slice(start + 9, position - 3);
+    } else if (xml.startsWith('<?', start)) {
+      position = skipPast(xml, '?>', start);
+    } else if (xml.startsWith('<!', start)) {
+      throw new XmlError('Document type declarations are not supported');
+    } else if (xml[start + 1] === '/') {
+      const end = skipPast(xml, '>', start) - 1;
+      const name = localName(xml.slice(start + 2, end).trim());
+      if (stack.length === 1 || current.name !== name) {
+        throw new XmlError(`Unexpected closing tag ${name}`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+      position = end + 1;
+    } else {
+      const end = skipPast(xml, '>', start) - 1;
+      const selfClosing = xml[end - 1] === '/';
+      const tag = xml.slice(start + 1, selfClosing ? end - 1 : end);
+      const nameMatch = tag.match(/^[\w:.-]+/);
+      if (!nameMatch) {
+        throw new XmlError('Invalid tag');
+      }
+
+      const node = { name: localName(nameMatch[0]), attributes: {}, children: [], text: '' };
+      for (const [, key, , doubleQuoted, singleQuoted] of tag.slice(nameMatch[0].length).matchAll(ATTRIBUTE_PATTERN)) {
+        node.attributes[key] = unescapeXml(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+      }
+
+      current.children.push(node);
+      if (!selfClosing) {
+        stack.push(node);
+      }
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new XmlError(`Unclosed element ${stack[stack.length - 1].name}`);
+  }
+  if (root.children.length !== 1) {
+    throw new XmlError('Documents need exactly one root element');
+  }
+
+  return root.children[0];
+};
+
+// The first descendant along a path of element names, or null
+const find = (node, ...path) => path.reduce(
+  (current, name) => (current ? current.children.find((child) => child.name === name) || null : null),
+  node
+);
+
+// Every child with the given name, after following the path to its parent
+const findAll = (node, ...path) => {
+  const name = path.pop();
+  const parent = find(node, ...path);
+  return parent ? parent.children.filter((child) => child.name === name) : [];
+};
+
+const textOf = (node, ...path) => {
+  const found = find(node, ...path);
+  return found ? found.text : null;
+};
+
+module.exports = {
+  XmlError,
+  escapeXml,
+  buildXml,
+  parseXml,
+  find,
+  findAll,
+  textOf
+};
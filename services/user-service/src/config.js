@@ -34,5 +34,11 @@ module.exports = {
       reconnectStrategy: (retries) => Math.min(retries * 50, 2000),
     },
   },
+  sanctions: {
+    matchThreshold: parseNumber(process.env.SANCTIONS_MATCH_THRESHOLD, 92) / 100,
+    reviewThreshold: parseNumber(process.env.SANCTIONS_REVIEW_THRESHOLD, 85) / 100,
+    blockedCountries: (process.env.SANCTIONS_BLOCKED_COUNTRIES || '').split(',').map((country) => country.trim().toUpperCase()).filter(Boolean),
+    cacheSeconds: parseNumber(process.env.SANCTIONS_CACHE_SECONDS, 300),
+  },
   logLevel: process.env.LOG_LEVEL || 'info',
 };
@@ -12,6 +12,7 @@ const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
+const { SUBJECT_TYPES, SanctionsScreener } = require('cryptohybrid-shared');
 require('dotenv').config();
 
 const config = require('./config');
@@ -50,6 +51,9 @@ const redisClient = redis.createClient({
 
 redisClient.on('error', (err) => logger.error('Redis Client Error:', err));
 
+// Sanctions screening of new users
+const sanctions = new SanctionsScreener({ pool, logger, ...config.sanctions });
+
 // Middleware
 app.use(helmet());
 if (config.corsOrigins.length > 0) {
@@ -167,6 +171,20 @@ app.post('/auth/register', [
 
     const user = result.rows[0];
 
+    // New users are screened against the sanctions lists; a hit opens a compliance case
+    // rather than failing the registration
+    try {
+      await sanctions.screenName({
+        name: `${firstName} ${lastName}`,
+        country: countryCode,
+        subjectType: SUBJECT_TYPES.USER,
+        userId: user.id,
+        context: { type: 'registration' }
+      });
+    } catch (error) {
+      logger.error(`Sanctions screening of user ${user.id} failed:`, error);
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user.id, email: user.email },
@@ -152,4 +152,4 @@ if (require.main === module) {
   runMigrations();
 }
 
-module.exports = { runMigrations };
+module.exports = { migrations, runMigrations };
@@ -6,6 +6,8 @@ const parseNumber = (value, fallback) => {
   return Number.isFinite(parsed) ? parsed : fallback;
 };
 
+const parseList = (value) => value.split(',').map((item) => item.trim().toLowerCase()).filter(Boolean);
+
 const requireEnv = (keys) => {
   const missing = keys.filter((key) => !process.env[key]);
   if (missing.length > 0) {
@@ -13,7 +15,7 @@ const requireEnv = (keys) => {
   }
 };
 
-requireEnv(['DATABASE_URL', 'JWT_SECRET']);
+requireEnv(['DATABASE_URL', 'JWT_SECRET', 'KEY_VAULT_MASTER_KEY']);
 
 const env = process.env.NODE_ENV || 'development';
 
@@ -34,6 +36,51 @@ module.exports = {
       reconnectStrategy: (retries) => Math.min(retries * 50, 2000),
     },
   },
+  idempotency: {
+    ttlSeconds: parseNumber(process.env.IDEMPOTENCY_TTL_SECONDS, 86400),
+  },
+  keyVault: {
+    kmsProvider: process.env.KEY_VAULT_KMS || 'local',
+    masterKey: process.env.KEY_VAULT_MASTER_KEY,
+    keyringPath: process.env.KEY_VAULT_KEYRING_PATH || 'keys/keyring.json',
+  },
+  services: {
+    payment: process.env.PAYMENT_SERVICE_URL || 'http://payment-service:3003',
+    timeoutMs: parseNumber(process.env.SERVICE_TIMEOUT_MS, 15000),
+  },
+  transactions: {
+    intentTtlMinutes: parseNumber(process.env.TX_INTENT_TTL_MINUTES, 30),
+    dispatchSchedule: process.env.TX_DISPATCH_SCHEDULE || '*/15 * * * * *',
+  },
+  nonces: {
+    lockTtlMs: parseNumber(process.env.NONCE_LOCK_TTL_MS, 30000),
+    lockWaitMs: parseNumber(process.env.NONCE_LOCK_WAIT_MS, 60000),
+    gapGraceMs: parseNumber(process.env.NONCE_GAP_GRACE_MS, 120000),
+  },
+  hd: {
+    gapLimit: parseNumber(process.env.HD_GAP_LIMIT, 20),
+  },
+  deposits: {
+    confirmations: {
+      ethereum: parseNumber(process.env.DEPOSIT_CONFIRMATIONS_ETHEREUM, 12),
+      polygon: parseNumber(process.env.DEPOSIT_CONFIRMATIONS_POLYGON, 128),
+      bsc: parseNumber(process.env.DEPOSIT_CONFIRMATIONS_BSC, 15),
+    },
+    batchSize: parseNumber(process.env.DEPOSIT_SCAN_BATCH_SIZE, 50),
+    reorgDepth: parseNumber(process.env.DEPOSIT_REORG_DEPTH, 256),
+    pollSchedule: process.env.DEPOSIT_POLL_SCHEDULE || '*/15 * * * * *',
+  },
+  prices: {
+    sources: parseList(process.env.PRICE_SOURCES || 'coingecko'),
+    currencies: parseList(process.env.PRICE_CURRENCIES || 'usd,eur,gbp'),
+    cacheTtlSeconds: parseNumber(process.env.PRICE_CACHE_TTL_SECONDS, 60),
+    maxAgeSeconds: parseNumber(process.env.PRICE_MAX_AGE_SECONDS, 600),
+    chainlinkMaxAgeSeconds: parseNumber(process.env.PRICE_CHAINLINK_MAX_AGE_SECONDS, 90000),
+    coingeckoApiUrl: process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3',
+    coingeckoApiKey: process.env.COINGECKO_API_KEY || null,
+    fixturePath: process.env.PRICE_FIXTURE_PATH || null,
+    historySchedule: process.env.PRICE_HISTORY_SCHEDULE || '*/5 * * * *',
+  },
   blockchain: {
     ethereumRpcUrl: process.env.ETHEREUM_RPC_URL,
     polygonRpcUrl: process.env.POLYGON_RPC_URL,
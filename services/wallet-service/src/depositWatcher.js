@@ -0,0 +1,390 @@
+const { ethers } = require('ethers');
+const { withTransaction, fromBaseUnits, LedgerManager } = require('cryptohybrid-shared');
+const { isNativeAsset, isTransferableAsset } = require('./networks');
+const { HdWalletManager } = require('./hdWallets');
+
+// On-chain deposit detection.
+// One watcher per network scans new blocks for native transfers and ERC-20 Transfer logs to
+// our addresses and records them as pending deposits. Deposits are credited once they are
+// `confirmations` blocks deep and still on the canonical chain. Block hashes of recently
+// scanned blocks are kept so a reorg rolls the cursor back to the fork point, orphaning the
+// deposits seen above it and reversing any that were already credited.
+
+const DEPOSIT_STATUSES = {
+  PENDING: 'pending',
+  CREDITED: 'credited',
+  ORPHANED: 'orphaned',
+  REVERSED: 'reversed'
+};
+
+// Native transfers have no log; they use this log index so (tx hash, log index) stays unique
+const NATIVE_LOG_INDEX = -1;
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+const topicAddress = (topic) => ethers.getAddress(`0x${topic.slice(26)}`);
+
+class DepositWatcher {
+  constructor({ pool, network, provider, logger = console, confirmations = 12, batchSize = 50, reorgDepth = 128 }) {
+    this.pool = pool;
+    this.network = network;
+    this.provider = provider;
+    this.logger = logger;
+    this.confirmations = Math.max(confirmations, 1);
+    this.batchSize = batchSize;
+    this.reorgDepth = Math.max(reorgDepth, this.confirmations);
+    this.running = false;
+  }
+
+  // Runs one scan-and-credit cycle; overlapping calls are skipped
+  async poll() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const head = await this.provider.getBlockNumber();
+      const cursor = await this.checkForReorg(await this.loadCursor(head));
+      const toBlock = Math.min(head, cursor + this.batchSize);
+
+      if (toBlock > cursor) {
+        await this.scan(cursor + 1, toBlock);
+      }
+
+      await this.creditConfirmed(head);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Last scanned block; a new network starts just below the confirmation window
+  async loadCursor(head) {
+    const result = await this.pool.query(
+      'SELECT last_scanned_block FROM chain_cursors WHERE network = $1',
+      [this.network]
+    );
+
+    if (result.rows.length > 0) {
+      return Number(result.rows[0].last_scanned_block);
+    }
+
+    const start = Math.max(head - this.confirmations, 0);
+    await this.pool.query(
+      `INSERT INTO chain_cursors (network, last_scanned_block, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (network) DO NOTHING`,
+      [this.network, start]
+    );
+
+    return start;
+  }
+
+  // Walks back through the stored block hashes until one still matches the chain and rolls
+  // back to it. Returns the cursor to continue scanning from.
+  async checkForReorg(cursor) {
+    const stored = await this.pool.query(
+      `SELECT block_number, block_hash FROM scanned_blocks
+       WHERE network = $1 AND block_number <= $2
+       ORDER BY block_number DESC
+       LIMIT $3`,
+      [this.network, cursor, this.reorgDepth]
+    );
+
+    if (stored.rows.length === 0) {
+      return cursor;
+    }
+
+    let forkPoint = null;
+    for (const row of stored.rows) {
+      const block = await this.provider.getBlock(Number(row.block_number));
+      if (block && block.hash === row.block_hash) {
+        forkPoint = Number(row.block_number);
+        break;
+      }
+    }
+
+    if (forkPoint === cursor) {
+      return cursor;
+    }
+
+    if (forkPoint === null) {
+      forkPoint = Number(stored.rows[stored.rows.length - 1].block_number) - 1;
+      this.logger.error(`Reorg on ${this.network} is deeper than the ${this.reorgDepth} tracked blocks; rescanning from ${forkPoint + 1}`);
+    } else {
+      this.logger.warn(`Reorg detected on ${this.network}; rolling back to block ${forkPoint}`);
+    }
+
+    await this.rollback(forkPoint);
+    return forkPoint;
+  }
+
+  async rollback(forkPoint) {
+    await withTransaction(this.pool, async (client) => {
+      await client.query(
+        `UPDATE deposits SET status = $1, updated_at = NOW()
+         WHERE network = $2 AND block_number > $3 AND status = $4`,
+        [DEPOSIT_STATUSES.ORPHANED, this.network, forkPoint, DEPOSIT_STATUSES.PENDING]
+      );
+
+      const credited = await client.query(
+        `SELECT * FROM deposits
+         WHERE network = $1 AND block_number > $2 AND status = $3
+         FOR UPDATE`,
+        [this.network, forkPoint, DEPOSIT_STATUSES.CREDITED]
+      );
+
+      for (const deposit of credited.rows) {
+        this.logger.error(`Credited deposit ${deposit.id} (${deposit.tx_hash}) was reorged out; reversing it`);
+        await this.reverseDeposit(client, deposit);
+      }
+
+      await client.query(
+        'DELETE FROM scanned_blocks WHERE network = $1 AND block_number > $2',
+        [this.network, forkPoint]
+      );
+
+      await client.query(
+        'UPDATE chain_cursors SET last_scanned_block = $1, updated_at = NOW() WHERE network = $2',
+        [forkPoint, this.network]
+      );
+    });
+  }
+
+  async reverseDeposit(client, deposit) {
+    await LedgerManager.postEntry(client, {
+      entryType: 'deposit_reversal',
+      transactionId: deposit.transaction_id,
+      description: `Reorged deposit ${deposit.tx_hash}`,
+      metadata: { network: this.network, txHash: deposit.tx_hash, logIndex: deposit.log_index },
+      postings: [
+        { account: LedgerManager.userAccount(deposit.user_id, deposit.wallet_id, deposit.asset_id), direction: 'debit', amount: deposit.amount },
+        { account: LedgerManager.omnibusAccount(deposit.asset_id), direction: 'credit', amount: deposit.amount }
+      ],
+      allowNegative: true
+    });
+
+    await client.query(
+      `UPDATE transactions SET status = 'reversed' WHERE id = $1`,
+      [deposit.transaction_id]
+    );
+
+    await client.query(
+      'UPDATE deposits SET status = $1, updated_at = NOW() WHERE id = $2',
+      [DEPOSIT_STATUSES.REVERSED, deposit.id]
+    );
+  }
+
+  // Lower-cased address -> owning wallet, for every active wallet on this network
+  async watchedAddresses() {
+    const result = await this.pool.query(
+      `SELECT a.address, a.wallet_id, w.user_id
+       FROM wallet_addresses a
+       JOIN wallets w ON w.id = a.wallet_id
+       WHERE a.network = $1 AND w.is_active = true
+       UNION ALL
+       SELECT w.wallet_address, w.id, w.user_id
+       FROM wallets w
+       WHERE w.hd_root_id IS NULL AND w.wallet_address IS NOT NULL AND w.is_active = true`,
+      [this.network]
+    );
+
+    return new Map(result.rows.map((row) => [row.address.toLowerCase(), { walletId: row.wallet_id, userId: row.user_id }]));
+  }
+
+  async networkAssets() {
+    const result = await this.pool.query(
+      'SELECT id, symbol, blockchain, contract_address, decimals FROM assets WHERE blockchain = $1 AND is_active = true',
+      [this.network]
+    );
+
+    return result.rows.filter(isTransferableAsset);
+  }
+
+  async scan(fromBlock, toBlock) {
+    const [watched, assets] = await Promise.all([this.watchedAddresses(), this.networkAssets()]);
+    const nativeAsset = assets.find(isNativeAsset);
+    const tokens = new Map(assets.filter((asset) => !isNativeAsset(asset)).map((asset) => [asset.contract_address.toLowerCase(), asset]));
+
+    const blocks = [];
+    const deposits = [];
+
+    for (let number = fromBlock; number <= toBlock; number++) {
+      const block = await this.provider.getBlock(number, true);
+      if (!block) {
+        throw new Error(`Block ${number} on ${this.network} is not available yet`);
+      }
+
+      blocks.push({ number, hash: block.hash });
+
+      if (!nativeAsset || watched.size === 0) {
+        continue;
+      }
+
+      for (const tx of block.prefetchedTransactions) {
+        const owner = tx.to && watched.get(tx.to.toLowerCase());
+        if (!owner || tx.value === 0n) {
+          continue;
+        }
+
+        const receipt = await this.provider.getTransactionReceipt(tx.hash);
+        if (!receipt || receipt.status !== 1) {
+          continue;
+        }
+
+        deposits.push({
+          ...owner,
+          asset: nativeAsset,
+          txHash: tx.hash,
+          logIndex: NATIVE_LOG_INDEX,
+          blockNumber: number,
+          blockHash: block.hash,
+          fromAddress: tx.from,
+          toAddress: ethers.getAddress(tx.to),
+          units: tx.value
+        });
+      }
+    }
+
+    if (tokens.size > 0 && watched.size > 0) {
+      const logs = await this.provider.getLogs({
+        fromBlock,
+        toBlock,
+        address: [...tokens.keys()],
+        topics: [TRANSFER_TOPIC]
+      });
+
+      for (const log of logs) {
+        if (log.topics.length !== 3) {
+          continue;
+        }
+
+        const toAddress = topicAddress(log.topics[2]);
+        const owner = watched.get(toAddress.toLowerCase());
+        const units = BigInt(log.data);
+        if (!owner || units === 0n) {
+          continue;
+        }
+
+        deposits.push({
+          ...owner,
+          asset: tokens.get(log.address.toLowerCase()),
+          txHash: log.transactionHash,
+          logIndex: log.index,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          fromAddress: topicAddress(log.topics[1]),
+          toAddress,
+          units
+        });
+      }
+    }
+
+    await withTransaction(this.pool, async (client) => {
+      for (const deposit of deposits) {
+        // A deposit rolled back by a reorg and mined again in a later block becomes pending again
+        await client.query(
+          `INSERT INTO deposits (network, tx_hash, log_index, block_number, block_hash, user_id, wallet_id, asset_id,
+                                 from_address, to_address, amount, status, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+           ON CONFLICT (network, tx_hash, log_index) DO UPDATE SET
+             block_number = EXCLUDED.block_number, block_hash = EXCLUDED.block_hash, status = EXCLUDED.status, updated_at = NOW()
+           WHERE deposits.status IN ('${DEPOSIT_STATUSES.ORPHANED}', '${DEPOSIT_STATUSES.REVERSED}')`,
+          [
+            this.network, deposit.txHash, deposit.logIndex, deposit.blockNumber, deposit.blockHash, deposit.userId, deposit.walletId,
+            deposit.asset.id, deposit.fromAddress, deposit.toAddress, fromBaseUnits(deposit.units, deposit.asset.decimals),
+            DEPOSIT_STATUSES.PENDING
+          ]
+        );
+      }
+
+      for (const block of blocks) {
+        await client.query(
+          `INSERT INTO scanned_blocks (network, block_number, block_hash, scanned_at)
+           VALUES ($1, $2, $3, NOW())
+           ON CONFLICT (network, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash, scanned_at = NOW()`,
+          [this.network, block.number, block.hash]
+        );
+      }
+
+      await client.query(
+        'DELETE FROM scanned_blocks WHERE network = $1 AND block_number <= $2',
+        [this.network, toBlock - this.reorgDepth]
+      );
+
+      await client.query(
+        'UPDATE chain_cursors SET last_scanned_block = $1, updated_at = NOW() WHERE network = $2',
+        [toBlock, this.network]
+      );
+    });
+
+    if (deposits.length > 0) {
+      this.logger.info(`Detected ${deposits.length} deposits on ${this.network} in blocks ${fromBlock}-${toBlock}`);
+    }
+  }
+
+  // Credits pending deposits that are deep enough, each in its own transaction so a deposit
+  // is credited exactly once even if several workers run
+  async creditConfirmed(head) {
+    const pending = await this.pool.query(
+      `SELECT id, block_number, block_hash FROM deposits
+       WHERE network = $1 AND status = $2 AND block_number <= $3
+       ORDER BY block_number
+       LIMIT 100`,
+      [this.network, DEPOSIT_STATUSES.PENDING, head - this.confirmations + 1]
+    );
+
+    for (const candidate of pending.rows) {
+      // A deposit whose block is no longer canonical is left for the reorg check to orphan
+      const block = await this.provider.getBlock(Number(candidate.block_number));
+      if (!block || block.hash !== candidate.block_hash) {
+        continue;
+      }
+
+      await withTransaction(this.pool, async (client) => {
+        const locked = await client.query(
+          'SELECT * FROM deposits WHERE id = $1 AND status = $2 FOR UPDATE SKIP LOCKED',
+          [candidate.id, DEPOSIT_STATUSES.PENDING]
+        );
+
+        const deposit = locked.rows[0];
+        if (!deposit || deposit.block_hash !== candidate.block_hash) {
+          return;
+        }
+
+        const transactionResult = await client.query(
+          `INSERT INTO transactions (user_id, transaction_type, to_wallet_id, from_asset_id, to_asset_id, amount, blockchain_tx_hash, status, created_at, completed_at)
+           VALUES ($1, 'deposit', $2, $3, $3, $4, $5, 'completed', NOW(), NOW())
+           RETURNING id`,
+          [deposit.user_id, deposit.wallet_id, deposit.asset_id, deposit.amount, deposit.tx_hash]
+        );
+
+        const transactionId = transactionResult.rows[0].id;
+
+        await LedgerManager.transfer(client, {
+          entryType: 'deposit',
+          transactionId,
+          description: `Deposit ${deposit.tx_hash}`,
+          metadata: { network: this.network, txHash: deposit.tx_hash, logIndex: deposit.log_index, fromAddress: deposit.from_address },
+          from: LedgerManager.omnibusAccount(deposit.asset_id),
+          to: LedgerManager.userAccount(deposit.user_id, deposit.wallet_id, deposit.asset_id),
+          amount: deposit.amount
+        });
+
+        await client.query(
+          'UPDATE deposits SET status = $1, transaction_id = $2, credited_at = NOW(), updated_at = NOW() WHERE id = $3',
+          [DEPOSIT_STATUSES.CREDITED, transactionId, deposit.id]
+        );
+
+        await HdWalletManager.markAddressUsed(client, this.network, deposit.to_address);
+
+        this.logger.info(`Credited deposit ${deposit.id}: ${deposit.amount} to wallet ${deposit.wallet_id}`);
+      });
+    }
+  }
+}
+
+module.exports = {
+  DEPOSIT_STATUSES,
+  DepositWatcher
+};
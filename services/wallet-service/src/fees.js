@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+const { fromBaseUnits, LedgerManager, HoldManager } = require('cryptohybrid-shared');
+const { NATIVE_ASSETS } = require('./networks');
+
+// EIP-1559 network fees.
+// Tips for the slow, normal and fast speeds are the median 10th, 50th and 90th percentile
+// tips of recent blocks (eth_feeHistory). The fee cap leaves room for the base fee to
+// double before a transaction stops being includable. Sends reserve their maximum fee,
+// gas limit times fee cap, in the network's native coin when they are created and are
+// charged it when they are broadcast; what their gas did not use is refunded once they
+// are mined.
+
+const FEE_SPEEDS = ['slow', 'normal', 'fast'];
+const REWARD_PERCENTILES = [10, 50, 90];
+const FEE_HISTORY_BLOCKS = 20;
+
+// Nodes only accept a replacement that raises both fees by at least 10%; bump by 12.5%
+const REPLACEMENT_BUMP_PER_MILLE = 1125n;
+
+class FeeError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'FeeError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const median = (values) => [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))[Math.floor(values.length / 2)];
+
+const maxOf = (...values) => values.reduce((max, value) => (value > max ? value : max));
+
+class FeeManager {
+  constructor({ providers }) {
+    this.providers = providers;
+  }
+
+  provider(network) {
+    const provider = this.providers[network];
+    if (!provider) {
+      throw new FeeError('UNSUPPORTED_NETWORK', `Unsupported network: ${network}`);
+    }
+
+    return provider;
+  }
+
+  // Fee cap and tip per speed, in wei
+  async quote(network) {
+    const provider = this.provider(network);
+
+    let history = null;
+    try {
+      history = await provider.send('eth_feeHistory', [ethers.toQuantity(FEE_HISTORY_BLOCKS), 'latest', REWARD_PERCENTILES]);
+    } catch (error) {
+      history = null;
+    }
+
+    if (history && Array.isArray(history.reward) && history.reward.length > 0) {
+      // The last base fee in the history is the one for the next block
+      const baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+
+      return {
+        network,
+        baseFeePerGas,
+        speeds: Object.fromEntries(FEE_SPEEDS.map((speed, index) => {
+          const maxPriorityFeePerGas = median(history.reward.map((rewards) => BigInt(rewards[index])));
+          return [speed, { maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas, maxPriorityFeePerGas }];
+        }))
+      };
+    }
+
+    // Nodes without fee history only suggest a single fee; fast doubles its tip
+    const [feeData, block] = await Promise.all([provider.getFeeData(), provider.getBlock('latest')]);
+    if (feeData.maxFeePerGas === null || feeData.maxPriorityFeePerGas === null || !block || block.baseFeePerGas === null) {
+      throw new FeeError('UNSUPPORTED_NETWORK', `${network} does not report EIP-1559 fees`);
+    }
+
+    const standard = { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+    return {
+      network,
+      baseFeePerGas: block.baseFeePerGas,
+      speeds: {
+        slow: standard,
+        normal: standard,
+        fast: {
+          maxFeePerGas: feeData.maxFeePerGas + feeData.maxPriorityFeePerGas,
+          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas * 2n
+        }
+      }
+    };
+  }
+
+  // Fees for a replacement: the previous fees raised past the replacement threshold, or
+  // the current fast quote if that is higher
+  static bumpFees(previous, fast) {
+    const bump = (value) => (BigInt(value) * REPLACEMENT_BUMP_PER_MILLE + 999n) / 1000n;
+    const maxPriorityFeePerGas = maxOf(bump(previous.maxPriorityFeePerGas), fast.maxPriorityFeePerGas);
+
+    return {
+      maxPriorityFeePerGas,
+      maxFeePerGas: maxOf(bump(previous.maxFeePerGas), fast.maxFeePerGas, maxPriorityFeePerGas)
+    };
+  }
+
+  // Maximum fee of a transaction in wei
+  static networkFee(gasLimit, maxFeePerGas) {
+    return BigInt(gasLimit) * BigInt(maxFeePerGas);
+  }
+
+  static async nativeAsset(client, network) {
+    const result = await client.query(
+      'SELECT * FROM assets WHERE blockchain = $1 AND symbol = $2',
+      [network, NATIVE_ASSETS[network]]
+    );
+
+    if (result.rows.length === 0) {
+      throw new FeeError('UNSUPPORTED_NETWORK', `No native asset is configured for ${network}`);
+    }
+
+    return result.rows[0];
+  }
+
+  static feeAmount(gasLimit, maxFeePerGas, nativeAsset) {
+    return fromBaseUnits(FeeManager.networkFee(gasLimit, maxFeePerGas), nativeAsset.decimals);
+  }
+
+  // Charges a network fee, capturing the hold that reserved it when there is one
+  static async chargeNetworkFee(client, { userId, walletId, nativeAsset, amount, transactionId, description, metadata, holdId = null }) {
+    const entry = {
+      entryType: 'network_fee',
+      transactionId,
+      description,
+      metadata,
+      postings: [
+        { account: LedgerManager.userAccount(userId, walletId, nativeAsset.id), direction: 'debit', amount },
+        { account: LedgerManager.omnibusAccount(nativeAsset.id), direction: 'credit', amount }
+      ]
+    };
+
+    if (holdId) {
+      const { journalEntry } = await HoldManager.captureHold(client, holdId, entry);
+      return journalEntry;
+    }
+
+    return LedgerManager.postEntry(client, entry);
+  }
+}
+
+module.exports = {
+  FEE_SPEEDS,
+  FeeError,
+  FeeManager
+};
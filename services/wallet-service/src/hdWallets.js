@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const bip39 = require('bip39');
+const hdkey = require('hdkey');
+const { ethers } = require('ethers');
+const { toBaseUnits } = require('cryptohybrid-shared');
+const { isNativeAsset, getAssetBalance } = require('./networks');
+
+// Hierarchical deterministic wallets.
+// A wallet is a BIP-44 account under a BIP-39 root (m/44'/coin'/account'), with one
+// account per network using the network's SLIP-44 coin type, so addresses on every chain
+// come from the same seed. A user's custodial wallets share one root, whose seed is sealed
+// by the key vault; every non-custodial wallet gets a root of its own, since its phrase is
+// handed to the user and not kept. Receive addresses are derived from the stored account
+// xpubs, and the seed is needed only to create accounts and to sign.
+
+const COIN_TYPES = {
+  ethereum: 60,
+  polygon: 966,
+  bsc: 9006
+};
+
+const HD_NETWORKS = Object.keys(COIN_TYPES);
+
+// External (receive) chain of an account
+const RECEIVE_CHAIN = 0;
+
+class HdWalletError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'HdWalletError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const accountPath = (coinType, accountIndex) => `m/44'/${coinType}'/${accountIndex}'`;
+
+const addressPath = (coinType, accountIndex, addressIndex) => `${accountPath(coinType, accountIndex)}/${RECEIVE_CHAIN}/${addressIndex}`;
+
+const addressFromXpub = (xpub, addressIndex) => {
+  const child = hdkey.fromExtendedKey(xpub).deriveChild(RECEIVE_CHAIN).deriveChild(addressIndex);
+  return ethers.computeAddress(`0x${child.publicKey.toString('hex')}`);
+};
+
+class HdWalletManager {
+  constructor({ keyVault, gapLimit = 20 }) {
+    this.keyVault = keyVault;
+    this.gapLimit = gapLimit;
+  }
+
+  static rootContext(rootId) {
+    return `hd_root:${rootId}`;
+  }
+
+  // Returns the root for a new wallet: the user's custodial root, created on first use, or
+  // a new root for a non-custodial wallet. The mnemonic is only returned when the root was
+  // just created.
+  async getOrCreateRoot(client, userId, custodyType) {
+    if (custodyType === 'custodial') {
+      const existing = await client.query(
+        'SELECT * FROM hd_roots WHERE user_id = $1 AND custody_type = $2 FOR UPDATE',
+        [userId, custodyType]
+      );
+
+      if (existing.rows.length > 0) {
+        return { root: existing.rows[0], mnemonic: null };
+      }
+    }
+
+    const rootId = crypto.randomUUID();
+    const mnemonic = bip39.generateMnemonic();
+    const sealed = custodyType === 'custodial'
+      ? await this.keyVault.encrypt(mnemonic, HdWalletManager.rootContext(rootId))
+      : { envelope: null, keyVersion: null };
+
+    const inserted = await client.query(
+      `INSERT INTO hd_roots (id, user_id, custody_type, encrypted_seed, key_version, seed_phrase_hash, next_account_index, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 0, NOW(), NOW())
+       ON CONFLICT (user_id) WHERE custody_type = 'custodial' DO NOTHING
+       RETURNING *`,
+      [rootId, userId, custodyType, sealed.envelope, sealed.keyVersion, crypto.createHash('sha256').update(mnemonic).digest('hex')]
+    );
+
+    if (inserted.rows.length > 0) {
+      return { root: inserted.rows[0], mnemonic };
+    }
+
+    // A concurrent request created the custodial root first
+    return this.getOrCreateRoot(client, userId, custodyType);
+  }
+
+  async masterKey(root, mnemonic = null) {
+    const phrase = mnemonic || (root.encrypted_seed
+      ? await this.keyVault.decrypt(root.encrypted_seed, HdWalletManager.rootContext(root.id))
+      : null);
+
+    if (!phrase) {
+      throw new HdWalletError('ROOT_SEED_UNAVAILABLE', 'The recovery phrase for this root is held by the user');
+    }
+
+    return hdkey.fromMasterSeed(await bip39.mnemonicToSeed(phrase));
+  }
+
+  // Creates a wallet as the next account of its root, with an account and a first receive
+  // address on every network
+  async createWallet(client, { userId, custodyType }) {
+    const { root, mnemonic } = await this.getOrCreateRoot(client, userId, custodyType);
+    const master = await this.masterKey(root, mnemonic);
+    const accountIndex = root.next_account_index;
+    const walletId = crypto.randomUUID();
+
+    const accounts = HD_NETWORKS.map((network) => {
+      const coinType = COIN_TYPES[network];
+      const xpub = master.derive(accountPath(coinType, accountIndex)).publicExtendedKey;
+      return { network, coinType, xpub, address: addressFromXpub(xpub, 0) };
+    });
+
+    const walletResult = await client.query(
+      `INSERT INTO wallets (id, user_id, wallet_type, wallet_address, seed_phrase_hash, hd_root_id, account_index, is_active, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, true, NOW(), NOW())
+       RETURNING id, wallet_type, wallet_address, is_active, created_at`,
+      [walletId, userId, custodyType, accounts.find((account) => account.network === 'ethereum').address, root.seed_phrase_hash, root.id, accountIndex]
+    );
+
+    await client.query(
+      'UPDATE hd_roots SET next_account_index = next_account_index + 1, updated_at = NOW() WHERE id = $1',
+      [root.id]
+    );
+
+    for (const account of accounts) {
+      const accountResult = await client.query(
+        `INSERT INTO hd_accounts (root_id, wallet_id, network, coin_type, account_index, xpub, next_address_index, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, 1, NOW())
+         RETURNING id`,
+        [root.id, walletId, account.network, account.coinType, accountIndex, account.xpub]
+      );
+
+      await client.query(
+        `INSERT INTO wallet_addresses (wallet_id, hd_account_id, network, address_index, derivation_path, address, created_at)
+         VALUES ($1, $2, $3, 0, $4, $5, NOW())`,
+        [walletId, accountResult.rows[0].id, account.network, addressPath(account.coinType, accountIndex, 0), account.address]
+      );
+    }
+
+    // Custodial phrases never leave the vault
+    return { wallet: walletResult.rows[0], mnemonic: custodyType === 'non_custodial' ? mnemonic : null };
+  }
+
+  // Derives the next receive address, refusing to run more than the gap limit of unused
+  // addresses past the last used one so wallet recovery can still discover every address
+  async deriveAddress(client, { walletId, network }) {
+    const accountResult = await client.query(
+      'SELECT * FROM hd_accounts WHERE wallet_id = $1 AND network = $2 FOR UPDATE',
+      [walletId, network]
+    );
+
+    const account = accountResult.rows[0];
+    if (!account) {
+      throw new HdWalletError('HD_NOT_SUPPORTED', `Wallet has no HD account on ${network}`);
+    }
+
+    const gapResult = await client.query(
+      `SELECT COUNT(*)::int AS unused FROM wallet_addresses
+       WHERE hd_account_id = $1 AND is_used = false
+         AND address_index > COALESCE((SELECT MAX(address_index) FROM wallet_addresses WHERE hd_account_id = $1 AND is_used = true), -1)`,
+      [account.id]
+    );
+
+    if (gapResult.rows[0].unused >= this.gapLimit) {
+      throw new HdWalletError('GAP_LIMIT_REACHED', `${this.gapLimit} unused addresses are already outstanding; reuse one of them`, {
+        gapLimit: this.gapLimit
+      });
+    }
+
+    const addressIndex = account.next_address_index;
+    const result = await client.query(
+      `INSERT INTO wallet_addresses (wallet_id, hd_account_id, network, address_index, derivation_path, address, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [walletId, account.id, network, addressIndex, addressPath(account.coin_type, account.account_index, addressIndex), addressFromXpub(account.xpub, addressIndex)]
+    );
+
+    await client.query(
+      'UPDATE hd_accounts SET next_address_index = $1 WHERE id = $2',
+      [addressIndex + 1, account.id]
+    );
+
+    return result.rows[0];
+  }
+
+  static async listAddresses(client, walletId, network = null) {
+    const result = await client.query(
+      `SELECT * FROM wallet_addresses
+       WHERE wallet_id = $1 AND ($2::varchar IS NULL OR network = $2)
+       ORDER BY network, address_index`,
+      [walletId, network]
+    );
+
+    return result.rows;
+  }
+
+  static async markAddressUsed(client, network, address) {
+    const result = await client.query(
+      `UPDATE wallet_addresses SET is_used = true, first_used_at = COALESCE(first_used_at, NOW())
+       WHERE network = $1 AND address = $2
+       RETURNING *`,
+      [network, ethers.getAddress(address)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Every address holding a wallet's funds on a network
+  static async networkAddresses(client, wallet, network) {
+    if (!wallet.hd_root_id) {
+      return [wallet.wallet_address];
+    }
+
+    const result = await client.query(
+      'SELECT address FROM wallet_addresses WHERE wallet_id = $1 AND network = $2 ORDER BY address_index',
+      [wallet.id, network]
+    );
+
+    return result.rows.map((row) => row.address);
+  }
+
+  // Address a send of an amount goes out from on a network. Deposits land on whichever
+  // receive address the sender used, so this is the first address, in derivation order,
+  // holding the amount on chain and native coin for the gas. Wallets created before HD
+  // derivation have a single address.
+  static async sendingAddress(client, wallet, network, { provider, asset, amount }) {
+    if (!wallet.hd_root_id) {
+      return wallet.wallet_address;
+    }
+
+    const result = await client.query(
+      'SELECT address FROM wallet_addresses WHERE wallet_id = $1 AND network = $2 ORDER BY address_index',
+      [wallet.id, network]
+    );
+
+    if (result.rows.length === 0) {
+      throw new HdWalletError('HD_NOT_SUPPORTED', `Wallet has no HD account on ${network}`);
+    }
+
+    const units = toBaseUnits(amount, asset.decimals);
+    for (const { address } of result.rows) {
+      const balance = await getAssetBalance(provider, asset, address);
+      const funded = isNativeAsset(asset)
+        ? balance > units
+        : balance >= units && await provider.getBalance(address) > 0n;
+
+      if (funded) {
+        return address;
+      }
+    }
+
+    throw new HdWalletError(
+      'NO_FUNDED_ADDRESS',
+      `No single address of this wallet holds ${amount} ${asset.symbol} and the gas to send it on ${network}`,
+      { network, amount }
+    );
+  }
+
+  // Signs from one of the wallet's receive addresses on a network with the key derived for
+  // it from the custodial root seed
+  async signTransaction(client, wallet, network, fromAddress, transaction, provider) {
+    if (wallet.wallet_type !== 'custodial') {
+      throw new HdWalletError('NOT_CUSTODIAL', 'Only custodial wallets can be signed for');
+    }
+
+    const result = await client.query(
+      `SELECT r.id, r.encrypted_seed, a.address, a.address_index
+       FROM hd_roots r
+       JOIN wallet_addresses a ON a.wallet_id = $2 AND a.network = $3 AND a.address = $4
+       WHERE r.id = $1`,
+      [wallet.hd_root_id, wallet.id, network, ethers.getAddress(fromAddress)]
+    );
+
+    const root = result.rows[0];
+    if (!root) {
+      throw new HdWalletError('ADDRESS_NOT_FOUND', `${fromAddress} is not an address of this wallet on ${network}`);
+    }
+
+    const master = await this.masterKey(root);
+    const child = master.derive(addressPath(COIN_TYPES[network], wallet.account_index, root.address_index));
+
+    return this.keyVault.signWithPrivateKey(`0x${child.privateKey.toString('hex')}`, root.address, transaction, provider);
+  }
+}
+
+module.exports = {
+  COIN_TYPES,
+  HD_NETWORKS,
+  HdWalletError,
+  HdWalletManager,
+  accountPath,
+  addressPath,
+  addressFromXpub
+};
@@ -7,16 +7,23 @@ const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const redis = require('redis');
 const winston = require('winston');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { ethers } = require('ethers');
-const bip39 = require('bip39');
-const hdkey = require('hdkey');
-const crypto = require('crypto');
 const axios = require('axios');
 const cron = require('node-cron');
+const { withTransaction, toBaseUnits, fromBaseUnits, normalizeAmount, subtractAmounts, multiplyAmounts, LedgerManager, LedgerError, HoldManager, PriceOracleError, createIdempotencyMiddleware, createPriceOracle } = require('cryptohybrid-shared');
 require('dotenv').config();
 
 const config = require('./config');
+const { KeyVault, KeyVaultError, createKms } = require('./keyVault');
+const { HD_NETWORKS, HdWalletError, HdWalletManager } = require('./hdWallets');
+const { NATIVE_ASSETS, isTransferableAsset, fitsAssetDecimals, getAssetBalance } = require('./networks');
+const { REPLACEMENT_TYPES, TransactionIntentError, TransactionIntentManager, toJsonTransaction } = require('./transactionIntents');
+const { FEE_SPEEDS, FeeError, FeeManager } = require('./fees');
+const { NonceError, NonceManager } = require('./nonceManager');
+const { PriceHistoryError, PriceHistory } = require('./priceHistory');
+const { PERIODS, PortfolioManager } = require('./portfolio');
+const { DepositWatcher } = require('./depositWatcher');
 
 const app = express();
 const PORT = config.port;
@@ -59,6 +66,53 @@ const providers = {
   bsc: new ethers.JsonRpcProvider(config.blockchain.bscRpcUrl || 'https://bsc-dataseed.binance.org')
 };
 
+// Custodial private keys are only ever stored sealed by the key vault
+const keyVault = new KeyVault({ kms: createKms(config.keyVault) });
+const hdWallets = new HdWalletManager({ keyVault, gapLimit: config.hd.gapLimit });
+
+const fees = new FeeManager({ providers });
+
+// Asset prices from the configured sources, cached in Redis
+const priceOracle = createPriceOracle({ config: config.prices, redisClient, logger, httpClient: axios, providers });
+const priceHistory = new PriceHistory({ pool, priceOracle, logger, currencies: config.prices.currencies });
+
+// Serializes custodial sends per sending address so their nonces never collide
+const nonces = new NonceManager({
+  redisClient,
+  providers,
+  logger,
+  lockTtlMs: config.nonces.lockTtlMs,
+  lockWaitMs: config.nonces.lockWaitMs,
+  gapGraceMs: config.nonces.gapGraceMs
+});
+
+// EVM sends: unsigned transactions prepared for non-custodial wallets to sign, and
+// custodial sends signed with the vaulted keys
+const transactionIntents = new TransactionIntentManager({
+  pool,
+  providers,
+  fees,
+  nonces,
+  signTransaction: (client, wallet, network, fromAddress, transaction, provider) => WalletManager.signTransaction(
+    client, wallet, network, fromAddress, transaction, provider
+  ),
+  logger,
+  intentTtlMinutes: config.transactions.intentTtlMinutes
+});
+
+// Deposit watchers, only for networks with an RPC endpoint configured
+const depositWatchers = Object.keys(providers)
+  .filter((network) => config.blockchain[`${network}RpcUrl`])
+  .map((network) => new DepositWatcher({
+    pool,
+    network,
+    provider: providers[network],
+    logger,
+    confirmations: config.deposits.confirmations[network],
+    batchSize: config.deposits.batchSize,
+    reorgDepth: config.deposits.reorgDepth
+  }));
+
 // JWT Authentication Middleware
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -99,85 +153,100 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
-// Wallet utilities
-class WalletManager {
-  static generateMnemonic() {
-    return bip39.generateMnemonic();
-  }
+// Replays stored responses for retried money-moving requests
+const idempotent = createIdempotencyMiddleware({
+  redisClient,
+  logger,
+  namespace: 'wallet-service',
+  ttlSeconds: config.idempotency.ttlSeconds
+});
 
-  static async createWalletFromMnemonic(mnemonic, index = 0) {
-    const seed = await bip39.mnemonicToSeed(mnemonic);
-    const hdWallet = hdkey.fromMasterSeed(seed);
-    const wallet = hdWallet.derive(`m/44'/60'/0'/0/${index}`);
-    
-    return new ethers.Wallet(wallet.privateKey);
-  }
+const insufficientBalance = (res, error) => res.status(400).json({
+  success: false,
+  error: { code: 'INSUFFICIENT_BALANCE', message: 'Insufficient balance', details: error.details }
+});
 
-  static async createRandomWallet() {
-    const wallet = ethers.Wallet.createRandom();
-    return {
-      address: wallet.address,
-      privateKey: wallet.privateKey,
-      mnemonic: wallet.mnemonic.phrase
-    };
-  }
+// Sends are created by payment-service, which screens them against the sanctions lists,
+// the AML rules and the Travel Rule and reserves their funds. The caller's token and
+// idempotency key go along, and its error responses are passed on as they are.
+const createPayment = (req, payment) => axios.post(`${config.services.payment}/payments/send`, payment, {
+  headers: {
+    Authorization: req.headers.authorization,
+    ...(req.get('Idempotency-Key') ? { 'Idempotency-Key': req.get('Idempotency-Key') } : {})
+  },
+  timeout: config.services.timeoutMs,
+  validateStatus: () => true
+});
 
-  static async getBalance(address, network = 'ethereum') {
-    try {
-      const provider = providers[network];
-      if (!provider) {
-        throw new Error(`Unsupported network: ${network}`);
-      }
-      
-      const balance = await provider.getBalance(address);
-      return ethers.formatEther(balance);
-    } catch (error) {
-      logger.error(`Error getting balance for ${address} on ${network}:`, error);
-      throw error;
-    }
-  }
+const paymentServiceUnavailable = (res, error) => {
+  logger.error(`Payment service request failed: ${error.message}`);
+  return res.status(503).json({
+    success: false,
+    error: { code: 'PAYMENT_SERVICE_UNAVAILABLE', message: 'Sends are unavailable, retry shortly' }
+  });
+};
+
+const INTENT_ERROR_STATUSES = {
+  INTENT_NOT_FOUND: 404,
+  INTENT_NOT_PENDING: 409,
+  INTENT_EXPIRED: 409,
+  TRANSACTION_NOT_RELEASED: 409,
+  NOT_CUSTODIAL: 400,
+  TRANSACTION_NOT_REPLACEABLE: 409
+};
+
+const transactionIntentError = (res, error) => res.status(INTENT_ERROR_STATUSES[error.code] || 400).json({
+  success: false,
+  error: { code: error.code, message: error.message, details: error.details }
+});
+
+// Where a send stands once it is signed, or queued for signing
+const sendMessages = {
+  queued: 'Transaction queued; it is broadcast shortly',
+  broadcasting: 'Transaction signed; it is broadcast shortly',
+  broadcast: 'Transaction broadcast; it completes once confirmed on chain',
+  failed: 'Transaction could not be broadcast; its funds were returned'
+};
 
-  static async sendTransaction(fromPrivateKey, toAddress, amount, network = 'ethereum') {
+const preparedTransaction = (transaction, intent) => ({
+  transaction: {
+    id: transaction.id,
+    type: 'send',
+    toAddress: intent.to_address,
+    fee: transaction.fee,
+    feeAsset: NATIVE_ASSETS[intent.network],
+    status: transaction.status,
+    createdAt: transaction.created_at
+  },
+  unsignedTransaction: toJsonTransaction(intent),
+  expiresAt: intent.expires_at
+});
+
+// Wallet utilities
+class WalletManager {
+  // On-chain balance of an asset as a decimal string, read from the native balance or the
+  // asset's ERC-20 contract
+  static async getBalance(address, asset) {
     try {
-      const provider = providers[network];
+      const provider = providers[asset.blockchain];
       if (!provider) {
-        throw new Error(`Unsupported network: ${network}`);
+        throw new Error(`Unsupported network: ${asset.blockchain}`);
       }
 
-      const wallet = new ethers.Wallet(fromPrivateKey, provider);
-      const tx = await wallet.sendTransaction({
-        to: toAddress,
-        value: ethers.parseEther(amount.toString())
-      });
-
-      return tx;
+      const units = await getAssetBalance(provider, asset, address);
+      return fromBaseUnits(units, asset.decimals);
     } catch (error) {
-      logger.error(`Error sending transaction:`, error);
+      logger.error(`Error getting ${asset.symbol} balance for ${address} on ${asset.blockchain}:`, error);
       throw error;
     }
   }
-}
 
-// Price fetching utility
-class PriceManager {
-  static async getTokenPrice(symbol) {
-    try {
-      const response = await axios.get(`https://api.coingecko.com/api/v3/simple/price?ids=${symbol}&vs_currencies=usd`);
-      return response.data[symbol]?.usd || 0;
-    } catch (error) {
-      logger.error(`Error fetching price for ${symbol}:`, error);
-      return 0;
-    }
-  }
-
-  static async getMultipleTokenPrices(symbols) {
-    try {
-      const response = await axios.get(`https://api.coingecko.com/api/v3/simple/price?ids=${symbols.join(',')}&vs_currencies=usd`);
-      return response.data;
-    } catch (error) {
-      logger.error(`Error fetching prices for ${symbols}:`, error);
-      return {};
-    }
+  // Signs a transaction with the custodial wallet's vaulted key. HD wallets sign with the
+  // key of the sending address; older wallets have one key.
+  static async signTransaction(client, wallet, network, fromAddress, transaction, provider) {
+    return wallet.hd_root_id
+      ? hdWallets.signTransaction(client, wallet, network, fromAddress, transaction, provider)
+      : keyVault.signTransaction(wallet, transaction, provider);
   }
 }
 
@@ -245,56 +314,25 @@ app.post('/wallets', authenticateToken, [
   try {
     const { type, securityLevel = 'standard' } = req.body;
 
-    let walletData;
-    let encryptedPrivateKey = null;
-    let seedPhraseHash = null;
-
-    if (type === 'custodial') {
-      // Generate random wallet for custodial
-      const randomWallet = await WalletManager.createRandomWallet();
-      walletData = {
-        address: randomWallet.address,
-        privateKey: randomWallet.privateKey
-      };
-      
-      // Encrypt private key (in production, use proper encryption)
-      encryptedPrivateKey = crypto.createHash('sha256').update(randomWallet.privateKey).digest('hex');
-    } else {
-      // Generate mnemonic for non-custodial
-      const mnemonic = WalletManager.generateMnemonic();
-      const wallet = await WalletManager.createWalletFromMnemonic(mnemonic);
-      
-      walletData = {
-        address: wallet.address,
-        mnemonic: mnemonic
-      };
-      
-      // Hash mnemonic (in production, use proper hashing)
-      seedPhraseHash = crypto.createHash('sha256').update(mnemonic).digest('hex');
-    }
-
-    // Save wallet to database
-    const result = await pool.query(
-      `INSERT INTO wallets (user_id, wallet_type, wallet_address, encrypted_private_key, seed_phrase_hash, is_active, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-       RETURNING id, wallet_type, wallet_address, is_active, created_at`,
-      [req.user.userId, type, walletData.address, encryptedPrivateKey, seedPhraseHash, true]
-    );
-
-    const wallet = result.rows[0];
+    // Derive the wallet as the next account of the user's root and initialize balances
+    // for supported assets
+    const { wallet, mnemonic } = await withTransaction(pool, async (client) => {
+      const created = await hdWallets.createWallet(client, { userId: req.user.userId, custodyType: type });
+
+      const supportedAssets = await client.query('SELECT id FROM assets WHERE is_active = true');
+      for (const asset of supportedAssets.rows) {
+        await client.query(
+          `INSERT INTO balances (user_id, wallet_id, asset_id, balance, locked_balance, updated_at)
+           VALUES ($1, $2, $3, 0, 0, NOW())
+           ON CONFLICT (user_id, wallet_id, asset_id) DO NOTHING`,
+          [req.user.userId, created.wallet.id, asset.id]
+        );
+      }
 
-    // Initialize balances for supported assets
-    const supportedAssets = await pool.query('SELECT id FROM assets WHERE is_active = true');
-    for (const asset of supportedAssets.rows) {
-      await pool.query(
-        `INSERT INTO balances (user_id, wallet_id, asset_id, balance, locked_balance, updated_at)
-         VALUES ($1, $2, $3, 0, 0, NOW())
-         ON CONFLICT (user_id, wallet_id, asset_id) DO NOTHING`,
-        [req.user.userId, wallet.id, asset.id]
-      );
-    }
+      return created;
+    });
 
-    logger.info(`New ${type} wallet created for user ${req.user.userId}: ${walletData.address}`);
+    logger.info(`New ${type} wallet created for user ${req.user.userId}: ${wallet.wallet_address}`);
 
     res.status(201).json({
       success: true,
@@ -306,7 +344,7 @@ app.post('/wallets', authenticateToken, [
           isActive: wallet.is_active,
           createdAt: wallet.created_at
         },
-        ...(type === 'non_custodial' && { mnemonic: walletData.mnemonic })
+        ...(mnemonic && { mnemonic })
       },
       message: `${type} wallet created successfully`
     });
@@ -324,6 +362,7 @@ app.post('/wallets', authenticateToken, [
 app.get('/wallets/:walletId/balances', authenticateToken, async (req, res) => {
   try {
     const { walletId } = req.params;
+    const { currency = 'usd' } = req.query;
 
     // Verify wallet belongs to user
     const walletCheck = await pool.query(
@@ -339,7 +378,7 @@ app.get('/wallets/:walletId/balances', authenticateToken, async (req, res) => {
     }
 
     const result = await pool.query(
-      `SELECT b.balance, b.locked_balance, a.symbol, a.name, a.decimals, a.asset_type, a.blockchain
+      `SELECT b.balance, b.locked_balance, a.id AS asset_id, a.symbol, a.name, a.decimals, a.asset_type, a.blockchain, a.price_feeds
        FROM balances b
        JOIN assets a ON b.asset_id = a.id
        WHERE b.user_id = $1 AND b.wallet_id = $2 AND a.is_active = true
@@ -347,28 +386,35 @@ app.get('/wallets/:walletId/balances', authenticateToken, async (req, res) => {
       [req.user.userId, walletId]
     );
 
-    // Get current prices
-    const symbols = result.rows.map(row => row.symbol.toLowerCase());
-    const prices = await PriceManager.getMultipleTokenPrices(symbols);
+    // Balances are still returned when an asset cannot be priced, with the reason
+    const { quotes, errors } = await priceOracle.getPrices(
+      result.rows.map((row) => ({ id: row.asset_id, symbol: row.symbol, asset_type: row.asset_type, price_feeds: row.price_feeds })),
+      currency
+    );
 
     const balances = result.rows.map(balance => {
-      const price = prices[balance.symbol.toLowerCase()]?.usd || 0;
-      const totalBalance = parseFloat(balance.balance) + parseFloat(balance.locked_balance);
-      const usdValue = totalBalance * price;
+      const quote = quotes.get(balance.asset_id);
+      const priceError = errors.get(balance.asset_id);
+      // The ledger balance includes funds reserved by holds
+      const totalBalance = normalizeAmount(balance.balance);
 
       return {
         asset: {
+          id: balance.asset_id,
           symbol: balance.symbol,
           name: balance.name,
           decimals: balance.decimals,
           type: balance.asset_type,
           blockchain: balance.blockchain
         },
-        balance: balance.balance,
-        lockedBalance: balance.locked_balance,
-        totalBalance: totalBalance.toString(),
-        usdValue: usdValue.toFixed(2),
-        price: price
+        balance: subtractAmounts(balance.balance, balance.locked_balance),
+        lockedBalance: normalizeAmount(balance.locked_balance),
+        totalBalance,
+        currency: currency.toLowerCase(),
+        price: quote ? quote.price : null,
+        value: quote ? multiplyAmounts(totalBalance, quote.price) : null,
+        priceObservedAt: quote ? quote.observedAt : null,
+        priceError: priceError ? { code: priceError.code, message: priceError.message, details: priceError.details } : null
       };
     });
 
@@ -378,6 +424,13 @@ app.get('/wallets/:walletId/balances', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof PriceOracleError) {
+      return res.status(400).json({
+        success: false,
+        error: { code: error.code, message: error.message, details: error.details }
+      });
+    }
+
     logger.error('Get balances error:', error);
     res.status(500).json({
       success: false,
@@ -386,16 +439,115 @@ app.get('/wallets/:walletId/balances', authenticateToken, async (req, res) => {
   }
 });
 
+// Network fee quotes for each speed, optionally for a specific send
+app.get('/wallets/:walletId/fee-estimate', authenticateToken, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const { network, assetId, toAddress, amount } = req.query;
+
+    if (network && !providers[network]) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'UNSUPPORTED_NETWORK', message: `Unsupported network: ${network}` }
+      });
+    }
+
+    if (assetId && !(toAddress && ethers.isAddress(toAddress) && Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', message: 'Estimating a send requires assetId, toAddress and amount' }
+      });
+    }
+
+    const walletResult = await pool.query(
+      'SELECT * FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, req.user.userId]
+    );
+
+    if (walletResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'WALLET_NOT_FOUND', message: 'Wallet not found' }
+      });
+    }
+
+    let asset = null;
+    if (assetId) {
+      const assetResult = await pool.query('SELECT * FROM assets WHERE id = $1 AND is_active = true', [assetId]);
+      asset = assetResult.rows[0];
+
+      if (!asset || !isTransferableAsset(asset)) {
+        return res.status(404).json({
+          success: false,
+          error: { code: 'ASSET_NOT_FOUND', message: 'Asset not found' }
+        });
+      }
+    }
+
+    const networks = asset ? [asset.blockchain] : network ? [network] : Object.keys(providers);
+
+    // Networks are quoted independently so one unreachable node does not hide the others
+    const estimates = await Promise.all(networks.map(async (estimateNetwork) => {
+      try {
+        const [quote, nativeAsset] = await Promise.all([
+          fees.quote(estimateNetwork),
+          FeeManager.nativeAsset(pool, estimateNetwork)
+        ]);
+
+        let gasLimit = null;
+        if (asset) {
+          const fromAddress = await transactionIntents.sendingAddress(walletResult.rows[0], asset, amount);
+          const built = await transactionIntents.buildTransaction({ network: estimateNetwork, fromAddress, toAddress, asset, amount });
+          gasLimit = built.gasLimit;
+        }
+
+        return {
+          network: estimateNetwork,
+          feeAsset: nativeAsset.symbol,
+          baseFeePerGas: quote.baseFeePerGas.toString(),
+          gasLimit: gasLimit === null ? null : gasLimit.toString(),
+          speeds: Object.fromEntries(FEE_SPEEDS.map((speed) => [speed, {
+            maxFeePerGas: quote.speeds[speed].maxFeePerGas.toString(),
+            maxPriorityFeePerGas: quote.speeds[speed].maxPriorityFeePerGas.toString(),
+            maxFee: gasLimit === null ? null : FeeManager.feeAmount(gasLimit, quote.speeds[speed].maxFeePerGas, nativeAsset)
+          }]))
+        };
+      } catch (error) {
+        if (error instanceof FeeError || error instanceof TransactionIntentError || error instanceof HdWalletError) {
+          return { network: estimateNetwork, error: { code: error.code, message: error.message } };
+        }
+
+        logger.error(`Fee estimate failed on ${estimateNetwork}:`, error);
+        return { network: estimateNetwork, error: { code: 'FEE_ESTIMATE_FAILED', message: 'Network fees are unavailable' } };
+      }
+    }));
+
+    res.json({
+      success: true,
+      data: { estimates }
+    });
+
+  } catch (error) {
+    logger.error('Fee estimate error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'FEE_ESTIMATE_FAILED', message: 'Failed to estimate network fees' }
+    });
+  }
+});
+
 // Send cryptocurrency
 app.post('/wallets/:walletId/send', authenticateToken, [
   body('toAddress').isEthereumAddress(),
   body('assetId').isUUID(),
   body('amount').isFloat({ min: 0.000001 }),
-  body('memo').optional().isLength({ max: 255 })
-], validateRequest, async (req, res) => {
+  body('speed').optional().isIn(FEE_SPEEDS),
+  body('memo').optional().isLength({ max: 255 }),
+  body('beneficiary').optional().isObject()
+], validateRequest, idempotent, async (req, res) => {
   try {
     const { walletId } = req.params;
-    const { toAddress, assetId, amount, memo } = req.body;
+    const { toAddress, assetId, amount, speed, memo, beneficiary } = req.body;
 
     // Verify wallet belongs to user
     const walletResult = await pool.query(
@@ -427,67 +579,68 @@ app.post('/wallets/:walletId/send', authenticateToken, [
 
     const asset = assetResult.rows[0];
 
-    // Check balance
-    const balanceResult = await pool.query(
-      'SELECT balance FROM balances WHERE user_id = $1 AND wallet_id = $2 AND asset_id = $3',
-      [req.user.userId, walletId, assetId]
-    );
-
-    if (balanceResult.rows.length === 0 || parseFloat(balanceResult.rows[0].balance) < amount) {
+    if (!isTransferableAsset(asset)) {
       return res.status(400).json({
         success: false,
-        error: { 
-          code: 'INSUFFICIENT_BALANCE', 
-          message: 'Insufficient balance',
-          details: {
-            required: amount.toString(),
-            available: balanceResult.rows[0]?.balance || '0'
-          }
-        }
+        error: { code: 'UNSUPPORTED_ASSET', message: `Sends of ${asset.symbol} are not supported` }
       });
     }
 
-    // For custodial wallets, we would use Fireblocks or similar service
-    // For non-custodial wallets, we would require user to sign the transaction
-    // This is a simplified version for demonstration
+    if (!fitsAssetDecimals(amount, asset)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_AMOUNT', message: `${asset.symbol} amounts have at most ${asset.decimals} decimal places` }
+      });
+    }
 
-    let transactionHash = null;
-    let status = 'pending';
+    // The send is built first, so one the network would reject is not recorded
+    const built = await transactionIntents.estimate({ wallet, asset, toAddress, amount, speed });
 
-    if (wallet.wallet_type === 'custodial') {
-      // In production, this would integrate with Fireblocks
-      transactionHash = '0x' + crypto.randomBytes(32).toString('hex');
-      status = 'completed';
-    } else {
-      // For non-custodial, we would return transaction data for user to sign
-      status = 'pending';
+    const created = await createPayment(req, { fromWalletId: walletId, toAddress, assetId, amount, memo, beneficiary });
+    if (created.status !== 201) {
+      return res.status(created.status).json(created.data);
     }
 
-    // Create transaction record
-    const transactionResult = await pool.query(
-      `INSERT INTO transactions (user_id, transaction_type, from_wallet_id, from_asset_id, amount, blockchain_tx_hash, status, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-       RETURNING id, status, created_at`,
-      [req.user.userId, 'send', walletId, assetId, amount, transactionHash, status]
-    );
+    const payment = created.data.data.transaction;
+    logger.info(`Transaction created: ${payment.id} for user ${req.user.userId}`);
 
-    const transaction = transactionResult.rows[0];
+    // Non-custodial sends are finished by signing the prepared transaction and submitting it
+    if (wallet.wallet_type !== 'custodial') {
+      const { transaction, intent } = await transactionIntents.prepare({ wallet, transactionId: payment.id, built });
 
-    // Update balances if transaction is completed
-    if (status === 'completed') {
-      await pool.query(
-        'UPDATE balances SET balance = balance - $1, updated_at = NOW() WHERE user_id = $2 AND wallet_id = $3 AND asset_id = $4',
-        [amount, req.user.userId, walletId, assetId]
-      );
+      return res.status(201).json({
+        success: true,
+        data: {
+          ...preparedTransaction(transaction, intent),
+          riskAssessment: payment.riskAssessment,
+          travelRule: payment.travelRule || null
+        },
+        message: transaction.status === 'queued'
+          ? 'Transaction prepared; sign it and submit it to complete the send'
+          : created.data.message
+      });
     }
 
-    logger.info(`Transaction created: ${transaction.id} for user ${req.user.userId}`);
+    const reserved = await transactionIntents.reserveFee({ wallet, transactionId: payment.id, built });
+
+    // Released sends go out at once; the others are dispatched once compliance releases them
+    let transaction = { status: payment.status, fee: reserved ? reserved.fee : null, blockchain_tx_hash: null };
+    if (payment.status === 'queued') {
+      try {
+        transaction = await transactionIntents.dispatchOrAbandon(payment.id, { speed });
+      } catch (error) {
+        if (TransactionIntentManager.unsendable(error)) {
+          throw error;
+        }
+        logger.warn(`Send ${payment.id} left queued for dispatch: ${error.message}`);
+      }
+    }
 
     res.status(201).json({
       success: true,
       data: {
         transaction: {
-          id: transaction.id,
+          id: payment.id,
           type: 'send',
           amount: amount.toString(),
           asset: {
@@ -495,15 +648,54 @@ app.post('/wallets/:walletId/send', authenticateToken, [
             name: asset.name
           },
           toAddress,
+          fee: transaction.fee,
+          feeAsset: NATIVE_ASSETS[asset.blockchain],
           status: transaction.status,
-          blockchainTxHash: transactionHash,
-          createdAt: transaction.created_at
+          blockchainTxHash: transaction.blockchain_tx_hash,
+          riskAssessment: payment.riskAssessment,
+          travelRule: payment.travelRule || null,
+          createdAt: payment.createdAt
         }
       },
-      message: 'Transaction initiated successfully'
+      message: sendMessages[transaction.status] || created.data.message
     });
 
   } catch (error) {
+    if (axios.isAxiosError(error)) {
+      return paymentServiceUnavailable(res, error);
+    }
+
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+
+    if (error instanceof TransactionIntentError) {
+      return transactionIntentError(res, error);
+    }
+
+    if (error instanceof HdWalletError && error.code === 'NO_FUNDED_ADDRESS') {
+      return res.status(409).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error instanceof KeyVaultError || error instanceof HdWalletError) {
+      logger.error(`Signing failed for wallet ${req.params.walletId}:`, error);
+      return res.status(409).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    if (error instanceof NonceError) {
+      logger.warn(`Send from wallet ${req.params.walletId} not started: ${error.message}`);
+      return res.status(503).json({
+        success: false,
+        error: { code: error.code, message: 'Too many sends from this wallet are in progress, retry shortly' }
+      });
+    }
+
     logger.error('Send transaction error:', error);
     res.status(500).json({
       success: false,
@@ -512,6 +704,266 @@ app.post('/wallets/:walletId/send', authenticateToken, [
   }
 });
 
+// Prepare an unsigned transaction for a non-custodial wallet, or re-quote a prepared one
+app.post('/wallets/:walletId/transactions/prepare', authenticateToken, [
+  body('transactionId').optional().isUUID(),
+  body('toAddress').if(body('transactionId').not().exists()).isEthereumAddress(),
+  body('assetId').if(body('transactionId').not().exists()).isUUID(),
+  body('amount').if(body('transactionId').not().exists()).isFloat({ min: 0.000001 }),
+  body('speed').optional().isIn(FEE_SPEEDS),
+  body('memo').optional().isLength({ max: 255 }),
+  body('beneficiary').optional().isObject()
+], validateRequest, idempotent, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const { transactionId, toAddress, assetId, amount, speed, memo, beneficiary } = req.body;
+
+    const walletResult = await pool.query(
+      'SELECT * FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, req.user.userId]
+    );
+
+    if (walletResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'WALLET_NOT_FOUND', message: 'Wallet not found' }
+      });
+    }
+
+    const wallet = walletResult.rows[0];
+
+    if (wallet.wallet_type === 'custodial') {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'CUSTODIAL_WALLET', message: 'Custodial wallets are signed by the service; use the send endpoint' }
+      });
+    }
+
+    if (transactionId) {
+      const { transaction, intent } = await transactionIntents.refresh({ userId: req.user.userId, wallet, transactionId, speed });
+
+      return res.json({
+        success: true,
+        data: preparedTransaction(transaction, intent),
+        message: 'Transaction re-prepared'
+      });
+    }
+
+    const assetResult = await pool.query(
+      'SELECT * FROM assets WHERE id = $1 AND is_active = true',
+      [assetId]
+    );
+
+    if (assetResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'ASSET_NOT_FOUND', message: 'Asset not found' }
+      });
+    }
+
+    const asset = assetResult.rows[0];
+
+    if (!isTransferableAsset(asset)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'UNSUPPORTED_ASSET', message: `Sends of ${asset.symbol} are not supported` }
+      });
+    }
+
+    if (!fitsAssetDecimals(amount, asset)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_AMOUNT', message: `${asset.symbol} amounts have at most ${asset.decimals} decimal places` }
+      });
+    }
+
+    // The send is built first, so one the network would reject is not recorded
+    const built = await transactionIntents.estimate({ wallet, asset, toAddress, amount, speed });
+
+    const created = await createPayment(req, { fromWalletId: walletId, toAddress, assetId, amount, memo, beneficiary });
+    if (created.status !== 201) {
+      return res.status(created.status).json(created.data);
+    }
+
+    const payment = created.data.data.transaction;
+    const { transaction, intent } = await transactionIntents.prepare({ wallet, transactionId: payment.id, built });
+
+    logger.info(`Transaction prepared: ${transaction.id} for user ${req.user.userId}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...preparedTransaction(transaction, intent),
+        riskAssessment: payment.riskAssessment,
+        travelRule: payment.travelRule || null
+      },
+      message: transaction.status === 'queued'
+        ? 'Transaction prepared successfully'
+        : created.data.message
+    });
+
+  } catch (error) {
+    if (axios.isAxiosError(error)) {
+      return paymentServiceUnavailable(res, error);
+    }
+
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+
+    if (error instanceof TransactionIntentError) {
+      return transactionIntentError(res, error);
+    }
+
+    if (error instanceof HdWalletError) {
+      return res.status(409).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    logger.error('Prepare transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRANSACTION_PREPARE_FAILED', message: 'Failed to prepare transaction' }
+    });
+  }
+});
+
+// Submit a signed transaction for broadcast
+app.post('/wallets/:walletId/transactions/submit', authenticateToken, [
+  body('transactionId').isUUID(),
+  body('signedTransaction').matches(/^0x[0-9a-fA-F]+$/)
+], validateRequest, idempotent, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const { transactionId, signedTransaction } = req.body;
+
+    const transaction = await transactionIntents.submit({
+      userId: req.user.userId,
+      walletId,
+      transactionId,
+      signedTransaction
+    });
+
+    logger.info(`Transaction ${transaction.id} signed as ${transaction.blockchain_tx_hash}: ${transaction.status}`);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          id: transaction.id,
+          type: 'send',
+          fee: transaction.fee,
+          status: transaction.status,
+          blockchainTxHash: transaction.blockchain_tx_hash,
+          createdAt: transaction.created_at,
+          completedAt: transaction.completed_at
+        }
+      },
+      message: sendMessages[transaction.status]
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+
+    if (error instanceof TransactionIntentError) {
+      return transactionIntentError(res, error);
+    }
+
+    logger.error('Submit transaction error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRANSACTION_SUBMIT_FAILED', message: 'Failed to submit transaction' }
+    });
+  }
+});
+
+// Rebroadcast a custodial send stuck in the mempool at the same nonce with higher fees,
+// either unchanged (speed-up) or as an empty transfer to itself (cancel)
+const replaceTransaction = (replacementType) => async (req, res) => {
+  try {
+    const { walletId, transactionId } = req.params;
+
+    const walletResult = await pool.query(
+      'SELECT * FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, req.user.userId]
+    );
+
+    if (walletResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'WALLET_NOT_FOUND', message: 'Wallet not found' }
+      });
+    }
+
+    const { transaction, replacedTxHash, broadcast } = await transactionIntents.replace({
+      userId: req.user.userId,
+      wallet: walletResult.rows[0],
+      transactionId,
+      replacementType
+    });
+
+    if (broadcast) {
+      logger.info(`Transaction ${transaction.id} replaced (${replacementType}): ${replacedTxHash} -> ${transaction.blockchain_tx_hash}`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          id: transaction.id,
+          type: 'send',
+          fee: transaction.fee,
+          status: transaction.status,
+          blockchainTxHash: transaction.blockchain_tx_hash,
+          replacedTxHash,
+          replacementType,
+          createdAt: transaction.created_at
+        }
+      },
+      message: !broadcast
+        ? 'Replacement signed; it is broadcast shortly'
+        : replacementType === REPLACEMENT_TYPES.CANCEL
+          ? 'Cancellation broadcast; the send is refunded once it confirms'
+          : 'Transaction rebroadcast with higher fees'
+    });
+
+  } catch (error) {
+    if (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE') {
+      return insufficientBalance(res, error);
+    }
+
+    if (error instanceof TransactionIntentError) {
+      return transactionIntentError(res, error);
+    }
+
+    if (error instanceof KeyVaultError || error instanceof HdWalletError) {
+      logger.error(`Signing failed for wallet ${req.params.walletId}:`, error);
+      return res.status(409).json({
+        success: false,
+        error: { code: error.code, message: error.message }
+      });
+    }
+
+    logger.error(`Transaction ${replacementType} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'TRANSACTION_REPLACE_FAILED', message: 'Failed to replace transaction' }
+    });
+  }
+};
+
+app.post('/wallets/:walletId/transactions/:transactionId/speed-up', authenticateToken, [
+  param('transactionId').isUUID()
+], validateRequest, idempotent, replaceTransaction(REPLACEMENT_TYPES.SPEED_UP));
+
+app.post('/wallets/:walletId/transactions/:transactionId/cancel', authenticateToken, [
+  param('transactionId').isUUID()
+], validateRequest, idempotent, replaceTransaction(REPLACEMENT_TYPES.CANCEL));
+
 // Get transaction history
 app.get('/wallets/:walletId/transactions', authenticateToken, async (req, res) => {
   try {
@@ -535,8 +987,8 @@ app.get('/wallets/:walletId/transactions', authenticateToken, async (req, res) =
       SELECT t.id, t.transaction_type, t.amount, t.fee, t.status, t.blockchain_tx_hash, t.created_at, t.completed_at,
              a.symbol, a.name as asset_name
       FROM transactions t
-      JOIN assets a ON t.from_asset_id = a.id
-      WHERE t.user_id = $1 AND t.from_wallet_id = $2
+      JOIN assets a ON COALESCE(t.from_asset_id, t.to_asset_id) = a.id
+      WHERE t.user_id = $1 AND (t.from_wallet_id = $2 OR t.to_wallet_id = $2)
     `;
     
     const params = [req.user.userId, walletId];
@@ -588,6 +1040,105 @@ app.get('/wallets/:walletId/transactions', authenticateToken, async (req, res) =
   }
 });
 
+// Derive a new receive address
+app.post('/wallets/:walletId/addresses', authenticateToken, [
+  body('network').optional().isIn(HD_NETWORKS)
+], validateRequest, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const { network = 'ethereum' } = req.body;
+
+    const walletCheck = await pool.query(
+      'SELECT id FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, req.user.userId]
+    );
+
+    if (walletCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'WALLET_NOT_FOUND', message: 'Wallet not found' }
+      });
+    }
+
+    const address = await withTransaction(pool, (client) => hdWallets.deriveAddress(client, { walletId, network }));
+
+    res.status(201).json({
+      success: true,
+      data: {
+        address: {
+          id: address.id,
+          network: address.network,
+          address: address.address,
+          index: address.address_index,
+          derivationPath: address.derivation_path,
+          isUsed: address.is_used,
+          createdAt: address.created_at
+        }
+      },
+      message: 'Address derived successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof HdWalletError) {
+      return res.status(409).json({
+        success: false,
+        error: { code: error.code, message: error.message, details: error.details }
+      });
+    }
+
+    logger.error('Derive address error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ADDRESS_DERIVATION_FAILED', message: 'Failed to derive address' }
+    });
+  }
+});
+
+// List derived receive addresses
+app.get('/wallets/:walletId/addresses', authenticateToken, async (req, res) => {
+  try {
+    const { walletId } = req.params;
+    const { network } = req.query;
+
+    const walletCheck = await pool.query(
+      'SELECT id FROM wallets WHERE id = $1 AND user_id = $2 AND is_active = true',
+      [walletId, req.user.userId]
+    );
+
+    if (walletCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'WALLET_NOT_FOUND', message: 'Wallet not found' }
+      });
+    }
+
+    const rows = await HdWalletManager.listAddresses(pool, walletId, network || null);
+
+    const addresses = rows.map(address => ({
+      id: address.id,
+      network: address.network,
+      address: address.address,
+      index: address.address_index,
+      derivationPath: address.derivation_path,
+      isUsed: address.is_used,
+      firstUsedAt: address.first_used_at,
+      createdAt: address.created_at
+    }));
+
+    res.json({
+      success: true,
+      data: { addresses }
+    });
+
+  } catch (error) {
+    logger.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'ADDRESSES_FETCH_FAILED', message: 'Failed to fetch addresses' }
+    });
+  }
+});
+
 // Get wallet address for receiving
 app.get('/wallets/:walletId/address', authenticateToken, async (req, res) => {
   try {
@@ -621,35 +1172,196 @@ app.get('/wallets/:walletId/address', authenticateToken, async (req, res) => {
   }
 });
 
-// Background job to update balances
+// Price candles for an asset, aggregated from the recorded price history
+app.get('/prices/:assetId/candles', authenticateToken, [
+  param('assetId').isUUID()
+], validateRequest, async (req, res) => {
+  try {
+    const { assetId } = req.params;
+    const { currency = 'usd', interval = '1h', from, to } = req.query;
+
+    const assetResult = await pool.query('SELECT id, symbol FROM assets WHERE id = $1', [assetId]);
+    if (assetResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'ASSET_NOT_FOUND', message: 'Asset not found' }
+      });
+    }
+
+    const candles = await priceHistory.candles({ assetId, currency, interval, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        asset: assetResult.rows[0],
+        currency: currency.toLowerCase(),
+        interval,
+        candles: candles.map((candle) => ({
+          time: candle.bucket,
+          open: normalizeAmount(candle.open),
+          high: normalizeAmount(candle.high),
+          low: normalizeAmount(candle.low),
+          close: normalizeAmount(candle.close),
+          samples: Number(candle.samples)
+        }))
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PriceHistoryError) {
+      return res.status(400).json({
+        success: false,
+        error: { code: error.code, message: error.message, details: error.details }
+      });
+    }
+
+    logger.error('Get candles error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'CANDLES_FETCH_FAILED', message: 'Failed to fetch price candles' }
+    });
+  }
+});
+
+// Portfolio value over a period, rebuilt from the ledger and price history
+app.get('/analytics/portfolio', authenticateToken, async (req, res) => {
+  try {
+    const { period = 'month' } = req.query;
+    const currency = String(req.query.currency || 'usd').toLowerCase();
+
+    if (!PERIODS[period]) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_PERIOD', message: `period must be one of ${Object.keys(PERIODS).join(', ')}` }
+      });
+    }
+
+    if (!config.prices.currencies.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'UNSUPPORTED_CURRENCY', message: `Prices are not available in ${currency}` }
+      });
+    }
+
+    const analytics = await PortfolioManager.analytics(pool, { userId: req.user.userId, currency, period });
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    logger.error('Portfolio analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: { code: 'PORTFOLIO_ANALYTICS_FAILED', message: 'Failed to value portfolio' }
+    });
+  }
+});
+
+// Scan for deposits on every watched network
+cron.schedule(config.deposits.pollSchedule, async () => {
+  for (const watcher of depositWatchers) {
+    try {
+      await watcher.poll();
+    } catch (error) {
+      logger.error(`Deposit watcher for ${watcher.network} failed:`, error);
+    }
+  }
+});
+
+// Broadcast signed transactions that did not go out, then sign and broadcast the custodial
+// sends payment-service released
+cron.schedule(config.transactions.dispatchSchedule, async () => {
+  try {
+    const rebroadcast = await transactionIntents.rebroadcastSigned();
+    if (rebroadcast > 0) {
+      logger.info(`Rebroadcast ${rebroadcast} signed sends`);
+    }
+
+    const dispatched = await transactionIntents.dispatchQueued();
+    if (dispatched > 0) {
+      logger.info(`Dispatched ${dispatched} queued sends`);
+    }
+  } catch (error) {
+    logger.error('Send dispatch job failed:', error);
+  }
+});
+
+// Sample asset prices into the price history
+cron.schedule(config.prices.historySchedule, async () => {
+  try {
+    const recorded = await priceHistory.record();
+    logger.info(`Recorded ${recorded} price samples`);
+  } catch (error) {
+    logger.error('Price history job failed:', error);
+  }
+});
+
+// Background job to report drift between ledger and on-chain balances. Deposits and sends
+// move the ledger, so a difference here needs investigating rather than posting.
 cron.schedule('*/5 * * * *', async () => {
   try {
-    logger.info('Running balance update job...');
-    
+    logger.info('Running balance reconciliation job...');
+
+    const assets = (await pool.query(
+      `SELECT id, symbol, blockchain, contract_address, decimals FROM assets WHERE is_active = true`
+    )).rows.filter(isTransferableAsset);
+
     // Get all active wallets
     const wallets = await pool.query(
-      'SELECT id, wallet_address, wallet_type FROM wallets WHERE is_active = true'
+      'SELECT id, user_id, wallet_address, wallet_type, hd_root_id FROM wallets WHERE is_active = true'
     );
 
     for (const wallet of wallets.rows) {
-      try {
-        // Get ETH balance for Ethereum wallets
-        const ethBalance = await WalletManager.getBalance(wallet.wallet_address, 'ethereum');
-        
-        // Update balance in database
-        await pool.query(
-          `UPDATE balances SET balance = $1, updated_at = NOW() 
-           WHERE wallet_id = $2 AND asset_id = (SELECT id FROM assets WHERE symbol = 'ETH' AND blockchain = 'ethereum')`,
-          [ethBalance, wallet.id]
-        );
-      } catch (error) {
-        logger.error(`Error updating balance for wallet ${wallet.id}:`, error);
+      for (const asset of assets) {
+        try {
+          // Sum the asset over every address of the wallet on the asset's network
+          const addresses = await HdWalletManager.networkAddresses(pool, wallet, asset.blockchain);
+          let onchainUnits = 0n;
+          for (const address of addresses) {
+            onchainUnits += toBaseUnits(await WalletManager.getBalance(address, asset));
+          }
+
+          const account = await LedgerManager.getAccount(pool, LedgerManager.userAccount(wallet.user_id, wallet.id, asset.id));
+          const ledgerBalance = await LedgerManager.getAccountBalance(pool, account.id);
+
+          if (onchainUnits !== toBaseUnits(ledgerBalance)) {
+            logger.warn(`On-chain ${asset.symbol} balance differs from the ledger for wallet ${wallet.id}`, {
+              network: asset.blockchain,
+              addresses,
+              onchainBalance: fromBaseUnits(onchainUnits),
+              ledgerBalance
+            });
+          }
+        } catch (error) {
+          logger.error(`Error reconciling ${asset.symbol} balance for wallet ${wallet.id}:`, error);
+        }
       }
     }
 
-    logger.info('Balance update job completed');
+    logger.info('Balance reconciliation job completed');
+  } catch (error) {
+    logger.error('Balance reconciliation job failed:', error);
+  }
+});
+
+// Background job to verify ledger invariants
+cron.schedule('0 * * * *', async () => {
+  try {
+    const report = await LedgerManager.verifyInvariants(pool);
+
+    if (!report.balanced || report.balanceDrift.length > 0) {
+      logger.error('Ledger invariant check failed', {
+        assets: report.assets.filter((asset) => !asset.balanced),
+        unbalancedEntries: report.unbalancedEntries,
+        balanceDrift: report.balanceDrift
+      });
+    } else {
+      logger.info('Ledger invariant check passed');
+    }
   } catch (error) {
-    logger.error('Balance update job failed:', error);
+    logger.error('Ledger invariant check job failed:', error);
   }
 });
 
@@ -0,0 +1,31 @@
+const { Pool } = require('pg');
+const config = require('./config');
+const { KeyVault, createKms } = require('./keyVault');
+
+const pool = new Pool({
+  connectionString: config.databaseUrl,
+  ssl: config.isProduction ? { rejectUnauthorized: false } : false
+});
+
+// Adds a new KMS key version and re-wraps custodial wallet keys and seeds under it
+async function rotateWalletKeys() {
+  try {
+    console.log('Rotating custodial wallet key-encryption key...');
+
+    const keyVault = new KeyVault({ kms: createKms(config.keyVault) });
+    const { keyVersion, rewrapped } = await keyVault.rotate(pool);
+
+    console.log(`✓ Key version ${keyVersion} is current; re-wrapped ${rewrapped} sealed keys`);
+  } catch (error) {
+    console.error('Key rotation failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  rotateWalletKeys();
+}
+
+module.exports = { rotateWalletKeys };
@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { withTransaction } = require('cryptohybrid-shared');
+
+// Custodial key vault.
+// Private keys are sealed with a fresh AES-256-GCM data key, and the data key is wrapped
+// by a versioned key-encryption key held by a KMS. Rotating the KMS key only re-wraps
+// data keys; the sealed private keys themselves never need to be re-encrypted.
+
+const CIPHER = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const ENVELOPE_VERSION = 1;
+
+// Columns holding vault envelopes, re-wrapped on rotation
+const SEALED_COLUMNS = [
+  { table: 'wallets', column: 'encrypted_private_key', filter: "wallet_type = 'custodial'" },
+  { table: 'hd_roots', column: 'encrypted_seed', filter: "custody_type = 'custodial'" }
+];
+
+class KeyVaultError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'KeyVaultError';
+    this.code = code;
+  }
+}
+
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+const unseal = (key, sealed, aad) => {
+  const [iv, tag, ciphertext] = String(sealed).split('.').map((part) => Buffer.from(part, 'base64'));
+  if (!iv || !tag || !ciphertext) {
+    throw new KeyVaultError('KEY_CORRUPTED', 'Sealed key material is malformed');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (error) {
+    throw new KeyVaultError('KEY_CORRUPTED', 'Sealed key material failed authentication');
+  }
+};
+
+// Local KMS keeping versioned key-encryption keys in a keyring file, each sealed by the
+// master key from config. Other KMS backends implement the same four async methods:
+// currentKeyVersion(), wrapKey(dataKey), unwrapKey({ keyVersion, wrappedKey }), rotateKey().
+class LocalFileKms {
+  constructor({ masterKey, keyringPath }) {
+    if (!/^[0-9a-fA-F]{64}$/.test(masterKey || '')) {
+      throw new KeyVaultError('INVALID_MASTER_KEY', 'KEY_VAULT_MASTER_KEY must be 32 bytes of hex');
+    }
+
+    this.masterKey = Buffer.from(masterKey, 'hex');
+    this.keyringPath = keyringPath;
+  }
+
+  // Read on every use so keys rotated by another process are picked up
+  loadKeyring() {
+    if (fs.existsSync(this.keyringPath)) {
+      this.keyring = JSON.parse(fs.readFileSync(this.keyringPath, 'utf8'));
+    } else {
+      this.keyring = { currentVersion: 0, keys: {} };
+      this.addKeyVersion();
+    }
+
+    return this.keyring;
+  }
+
+  addKeyVersion() {
+    const version = this.keyring.currentVersion + 1;
+    const keyEncryptionKey = crypto.randomBytes(KEY_BYTES);
+
+    const keyring = {
+      currentVersion: version,
+      keys: {
+        ...this.keyring.keys,
+        [version]: {
+          sealedKey: seal(this.masterKey, keyEncryptionKey, `kek:v${version}`),
+          createdAt: new Date().toISOString()
+        }
+      }
+    };
+
+    // Write-then-rename so a crash never leaves a truncated keyring behind
+    fs.mkdirSync(path.dirname(this.keyringPath), { recursive: true });
+    const temporaryPath = `${this.keyringPath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+    fs.renameSync(temporaryPath, this.keyringPath);
+
+    this.keyring = keyring;
+    return version;
+  }
+
+  keyEncryptionKey(version) {
+    const entry = this.loadKeyring().keys[version];
+    if (!entry) {
+      throw new KeyVaultError('KEY_VERSION_NOT_FOUND', `Key version ${version} is not in the keyring`);
+    }
+
+    return unseal(this.masterKey, entry.sealedKey, `kek:v${version}`);
+  }
+
+  async currentKeyVersion() {
+    return this.loadKeyring().currentVersion;
+  }
+
+  async wrapKey(dataKey) {
+    const keyVersion = await this.currentKeyVersion();
+    const wrappedKey = seal(this.keyEncryptionKey(keyVersion), dataKey, `dek:v${keyVersion}`);
+
+    return { keyVersion, wrappedKey };
+  }
+
+  async unwrapKey({ keyVersion, wrappedKey }) {
+    return unseal(this.keyEncryptionKey(keyVersion), wrappedKey, `dek:v${keyVersion}`);
+  }
+
+  async rotateKey() {
+    this.loadKeyring();
+    return this.addKeyVersion();
+  }
+}
+
+const createKms = ({ kmsProvider, masterKey, keyringPath }) => {
+  switch (kmsProvider) {
+    case 'local':
+      return new LocalFileKms({ masterKey, keyringPath });
+    default:
+      throw new KeyVaultError('UNSUPPORTED_KMS', `Unsupported KMS provider: ${kmsProvider}`);
+  }
+};
+
+class KeyVault {
+  constructor({ kms }) {
+    this.kms = kms;
+  }
+
+  // Seals a secret. The context (e.g. the wallet id) is bound as associated data, so an
+  // envelope copied onto another row fails to open.
+  async encrypt(plaintext, context) {
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const { keyVersion, wrappedKey } = await this.kms.wrapKey(dataKey);
+
+    return {
+      keyVersion,
+      envelope: JSON.stringify({
+        v: ENVELOPE_VERSION,
+        kv: keyVersion,
+        dk: wrappedKey,
+        data: seal(dataKey, Buffer.from(plaintext, 'utf8'), context)
+      })
+    };
+  }
+
+  async decrypt(envelope, context) {
+    const parsed = KeyVault.parseEnvelope(envelope);
+    const dataKey = await this.kms.unwrapKey({ keyVersion: parsed.kv, wrappedKey: parsed.dk });
+
+    return unseal(dataKey, parsed.data, context).toString('utf8');
+  }
+
+  // Re-wraps the data key under the current KMS key version
+  async rewrap(envelope) {
+    const parsed = KeyVault.parseEnvelope(envelope);
+    const dataKey = await this.kms.unwrapKey({ keyVersion: parsed.kv, wrappedKey: parsed.dk });
+    const { keyVersion, wrappedKey } = await this.kms.wrapKey(dataKey);
+
+    return {
+      keyVersion,
+      envelope: JSON.stringify({ ...parsed, kv: keyVersion, dk: wrappedKey })
+    };
+  }
+
+  static parseEnvelope(envelope) {
+    let parsed;
+    try {
+      parsed = JSON.parse(envelope);
+    } catch (error) {
+      parsed = null;
+    }
+
+    // Wallets created before the vault only stored a SHA-256 digest of the key
+    if (!parsed || parsed.v !== ENVELOPE_VERSION || !parsed.dk || !parsed.data) {
+      throw new KeyVaultError('KEY_UNAVAILABLE', 'No recoverable private key is stored for this wallet');
+    }
+
+    return parsed;
+  }
+
+  static walletContext(walletId) {
+    return `wallet:${walletId}`;
+  }
+
+  // Signs a transaction request with a custodial wallet's own sealed key
+  async signTransaction(wallet, transaction, provider) {
+    if (wallet.wallet_type !== 'custodial') {
+      throw new KeyVaultError('NOT_CUSTODIAL', 'Only custodial wallets can be signed for');
+    }
+
+    const privateKey = await this.decrypt(wallet.encrypted_private_key, KeyVault.walletContext(wallet.id));
+    return this.signWithPrivateKey(privateKey, wallet.wallet_address, transaction, provider);
+  }
+
+  // Signs with an unsealed key after checking it controls the expected address. The
+  // provider fills in whichever of nonce, gas and chain id the transaction leaves out.
+  async signWithPrivateKey(privateKey, expectedAddress, transaction, provider) {
+    const signer = new ethers.Wallet(privateKey, provider);
+
+    if (signer.address.toLowerCase() !== String(expectedAddress).toLowerCase()) {
+      throw new KeyVaultError('KEY_MISMATCH', 'Stored key does not match the wallet address');
+    }
+
+    const populated = await signer.populateTransaction(transaction);
+    return signer.signTransaction(populated);
+  }
+
+  // Rotates the KMS key and re-wraps every sealed secret still on an older version
+  async rotate(pool, { batchSize = 100 } = {}) {
+    const keyVersion = await this.kms.rotateKey();
+    let rewrapped = 0;
+
+    for (const { table, column, filter } of SEALED_COLUMNS) {
+      for (;;) {
+        const batch = await withTransaction(pool, async (client) => {
+          const result = await client.query(
+            `SELECT id, ${column} AS envelope FROM ${table}
+             WHERE ${filter} AND key_version IS NOT NULL AND key_version < $1
+             ORDER BY id
+             LIMIT $2
+             FOR UPDATE SKIP LOCKED`,
+            [keyVersion, batchSize]
+          );
+
+          for (const row of result.rows) {
+            const sealed = await this.rewrap(row.envelope);
+            await client.query(
+              `UPDATE ${table} SET ${column} = $1, key_version = $2, updated_at = NOW() WHERE id = $3`,
+              [sealed.envelope, sealed.keyVersion, row.id]
+            );
+          }
+
+          return result.rows;
+        });
+
+        rewrapped += batch.length;
+        if (batch.length < batchSize) {
+          break;
+        }
+      }
+    }
+
+    return { keyVersion, rewrapped };
+  }
+}
+
+module.exports = {
+  KeyVaultError,
+  LocalFileKms,
+  KeyVault,
+  createKms
+};
@@ -0,0 +1,41 @@
+const { Pool } = require('pg');
+const { withTransaction, LedgerManager } = require('cryptohybrid-shared');
+require('dotenv').config();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Rebuilds the materialized balances table from the journal and verifies the ledger
+async function rebuildLedgerBalances() {
+  try {
+    console.log('Rebuilding balances from the ledger journal...');
+
+    const { balancesRebuilt } = await withTransaction(pool, (client) => LedgerManager.rebuildBalances(client));
+    console.log(`✓ Rebuilt ${balancesRebuilt} balances`);
+
+    const report = await LedgerManager.verifyInvariants(pool);
+    for (const asset of report.assets) {
+      console.log(`${asset.balanced ? '✓' : '✗'} ${asset.symbol}: debits ${asset.totalDebits}, credits ${asset.totalCredits}`);
+    }
+
+    if (!report.balanced || report.balanceDrift.length > 0) {
+      console.error('Ledger invariant check failed:', JSON.stringify(report, null, 2));
+      process.exitCode = 1;
+    } else {
+      console.log('Ledger is balanced.');
+    }
+  } catch (error) {
+    console.error('Ledger rebuild failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  rebuildLedgerBalances();
+}
+
+module.exports = { rebuildLedgerBalances };
@@ -125,6 +125,847 @@ const migrations = [
       CREATE INDEX IF NOT EXISTS idx_virtual_ibans_iban ON virtual_ibans(iban);
       CREATE INDEX IF NOT EXISTS idx_virtual_ibans_currency ON virtual_ibans(currency);
     `
+  },
+  {
+    name: 'add_gbp_asset',
+    sql: `
+      INSERT INTO assets (symbol, name, asset_type, blockchain, decimals) VALUES
+      ('GBP', 'British Pound', 'fiat', 'fiat', 2)
+      ON CONFLICT (symbol) DO NOTHING;
+    `
+  },
+  {
+    name: 'create_ledger_tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        account_key VARCHAR(255) UNIQUE NOT NULL,
+        account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('user', 'fee', 'suspense', 'omnibus')),
+        user_id UUID REFERENCES users(id),
+        wallet_id UUID REFERENCES wallets(id),
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        normal_balance VARCHAR(6) NOT NULL CHECK (normal_balance IN ('debit', 'credit')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_accounts_asset_id ON ledger_accounts(asset_id);
+
+      CREATE TABLE IF NOT EXISTS journal_entries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        entry_type VARCHAR(50) NOT NULL,
+        transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+        description TEXT,
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_journal_entries_transaction_id ON journal_entries(transaction_id);
+      CREATE INDEX IF NOT EXISTS idx_journal_entries_created_at ON journal_entries(created_at);
+
+      CREATE TABLE IF NOT EXISTS ledger_postings (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        journal_entry_id UUID NOT NULL REFERENCES journal_entries(id),
+        account_id UUID NOT NULL REFERENCES ledger_accounts(id),
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry_id ON ledger_postings(journal_entry_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_postings_asset_id ON ledger_postings(asset_id);
+
+      CREATE OR REPLACE VIEW ledger_account_balances AS
+      SELECT la.id AS account_id, la.account_key, la.account_type, la.user_id, la.wallet_id, la.asset_id, la.normal_balance,
+             COALESCE(SUM(CASE WHEN p.direction = la.normal_balance THEN p.amount ELSE -p.amount END), 0) AS balance
+      FROM ledger_accounts la
+      LEFT JOIN ledger_postings p ON p.account_id = la.id
+      GROUP BY la.id;
+
+      -- Every journal entry must balance per asset by the time its transaction commits
+      CREATE OR REPLACE FUNCTION check_journal_entry_balanced() RETURNS TRIGGER AS $$
+      DECLARE
+        unbalanced_asset UUID;
+      BEGIN
+        SELECT asset_id INTO unbalanced_asset
+        FROM ledger_postings
+        WHERE journal_entry_id = NEW.journal_entry_id
+        GROUP BY asset_id
+        HAVING SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0
+        LIMIT 1;
+
+        IF unbalanced_asset IS NOT NULL THEN
+          RAISE EXCEPTION 'Journal entry % is unbalanced for asset %', NEW.journal_entry_id, unbalanced_asset;
+        END IF;
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+      CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+        AFTER INSERT ON ledger_postings
+        DEFERRABLE INITIALLY DEFERRED
+        FOR EACH ROW EXECUTE FUNCTION check_journal_entry_balanced();
+
+      -- The journal is append-only; corrections are posted as new entries
+      CREATE OR REPLACE FUNCTION reject_ledger_posting_change() RETURNS TRIGGER AS $$
+      BEGIN
+        RAISE EXCEPTION 'Ledger postings are immutable';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS ledger_postings_immutable ON ledger_postings;
+      CREATE TRIGGER ledger_postings_immutable
+        BEFORE UPDATE OR DELETE ON ledger_postings
+        FOR EACH ROW EXECUTE FUNCTION reject_ledger_posting_change();
+    `
+  },
+  {
+    name: 'backfill_ledger_opening_balances',
+    sql: `
+      INSERT INTO ledger_accounts (account_key, account_type, user_id, wallet_id, asset_id, normal_balance)
+      SELECT DISTINCT 'user:' || b.user_id || ':' || COALESCE(b.wallet_id::text, 'fiat') || ':' || b.asset_id,
+             'user', b.user_id, b.wallet_id, b.asset_id, 'credit'
+      FROM balances b
+      ON CONFLICT (account_key) DO NOTHING;
+
+      INSERT INTO ledger_accounts (account_key, account_type, asset_id, normal_balance)
+      SELECT 'omnibus:' || a.id, 'omnibus', a.id, 'debit'
+      FROM assets a
+      ON CONFLICT (account_key) DO NOTHING;
+
+      -- Carry existing balances into the journal against the omnibus accounts
+      WITH entry AS (
+        INSERT INTO journal_entries (entry_type, description)
+        SELECT 'opening_balance', 'Opening balances carried over from the balances table'
+        WHERE EXISTS (SELECT 1 FROM balances WHERE balance <> 0)
+        RETURNING id
+      ),
+      opening AS (
+        SELECT b.asset_id, b.balance,
+               'user:' || b.user_id || ':' || COALESCE(b.wallet_id::text, 'fiat') || ':' || b.asset_id AS account_key
+        FROM balances b
+        WHERE b.balance <> 0
+      )
+      INSERT INTO ledger_postings (journal_entry_id, account_id, asset_id, direction, amount)
+      SELECT entry.id, ua.id, o.asset_id, CASE WHEN o.balance > 0 THEN 'credit' ELSE 'debit' END, ABS(o.balance)
+      FROM entry, opening o
+      JOIN ledger_accounts ua ON ua.account_key = o.account_key
+      UNION ALL
+      SELECT entry.id, oa.id, o.asset_id, CASE WHEN o.balance > 0 THEN 'debit' ELSE 'credit' END, ABS(o.balance)
+      FROM entry, opening o
+      JOIN ledger_accounts oa ON oa.account_key = 'omnibus:' || o.asset_id;
+    `
+  },
+  {
+    name: 'create_fund_holds_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS fund_holds (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        wallet_id UUID REFERENCES wallets(id) ON DELETE CASCADE,
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'captured', 'released', 'expired')),
+        reason VARCHAR(100),
+        expires_at TIMESTAMP,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_fund_holds_user_id ON fund_holds(user_id);
+      CREATE INDEX IF NOT EXISTS idx_fund_holds_transaction_id ON fund_holds(transaction_id);
+      CREATE INDEX IF NOT EXISTS idx_fund_holds_active_expiry ON fund_holds(expires_at) WHERE status = 'active';
+
+      ALTER TABLE balances ADD CONSTRAINT balances_locked_balance_non_negative CHECK (locked_balance >= 0);
+    `
+  },
+  {
+    name: 'add_wallet_key_versions',
+    sql: `
+      -- Version of the KMS key wrapping each custodial wallet's data key. Wallets created
+      -- before the key vault only stored a digest of their key and stay NULL.
+      ALTER TABLE wallets ADD COLUMN IF NOT EXISTS key_version INTEGER;
+
+      CREATE INDEX IF NOT EXISTS idx_wallets_key_version ON wallets(key_version) WHERE wallet_type = 'custodial';
+    `
+  },
+  {
+    name: 'create_hd_wallet_tables',
+    sql: `
+      -- One BIP-39 root per user and custody tier; only custodial roots keep a sealed seed
+      CREATE TABLE IF NOT EXISTS hd_roots (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        custody_type VARCHAR(20) NOT NULL,
+        encrypted_seed TEXT,
+        key_version INTEGER,
+        seed_phrase_hash VARCHAR(255),
+        next_account_index INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, custody_type)
+      );
+
+      ALTER TABLE wallets ADD COLUMN IF NOT EXISTS hd_root_id UUID REFERENCES hd_roots(id) ON DELETE SET NULL;
+      ALTER TABLE wallets ADD COLUMN IF NOT EXISTS account_index INTEGER;
+
+      -- BIP-44 account of a wallet on one network
+      CREATE TABLE IF NOT EXISTS hd_accounts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        root_id UUID NOT NULL REFERENCES hd_roots(id) ON DELETE CASCADE,
+        wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+        network VARCHAR(50) NOT NULL,
+        coin_type INTEGER NOT NULL,
+        account_index INTEGER NOT NULL,
+        xpub TEXT NOT NULL,
+        next_address_index INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(wallet_id, network),
+        UNIQUE(root_id, coin_type, account_index)
+      );
+
+      CREATE TABLE IF NOT EXISTS wallet_addresses (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+        hd_account_id UUID NOT NULL REFERENCES hd_accounts(id) ON DELETE CASCADE,
+        network VARCHAR(50) NOT NULL,
+        address_index INTEGER NOT NULL,
+        derivation_path VARCHAR(100) NOT NULL,
+        address VARCHAR(255) NOT NULL,
+        is_used BOOLEAN NOT NULL DEFAULT false,
+        first_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(hd_account_id, address_index),
+        UNIQUE(network, address)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_wallet_addresses_wallet_id ON wallet_addresses(wallet_id);
+    `
+  },
+  {
+    name: 'create_transaction_intents_table',
+    sql: `
+      -- Unsigned transactions prepared for non-custodial sends; amounts are in base units
+      CREATE TABLE IF NOT EXISTS transaction_intents (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID UNIQUE NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+        wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+        network VARCHAR(50) NOT NULL,
+        chain_id NUMERIC(78,0) NOT NULL,
+        from_address VARCHAR(255) NOT NULL,
+        to_address VARCHAR(255) NOT NULL,
+        tx_to VARCHAR(255) NOT NULL,
+        value NUMERIC(78,0) NOT NULL,
+        data TEXT NOT NULL,
+        nonce INTEGER NOT NULL,
+        gas_limit NUMERIC(78,0) NOT NULL,
+        max_fee_per_gas NUMERIC(78,0) NOT NULL,
+        max_priority_fee_per_gas NUMERIC(78,0) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'prepared',
+        signed_tx_hash VARCHAR(255),
+        expires_at TIMESTAMP NOT NULL,
+        submitted_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_transaction_intents_wallet_id ON transaction_intents(wallet_id);
+    `
+  },
+  {
+    name: 'set_token_contract_addresses',
+    sql: `
+      -- Ethereum mainnet deployments; point these at the local or test network contracts elsewhere
+      UPDATE assets SET contract_address = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48'
+      WHERE symbol = 'USDC' AND blockchain = 'ethereum' AND contract_address IS NULL;
+
+      UPDATE assets SET contract_address = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+      WHERE symbol = 'USDT' AND blockchain = 'ethereum' AND contract_address IS NULL;
+    `
+  },
+  {
+    name: 'create_deposit_tables',
+    sql: `
+      -- Last block scanned for deposits on each network
+      CREATE TABLE IF NOT EXISTS chain_cursors (
+        network VARCHAR(50) PRIMARY KEY,
+        last_scanned_block BIGINT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Hashes of recently scanned blocks, compared against the chain to detect reorgs
+      CREATE TABLE IF NOT EXISTS scanned_blocks (
+        network VARCHAR(50) NOT NULL,
+        block_number BIGINT NOT NULL,
+        block_hash VARCHAR(255) NOT NULL,
+        scanned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (network, block_number)
+      );
+
+      -- Incoming transfers; native transfers use log_index -1
+      CREATE TABLE IF NOT EXISTS deposits (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        network VARCHAR(50) NOT NULL,
+        tx_hash VARCHAR(255) NOT NULL,
+        log_index INTEGER NOT NULL,
+        block_number BIGINT NOT NULL,
+        block_hash VARCHAR(255) NOT NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        from_address VARCHAR(255) NOT NULL,
+        to_address VARCHAR(255) NOT NULL,
+        amount DECIMAL(36,18) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+        credited_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (network, tx_hash, log_index)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_deposits_network_status ON deposits(network, status, block_number);
+      CREATE INDEX IF NOT EXISTS idx_deposits_wallet_id ON deposits(wallet_id);
+    `
+  },
+  {
+    name: 'create_transaction_confirmations_table',
+    sql: `
+      -- On-chain progress of broadcast sends, followed by the payment service
+      CREATE TABLE IF NOT EXISTS transaction_confirmations (
+        transaction_id UUID PRIMARY KEY REFERENCES transactions(id) ON DELETE CASCADE,
+        network VARCHAR(50) NOT NULL,
+        tx_hash VARCHAR(255) NOT NULL,
+        from_address VARCHAR(255),
+        nonce INTEGER,
+        status VARCHAR(20) NOT NULL DEFAULT 'broadcast',
+        block_number BIGINT,
+        block_hash VARCHAR(255),
+        confirmations INTEGER NOT NULL DEFAULT 0,
+        failure_reason VARCHAR(20),
+        broadcast_at TIMESTAMP NOT NULL,
+        last_seen_at TIMESTAMP,
+        last_checked_at TIMESTAMP,
+        confirmed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_transaction_confirmations_status ON transaction_confirmations(status, last_checked_at);
+
+      -- Sends completed before tracking existed are not followed
+      INSERT INTO transaction_confirmations (transaction_id, network, tx_hash, status, broadcast_at)
+      SELECT t.id, a.blockchain, t.blockchain_tx_hash, 'confirmed', COALESCE(t.completed_at, t.created_at)
+      FROM transactions t
+      JOIN assets a ON a.id = t.from_asset_id
+      WHERE t.transaction_type = 'send' AND t.blockchain_tx_hash IS NOT NULL AND t.status = 'completed'
+      ON CONFLICT (transaction_id) DO NOTHING;
+    `
+  },
+  {
+    name: 'add_transaction_fee_details',
+    sql: `
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS fee_asset_id UUID REFERENCES assets(id);
+
+      -- speed_up or cancel once a stuck send has been rebroadcast at the same nonce, and the
+      -- hashes it replaced, any of which may still be mined instead
+      ALTER TABLE transaction_confirmations ADD COLUMN IF NOT EXISTS replacement_type VARCHAR(20);
+      ALTER TABLE transaction_confirmations ADD COLUMN IF NOT EXISTS replaced_tx_hashes TEXT[] NOT NULL DEFAULT '{}';
+    `
+  },
+  {
+    name: 'add_asset_price_feeds',
+    sql: `
+      -- Ids of each asset at the price sources: a CoinGecko coin id and, per quote currency,
+      -- a Chainlink aggregator (Ethereum mainnet feeds)
+      ALTER TABLE assets ADD COLUMN IF NOT EXISTS price_feeds JSONB NOT NULL DEFAULT '{}';
+
+      UPDATE assets SET price_feeds = '{"coingecko": "ethereum", "chainlink": {"usd": {"network": "ethereum", "address": "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419"}}}'
+      WHERE symbol = 'ETH' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"coingecko": "bitcoin", "chainlink": {"usd": {"network": "ethereum", "address": "0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c"}}}'
+      WHERE symbol = 'BTC' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"coingecko": "usd-coin", "chainlink": {"usd": {"network": "ethereum", "address": "0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6"}}}'
+      WHERE symbol = 'USDC' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"coingecko": "tether", "chainlink": {"usd": {"network": "ethereum", "address": "0x3E7d1eAB13ad0104d2750B8863b489D65364e32D"}}}'
+      WHERE symbol = 'USDT' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"coingecko": "matic-network", "chainlink": {"usd": {"network": "ethereum", "address": "0x7bAC85A8a13A4BcD8abb3eB7d6b4d632c5a57676"}}}'
+      WHERE symbol = 'MATIC' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"coingecko": "binancecoin", "chainlink": {"usd": {"network": "ethereum", "address": "0x14e613AC84a31f709eadbdF89C6CC390fDc9540A"}}}'
+      WHERE symbol = 'BNB' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"chainlink": {"usd": {"network": "ethereum", "address": "0xb49f677943BC038e9857d61E7d053CaA2C1734C1"}}}'
+      WHERE symbol = 'EUR' AND price_feeds = '{}';
+
+      UPDATE assets SET price_feeds = '{"chainlink": {"usd": {"network": "ethereum", "address": "0x5c0Ab2d9b5a7ed9f470386e82BB36A3613cDd4b5"}}}'
+      WHERE symbol = 'GBP' AND price_feeds = '{}';
+    `
+  },
+  {
+    name: 'create_price_history_table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS price_history (
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        currency VARCHAR(3) NOT NULL,
+        observed_at TIMESTAMP NOT NULL,
+        price DECIMAL(36,18) NOT NULL,
+        sources TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (asset_id, currency, observed_at)
+      );
+    `
+  },
+  {
+    name: 'create_swap_tables',
+    sql: `
+      CREATE TABLE IF NOT EXISTS swap_quotes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        wallet_id UUID REFERENCES wallets(id),
+        from_asset_id UUID NOT NULL REFERENCES assets(id),
+        to_asset_id UUID NOT NULL REFERENCES assets(id),
+        from_amount DECIMAL(36,18) NOT NULL,
+        to_amount DECIMAL(36,18) NOT NULL,
+        exchange_rate DECIMAL(36,18) NOT NULL,
+        mid_rate DECIMAL(36,18) NOT NULL,
+        fee DECIMAL(36,18) NOT NULL,
+        price_impact DECIMAL(36,18) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        expires_at TIMESTAMP NOT NULL,
+        executed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_swap_quotes_user_id ON swap_quotes(user_id);
+
+      CREATE TABLE IF NOT EXISTS swaps (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        transaction_id UUID NOT NULL REFERENCES transactions(id),
+        quote_id UUID UNIQUE REFERENCES swap_quotes(id),
+        wallet_id UUID REFERENCES wallets(id),
+        from_asset_id UUID NOT NULL REFERENCES assets(id),
+        to_asset_id UUID NOT NULL REFERENCES assets(id),
+        from_amount DECIMAL(36,18) NOT NULL,
+        to_amount DECIMAL(36,18) NOT NULL,
+        exchange_rate DECIMAL(36,18) NOT NULL,
+        mid_rate DECIMAL(36,18) NOT NULL,
+        fee DECIMAL(36,18) NOT NULL,
+        fee_asset_id UUID REFERENCES assets(id),
+        slippage_tolerance DECIMAL(5,2) NOT NULL,
+        price_impact DECIMAL(36,18) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'completed',
+        provider VARCHAR(50) NOT NULL DEFAULT 'treasury',
+        provider_tx_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_swaps_user_id ON swaps(user_id);
+    `
+  },
+  {
+    name: 'add_swap_quote_providers',
+    sql: `
+      -- The provider that won best execution, the amount it quoted before the spread, its own
+      -- quote id when it holds quotes, and every provider's answer
+      ALTER TABLE swap_quotes ADD COLUMN IF NOT EXISTS provider VARCHAR(50) NOT NULL DEFAULT 'treasury';
+      ALTER TABLE swap_quotes ADD COLUMN IF NOT EXISTS provider_amount DECIMAL(36,18);
+      ALTER TABLE swap_quotes ADD COLUMN IF NOT EXISTS provider_quote_id VARCHAR(255);
+      ALTER TABLE swap_quotes ADD COLUMN IF NOT EXISTS provider_quotes JSONB NOT NULL DEFAULT '[]';
+
+      UPDATE swap_quotes SET provider_amount = to_amount + fee WHERE provider_amount IS NULL;
+      ALTER TABLE swap_quotes ALTER COLUMN provider_amount SET NOT NULL;
+    `
+  },
+  {
+    name: 'create_swap_orders_table',
+    sql: `
+      -- Limit orders (side, limit_price, expires_at) and recurring buys (frequency,
+      -- next_run_at), executed by the payment service scheduler through the swap engine
+      CREATE TABLE IF NOT EXISTS swap_orders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        wallet_id UUID REFERENCES wallets(id),
+        order_type VARCHAR(20) NOT NULL CHECK (order_type IN ('limit', 'recurring')),
+        side VARCHAR(4) CHECK (side IN ('buy', 'sell')),
+        from_asset_id UUID NOT NULL REFERENCES assets(id),
+        to_asset_id UUID NOT NULL REFERENCES assets(id),
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        limit_price DECIMAL(36,18),
+        slippage_tolerance DECIMAL(5,2) NOT NULL DEFAULT 0,
+        frequency VARCHAR(10) CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+        next_run_at TIMESTAMP,
+        last_run_at TIMESTAMP,
+        last_error VARCHAR(100),
+        status VARCHAR(20) NOT NULL,
+        expires_at TIMESTAMP,
+        filled_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_swap_orders_user_id ON swap_orders(user_id);
+      CREATE INDEX IF NOT EXISTS idx_swap_orders_status ON swap_orders(status);
+
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES swap_orders(id);
+      CREATE INDEX IF NOT EXISTS idx_swaps_order_id ON swaps(order_id);
+    `
+  },
+  {
+    name: 'create_card_deposit_tables',
+    sql: `
+      -- Fiat top-ups paid by card through Stripe PaymentIntents. The balance is credited
+      -- when Stripe reports the payment succeeded, and refunds and disputes are reversed
+      CREATE TABLE IF NOT EXISTS card_deposits (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        wallet_id UUID REFERENCES wallets(id),
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        payment_intent_id VARCHAR(255) UNIQUE NOT NULL,
+        transaction_id UUID REFERENCES transactions(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'credited', 'failed', 'refunded', 'disputed', 'charged_back')),
+        refunded_amount DECIMAL(36,18) NOT NULL DEFAULT 0,
+        disputed_amount DECIMAL(36,18) NOT NULL DEFAULT 0,
+        failure_reason VARCHAR(255),
+        credited_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_card_deposits_user_id ON card_deposits(user_id);
+
+      -- Webhook events already handled, recorded in the transaction that applies them
+      CREATE TABLE IF NOT EXISTS stripe_events (
+        id VARCHAR(255) PRIMARY KEY,
+        event_type VARCHAR(100) NOT NULL,
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `
+  },
+  {
+    name: 'create_sepa_tables',
+    sql: `
+      -- Bank account holders users pay out to
+      CREATE TABLE IF NOT EXISTS beneficiaries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(140) NOT NULL,
+        iban VARCHAR(34),
+        bic VARCHAR(11),
+        country CHAR(2),
+        address_line VARCHAR(140),
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_beneficiaries_user_id ON beneficiaries(user_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_beneficiaries_user_iban ON beneficiaries(user_id, iban) WHERE is_active AND iban IS NOT NULL;
+
+      -- pain.001 files sent to the bank
+      CREATE TABLE IF NOT EXISTS sepa_batches (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id VARCHAR(35) UNIQUE NOT NULL,
+        number_of_transactions INTEGER NOT NULL,
+        control_sum DECIMAL(36,18) NOT NULL,
+        xml TEXT NOT NULL,
+        file_name VARCHAR(255),
+        exported_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Outgoing SEPA Credit Transfers, with the beneficiary as it was when paid
+      CREATE TABLE IF NOT EXISTS sepa_transfers (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID UNIQUE NOT NULL REFERENCES transactions(id),
+        user_id UUID NOT NULL REFERENCES users(id),
+        beneficiary_id UUID REFERENCES beneficiaries(id),
+        creditor_name VARCHAR(140) NOT NULL,
+        creditor_iban VARCHAR(34) NOT NULL,
+        creditor_bic VARCHAR(11),
+        end_to_end_id VARCHAR(35) UNIQUE NOT NULL,
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL,
+        remittance_information VARCHAR(140),
+        batch_id UUID REFERENCES sepa_batches(id),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'batched', 'booked', 'rejected', 'cancelled')),
+        return_reason VARCHAR(35),
+        booked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sepa_transfers_status ON sepa_transfers(status);
+      CREATE INDEX IF NOT EXISTS idx_sepa_transfers_batch_id ON sepa_transfers(batch_id);
+
+      -- camt.053 statements and camt.054 notifications already ingested
+      CREATE TABLE IF NOT EXISTS bank_statements (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        message_id VARCHAR(35) UNIQUE NOT NULL,
+        message_type VARCHAR(10) NOT NULL,
+        file_name VARCHAR(255),
+        entries INTEGER NOT NULL DEFAULT 0,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Incoming transfers, credited to the owner of the virtual IBAN they were sent to or
+      -- parked in suspense when no active virtual IBAN matches
+      CREATE TABLE IF NOT EXISTS inbound_transfers (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        statement_id UUID REFERENCES bank_statements(id),
+        bank_reference VARCHAR(35) UNIQUE,
+        virtual_iban_id UUID REFERENCES virtual_ibans(id),
+        user_id UUID REFERENCES users(id),
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        creditor_iban VARCHAR(34),
+        debtor_name VARCHAR(140),
+        debtor_iban VARCHAR(34),
+        end_to_end_id VARCHAR(35),
+        remittance_information VARCHAR(500),
+        transaction_id UUID REFERENCES transactions(id),
+        status VARCHAR(20) NOT NULL CHECK (status IN ('credited', 'unmatched', 'reversed')),
+        booking_date DATE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_inbound_transfers_user_id ON inbound_transfers(user_id);
+      CREATE INDEX IF NOT EXISTS idx_inbound_transfers_status ON inbound_transfers(status);
+    `
+  },
+  {
+    name: 'create_swift_tables',
+    sql: `
+      -- Bank details for international beneficiaries, whose accounts may not be IBANs
+      ALTER TABLE beneficiaries ADD COLUMN IF NOT EXISTS account_number VARCHAR(34);
+      ALTER TABLE beneficiaries ADD COLUMN IF NOT EXISTS bank_name VARCHAR(140);
+      ALTER TABLE beneficiaries ADD COLUMN IF NOT EXISTS intermediary_bic VARCHAR(11);
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_beneficiaries_user_account ON beneficiaries(user_id, bic, account_number)
+        WHERE is_active AND iban IS NULL AND account_number IS NOT NULL;
+
+      -- Outgoing SWIFT transfers, with the beneficiary as it was when paid
+      CREATE TABLE IF NOT EXISTS swift_transfers (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID UNIQUE NOT NULL REFERENCES transactions(id),
+        user_id UUID NOT NULL REFERENCES users(id),
+        beneficiary_id UUID REFERENCES beneficiaries(id),
+        reference VARCHAR(16) UNIQUE NOT NULL,
+        uetr UUID UNIQUE NOT NULL,
+        creditor_name VARCHAR(140) NOT NULL,
+        creditor_account VARCHAR(34) NOT NULL,
+        creditor_bic VARCHAR(11) NOT NULL,
+        intermediary_bic VARCHAR(11),
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        currency VARCHAR(3) NOT NULL,
+        charge_bearer VARCHAR(3) NOT NULL CHECK (charge_bearer IN ('OUR', 'SHA', 'BEN')),
+        purpose_code VARCHAR(4),
+        remittance_information VARCHAR(140),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sent', 'accepted', 'completed', 'rejected')),
+        status_code VARCHAR(4),
+        status_reason VARCHAR(255),
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_swift_transfers_user_id ON swift_transfers(user_id);
+      CREATE INDEX IF NOT EXISTS idx_swift_transfers_status ON swift_transfers(status);
+
+      -- MT103 and pacs.008 messages sent, and MT199 and pacs.002 status messages received
+      CREATE TABLE IF NOT EXISTS swift_messages (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        swift_transfer_id UUID REFERENCES swift_transfers(id),
+        direction VARCHAR(10) NOT NULL CHECK (direction IN ('outbound', 'inbound')),
+        message_type VARCHAR(10) NOT NULL,
+        message_id VARCHAR(35),
+        content TEXT NOT NULL,
+        file_name VARCHAR(255),
+        exported_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_swift_messages_transfer_id ON swift_messages(swift_transfer_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_swift_messages_inbound ON swift_messages(message_type, message_id)
+        WHERE direction = 'inbound';
+    `
+  },
+  {
+    name: 'add_virtual_iban_lifecycle',
+    sql: `
+      ALTER TABLE virtual_ibans ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+
+      -- One active IBAN per user and currency
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_virtual_ibans_user_currency ON virtual_ibans(user_id, currency) WHERE is_active;
+    `
+  },
+  {
+    name: 'create_aml_tables',
+    sql: `
+      -- Who a transaction pays: an address for sends, an IBAN or account number for bank transfers
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS counterparty VARCHAR(255);
+      ALTER TABLE transactions ADD COLUMN IF NOT EXISTS counterparty_country CHAR(2);
+
+      CREATE INDEX IF NOT EXISTS idx_transactions_user_created_at ON transactions(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_transactions_user_counterparty ON transactions(user_id, counterparty)
+        WHERE counterparty IS NOT NULL;
+
+      -- Monitoring rules, never updated in place: each change is a new version and the
+      -- highest version of a code is the one in force
+      CREATE TABLE IF NOT EXISTS aml_rules (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        code VARCHAR(50) NOT NULL,
+        version INTEGER NOT NULL CHECK (version > 0),
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        stage VARCHAR(10) NOT NULL CHECK (stage IN ('pre', 'post')),
+        action VARCHAR(10) NOT NULL CHECK (action IN ('alert', 'review', 'block')),
+        score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+        conditions JSONB NOT NULL,
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        published_by VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (code, version)
+      );
+
+      -- Rule matches, with the versions matched and why, at most one per transaction and stage
+      CREATE TABLE IF NOT EXISTS aml_alerts (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID NOT NULL REFERENCES transactions(id),
+        user_id UUID NOT NULL REFERENCES users(id),
+        stage VARCHAR(10) NOT NULL CHECK (stage IN ('pre', 'post')),
+        decision VARCHAR(10) NOT NULL CHECK (decision IN ('alert', 'review', 'block')),
+        risk_score INTEGER NOT NULL,
+        matched_rules JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (transaction_id, stage)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_aml_alerts_user_id ON aml_alerts(user_id);
+      CREATE INDEX IF NOT EXISTS idx_aml_alerts_created_at ON aml_alerts(created_at);
+
+      INSERT INTO aml_rules (code, version, name, description, stage, action, score, conditions, published_by) VALUES
+        ('LARGE_AMOUNT', 1, 'Large transaction', 'Transfers worth more than 10,000 USD', 'pre', 'alert', 30,
+         '[{"field": "amountUsd", "op": "gt", "value": 10000}]', 'migration'),
+        ('VERY_LARGE_AMOUNT', 1, 'Very large transaction', 'Transfers worth 50,000 USD or more', 'pre', 'review', 80,
+         '[{"field": "amountUsd", "op": "gte", "value": 50000}]', 'migration'),
+        ('HIGH_FREQUENCY', 1, 'High transaction frequency', 'More than 10 transactions within an hour', 'pre', 'alert', 20,
+         '[{"field": "velocity", "measure": "count", "window": "1h", "op": "gt", "value": 10}]', 'migration'),
+        ('LOW_KYC_LARGE_AMOUNT', 1, 'Large transfer on basic verification', 'Users below KYC level 2 sending more than 10,000 USD', 'pre', 'review', 50,
+         '[{"field": "kycLevel", "op": "lt", "value": 2}, {"field": "amountUsd", "op": "gt", "value": 10000}]', 'migration'),
+        ('NEW_COUNTERPARTY_FAN_OUT', 1, 'Many new counterparties', 'Paying a new counterparty after paying 5 or more within a day', 'pre', 'alert', 20,
+         '[{"field": "newCounterparty", "op": "eq", "value": true}, {"field": "velocity", "measure": "distinctCounterparties", "window": "24h", "op": "gte", "value": 5}]', 'migration'),
+        ('STRUCTURING', 1, 'Possible structuring', 'Three or more fiat movements under 10,000 within a day adding up to 10,000 or more', 'post', 'review', 60,
+         '[{"field": "assetType", "op": "eq", "value": "fiat"}, {"field": "amount", "op": "lt", "value": 10000}, {"field": "velocity", "measure": "count", "window": "24h", "maxAmount": 10000, "sameAsset": true, "op": "gte", "value": 3}, {"field": "velocity", "measure": "sum", "window": "24h", "maxAmount": 10000, "op": "gte", "value": 10000}]', 'migration')
+      ON CONFLICT (code, version) DO NOTHING;
+    `
+  },
+  {
+    name: 'create_travel_rule_tables',
+    sql: `
+      -- Originator and beneficiary identity sent with crypto sends above the Travel Rule
+      -- threshold, as IVMS101, and the beneficiary VASP's answer
+      CREATE TABLE IF NOT EXISTS travel_rule_transfers (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        transaction_id UUID UNIQUE NOT NULL REFERENCES transactions(id),
+        user_id UUID NOT NULL REFERENCES users(id),
+        asset_id UUID NOT NULL REFERENCES assets(id),
+        amount DECIMAL(36,18) NOT NULL CHECK (amount > 0),
+        amount_usd DECIMAL(36,2),
+        beneficiary_address VARCHAR(255) NOT NULL,
+        beneficiary_name VARCHAR(255) NOT NULL,
+        wallet_type VARCHAR(10) NOT NULL CHECK (wallet_type IN ('hosted', 'unhosted')),
+        beneficiary_vasp_id VARCHAR(100),
+        beneficiary_vasp_name VARCHAR(140),
+        payload JSONB NOT NULL,
+        transport VARCHAR(20),
+        transport_reference VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sent', 'acknowledged', 'rejected', 'unhosted')),
+        status_reason VARCHAR(255),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error VARCHAR(255),
+        sent_at TIMESTAMP,
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_travel_rule_transfers_user_id ON travel_rule_transfers(user_id);
+      CREATE INDEX IF NOT EXISTS idx_travel_rule_transfers_status ON travel_rule_transfers(status);
+    `
+  },
+  {
+    name: 'add_swap_order_holds',
+    sql: `
+      -- The funds an open limit order spends, reserved from when it is placed
+      ALTER TABLE swap_orders ADD COLUMN IF NOT EXISTS hold_id UUID REFERENCES fund_holds(id);
+    `
+  },
+  {
+    name: 'add_non_custodial_hd_roots',
+    sql: `
+      -- Every non-custodial wallet has a root of its own; custodial wallets share one per user
+      ALTER TABLE hd_roots DROP CONSTRAINT IF EXISTS hd_roots_user_id_custody_type_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_hd_roots_custodial_user ON hd_roots(user_id) WHERE custody_type = 'custodial';
+    `
+  },
+  {
+    name: 'align_swaps_table',
+    sql: `
+      -- Databases migrated by the payment service before it stopped creating swaps have its
+      -- narrower table, which create_swap_tables left in place
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS transaction_id UUID REFERENCES transactions(id);
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS quote_id UUID UNIQUE REFERENCES swap_quotes(id);
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS wallet_id UUID REFERENCES wallets(id);
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS mid_rate DECIMAL(36,18);
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS fee DECIMAL(36,18);
+      ALTER TABLE swaps ADD COLUMN IF NOT EXISTS fee_asset_id UUID REFERENCES assets(id);
+
+      ALTER TABLE swaps ALTER COLUMN from_amount TYPE DECIMAL(36,18);
+      ALTER TABLE swaps ALTER COLUMN to_amount TYPE DECIMAL(36,18);
+      ALTER TABLE swaps ALTER COLUMN exchange_rate TYPE DECIMAL(36,18);
+      ALTER TABLE swaps ALTER COLUMN slippage_tolerance TYPE DECIMAL(7,4);
+      ALTER TABLE swaps ALTER COLUMN price_impact TYPE DECIMAL(36,18);
+
+      ALTER TABLE swaps DROP CONSTRAINT IF EXISTS swaps_status_check;
+      ALTER TABLE swaps ALTER COLUMN status TYPE VARCHAR(20);
+      ALTER TABLE swaps ALTER COLUMN status SET DEFAULT 'completed';
+    `
+  },
+  {
+    name: 'add_signed_transactions',
+    sql: `
+      -- A signed transaction is kept until its broadcast is recorded; replacement_type marks
+      -- a speed-up or cancel that has not gone out yet
+      ALTER TABLE transaction_intents ADD COLUMN IF NOT EXISTS signed_transaction TEXT;
+      ALTER TABLE transaction_intents ADD COLUMN IF NOT EXISTS replacement_type VARCHAR(20);
+
+      -- Sends used to be completed at broadcast; the ones not yet confirmed or failed wait
+      -- for the confirmation tracker again
+      UPDATE transactions t SET status = 'broadcast', completed_at = NULL
+      WHERE t.transaction_type = 'send' AND t.status = 'completed' AND t.blockchain_tx_hash IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM transaction_confirmations c WHERE c.transaction_id = t.id AND c.status IN ('confirmed', 'failed')
+        );
+    `
   }
 ];
 
@@ -179,4 +1020,4 @@ if (require.main === module) {
   runMigrations();
 }
 
-module.exports = { runMigrations };
+module.exports = { migrations, runMigrations };
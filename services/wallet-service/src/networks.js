@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+const { toBaseUnits } = require('cryptohybrid-shared');
+
+// EVM network helpers shared by the send paths.
+
+// Native coin of each network; other assets on a network are ERC-20 tokens
+const NATIVE_ASSETS = {
+  ethereum: 'ETH',
+  polygon: 'MATIC',
+  bsc: 'BNB'
+};
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+const isNativeAsset = (asset) => NATIVE_ASSETS[asset.blockchain] === asset.symbol;
+
+// Whether an asset can be moved on-chain: the network's native coin or a token with a contract
+const isTransferableAsset = (asset) => Boolean(NATIVE_ASSETS[asset.blockchain]) && (isNativeAsset(asset) || Boolean(asset.contract_address));
+
+const encodeTokenTransfer = (toAddress, units) => erc20Interface.encodeFunctionData('transfer', [toAddress, units]);
+
+// Whether an amount can be expressed in the asset's base units without rounding
+const fitsAssetDecimals = (amount, asset) => {
+  try {
+    toBaseUnits(amount, asset.decimals);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Balance of an address in the asset's base units
+const getAssetBalance = async (provider, asset, address) => (isNativeAsset(asset)
+  ? provider.getBalance(address)
+  : new ethers.Contract(asset.contract_address, ERC20_ABI, provider).balanceOf(address));
+
+// Call moving an amount of an asset: a value transfer for the native coin, an ERC-20
+// transfer to the token contract otherwise
+const buildTransferCall = (asset, toAddress, amount) => {
+  const units = toBaseUnits(amount, asset.decimals);
+
+  return isNativeAsset(asset)
+    ? { to: ethers.getAddress(toAddress), value: units, data: '0x' }
+    : { to: ethers.getAddress(asset.contract_address), value: 0n, data: encodeTokenTransfer(toAddress, units) };
+};
+
+module.exports = {
+  NATIVE_ASSETS,
+  ERC20_ABI,
+  isNativeAsset,
+  isTransferableAsset,
+  encodeTokenTransfer,
+  fitsAssetDecimals,
+  getAssetBalance,
+  buildTransferCall
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+
+// Nonce allocation for custodial sends.
+// Sends from one (network, address) are queued in arrival order within the process and
+// serialized across instances with a Redis lock, so each signs with the next nonce and is
+// broadcast before the following send starts. The next nonce is kept in Redis and only
+// advanced once a send's callback succeeds, so a failed send leaves no gap. It is checked
+// against the node's pending transaction count on every allocation: a lower count that
+// persists past `gapGraceMs` means transactions the node no longer knows about (dropped),
+// and the allocator resyncs down to the node so later sends are not stuck behind them.
+// The lock is extended for as long as the send runs, and the nonce is only committed
+// while the lock is still held.
+
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+const EXTEND_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+const COMMIT_NONCE_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    redis.call('set', KEYS[2], ARGV[2])
+    return 1
+  end
+  return 0
+`;
+
+class NonceError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'NonceError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class NonceManager {
+  constructor({ redisClient, providers, logger = console, lockTtlMs = 30000, lockWaitMs = 60000, gapGraceMs = 120000 }) {
+    this.redisClient = redisClient;
+    this.providers = providers;
+    this.logger = logger;
+    this.lockTtlMs = lockTtlMs;
+    this.lockWaitMs = lockWaitMs;
+    this.gapGraceMs = gapGraceMs;
+    this.queues = new Map();
+  }
+
+  static stateKey(network, address) {
+    return `nonce:${network}:${address.toLowerCase()}`;
+  }
+
+  static lockKey(network, address) {
+    return `nonce-lock:${network}:${address.toLowerCase()}`;
+  }
+
+  // Runs callback(nonce) with the next nonce of the address, once every earlier send from
+  // it has finished. The nonce is consumed only if the callback resolves.
+  async withNonce(network, address, callback) {
+    const queueKey = NonceManager.stateKey(network, address);
+    const previous = this.queues.get(queueKey) || Promise.resolve();
+
+    const run = previous.catch(() => {}).then(() => this.allocate(network, address, callback));
+    const tail = run.catch(() => {});
+    this.queues.set(queueKey, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.queues.get(queueKey) === tail) {
+        this.queues.delete(queueKey);
+      }
+    }
+  }
+
+  async allocate(network, address, callback) {
+    const token = await this.acquireLock(network, address);
+    const heartbeat = setInterval(() => this.extendLock(network, address, token), Math.max(Math.floor(this.lockTtlMs / 3), 1));
+
+    try {
+      const nonce = await this.nextNonce(network, address);
+      const result = await callback(nonce);
+
+      await this.commitNonce(network, address, token, nonce + 1);
+
+      return result;
+    } finally {
+      clearInterval(heartbeat);
+      await this.releaseLock(network, address, token);
+    }
+  }
+
+  // The send has already gone out, so a lost lock is only logged: another sender may have
+  // been given the same nonce, and the next allocation starts from the node's count again
+  async commitNonce(network, address, token, next) {
+    const committed = await this.redisClient.eval(COMMIT_NONCE_SCRIPT, {
+      keys: [NonceManager.lockKey(network, address), NonceManager.stateKey(network, address)],
+      arguments: [token, JSON.stringify({ next, updatedAt: Date.now() })]
+    });
+
+    if (!committed) {
+      this.logger.error(`Nonce lock for ${address} on ${network} was lost before nonce ${next - 1} was committed`);
+    }
+  }
+
+  async nextNonce(network, address) {
+    const provider = this.providers[network];
+    if (!provider) {
+      throw new NonceError('UNSUPPORTED_NETWORK', `Unsupported network: ${network}`);
+    }
+
+    const [stored, pending] = await Promise.all([
+      this.redisClient.get(NonceManager.stateKey(network, address)),
+      provider.getTransactionCount(address, 'pending')
+    ]);
+
+    const state = stored ? JSON.parse(stored) : null;
+    if (!state || state.next <= pending) {
+      return pending;
+    }
+
+    // The node may not have indexed a send broadcast moments ago yet
+    if (Date.now() - state.updatedAt < this.gapGraceMs) {
+      return state.next;
+    }
+
+    this.logger.warn(`Nonce gap on ${network} for ${address}: allocated up to ${state.next - 1}, node has ${pending} pending; resyncing`);
+    return pending;
+  }
+
+  async acquireLock(network, address) {
+    const key = NonceManager.lockKey(network, address);
+    const token = crypto.randomBytes(16).toString('hex');
+    const deadline = Date.now() + this.lockWaitMs;
+    let delay = 50;
+
+    while (!(await this.redisClient.set(key, token, { NX: true, PX: this.lockTtlMs }))) {
+      if (Date.now() >= deadline) {
+        throw new NonceError('NONCE_LOCK_TIMEOUT', `Timed out waiting to send from ${address} on ${network}`);
+      }
+
+      await sleep(delay);
+      delay = Math.min(delay * 2, 1000);
+    }
+
+    return token;
+  }
+
+  async extendLock(network, address, token) {
+    try {
+      const extended = await this.redisClient.eval(EXTEND_LOCK_SCRIPT, {
+        keys: [NonceManager.lockKey(network, address)],
+        arguments: [token, String(this.lockTtlMs)]
+      });
+      if (!extended) {
+        this.logger.error(`Nonce lock for ${address} on ${network} expired while a send was running`);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to extend nonce lock for ${address} on ${network}:`, error);
+    }
+  }
+
+  async releaseLock(network, address, token) {
+    try {
+      await this.redisClient.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [NonceManager.lockKey(network, address)],
+        arguments: [token]
+      });
+    } catch (error) {
+      // The lock expires on its own after lockTtlMs
+      this.logger.error(`Failed to release nonce lock for ${address} on ${network}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  NonceError,
+  NonceManager
+};
@@ -0,0 +1,175 @@
+// Portfolio valuation over time.
+// A user's holdings at each point of the period are rebuilt from the postings on their
+// ledger accounts, and each holding is valued at the latest recorded price at or before
+// that point. Returns are time-weighted: each step's gain is what the holdings at its
+// start earned from price moves, so deposits and withdrawals do not count as performance.
+
+const PERIODS = {
+  day: { duration: '1 day', step: '1 hour', stepsPerYear: 24 * 365 },
+  week: { duration: '7 days', step: '6 hours', stepsPerYear: 4 * 365 },
+  month: { duration: '30 days', step: '1 day', stepsPerYear: 365 },
+  year: { duration: '365 days', step: '7 days', stepsPerYear: 52 }
+};
+
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+const standardDeviation = (values) => {
+  if (values.length < 2) {
+    return 0;
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+};
+
+class PortfolioManager {
+  // Quantity and price of each asset held at each point of the period. A holding without
+  // a recorded price at a point has a null price.
+  static async holdingsSeries(client, { userId, currency, period }) {
+    const { duration, step } = PERIODS[period];
+
+    const result = await client.query(
+      `WITH points AS (
+         SELECT generate_series(date_trunc('hour', NOW()) - $3::interval, date_trunc('hour', NOW()), $4::interval) AS at
+         UNION SELECT NOW()::timestamp
+       ),
+       movements AS (
+         SELECT la.asset_id, je.created_at,
+                CASE WHEN p.direction = 'credit' THEN p.amount ELSE -p.amount END AS delta
+         FROM ledger_postings p
+         JOIN journal_entries je ON je.id = p.journal_entry_id
+         JOIN ledger_accounts la ON la.id = p.account_id
+         WHERE la.account_type = 'user' AND la.user_id = $1
+       ),
+       holdings AS (
+         SELECT pt.at, m.asset_id, SUM(m.delta) AS quantity
+         FROM points pt
+         JOIN movements m ON m.created_at <= pt.at
+         GROUP BY pt.at, m.asset_id
+       )
+       SELECT pt.at, h.asset_id, a.symbol, h.quantity,
+              CASE WHEN a.asset_type = 'fiat' AND LOWER(a.symbol) = $2 THEN 1 ELSE ph.price END AS price
+       FROM points pt
+       LEFT JOIN holdings h ON h.at = pt.at AND h.quantity <> 0
+       LEFT JOIN assets a ON a.id = h.asset_id
+       LEFT JOIN LATERAL (
+         SELECT price FROM price_history
+         WHERE asset_id = h.asset_id AND currency = $2 AND observed_at <= pt.at
+         ORDER BY observed_at DESC
+         LIMIT 1
+       ) ph ON true
+       ORDER BY pt.at, a.symbol`,
+      [userId, currency, duration, step]
+    );
+
+    const points = new Map();
+    for (const row of result.rows) {
+      const at = new Date(row.at).toISOString();
+      if (!points.has(at)) {
+        points.set(at, []);
+      }
+
+      // A point where nothing was held
+      if (row.asset_id === null) {
+        continue;
+      }
+
+      points.get(at).push({
+        assetId: row.asset_id,
+        symbol: row.symbol,
+        quantity: Number(row.quantity),
+        price: row.price === null ? null : Number(row.price)
+      });
+    }
+
+    return points;
+  }
+
+  static async analytics(client, { userId, currency = 'usd', period = 'month' }) {
+    const { stepsPerYear } = PERIODS[period];
+    const series = [...(await this.holdingsSeries(client, { userId, currency, period })).entries()];
+
+    const data = series.map(([date, holdings]) => ({
+      date,
+      value: round(holdings.reduce((sum, holding) => sum + (holding.price === null ? 0 : holding.quantity * holding.price), 0)),
+      unpricedAssets: holdings.filter((holding) => holding.price === null).map((holding) => holding.symbol)
+    }));
+
+    // Step returns from price moves on the holdings at the start of each step
+    const stepReturns = [];
+    let totalReturn = 0;
+    for (let index = 1; index < series.length; index += 1) {
+      const [, previous] = series[index - 1];
+      const current = new Map(series[index][1].map((holding) => [holding.assetId, holding]));
+
+      let startValue = 0;
+      let gain = 0;
+      for (const holding of previous) {
+        const later = current.get(holding.assetId);
+        if (holding.price === null || !later || later.price === null) {
+          continue;
+        }
+
+        startValue += holding.quantity * holding.price;
+        gain += holding.quantity * (later.price - holding.price);
+      }
+
+      totalReturn += gain;
+      if (startValue > 0) {
+        stepReturns.push(gain / startValue);
+      }
+    }
+
+    // Growth of one unit invested at the start of the period
+    let growth = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    for (const stepReturn of stepReturns) {
+      growth *= 1 + stepReturn;
+      peak = Math.max(peak, growth);
+      maxDrawdown = Math.max(maxDrawdown, (peak - growth) / peak);
+    }
+
+    const meanReturn = stepReturns.length > 0 ? stepReturns.reduce((sum, value) => sum + value, 0) / stepReturns.length : 0;
+    const deviation = standardDeviation(stepReturns);
+
+    const [, latest = []] = series[series.length - 1] || [];
+    const totalValue = data.length > 0 ? data[data.length - 1].value : 0;
+    const assetAllocation = latest
+      .filter((holding) => holding.price !== null)
+      .map((holding) => {
+        const value = holding.quantity * holding.price;
+        return {
+          assetId: holding.assetId,
+          symbol: holding.symbol,
+          value: round(value),
+          percentage: totalValue > 0 ? round((value / totalValue) * 100) : 0
+        };
+      });
+
+    return {
+      currency,
+      totalValue,
+      totalReturn: round(totalReturn),
+      returnPercentage: round((growth - 1) * 100),
+      assetAllocation,
+      performance: {
+        period,
+        startDate: data.length > 0 ? data[0].date : null,
+        endDate: data.length > 0 ? data[data.length - 1].date : null,
+        data
+      },
+      riskMetrics: {
+        // Annualized from the step returns, with a zero risk-free rate
+        volatility: round(deviation * Math.sqrt(stepsPerYear), 4),
+        sharpeRatio: deviation > 0 ? round((meanReturn / deviation) * Math.sqrt(stepsPerYear), 4) : 0,
+        maxDrawdown: round(maxDrawdown, 4)
+      }
+    };
+  }
+}
+
+module.exports = {
+  PERIODS,
+  PortfolioManager
+};
@@ -0,0 +1,97 @@
+// Price history.
+// A scheduled job samples every active asset's oracle price in each quote currency and
+// stores it at the sampling minute. Candles are aggregated from the samples on read, in
+// buckets aligned to Monday 00:00 UTC so daily and weekly candles line up with calendars.
+
+const CANDLE_INTERVALS = {
+  '5m': '5 minutes',
+  '1h': '1 hour',
+  '1d': '1 day',
+  '1w': '7 days'
+};
+
+const MAX_CANDLES = 1000;
+
+class PriceHistoryError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'PriceHistoryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class PriceHistory {
+  constructor({ pool, priceOracle, logger = console, currencies = ['usd'] }) {
+    this.pool = pool;
+    this.priceOracle = priceOracle;
+    this.logger = logger;
+    this.currencies = currencies;
+  }
+
+  // Stores one sample per asset and currency; assets without a fresh price are skipped
+  async record(at = new Date()) {
+    const assets = await this.pool.query(
+      'SELECT id, symbol, asset_type, price_feeds FROM assets WHERE is_active = true'
+    );
+
+    let recorded = 0;
+    for (const currency of this.currencies) {
+      const { quotes, errors } = await this.priceOracle.getPrices(assets.rows, currency);
+
+      for (const [assetId, error] of errors) {
+        this.logger.warn(`No ${currency} price sample for asset ${assetId}: ${error.code}`);
+      }
+
+      for (const quote of quotes.values()) {
+        const result = await this.pool.query(
+          `INSERT INTO price_history (asset_id, currency, observed_at, price, sources)
+           VALUES ($1, $2, date_trunc('minute', $3::timestamp), $4, $5)
+           ON CONFLICT (asset_id, currency, observed_at) DO NOTHING`,
+          [quote.assetId, currency, at, quote.price, quote.sources]
+        );
+        recorded += result.rowCount;
+      }
+    }
+
+    return recorded;
+  }
+
+  async candles({ assetId, currency = 'usd', interval = '1h', from = null, to = null }) {
+    const bucket = CANDLE_INTERVALS[interval];
+    if (!bucket) {
+      throw new PriceHistoryError('INVALID_INTERVAL', `Unsupported candle interval: ${interval}`, {
+        intervals: Object.keys(CANDLE_INTERVALS)
+      });
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : null;
+    if (Number.isNaN(end.getTime()) || (start && Number.isNaN(start.getTime())) || (start && start >= end)) {
+      throw new PriceHistoryError('INVALID_RANGE', 'from and to must be dates with from before to');
+    }
+
+    const result = await this.pool.query(
+      `SELECT date_bin($3::interval, observed_at, TIMESTAMP '2000-01-03') AS bucket,
+              (array_agg(price ORDER BY observed_at))[1] AS open,
+              MAX(price) AS high,
+              MIN(price) AS low,
+              (array_agg(price ORDER BY observed_at DESC))[1] AS close,
+              COUNT(*) AS samples
+       FROM price_history
+       WHERE asset_id = $1 AND currency = $2 AND observed_at <= $4
+         AND observed_at >= COALESCE($5::timestamp, $4::timestamp - $3::interval * $6)
+       GROUP BY bucket
+       ORDER BY bucket`,
+      [assetId, currency.toLowerCase(), bucket, end, start, MAX_CANDLES]
+    );
+
+    return result.rows.slice(-MAX_CANDLES);
+  }
+}
+
+module.exports = {
+  CANDLE_INTERVALS,
+  PriceHistoryError,
+  PriceHistory
+};
@@ -0,0 +1,878 @@
+const { ethers } = require('ethers');
+const { withTransaction, compareAmounts, subtractAmounts, LedgerError, LedgerManager, HoldManager, HOLD_STATUSES } = require('cryptohybrid-shared');
+const { buildTransferCall } = require('./networks');
+const { HdWalletManager } = require('./hdWallets');
+const { FeeError, FeeManager } = require('./fees');
+
+// EVM sends.
+// Sends are recorded, screened and given their reserved funds by payment-service, and are
+// `queued` here once released. For a non-custodial send the unsigned EIP-1559 transaction
+// is stored as an intent; the user signs it on their device and submits the raw
+// transaction, which is only broadcast if it matches the intent field for field.
+// Custodial sends are dispatched: signed by the service with a nonce from the nonce
+// manager and stored as intents, so a send stuck in the mempool can be replaced at the
+// same nonce to speed it up or cancel it.
+// A signed transaction is stored, with the send settled, and committed before it is
+// broadcast. The send is `broadcasting` until its broadcast is recorded and `broadcast`
+// from then on, until the confirmation tracker completes or fails it. Signed transactions
+// that did not go out are broadcast again by the dispatch job.
+
+const INTENT_STATUSES = {
+  PREPARED: 'prepared',
+  SIGNED: 'signed',
+  SUBMITTED: 'submitted',
+  FAILED: 'failed'
+};
+
+// Statuses of a send that has not gone out: recorded and screened by payment-service,
+// waiting for a compliance review or Travel Rule answer, or released as `queued`
+const UNSENT_STATUSES = ['pending', 'pending_approval', 'pending_travel_rule', 'queued'];
+
+// Reasons of the holds on a send: its amount, placed by payment-service, and its maximum
+// network fee in the native coin
+const AMOUNT_HOLD_REASON = 'transaction';
+const FEE_HOLD_REASON = 'network_fee';
+
+const REPLACEMENT_TYPES = {
+  SPEED_UP: 'speed_up',
+  CANCEL: 'cancel'
+};
+
+// Gas of a plain value transfer, used by cancellations
+const TRANSFER_GAS_LIMIT = 21000n;
+
+class TransactionIntentError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'TransactionIntentError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toJsonTransaction = (intent) => ({
+  type: 2,
+  chainId: intent.chain_id.toString(),
+  nonce: Number(intent.nonce),
+  from: intent.from_address,
+  to: intent.tx_to,
+  value: intent.value.toString(),
+  data: intent.data,
+  gasLimit: intent.gas_limit.toString(),
+  maxFeePerGas: intent.max_fee_per_gas.toString(),
+  maxPriorityFeePerGas: intent.max_priority_fee_per_gas.toString()
+});
+
+class TransactionIntentManager {
+  // signTransaction(client, wallet, network, fromAddress, transaction, provider) signs for
+  // custodial wallets
+  constructor({ pool, providers, fees, nonces, signTransaction, logger = console, intentTtlMinutes = 30 }) {
+    this.pool = pool;
+    this.logger = logger;
+    this.providers = providers;
+    this.fees = fees;
+    this.nonces = nonces;
+    this.signTransaction = signTransaction;
+    this.intentTtlMinutes = intentTtlMinutes;
+  }
+
+  async quoteFees(network) {
+    try {
+      return await this.fees.quote(network);
+    } catch (error) {
+      if (error instanceof FeeError) {
+        throw new TransactionIntentError(error.code, error.message, error.details);
+      }
+      throw error;
+    }
+  }
+
+  // Builds the unsigned transaction with the network's current nonce, the fees for the
+  // chosen speed and a gas estimate
+  async buildTransaction({ network, fromAddress, toAddress, asset, amount, speed = 'normal' }) {
+    const provider = this.providers[network];
+    if (!provider) {
+      throw new TransactionIntentError('UNSUPPORTED_NETWORK', `Unsupported network: ${network}`);
+    }
+
+    const call = buildTransferCall(asset, toAddress, amount);
+
+    let gasLimit;
+    try {
+      gasLimit = await provider.estimateGas({ ...call, from: fromAddress });
+    } catch (error) {
+      throw new TransactionIntentError('GAS_ESTIMATION_FAILED', 'The network rejected the transaction during gas estimation', {
+        reason: error.shortMessage || error.message
+      });
+    }
+
+    const [nonce, quote, { chainId }] = await Promise.all([
+      provider.getTransactionCount(fromAddress, 'pending'),
+      this.quoteFees(network),
+      provider.getNetwork()
+    ]);
+
+    const fees = quote.speeds[speed];
+
+    return {
+      network,
+      chainId,
+      nonce,
+      fromAddress: ethers.getAddress(fromAddress),
+      toAddress: ethers.getAddress(toAddress),
+      txTo: call.to,
+      value: call.value,
+      data: call.data,
+      gasLimit,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas
+    };
+  }
+
+  static unsignedTransaction(built) {
+    return {
+      type: 2,
+      chainId: built.chainId,
+      nonce: built.nonce,
+      to: built.txTo,
+      value: built.value,
+      data: built.data,
+      gasLimit: built.gasLimit,
+      maxFeePerGas: built.maxFeePerGas,
+      maxPriorityFeePerGas: built.maxPriorityFeePerGas
+    };
+  }
+
+  intentExpiry() {
+    return new Date(Date.now() + this.intentTtlMinutes * 60 * 1000);
+  }
+
+  async saveIntent(client, transactionId, walletId, built) {
+    const result = await client.query(
+      `INSERT INTO transaction_intents (transaction_id, wallet_id, network, chain_id, from_address, to_address, tx_to, value, data, nonce,
+                                        gas_limit, max_fee_per_gas, max_priority_fee_per_gas, status, expires_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW())
+       ON CONFLICT (transaction_id) DO UPDATE SET
+         chain_id = EXCLUDED.chain_id, nonce = EXCLUDED.nonce, gas_limit = EXCLUDED.gas_limit,
+         max_fee_per_gas = EXCLUDED.max_fee_per_gas, max_priority_fee_per_gas = EXCLUDED.max_priority_fee_per_gas,
+         expires_at = EXCLUDED.expires_at, updated_at = NOW()
+       RETURNING *`,
+      [
+        transactionId, walletId, built.network, built.chainId.toString(), built.fromAddress, built.toAddress, built.txTo,
+        built.value.toString(), built.data, built.nonce, built.gasLimit.toString(), built.maxFeePerGas.toString(),
+        built.maxPriorityFeePerGas.toString(), INTENT_STATUSES.PREPARED, this.intentExpiry()
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  // Picks the wallet address holding the amount of the asset to send it from
+  async sendingAddress(wallet, asset, amount) {
+    const provider = this.providers[asset.blockchain];
+    if (!provider) {
+      throw new TransactionIntentError('UNSUPPORTED_NETWORK', `Unsupported network: ${asset.blockchain}`);
+    }
+
+    return HdWalletManager.sendingAddress(this.pool, wallet, asset.blockchain, { provider, asset, amount });
+  }
+
+  // Builds a send from the wallet's sending address, so a send the network would reject is
+  // refused before payment-service records it
+  async estimate({ wallet, asset, toAddress, amount, speed }) {
+    const fromAddress = await this.sendingAddress(wallet, asset, amount);
+    return this.buildTransaction({ network: asset.blockchain, fromAddress, toAddress, asset, amount, speed });
+  }
+
+  // Reserves a send's maximum network fee next to the amount payment-service reserved, on
+  // the same expiry, replacing any earlier fee reservation, and records it as the fee
+  async holdFee(client, { transactionId, userId, walletId, built }) {
+    const hold = await HoldManager.getActiveHold(client, transactionId, AMOUNT_HOLD_REASON);
+    if (!hold) {
+      throw new TransactionIntentError('INTENT_NOT_PENDING', 'The reserved funds for this transaction were released');
+    }
+
+    const previous = await HoldManager.getActiveHold(client, transactionId, FEE_HOLD_REASON);
+    if (previous) {
+      await HoldManager.releaseHold(client, previous.id);
+    }
+
+    const nativeAsset = await FeeManager.nativeAsset(client, built.network);
+    const fee = FeeManager.feeAmount(built.gasLimit, built.maxFeePerGas, nativeAsset);
+    await HoldManager.placeHold(client, {
+      userId,
+      walletId,
+      assetId: nativeAsset.id,
+      amount: fee,
+      transactionId,
+      reason: FEE_HOLD_REASON,
+      expiresAt: hold.expires_at
+    });
+
+    const result = await client.query(
+      `UPDATE transactions SET fee = $1, fee_asset_id = $2 WHERE id = $3
+       RETURNING id, status, fee, created_at`,
+      [fee, nativeAsset.id, transactionId]
+    );
+
+    return result.rows[0];
+  }
+
+  async lockUnsentTransaction(client, transactionId) {
+    const result = await client.query('SELECT id, user_id, status FROM transactions WHERE id = $1 FOR UPDATE', [transactionId]);
+    const transaction = result.rows[0];
+    return transaction && UNSENT_STATUSES.includes(transaction.status) ? transaction : null;
+  }
+
+  // Reserves the network fee of a custodial send payment-service recorded. A send the
+  // dispatch job already broadcast was charged its fee directly. Nothing else would reserve
+  // the fee, so the send is failed if this does not succeed.
+  async reserveFee({ wallet, transactionId, built }) {
+    return this.abandonOnFailure(transactionId, () => withTransaction(this.pool, async (client) => {
+      const transaction = await this.lockUnsentTransaction(client, transactionId);
+      if (!transaction) {
+        return null;
+      }
+
+      return this.holdFee(client, { transactionId, userId: transaction.user_id, walletId: wallet.id, built });
+    }), () => true);
+  }
+
+  // Reserves the network fee of a non-custodial send payment-service recorded and stores its
+  // unsigned transaction, failing the send if either cannot be done. The fee recorded here is
+  // an estimate; the signed transaction's fee is charged on submit.
+  async prepare({ wallet, transactionId, built }) {
+    return this.abandonOnFailure(transactionId, () => withTransaction(this.pool, async (client) => {
+      const locked = await this.lockUnsentTransaction(client, transactionId);
+      if (!locked) {
+        throw new TransactionIntentError('INTENT_NOT_PENDING', 'Transaction is no longer pending');
+      }
+
+      const transaction = await this.holdFee(client, { transactionId, userId: locked.user_id, walletId: wallet.id, built });
+      const intent = await this.saveIntent(client, transactionId, wallet.id, built);
+      return { transaction, intent };
+    }), () => true);
+  }
+
+  // Re-quotes nonce and fees for a prepared send whose intent went stale, reserving the new
+  // maximum fee. The send keeps the address it was prepared from.
+  async refresh({ userId, wallet, transactionId, speed }) {
+    const existing = await this.pool.query(
+      `SELECT i.from_address, i.to_address, t.amount, a.*
+       FROM transaction_intents i
+       JOIN transactions t ON t.id = i.transaction_id
+       JOIN assets a ON a.id = t.from_asset_id
+       WHERE i.transaction_id = $1 AND i.wallet_id = $2 AND t.user_id = $3`,
+      [transactionId, wallet.id, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new TransactionIntentError('INTENT_NOT_FOUND', 'Prepared transaction not found');
+    }
+
+    const { from_address: fromAddress, to_address: toAddress, amount, ...asset } = existing.rows[0];
+    const built = await this.buildTransaction({ network: asset.blockchain, fromAddress, toAddress, asset, amount, speed });
+
+    return withTransaction(this.pool, async (client) => {
+      const { intent, transaction } = await this.lockPreparedIntent(client, { userId, walletId: wallet.id, transactionId }, UNSENT_STATUSES);
+      const { fee } = await this.holdFee(client, { transactionId, userId, walletId: wallet.id, built });
+
+      return { transaction: { ...transaction, fee }, intent: await this.saveIntent(client, intent.transaction_id, wallet.id, built) };
+    });
+  }
+
+  // Locks a prepared intent with its transaction, which must be in one of `statuses`;
+  // only sends compliance released can be submitted
+  async lockPreparedIntent(client, { userId, walletId, transactionId }, statuses = ['queued']) {
+    const result = await client.query(
+      `SELECT i.*, t.status AS transaction_status, t.amount, t.fee, t.from_asset_id, t.created_at AS transaction_created_at
+       FROM transaction_intents i
+       JOIN transactions t ON t.id = i.transaction_id
+       WHERE i.transaction_id = $1 AND i.wallet_id = $2 AND t.user_id = $3
+       FOR UPDATE OF i, t`,
+      [transactionId, walletId, userId]
+    );
+
+    const intent = result.rows[0];
+    if (!intent) {
+      throw new TransactionIntentError('INTENT_NOT_FOUND', 'Prepared transaction not found');
+    }
+    if (intent.status !== INTENT_STATUSES.PREPARED || !UNSENT_STATUSES.includes(intent.transaction_status)) {
+      throw new TransactionIntentError('INTENT_NOT_PENDING', `Transaction is already ${intent.transaction_status}`, {
+        status: intent.transaction_status
+      });
+    }
+    if (!statuses.includes(intent.transaction_status)) {
+      throw new TransactionIntentError('TRANSACTION_NOT_RELEASED', 'Transaction is waiting for compliance checks to release it', {
+        status: intent.transaction_status
+      });
+    }
+
+    return {
+      intent,
+      transaction: { id: intent.transaction_id, status: intent.transaction_status, fee: intent.fee, created_at: intent.transaction_created_at }
+    };
+  }
+
+  // Checks a signed raw transaction against its intent; fees may differ, nothing else can
+  static verifySignedTransaction(intent, signedTransaction) {
+    let parsed;
+    try {
+      parsed = ethers.Transaction.from(signedTransaction);
+    } catch (error) {
+      throw new TransactionIntentError('INVALID_SIGNED_TRANSACTION', 'Signed transaction could not be decoded');
+    }
+
+    if (!parsed.signature || !parsed.from) {
+      throw new TransactionIntentError('INVALID_SIGNED_TRANSACTION', 'Transaction is not signed');
+    }
+
+    const expected = {
+      type: 2,
+      chainId: BigInt(intent.chain_id),
+      nonce: Number(intent.nonce),
+      from: intent.from_address.toLowerCase(),
+      to: intent.tx_to.toLowerCase(),
+      value: BigInt(intent.value),
+      data: intent.data.toLowerCase()
+    };
+
+    const actual = {
+      type: parsed.type,
+      chainId: parsed.chainId,
+      nonce: parsed.nonce,
+      from: parsed.from.toLowerCase(),
+      to: (parsed.to || '').toLowerCase(),
+      value: parsed.value,
+      data: parsed.data.toLowerCase()
+    };
+
+    const mismatched = Object.keys(expected).filter((field) => expected[field] !== actual[field]);
+    if (mismatched.length > 0) {
+      throw new TransactionIntentError('SIGNED_TRANSACTION_MISMATCH', 'Signed transaction does not match the prepared transaction', {
+        fields: mismatched
+      });
+    }
+
+    return parsed;
+  }
+
+  // Keeps a send's signed transaction until its broadcast is recorded
+  async storeSigned(client, intentId, signedTransaction, hash) {
+    const result = await client.query(
+      `UPDATE transaction_intents SET status = $1, signed_transaction = $2, signed_tx_hash = $3, updated_at = NOW()
+       WHERE id = $4
+       RETURNING *`,
+      [INTENT_STATUSES.SIGNED, signedTransaction, hash, intentId]
+    );
+
+    return result.rows[0];
+  }
+
+  // Verifies the signed transaction of a released send, settles the reserved funds and
+  // stores the transaction, then broadcasts it once that is committed
+  async submit({ userId, walletId, transactionId, signedTransaction }) {
+    const signed = await withTransaction(this.pool, async (client) => {
+      const { intent } = await this.lockPreparedIntent(client, { userId, walletId, transactionId });
+
+      if (new Date(intent.expires_at) < new Date()) {
+        throw new TransactionIntentError('INTENT_EXPIRED', 'Prepared transaction expired; prepare it again for fresh fees and nonce');
+      }
+
+      const parsed = TransactionIntentManager.verifySignedTransaction(intent, signedTransaction);
+
+      const hold = await HoldManager.getActiveHold(client, transactionId, AMOUNT_HOLD_REASON);
+      if (!hold) {
+        throw new TransactionIntentError('INTENT_NOT_PENDING', 'The reserved funds for this transaction were released');
+      }
+      const feeHold = await HoldManager.getActiveHold(client, transactionId, FEE_HOLD_REASON);
+
+      await HoldManager.captureHold(client, hold.id, {
+        entryType: 'send',
+        transactionId,
+        description: `Send to ${intent.to_address}`,
+        metadata: { network: intent.network, txHash: parsed.hash },
+        postings: [
+          { account: LedgerManager.userAccount(userId, walletId, intent.from_asset_id), direction: 'debit', amount: intent.amount },
+          { account: LedgerManager.omnibusAccount(intent.from_asset_id), direction: 'credit', amount: intent.amount }
+        ]
+      });
+
+      // The user may have changed the fees when signing, so charge what they signed for
+      const nativeAsset = await FeeManager.nativeAsset(client, intent.network);
+      const fee = FeeManager.feeAmount(parsed.gasLimit, parsed.maxFeePerGas, nativeAsset);
+      await FeeManager.chargeNetworkFee(client, {
+        userId,
+        walletId,
+        nativeAsset,
+        amount: fee,
+        transactionId,
+        description: `Network fee for send to ${intent.to_address}`,
+        metadata: { network: intent.network, txHash: parsed.hash },
+        holdId: feeHold ? feeHold.id : null
+      });
+
+      await client.query(
+        `UPDATE transactions SET status = 'broadcasting', blockchain_tx_hash = $1, fee = $2, fee_asset_id = $3 WHERE id = $4`,
+        [parsed.hash, fee, nativeAsset.id, transactionId]
+      );
+
+      return this.storeSigned(client, intent.id, signedTransaction, parsed.hash);
+    });
+
+    const { transaction } = await this.sendSigned(signed);
+    return transaction;
+  }
+
+  // Signs and broadcasts a custodial send that payment-service screened and queued. The
+  // reserved amount and network fee are captured and the signed transaction stored in one
+  // database transaction, and it is broadcast once that is committed. Sends from the same
+  // address wait for each other so their nonces are consecutive.
+  async dispatch(transactionId, { speed } = {}) {
+    const result = await this.pool.query(
+      'SELECT * FROM transactions WHERE id = $1 AND transaction_type = $2',
+      [transactionId, 'send']
+    );
+
+    const queued = result.rows[0];
+    if (!queued) {
+      throw new TransactionIntentError('INTENT_NOT_FOUND', 'Transaction not found');
+    }
+    if (queued.status !== 'queued') {
+      throw new TransactionIntentError('INTENT_NOT_PENDING', `Transaction is ${queued.status}`, { status: queued.status });
+    }
+
+    const walletResult = await this.pool.query('SELECT * FROM wallets WHERE id = $1', [queued.from_wallet_id]);
+    const wallet = walletResult.rows[0];
+    if (wallet.wallet_type !== 'custodial') {
+      throw new TransactionIntentError('NOT_CUSTODIAL', 'Non-custodial sends are signed in your own wallet');
+    }
+
+    const assetResult = await this.pool.query('SELECT * FROM assets WHERE id = $1', [queued.from_asset_id]);
+    const asset = assetResult.rows[0];
+    const network = asset.blockchain;
+    const provider = this.providers[network];
+    const fromAddress = await this.sendingAddress(wallet, asset, queued.amount);
+    const estimated = await this.buildTransaction({ network, fromAddress, toAddress: queued.counterparty, asset, amount: queued.amount, speed });
+
+    return this.nonces.withNonce(network, fromAddress, async (nonce) => {
+      const signed = await withTransaction(this.pool, async (client) => {
+        const locked = await client.query('SELECT status FROM transactions WHERE id = $1 FOR UPDATE', [transactionId]);
+        if (locked.rows[0].status !== 'queued') {
+          throw new TransactionIntentError('INTENT_NOT_PENDING', `Transaction is ${locked.rows[0].status}`, { status: locked.rows[0].status });
+        }
+
+        const hold = await HoldManager.getActiveHold(client, transactionId, AMOUNT_HOLD_REASON);
+        if (!hold) {
+          throw new TransactionIntentError('INTENT_NOT_PENDING', 'The reserved funds for this transaction were released');
+        }
+        const feeHold = await HoldManager.getActiveHold(client, transactionId, FEE_HOLD_REASON);
+
+        const built = { ...estimated, nonce };
+        const signedTransaction = await this.signTransaction(
+          client, wallet, network, built.fromAddress, TransactionIntentManager.unsignedTransaction(built), provider
+        );
+        const hash = ethers.Transaction.from(signedTransaction).hash;
+
+        await HoldManager.captureHold(client, hold.id, {
+          entryType: 'send',
+          transactionId,
+          description: `Send to ${queued.counterparty}`,
+          metadata: { network, txHash: hash },
+          postings: [
+            { account: LedgerManager.userAccount(queued.user_id, wallet.id, asset.id), direction: 'debit', amount: queued.amount },
+            { account: LedgerManager.omnibusAccount(asset.id), direction: 'credit', amount: queued.amount }
+          ]
+        });
+
+        const nativeAsset = await FeeManager.nativeAsset(client, network);
+        const fee = FeeManager.feeAmount(built.gasLimit, built.maxFeePerGas, nativeAsset);
+        await FeeManager.chargeNetworkFee(client, {
+          userId: queued.user_id,
+          walletId: wallet.id,
+          nativeAsset,
+          amount: fee,
+          transactionId,
+          description: `Network fee for send to ${queued.counterparty}`,
+          metadata: { network, txHash: hash },
+          holdId: feeHold ? feeHold.id : null
+        });
+
+        await client.query(
+          `UPDATE transactions SET status = 'broadcasting', blockchain_tx_hash = $1, fee = $2, fee_asset_id = $3 WHERE id = $4`,
+          [hash, fee, nativeAsset.id, transactionId]
+        );
+
+        const intent = await this.saveIntent(client, transactionId, wallet.id, built);
+        return this.storeSigned(client, intent.id, signedTransaction, hash);
+      });
+
+      // The nonce is taken by the stored transaction whether or not this broadcast succeeds
+      const { transaction } = await this.sendSigned(signed);
+      return transaction;
+    });
+  }
+
+  // Whether a dispatch failed for a reason the network or the balance will keep giving
+  static unsendable(error) {
+    return (error instanceof TransactionIntentError && error.code === 'GAS_ESTIMATION_FAILED')
+      || (error instanceof LedgerError && error.code === 'INSUFFICIENT_BALANCE');
+  }
+
+  // Runs a step of a recorded send, failing the send and releasing its funds when the step
+  // fails in a way that means it cannot go out, by default one it will keep failing for
+  async abandonOnFailure(transactionId, step, abandonable = TransactionIntentManager.unsendable) {
+    try {
+      return await step();
+    } catch (error) {
+      if (abandonable(error)) {
+        try {
+          await this.abandon(transactionId);
+        } catch (abandonError) {
+          this.logger.error(`Failed to abandon send ${transactionId}:`, abandonError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  async dispatchOrAbandon(transactionId, options) {
+    return this.abandonOnFailure(transactionId, () => this.dispatch(transactionId, options));
+  }
+
+  // Dispatches queued custodial sends, oldest first. Sends that fail for other reasons stay
+  // queued for the next run. Resolves to the number of sends broadcast.
+  async dispatchQueued(limit = 50) {
+    const queued = await this.pool.query(
+      `SELECT t.id FROM transactions t
+       JOIN wallets w ON w.id = t.from_wallet_id
+       WHERE t.transaction_type = 'send' AND t.status = 'queued' AND w.wallet_type = 'custodial'
+       ORDER BY t.created_at
+       LIMIT $1`,
+      [limit]
+    );
+
+    let dispatched = 0;
+    for (const { id } of queued.rows) {
+      try {
+        await this.dispatchOrAbandon(id);
+        dispatched += 1;
+      } catch (error) {
+        if (error.code !== 'INTENT_NOT_PENDING') {
+          this.logger.error(`Error dispatching queued send ${id}:`, error);
+        }
+      }
+    }
+
+    return dispatched;
+  }
+
+  // Broadcasts the signed transactions that did not go out when they were stored, oldest
+  // first. Resolves to the number broadcast.
+  async rebroadcastSigned(limit = 50) {
+    const signed = await this.pool.query(
+      `SELECT * FROM transaction_intents
+       WHERE status = $1 AND signed_transaction IS NOT NULL
+       ORDER BY updated_at
+       LIMIT $2`,
+      [INTENT_STATUSES.SIGNED, limit]
+    );
+
+    let rebroadcast = 0;
+    for (const intent of signed.rows) {
+      try {
+        const { broadcast } = await this.sendSigned(intent);
+        if (broadcast) {
+          rebroadcast += 1;
+        }
+      } catch (error) {
+        this.logger.error(`Error rebroadcasting send ${intent.transaction_id}:`, error);
+      }
+    }
+
+    return rebroadcast;
+  }
+
+  // Fails a send that cannot go out and releases its reserved funds
+  async abandon(transactionId) {
+    return withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        `UPDATE transactions SET status = 'failed' WHERE id = $1 AND status = ANY($2) RETURNING id`,
+        [transactionId, UNSENT_STATUSES]
+      );
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await HoldManager.releaseTransactionHolds(client, transactionId, HOLD_STATUSES.RELEASED);
+      return true;
+    });
+  }
+
+  async broadcast(provider, signedTransaction) {
+    try {
+      await provider.broadcastTransaction(signedTransaction);
+    } catch (error) {
+      throw new TransactionIntentError('BROADCAST_REJECTED', 'The network rejected the transaction', {
+        reason: error.shortMessage || error.message
+      });
+    }
+  }
+
+  // Broadcasts a stored signed transaction and records the broadcast. A transaction the
+  // network rejects is kept for the dispatch job, unless the node already has it or another
+  // transaction used its nonce, in which case it can never be mined and is discarded.
+  // Resolves to the send and whether its transaction went out.
+  async sendSigned(intent) {
+    const provider = this.providers[intent.network];
+    const hash = ethers.Transaction.from(intent.signed_transaction).hash;
+
+    try {
+      await this.broadcast(provider, intent.signed_transaction);
+    } catch (error) {
+      const state = await TransactionIntentManager.rejectedState(provider, intent, hash).catch(() => 'rejected');
+
+      if (state === 'replaced') {
+        return { transaction: await this.discardSigned(intent, error.details.reason), broadcast: false };
+      }
+      if (state === 'rejected') {
+        this.logger.warn(`Send ${intent.transaction_id} was not broadcast and is retried: ${error.details.reason}`);
+        return { transaction: await TransactionIntentManager.sendRecord(this.pool, intent.transaction_id), broadcast: false };
+      }
+    }
+
+    return { transaction: await this.recordBroadcast(intent, hash), broadcast: true };
+  }
+
+  // Whether a transaction the node refused is already known to it, can never be mined
+  // because its nonce was used, or neither. The nonce is read first, so a transaction mined
+  // in between is found as known.
+  static async rejectedState(provider, intent, hash) {
+    const used = await provider.getTransactionCount(intent.from_address, 'latest');
+    if (await provider.getTransaction(hash)) {
+      return 'known';
+    }
+
+    return used > Number(intent.nonce) ? 'replaced' : 'rejected';
+  }
+
+  static async sendRecord(client, transactionId) {
+    const result = await client.query(
+      'SELECT id, status, fee, blockchain_tx_hash, created_at, completed_at FROM transactions WHERE id = $1',
+      [transactionId]
+    );
+
+    return result.rows[0];
+  }
+
+  // Locks a send and its intent if the intent still holds this signed transaction, which
+  // another run may have recorded or discarded meanwhile
+  async lockSigned(client, intent) {
+    await client.query('SELECT id FROM transactions WHERE id = $1 FOR UPDATE', [intent.transaction_id]);
+
+    const result = await client.query(
+      'SELECT * FROM transaction_intents WHERE id = $1 AND status = $2 AND signed_transaction = $3 FOR UPDATE',
+      [intent.id, INTENT_STATUSES.SIGNED, intent.signed_transaction]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Records a broadcast and has the confirmation tracker follow the transaction. A
+  // replacement takes over tracking from the transaction it replaced, which may still be
+  // mined instead.
+  async recordBroadcast(intent, hash) {
+    return withTransaction(this.pool, async (client) => {
+      const stored = await this.lockSigned(client, intent);
+      if (!stored) {
+        return TransactionIntentManager.sendRecord(client, intent.transaction_id);
+      }
+
+      if (stored.replacement_type) {
+        await client.query('UPDATE transactions SET blockchain_tx_hash = $1 WHERE id = $2', [hash, stored.transaction_id]);
+        await client.query(
+          `INSERT INTO transaction_confirmations (transaction_id, network, tx_hash, from_address, nonce, status, replacement_type,
+                                                 replaced_tx_hashes, broadcast_at, last_seen_at, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, 'broadcast', $6, ARRAY[$7], NOW(), NOW(), NOW(), NOW())
+           ON CONFLICT (transaction_id) DO UPDATE SET
+             tx_hash = EXCLUDED.tx_hash, from_address = EXCLUDED.from_address, nonce = EXCLUDED.nonce, status = 'broadcast',
+             replacement_type = EXCLUDED.replacement_type,
+             replaced_tx_hashes = array_append(transaction_confirmations.replaced_tx_hashes, $7),
+             last_seen_at = NOW(), updated_at = NOW()`,
+          [stored.transaction_id, stored.network, hash, stored.from_address, stored.nonce, stored.replacement_type, stored.signed_tx_hash]
+        );
+      } else {
+        await client.query(`UPDATE transactions SET status = 'broadcast' WHERE id = $1`, [stored.transaction_id]);
+        await client.query(
+          `INSERT INTO transaction_confirmations (transaction_id, network, tx_hash, from_address, nonce, status, broadcast_at,
+                                                 last_seen_at, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, 'broadcast', NOW(), NOW(), NOW(), NOW())
+           ON CONFLICT (transaction_id) DO NOTHING`,
+          [stored.transaction_id, stored.network, hash, stored.from_address, stored.nonce]
+        );
+      }
+
+      await client.query(
+        `UPDATE transaction_intents SET status = $1, signed_tx_hash = $2, signed_transaction = NULL, replacement_type = NULL,
+                                        submitted_at = COALESCE(submitted_at, NOW()), updated_at = NOW()
+         WHERE id = $3`,
+        [INTENT_STATUSES.SUBMITTED, hash, stored.id]
+      );
+
+      return TransactionIntentManager.sendRecord(client, stored.transaction_id);
+    });
+  }
+
+  // Drops a signed transaction that can never be mined. A send it was the first
+  // transaction of is failed and its settlement reversed, network fee included; a
+  // replacement is dropped and tracking stays on the transaction it replaced.
+  async discardSigned(intent, reason) {
+    return withTransaction(this.pool, async (client) => {
+      const stored = await this.lockSigned(client, intent);
+
+      if (stored && stored.replacement_type) {
+        await client.query(
+          `UPDATE transaction_intents SET status = $1, signed_transaction = NULL, replacement_type = NULL, updated_at = NOW()
+           WHERE id = $2`,
+          [INTENT_STATUSES.SUBMITTED, stored.id]
+        );
+      } else if (stored) {
+        await LedgerManager.reverseTransaction(client, stored.transaction_id, {
+          entryType: 'send_reversal',
+          entryTypes: ['send', 'network_fee'],
+          description: 'Send could not be broadcast',
+          metadata: { reason, txHash: stored.signed_tx_hash }
+        });
+
+        await client.query(`UPDATE transactions SET status = 'failed' WHERE id = $1`, [stored.transaction_id]);
+        await client.query(
+          'UPDATE transaction_intents SET status = $1, signed_transaction = NULL, updated_at = NOW() WHERE id = $2',
+          [INTENT_STATUSES.FAILED, stored.id]
+        );
+      }
+
+      if (stored) {
+        this.logger.warn(`Signed transaction of send ${stored.transaction_id} can no longer be mined and was discarded: ${reason}`);
+      }
+
+      return TransactionIntentManager.sendRecord(client, intent.transaction_id);
+    });
+  }
+
+  // Rebroadcasts a custodial send that is still waiting to be mined at the same nonce with
+  // higher fees. A cancel replaces it with an empty transfer back to the sending address,
+  // and the send is failed and refunded once that confirms. Only the increase in the
+  // maximum fee is charged. The replacement is stored and committed before it is broadcast,
+  // and tracking only moves to it once it went out.
+  async replace({ userId, wallet, transactionId, replacementType }) {
+    if (wallet.wallet_type !== 'custodial') {
+      throw new TransactionIntentError(
+        'NOT_CUSTODIAL',
+        'Non-custodial sends are replaced by signing a transaction with the same nonce in your own wallet'
+      );
+    }
+
+    const signed = await withTransaction(this.pool, async (client) => {
+      const result = await client.query(
+        `SELECT i.*, t.status AS transaction_status, t.fee, c.status AS confirmation_status, c.replacement_type AS tracked_replacement_type
+         FROM transaction_intents i
+         JOIN transactions t ON t.id = i.transaction_id
+         LEFT JOIN transaction_confirmations c ON c.transaction_id = i.transaction_id
+         WHERE i.transaction_id = $1 AND i.wallet_id = $2 AND t.user_id = $3
+         FOR UPDATE OF i, t`,
+        [transactionId, wallet.id, userId]
+      );
+
+      const intent = result.rows[0];
+      if (!intent) {
+        throw new TransactionIntentError('INTENT_NOT_FOUND', 'Transaction not found');
+      }
+
+      if (intent.status === INTENT_STATUSES.SIGNED && intent.replacement_type) {
+        throw new TransactionIntentError('TRANSACTION_NOT_REPLACEABLE', 'An earlier replacement of this send is still being broadcast', {
+          status: intent.transaction_status
+        });
+      }
+
+      const provider = this.providers[intent.network];
+      const waiting = intent.status === INTENT_STATUSES.SUBMITTED
+        && intent.transaction_status === 'broadcast'
+        && [null, 'broadcast'].includes(intent.confirmation_status)
+        && !(await provider.getTransactionReceipt(intent.signed_tx_hash));
+
+      if (!waiting) {
+        throw new TransactionIntentError('TRANSACTION_NOT_REPLACEABLE', 'Only sends still waiting to be mined can be sped up or cancelled', {
+          status: intent.confirmation_status || intent.transaction_status
+        });
+      }
+
+      if (intent.tracked_replacement_type === REPLACEMENT_TYPES.CANCEL && replacementType !== REPLACEMENT_TYPES.CANCEL) {
+        throw new TransactionIntentError('TRANSACTION_NOT_REPLACEABLE', 'This send is being cancelled; speed up the cancellation instead');
+      }
+
+      const quote = await this.quoteFees(intent.network);
+      const fees = FeeManager.bumpFees(
+        { maxFeePerGas: intent.max_fee_per_gas, maxPriorityFeePerGas: intent.max_priority_fee_per_gas },
+        quote.speeds.fast
+      );
+
+      const call = replacementType === REPLACEMENT_TYPES.CANCEL
+        ? { txTo: intent.from_address, value: 0n, data: '0x', gasLimit: TRANSFER_GAS_LIMIT }
+        : { txTo: intent.tx_to, value: BigInt(intent.value), data: intent.data, gasLimit: BigInt(intent.gas_limit) };
+
+      const replacement = {
+        chainId: BigInt(intent.chain_id),
+        nonce: Number(intent.nonce),
+        ...call,
+        ...fees
+      };
+
+      const signedTransaction = await this.signTransaction(
+        client, wallet, intent.network, intent.from_address, TransactionIntentManager.unsignedTransaction(replacement), provider
+      );
+      const hash = ethers.Transaction.from(signedTransaction).hash;
+
+      const nativeAsset = await FeeManager.nativeAsset(client, intent.network);
+      const fee = FeeManager.feeAmount(replacement.gasLimit, replacement.maxFeePerGas, nativeAsset);
+      if (compareAmounts(fee, intent.fee) > 0) {
+        await FeeManager.chargeNetworkFee(client, {
+          userId,
+          walletId: wallet.id,
+          nativeAsset,
+          amount: subtractAmounts(fee, intent.fee),
+          transactionId,
+          description: `Network fee increase for ${replacementType.replace('_', ' ')}`,
+          metadata: { network: intent.network, replacedTxHash: intent.signed_tx_hash, txHash: hash }
+        });
+      }
+
+      await client.query('UPDATE transactions SET fee = GREATEST(fee, $1) WHERE id = $2', [fee, transactionId]);
+
+      const updated = await client.query(
+        `UPDATE transaction_intents SET tx_to = $1, value = $2, data = $3, gas_limit = $4, max_fee_per_gas = $5,
+                                        max_priority_fee_per_gas = $6, status = $7, signed_transaction = $8, replacement_type = $9,
+                                        updated_at = NOW()
+         WHERE id = $10
+         RETURNING *`,
+        [
+          replacement.txTo, replacement.value.toString(), replacement.data, replacement.gasLimit.toString(),
+          replacement.maxFeePerGas.toString(), replacement.maxPriorityFeePerGas.toString(), INTENT_STATUSES.SIGNED,
+          signedTransaction, replacementType, intent.id
+        ]
+      );
+
+      return updated.rows[0];
+    });
+
+    const { transaction, broadcast } = await this.sendSigned(signed);
+    return { transaction, replacedTxHash: signed.signed_tx_hash, broadcast };
+  }
+}
+
+module.exports = {
+  INTENT_STATUSES,
+  REPLACEMENT_TYPES,
+  TransactionIntentError,
+  TransactionIntentManager,
+  toJsonTransaction
+};
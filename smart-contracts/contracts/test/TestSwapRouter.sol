@@ -0,0 +1,81 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title TestSwapRouter
+ * @dev Uniswap V2-style router over single constant-product pools, for tests only.
+ * Quotes and swaps use the V2 formula with its 0.3% fee and emit the V2 pair Swap event.
+ */
+contract TestSwapRouter {
+    address public immutable WETH;
+
+    // reserves[token][other] is the amount of token in the token/other pool
+    mapping(address => mapping(address => uint256)) public reserves;
+
+    event Swap(
+        address indexed sender,
+        uint256 amount0In,
+        uint256 amount1In,
+        uint256 amount0Out,
+        uint256 amount1Out,
+        address indexed to
+    );
+
+    constructor(address weth) {
+        WETH = weth;
+    }
+
+    function addLiquidity(address tokenA, address tokenB, uint256 amountA, uint256 amountB) external {
+        IERC20(tokenA).transferFrom(msg.sender, address(this), amountA);
+        IERC20(tokenB).transferFrom(msg.sender, address(this), amountB);
+        reserves[tokenA][tokenB] += amountA;
+        reserves[tokenB][tokenA] += amountB;
+    }
+
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public pure returns (uint256) {
+        require(amountIn > 0, "INSUFFICIENT_INPUT_AMOUNT");
+        require(reserveIn > 0 && reserveOut > 0, "INSUFFICIENT_LIQUIDITY");
+
+        uint256 amountInWithFee = amountIn * 997;
+        return (amountInWithFee * reserveOut) / (reserveIn * 1000 + amountInWithFee);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] calldata path) public view returns (uint256[] memory amounts) {
+        require(path.length == 2, "INVALID_PATH");
+
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        amounts[1] = getAmountOut(amountIn, reserves[path[0]][path[1]], reserves[path[1]][path[0]]);
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts) {
+        require(block.timestamp <= deadline, "EXPIRED");
+
+        amounts = getAmountsOut(amountIn, path);
+        require(amounts[1] >= amountOutMin, "INSUFFICIENT_OUTPUT_AMOUNT");
+
+        IERC20(path[0]).transferFrom(msg.sender, address(this), amountIn);
+        reserves[path[0]][path[1]] += amountIn;
+        reserves[path[1]][path[0]] -= amounts[1];
+        IERC20(path[1]).transfer(to, amounts[1]);
+
+        // Pair token order, as a V2 pair would report it
+        bool zeroForOne = path[0] < path[1];
+        emit Swap(
+            msg.sender,
+            zeroForOne ? amountIn : 0,
+            zeroForOne ? 0 : amountIn,
+            zeroForOne ? 0 : amounts[1],
+            zeroForOne ? amounts[1] : 0,
+            to
+        );
+    }
+}
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DexSwapProvider } = require("../../services/payment-service/src/dexSwapProvider");
+
+describe("DexSwapProvider", function () {
+  let treasury;
+  let router;
+  let weth;
+  let usdc;
+  let provider;
+  let assets;
+
+  beforeEach(async function () {
+    [treasury] = await ethers.getSigners();
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    weth = await TestToken.deploy("Wrapped Ether", "WETH", 18);
+    usdc = await TestToken.deploy("USD Coin", "USDC", 6);
+
+    const TestSwapRouter = await ethers.getContractFactory("TestSwapRouter");
+    router = await TestSwapRouter.deploy(await weth.getAddress());
+
+    // A 100 WETH / 200,000 USDC pool, and treasury inventory to trade from
+    await weth.mint(treasury.address, ethers.parseEther("110"));
+    await usdc.mint(treasury.address, ethers.parseUnits("200000", 6));
+    await weth.approve(await router.getAddress(), ethers.MaxUint256);
+    await usdc.approve(await router.getAddress(), ethers.MaxUint256);
+    await router.addLiquidity(await weth.getAddress(), await usdc.getAddress(), ethers.parseEther("100"), ethers.parseUnits("200000", 6));
+
+    provider = new DexSwapProvider({
+      network: "ethereum",
+      signer: treasury,
+      routerAddress: await router.getAddress(),
+    });
+
+    assets = {
+      weth: { id: "weth", symbol: "WETH", blockchain: "ethereum", contract_address: await weth.getAddress(), decimals: 18 },
+      usdc: { id: "usdc", symbol: "USDC", blockchain: "ethereum", contract_address: await usdc.getAddress(), decimals: 6 },
+    };
+  });
+
+  it("Should quote from the pool reserves", async function () {
+    const quote = await provider.quote({ fromAsset: assets.weth, toAsset: assets.usdc, amount: "1" });
+
+    // 1 WETH in at 0.3% fee: 997 * 200000 / (100 * 1000 + 997)
+    expect(quote.amountOut).to.equal("1974.316068");
+    expect(quote.reference).to.equal(null);
+  });
+
+  it("Should only support assets on its network", async function () {
+    const btc = { id: "btc", symbol: "BTC", blockchain: "bitcoin", contract_address: null, decimals: 8 };
+
+    expect(provider.supports(assets.weth, assets.usdc)).to.equal(true);
+    expect(provider.supports(btc, assets.usdc)).to.equal(false);
+  });
+
+  it("Should swap and report the amount received from the Swap event", async function () {
+    const before = await usdc.balanceOf(treasury.address);
+    const quote = await provider.quote({ fromAsset: assets.weth, toAsset: assets.usdc, amount: "2.5" });
+
+    const fill = await provider.execute({
+      quote: {},
+      fromAsset: assets.weth,
+      toAsset: assets.usdc,
+      amount: "2.5",
+      minAmountOut: quote.amountOut,
+    });
+
+    expect(fill.amountOut).to.equal(quote.amountOut);
+    expect(fill.providerTxId).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await usdc.balanceOf(treasury.address)).to.equal(before + ethers.parseUnits(fill.amountOut, 6));
+  });
+
+  it("Should not trade when the pool no longer clears the minimum amount", async function () {
+    const before = await weth.balanceOf(treasury.address);
+    const quote = await provider.quote({ fromAsset: assets.weth, toAsset: assets.usdc, amount: "1" });
+
+    // Another trade moves the price before execution
+    await router.swapExactTokensForTokens(
+      ethers.parseEther("5"),
+      0,
+      [await weth.getAddress(), await usdc.getAddress()],
+      treasury.address,
+      Math.floor(Date.now() / 1000) + 600
+    );
+
+    try {
+      await provider.execute({ quote: {}, fromAsset: assets.weth, toAsset: assets.usdc, amount: "1", minAmountOut: quote.amountOut });
+      expect.fail("Expected the swap to be refused");
+    } catch (error) {
+      expect(error.code).to.equal("SLIPPAGE_EXCEEDED");
+    }
+
+    expect(await weth.balanceOf(treasury.address)).to.equal(before - ethers.parseEther("5"));
+  });
+});
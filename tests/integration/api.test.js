@@ -167,6 +167,31 @@ describe('CryptoHybrid Bank API Integration Tests', () => {
     });
   });
 
+  describe('Portfolio Analytics', () => {
+    it('should value the portfolio over a period', async () => {
+      const response = await request(API_BASE_URL)
+        .get('/api/analytics/portfolio')
+        .query({ period: 'week' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body).to.have.property('success', true);
+      expect(response.body.data).to.have.property('totalValue');
+      expect(response.body.data.performance.data).to.be.an('array').that.is.not.empty;
+      expect(response.body.data).to.have.nested.property('riskMetrics.maxDrawdown');
+    });
+
+    it('should reject an unknown period', async () => {
+      const response = await request(API_BASE_URL)
+        .get('/api/analytics/portfolio')
+        .query({ period: 'decade' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error).to.have.property('code', 'INVALID_PERIOD');
+    });
+  });
+
   describe('Payment Operations', () => {
     it('should get transaction history', async () => {
       const response = await request(API_BASE_URL)
@@ -192,6 +217,27 @@ describe('CryptoHybrid Bank API Integration Tests', () => {
 
       expect(response.body).to.have.property('success', false);
     });
+
+    it('should reject executing an unknown swap quote', async () => {
+      const response = await request(API_BASE_URL)
+        .post('/api/payments/swap')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quoteId: '00000000-0000-4000-8000-000000000000' })
+        .expect(404);
+
+      expect(response.body).to.have.property('success', false);
+      expect(response.body.error).to.have.property('code', 'QUOTE_NOT_FOUND');
+    });
+
+    it('should not cancel an unknown order', async () => {
+      const response = await request(API_BASE_URL)
+        .post('/api/payments/orders/00000000-0000-4000-8000-000000000000/cancel')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body).to.have.property('success', false);
+      expect(response.body.error).to.have.property('code', 'ORDER_NOT_FOUND');
+    });
   });
 
   describe('Card Operations', () => {
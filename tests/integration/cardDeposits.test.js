@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const axios = require('axios');
+const { expect } = require('chai');
+
+// Test configuration. The payment service must use the same STRIPE_WEBHOOK_SECRET; events
+// are signed here the way Stripe signs them, so nothing is sent to Stripe.
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// Stripe-Signature: t=<unix time>,v1=<HMAC-SHA256 of "<t>.<payload>">
+const signature = (payload, secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const sendEvent = (event, header) => {
+  const payload = JSON.stringify(event);
+  return request(API_BASE_URL)
+    .post('/api/webhooks/stripe')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', header || signature(payload))
+    .send(payload);
+};
+
+const cardDeposits = async (authToken) => {
+  const response = await request(API_BASE_URL)
+    .get('/api/payments/deposits/card')
+    .set('Authorization', `Bearer ${authToken}`)
+    .expect(200);
+
+  return response.body.data.deposits;
+};
+
+describe('Card Deposit Webhook Integration Tests', () => {
+  let authToken;
+  let userId;
+  let paymentIntent;
+
+  before(async function() {
+    this.timeout(15000);
+
+    try {
+      if (!WEBHOOK_SECRET) {
+        throw new Error('STRIPE_WEBHOOK_SECRET is not set');
+      }
+      await axios.get(`${API_BASE_URL}/health`, { timeout: 3000 });
+    } catch (error) {
+      console.warn(`Skipping card deposit integration tests: ${error.message}`);
+      this.skip();
+    }
+
+    const registration = await request(API_BASE_URL)
+      .post('/api/auth/register')
+      .send({
+        email: `card${Date.now()}@example.com`,
+        password: 'TestPassword123!',
+        firstName: 'Card',
+        lastName: 'User',
+        dateOfBirth: '1990-01-01',
+        countryCode: 'US'
+      })
+      .expect(201);
+
+    authToken = registration.body.data.token;
+    userId = registration.body.data.user.id;
+
+    paymentIntent = {
+      id: `pi_test_${Date.now()}`,
+      object: 'payment_intent',
+      amount: 2500,
+      amount_received: 2500,
+      currency: 'usd',
+      status: 'succeeded',
+      metadata: { purpose: 'card_deposit', userId, walletId: '' }
+    };
+  });
+
+  it('should reject events with an invalid signature', async () => {
+    const event = { id: `evt_forged_${Date.now()}`, type: 'payment_intent.succeeded', data: { object: paymentIntent } };
+
+    const response = await sendEvent(event, signature(JSON.stringify(event), 'whsec_wrong')).expect(400);
+
+    expect(response.body.error).to.have.property('code', 'INVALID_SIGNATURE');
+    expect(await cardDeposits(authToken)).to.have.length(0);
+  });
+
+  it('should credit the balance once when a payment succeeds', async () => {
+    const event = { id: `evt_succeeded_${Date.now()}`, type: 'payment_intent.succeeded', data: { object: paymentIntent } };
+
+    const first = await sendEvent(event).expect(200);
+    expect(first.body.data).to.deep.equal({ received: true, duplicate: false });
+
+    // Stripe redelivers events it did not see acknowledged
+    const replay = await sendEvent(event).expect(200);
+    expect(replay.body.data).to.deep.equal({ received: true, duplicate: true });
+
+    const deposits = await cardDeposits(authToken);
+    expect(deposits).to.have.length(1);
+    expect(deposits[0]).to.include({ paymentIntentId: paymentIntent.id, status: 'credited' });
+    expect(Number(deposits[0].amount)).to.equal(25);
+
+    const transactions = await request(API_BASE_URL)
+      .get('/api/payments/transactions?type=card_deposit')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(transactions.body.data.transactions).to.have.length(1);
+    expect(transactions.body.data.transactions[0]).to.include({ id: deposits[0].transactionId, status: 'completed' });
+  });
+
+  it('should reverse refunded amounts', async () => {
+    const charge = { id: `ch_test_${Date.now()}`, object: 'charge', payment_intent: paymentIntent.id, amount_refunded: 1000 };
+
+    await sendEvent({ id: `evt_refund_${Date.now()}`, type: 'charge.refunded', data: { object: charge } }).expect(200);
+    let [deposit] = await cardDeposits(authToken);
+    expect(deposit.status).to.equal('credited');
+    expect(Number(deposit.refundedAmount)).to.equal(10);
+
+    // amount_refunded is cumulative
+    charge.amount_refunded = 2500;
+    await sendEvent({ id: `evt_refund_full_${Date.now()}`, type: 'charge.refunded', data: { object: charge } }).expect(200);
+    [deposit] = await cardDeposits(authToken);
+    expect(deposit.status).to.equal('refunded');
+    expect(Number(deposit.refundedAmount)).to.equal(25);
+  });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const axios = require('axios');
+const { expect } = require('chai');
+const { ethers } = require('../../services/wallet-service/node_modules/ethers');
+
+// Test configuration. The wallet service must watch the Hardhat node:
+// ETHEREUM_RPC_URL=http://127.0.0.1:8545 and DEPOSIT_CONFIRMATIONS_ETHEREUM=1
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
+const HARDHAT_RPC_URL = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+
+// Compiled by `npx hardhat compile` in smart-contracts
+const TEST_TOKEN_ARTIFACT = path.join(__dirname, '../../smart-contracts/artifacts/contracts/test/TestToken.sol/TestToken.json');
+// The USDC contract the migrations point the ethereum USDC asset at
+const USDC_ADDRESS = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+const rpc = async (method, params = []) => {
+  const response = await axios.post(HARDHAT_RPC_URL, { jsonrpc: '2.0', id: Date.now(), method, params }, { timeout: 5000 });
+  if (response.data.error) {
+    throw new Error(response.data.error.message);
+  }
+  return response.data.result;
+};
+
+const assetBalance = async (authToken, walletId, symbol = 'ETH') => {
+  const response = await request(API_BASE_URL)
+    .get(`/api/wallets/${walletId}/balances`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .expect(200);
+
+  const found = response.body.data.balances.find((balance) => balance.asset.symbol === symbol && balance.asset.blockchain === 'ethereum');
+  return found ? Number(found.totalBalance) : 0;
+};
+
+const waitForBalance = async (authToken, walletId, expected, symbol = 'ETH', timeoutMs = 60000) => {
+  const deadline = Date.now() + timeoutMs;
+  let balance = await assetBalance(authToken, walletId, symbol);
+
+  while (balance !== expected && Date.now() < deadline) {
+    await rpc('hardhat_mine', ['0x1']);
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    balance = await assetBalance(authToken, walletId, symbol);
+  }
+
+  return balance;
+};
+
+const deposits = async (authToken, walletId) => {
+  const response = await request(API_BASE_URL)
+    .get(`/api/wallets/${walletId}/transactions`)
+    .query({ type: 'deposit' })
+    .set('Authorization', `Bearer ${authToken}`)
+    .expect(200);
+
+  return response.body.data.transactions;
+};
+
+describe('Deposit Watcher Integration Tests', () => {
+  let authToken;
+  let walletId;
+  let walletAddress;
+  let funder;
+
+  before(async function() {
+    this.timeout(15000);
+
+    try {
+      await axios.get(`${API_BASE_URL}/health`, { timeout: 3000 });
+      [funder] = await rpc('eth_accounts');
+    } catch (error) {
+      console.warn(
+        `Skipping deposit integration tests: unable to reach ${API_BASE_URL} or ${HARDHAT_RPC_URL} (${error.message})`
+      );
+      this.skip();
+    }
+
+    const registration = await request(API_BASE_URL)
+      .post('/api/auth/register')
+      .send({
+        email: `deposit${Date.now()}@example.com`,
+        password: 'TestPassword123!',
+        firstName: 'Deposit',
+        lastName: 'User',
+        dateOfBirth: '1990-01-01',
+        countryCode: 'US'
+      })
+      .expect(201);
+
+    authToken = registration.body.data.token;
+
+    const wallet = await request(API_BASE_URL)
+      .post('/api/wallets')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ type: 'custodial' })
+      .expect(201);
+
+    walletId = wallet.body.data.wallet.id;
+    walletAddress = wallet.body.data.wallet.address;
+  });
+
+  it('should credit a confirmed ETH deposit', async function() {
+    this.timeout(90000);
+
+    await rpc('eth_sendTransaction', [{ from: funder, to: walletAddress, value: '0xde0b6b3a7640000' }]);
+
+    const balance = await waitForBalance(authToken, walletId, 1);
+    expect(balance).to.equal(1);
+  });
+
+  it('should credit each deposit only once', async function() {
+    this.timeout(30000);
+
+    await rpc('hardhat_mine', ['0x5']);
+    await new Promise(resolve => setTimeout(resolve, 20000));
+
+    expect(await assetBalance(authToken, walletId)).to.equal(1);
+  });
+
+  it('should list the deposit in the wallet history', async () => {
+    const response = await request(API_BASE_URL)
+      .get(`/api/wallets/${walletId}/transactions`)
+      .query({ type: 'deposit' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body).to.have.property('success', true);
+    expect(JSON.stringify(response.body.data)).to.include('"type":"deposit"');
+  });
+
+  it('should not keep a deposit that a reorg drops', async function() {
+    this.timeout(60000);
+
+    const snapshot = await rpc('evm_snapshot');
+    const txHash = await rpc('eth_sendTransaction', [{ from: funder, to: walletAddress, value: '0x6f05b59d3b20000' }]);
+    await rpc('evm_revert', [snapshot]);
+
+    // A longer chain without the deposit replaces the block it was mined in
+    await rpc('hardhat_mine', ['0x5']);
+    await new Promise(resolve => setTimeout(resolve, 20000));
+
+    expect(await assetBalance(authToken, walletId)).to.equal(1);
+    const dropped = (await deposits(authToken, walletId)).filter((deposit) => deposit.blockchainTxHash === txHash);
+    expect(dropped.every((deposit) => deposit.status === 'reversed')).to.equal(true);
+  });
+
+  it('should credit a confirmed ERC-20 Transfer deposit', async function() {
+    this.timeout(90000);
+
+    if (!fs.existsSync(TEST_TOKEN_ARTIFACT)) {
+      console.warn('Skipping the ERC-20 deposit test: run `npx hardhat compile` in smart-contracts first');
+      this.skip();
+    }
+
+    // Deploys TestToken and moves its code to the USDC address the asset is configured with
+    const { abi, bytecode } = JSON.parse(fs.readFileSync(TEST_TOKEN_ARTIFACT, 'utf8'));
+    const factory = new ethers.ContractFactory(abi, bytecode);
+    const deployment = await factory.getDeployTransaction('USD Coin', 'USDC', 6);
+    const deployHash = await rpc('eth_sendTransaction', [{ from: funder, data: deployment.data }]);
+    const { contractAddress } = await rpc('eth_getTransactionReceipt', [deployHash]);
+    await rpc('hardhat_setCode', [USDC_ADDRESS, await rpc('eth_getCode', [contractAddress, 'latest'])]);
+
+    const mint = factory.interface.encodeFunctionData('mint', [walletAddress, ethers.parseUnits('250', 6)]);
+    await rpc('eth_sendTransaction', [{ from: funder, to: USDC_ADDRESS, data: mint }]);
+
+    expect(await waitForBalance(authToken, walletId, 250, 'USDC')).to.equal(250);
+    expect(await assetBalance(authToken, walletId)).to.equal(1);
+  });
+});
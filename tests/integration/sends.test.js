@@ -0,0 +1,156 @@
+const request = require('supertest');
+const axios = require('axios');
+const { expect } = require('chai');
+
+// Test configuration. The wallet and payment services must follow the Hardhat node:
+// ETHEREUM_RPC_URL=http://127.0.0.1:8545, DEPOSIT_CONFIRMATIONS_ETHEREUM=1 and
+// TX_CONFIRMATIONS_ETHEREUM=1
+const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
+const HARDHAT_RPC_URL = process.env.HARDHAT_RPC_URL || 'http://127.0.0.1:8545';
+
+const rpc = async (method, params = []) => {
+  const response = await axios.post(HARDHAT_RPC_URL, { jsonrpc: '2.0', id: Date.now(), method, params }, { timeout: 5000 });
+  if (response.data.error) {
+    throw new Error(response.data.error.message);
+  }
+  return response.data.result;
+};
+
+const ethBalance = async (authToken, walletId) => {
+  const response = await request(API_BASE_URL)
+    .get(`/api/wallets/${walletId}/balances`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .expect(200);
+
+  return response.body.data.balances.find((balance) => balance.asset.symbol === 'ETH' && balance.asset.blockchain === 'ethereum');
+};
+
+const findSend = async (authToken, transactionId) => {
+  const response = await request(API_BASE_URL)
+    .get('/api/payments/transactions')
+    .query({ type: 'send' })
+    .set('Authorization', `Bearer ${authToken}`)
+    .expect(200);
+
+  return response.body.data.transactions.find((transaction) => transaction.id === transactionId);
+};
+
+// Mines a block between checks so deposits and sends gain their confirmations
+const waitFor = async (check, timeoutMs = 60000) => {
+  const deadline = Date.now() + timeoutMs;
+  let result = await check();
+
+  while (!result && Date.now() < deadline) {
+    await rpc('hardhat_mine', ['0x1']);
+    await new Promise(resolve => setTimeout(resolve, 3000));
+    result = await check();
+  }
+
+  return result;
+};
+
+describe('Send Integration Tests', () => {
+  let authToken;
+  let walletId;
+  let funder;
+  let ethAssetId;
+  let transactionId;
+
+  before(async function() {
+    this.timeout(120000);
+
+    try {
+      await axios.get(`${API_BASE_URL}/health`, { timeout: 3000 });
+      [funder] = await rpc('eth_accounts');
+    } catch (error) {
+      console.warn(
+        `Skipping send integration tests: unable to reach ${API_BASE_URL} or ${HARDHAT_RPC_URL} (${error.message})`
+      );
+      this.skip();
+    }
+
+    const registration = await request(API_BASE_URL)
+      .post('/api/auth/register')
+      .send({
+        email: `send${Date.now()}@example.com`,
+        password: 'TestPassword123!',
+        firstName: 'Send',
+        lastName: 'User',
+        dateOfBirth: '1990-01-01',
+        countryCode: 'US'
+      })
+      .expect(201);
+
+    authToken = registration.body.data.token;
+
+    const wallet = await request(API_BASE_URL)
+      .post('/api/wallets')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ type: 'custodial' })
+      .expect(201);
+
+    walletId = wallet.body.data.wallet.id;
+
+    await rpc('eth_sendTransaction', [{ from: funder, to: wallet.body.data.wallet.address, value: '0xde0b6b3a7640000' }]);
+
+    const funded = await waitFor(async () => {
+      const balance = await ethBalance(authToken, walletId);
+      return balance && Number(balance.totalBalance) === 1 ? balance : null;
+    });
+    expect(funded, 'deposit credited').to.exist;
+    ethAssetId = funded.asset.id;
+  });
+
+  it('should queue a screened send for broadcast', async function() {
+    this.timeout(15000);
+
+    const response = await request(API_BASE_URL)
+      .post('/api/payments/send')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        fromWalletId: walletId,
+        toAddress: funder,
+        assetId: ethAssetId,
+        amount: 0.1,
+        beneficiary: { type: 'natural', firstName: 'Hardhat', lastName: 'Funder', walletType: 'unhosted' }
+      })
+      .expect(201);
+
+    transactionId = response.body.data.transaction.id;
+    expect(response.body.data.transaction.status).to.equal('queued');
+  });
+
+  it('should broadcast the send and settle it', async function() {
+    this.timeout(90000);
+
+    const send = await waitFor(async () => {
+      const transaction = await findSend(authToken, transactionId);
+      return transaction && ['broadcast', 'completed'].includes(transaction.status) ? transaction : null;
+    });
+
+    expect(send, 'send broadcast').to.exist;
+    expect(send.blockchainTxHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    const receipt = await rpc('eth_getTransactionReceipt', [send.blockchainTxHash]);
+    expect(receipt).to.include({ status: '0x1' });
+  });
+
+  it('should confirm the send and charge only the gas it used', async function() {
+    this.timeout(90000);
+
+    const send = await waitFor(async () => {
+      const transaction = await findSend(authToken, transactionId);
+      return transaction.confirmation && transaction.confirmation.status === 'confirmed' ? transaction : null;
+    });
+
+    expect(send, 'send confirmed').to.exist;
+    expect(send.status).to.equal('completed');
+
+    const receipt = await rpc('eth_getTransactionReceipt', [send.blockchainTxHash]);
+    const paid = Number(BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice)) / 1e18;
+    expect(Number(send.fee)).to.be.closeTo(paid, 1e-12);
+
+    const balance = await ethBalance(authToken, walletId);
+    expect(Number(balance.totalBalance)).to.be.closeTo(1 - 0.1 - paid, 1e-9);
+  });
+});
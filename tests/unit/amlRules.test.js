@@ -0,0 +1,103 @@
+const { expect } = require('chai');
+const { evaluateRules, validateRule, velocityConditions } = require('../../services/payment-service/src/amlRules');
+
+describe('AML rules', () => {
+  const largeAmount = {
+    code: 'LARGE_AMOUNT',
+    version: 2,
+    name: 'Large transaction',
+    stage: 'pre',
+    action: 'alert',
+    score: 30,
+    conditions: [{ field: 'amountUsd', op: 'gt', value: 10000 }]
+  };
+  const structuring = {
+    code: 'STRUCTURING',
+    version: 1,
+    name: 'Possible structuring',
+    stage: 'post',
+    action: 'review',
+    score: 60,
+    conditions: [
+      { field: 'assetType', op: 'eq', value: 'fiat' },
+      { field: 'velocity', measure: 'count', window: '24h', maxAmount: 10000, sameAsset: true, op: 'gte', value: 3 },
+      { field: 'velocity', measure: 'sum', window: '24h', maxAmount: 10000, op: 'gte', value: 10000 }
+    ]
+  };
+  const highRiskCountry = {
+    code: 'HIGH_RISK_COUNTRY',
+    version: 1,
+    name: 'High-risk destination',
+    stage: 'pre',
+    action: 'block',
+    score: 100,
+    conditions: [{ field: 'counterpartyCountry', op: 'in', value: ['KP', 'IR'] }]
+  };
+
+  const withVelocity = (rules, context, values) => {
+    const velocity = {};
+    velocityConditions(rules).forEach((condition, index) => {
+      velocity[condition.key] = values[index];
+    });
+    return { ...context, velocity };
+  };
+
+  it('validates rules and their conditions', () => {
+    expect(validateRule(largeAmount)).to.deep.equal([]);
+    expect(validateRule(structuring)).to.deep.equal([]);
+
+    const codes = (rule) => validateRule(rule).map((problem) => problem.code);
+    expect(codes({ ...largeAmount, code: 'large' })).to.deep.equal(['INVALID_CODE']);
+    expect(codes({ ...largeAmount, action: 'freeze', score: 120 })).to.deep.equal(['INVALID_ACTION', 'INVALID_SCORE']);
+    expect(codes({ ...largeAmount, conditions: [] })).to.deep.equal(['CONDITIONS_REQUIRED']);
+    expect(codes({ ...largeAmount, conditions: [{ field: 'amountUsd', op: 'in', value: [1] }] })).to.deep.equal(['INVALID_OPERATOR']);
+    expect(codes({ ...largeAmount, conditions: [{ field: 'amountUsd', op: 'gt', value: 'lots' }] })).to.deep.equal(['INVALID_VALUE']);
+    expect(codes({ ...largeAmount, conditions: [{ field: 'velocity', measure: 'avg', window: '1w', op: 'gt', value: 1 }] }))
+      .to.deep.equal(['INVALID_MEASURE', 'INVALID_WINDOW']);
+  });
+
+  it('explains each matched rule condition by condition', () => {
+    const rules = [largeAmount, highRiskCountry];
+
+    const result = evaluateRules(rules, { amountUsd: '12500.5', counterpartyCountry: 'DE' });
+    expect(result.decision).to.equal('alert');
+    expect(result.riskScore).to.equal(30);
+    expect(result.riskLevel).to.equal('low');
+    expect(result.matches).to.deep.equal([{
+      code: 'LARGE_AMOUNT',
+      version: 2,
+      name: 'Large transaction',
+      action: 'alert',
+      score: 30,
+      reasons: ['amountUsd 12500.5 > 10000']
+    }]);
+
+    const blocked = evaluateRules(rules, { amountUsd: '50', counterpartyCountry: 'ir' });
+    expect(blocked.decision).to.equal('block');
+    expect(blocked.matches[0].reasons).to.deep.equal(['counterpartyCountry ir in [KP, IR]']);
+
+    expect(evaluateRules(rules, { counterpartyCountry: 'DE' }).decision).to.equal('allow');
+  });
+
+  it('puts transactions up for review once the score reaches the review threshold', () => {
+    const result = evaluateRules([largeAmount, { ...largeAmount, code: 'LARGE_AMOUNT_2', score: 45 }], { amountUsd: '20000' }, { reviewScore: 70 });
+    expect(result.riskScore).to.equal(75);
+    expect(result.decision).to.equal('review');
+    expect(result.riskLevel).to.equal('high');
+  });
+
+  it('detects structuring from velocity windows', () => {
+    const context = { assetType: 'fiat', amount: '4000' };
+
+    const matched = evaluateRules([structuring], withVelocity([structuring], context, ['3', '11500']));
+    expect(matched.decision).to.equal('review');
+    expect(matched.matches[0].reasons).to.deep.equal([
+      'assetType fiat = fiat',
+      'count of transactions under 10000 in the same asset in 24h 3 >= 3',
+      'sum of transactions under 10000 in the same asset in 24h 11500 >= 10000'
+    ]);
+
+    expect(evaluateRules([structuring], withVelocity([structuring], context, ['2', '8000'])).decision).to.equal('allow');
+    expect(evaluateRules([structuring], context).decision).to.equal('allow');
+  });
+});
@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { silentLogger, testDatabase, createUser, findAsset } = require('./helpers');
+const { CONFIRMATION_STATUSES, FAILURE_REASONS, ConfirmationTracker } = require('../../services/payment-service/src/confirmationTracker');
+
+describe('Confirmation tracker', () => {
+  let pool;
+  let user;
+  let eth;
+  let receipt;
+  let published;
+
+  const provider = {
+    getBlockNumber: async () => 110,
+    getTransactionReceipt: async () => receipt
+  };
+
+  before(async function() {
+    this.timeout(30000);
+
+    pool = await testDatabase();
+    if (!pool) {
+      console.warn('Skipping confirmation tracker tests: TEST_DATABASE_URL is not set');
+      this.skip();
+    }
+
+    eth = await findAsset(pool, 'ETH');
+    user = await createUser(pool);
+  });
+
+  beforeEach(() => {
+    published = [];
+  });
+
+  after(async () => {
+    if (pool) {
+      await pool.drop();
+    }
+  });
+
+  const tracker = () => new ConfirmationTracker({
+    pool,
+    providers: { ethereum: provider },
+    logger: silentLogger,
+    onConfirmed: async (client, transactionId) => {
+      const result = await client.query('SELECT * FROM transactions WHERE id = $1', [transactionId]);
+      return result.rows[0];
+    },
+    onFailed: async (client, transactionId) => {
+      const result = await client.query('UPDATE transactions SET status = $1 WHERE id = $2 RETURNING *', ['failed', transactionId]);
+      return result.rows[0];
+    },
+    publish: async (topic, transaction, details) => {
+      published.push({ topic, transactionId: transaction.id, details });
+    }
+  });
+
+  // A broadcast send and its tracking row as a poll reads it
+  const trackedSend = async (txHash) => {
+    const created = await pool.query(
+      `INSERT INTO transactions (user_id, transaction_type, from_asset_id, amount, status, blockchain_tx_hash)
+       VALUES ($1, 'send', $2, '0.1', 'broadcast', $3)
+       RETURNING id`,
+      [user.id, eth.id, txHash]
+    );
+    await tracker().enroll();
+
+    const tracked = await pool.query('SELECT * FROM transaction_confirmations WHERE transaction_id = $1', [created.rows[0].id]);
+    return tracked.rows[0];
+  };
+
+  const status = async (row) => {
+    const result = await pool.query('SELECT status FROM transaction_confirmations WHERE transaction_id = $1', [row.transaction_id]);
+    return result.rows[0].status;
+  };
+
+  it('publishes a confirmation once when two polls see the same receipt', async () => {
+    const row = await trackedSend(`0x${'a'.repeat(64)}`);
+    receipt = { blockNumber: 100, blockHash: '0xb1', status: 1, gasUsed: 21000n, gasPrice: 2000000000n };
+
+    await Promise.all([tracker().check(row, provider, 110), tracker().check(row, provider, 110)]);
+    await tracker().check(row, provider, 111);
+
+    expect(published).to.have.length(1);
+    expect(published[0]).to.deep.include({ topic: 'transaction-completed', transactionId: row.transaction_id });
+    expect(published[0].details).to.include({ gasUsed: '21000', effectiveGasPrice: '2000000000' });
+    expect(await status(row)).to.equal(CONFIRMATION_STATUSES.CONFIRMED);
+  });
+
+  it('publishes a failure once and leaves a replaced hash to its own row', async () => {
+    const row = await trackedSend(`0x${'c'.repeat(64)}`);
+    receipt = { blockNumber: 100, blockHash: '0xb2', status: 0, gasUsed: 30000n, gasPrice: 2000000000n };
+
+    await tracker().check(row, provider, 110);
+    await tracker().check(row, provider, 110);
+
+    expect(published).to.have.length(1);
+    expect(published[0]).to.deep.include({ topic: 'transaction-failed', transactionId: row.transaction_id });
+    expect(published[0].details).to.include({ reason: FAILURE_REASONS.REVERTED, gasUsed: '30000' });
+
+    const sped = await trackedSend(`0x${'d'.repeat(64)}`);
+    await pool.query('UPDATE transaction_confirmations SET tx_hash = $1 WHERE transaction_id = $2', [`0x${'e'.repeat(64)}`, sped.transaction_id]);
+    await tracker().check(sped, provider, 110);
+
+    expect(published).to.have.length(1);
+    expect(await status(sped)).to.equal(CONFIRMATION_STATUSES.BROADCAST);
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('../../services/wallet-service/node_modules/ethers');
+const { testDatabase, createUser, findAsset } = require('./helpers');
+const { withTransaction } = require('../../services/shared/src/db');
+const { KeyVault, createKms } = require('../../services/wallet-service/src/keyVault');
+const { HdWalletError, HdWalletManager } = require('../../services/wallet-service/src/hdWallets');
+
+describe('HD wallets', () => {
+  let pool;
+  let directory;
+  let hdWallets;
+  let user;
+  let eth;
+  let balances;
+
+  const provider = {
+    getBalance: async (address) => balances[address] || 0n,
+    getNetwork: async () => ({ chainId: 1n })
+  };
+
+  before(async function() {
+    this.timeout(30000);
+
+    pool = await testDatabase();
+    if (!pool) {
+      console.warn('Skipping HD wallet tests: TEST_DATABASE_URL is not set');
+      this.skip();
+    }
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hd-wallets-'));
+    const keyVault = new KeyVault({
+      kms: createKms({ kmsProvider: 'local', masterKey: 'cd'.repeat(32), keyringPath: path.join(directory, 'keyring.json') })
+    });
+    hdWallets = new HdWalletManager({ keyVault });
+    eth = await findAsset(pool, 'ETH');
+  });
+
+  beforeEach(async () => {
+    balances = {};
+    user = await createUser(pool);
+  });
+
+  after(async () => {
+    if (pool) {
+      await pool.drop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  const createWallet = async (custodyType) => {
+    const { wallet, mnemonic } = await withTransaction(pool, (client) => hdWallets.createWallet(client, { userId: user.id, custodyType }));
+    const result = await pool.query('SELECT * FROM wallets WHERE id = $1', [wallet.id]);
+    return { wallet: result.rows[0], mnemonic };
+  };
+
+  it('gives every non-custodial wallet a root of its own and custodial wallets a shared one', async () => {
+    const first = await createWallet('non_custodial');
+    const second = await createWallet('non_custodial');
+
+    expect(first.mnemonic).to.be.a('string');
+    expect(second.mnemonic).to.be.a('string').and.not.equal(first.mnemonic);
+    expect(second.wallet.hd_root_id).to.not.equal(first.wallet.hd_root_id);
+
+    const custodial = await createWallet('custodial');
+    const another = await createWallet('custodial');
+
+    expect(another.wallet.hd_root_id).to.equal(custodial.wallet.hd_root_id);
+    expect([custodial.wallet.account_index, another.wallet.account_index]).to.deep.equal([0, 1]);
+    expect(custodial.mnemonic).to.equal(null);
+  });
+
+  it('sends from the first address holding the amount and signs with its key', async () => {
+    const { wallet } = await createWallet('custodial');
+    const derived = await withTransaction(pool, (client) => hdWallets.deriveAddress(client, { walletId: wallet.id, network: 'ethereum' }));
+
+    balances[wallet.wallet_address] = ethers.parseEther('0.05');
+    balances[derived.address] = ethers.parseEther('1');
+
+    const fromAddress = await HdWalletManager.sendingAddress(pool, wallet, 'ethereum', { provider, asset: eth, amount: '0.1' });
+    expect(fromAddress).to.equal(derived.address);
+
+    const signed = await hdWallets.signTransaction(pool, wallet, 'ethereum', fromAddress, {
+      type: 2,
+      chainId: 1n,
+      nonce: 0,
+      to: ethers.Wallet.createRandom().address,
+      value: ethers.parseEther('0.1'),
+      gasLimit: 21000n,
+      maxFeePerGas: 1000000000n,
+      maxPriorityFeePerGas: 1000000000n
+    }, provider);
+    expect(ethers.Transaction.from(signed).from).to.equal(derived.address);
+
+    try {
+      await HdWalletManager.sendingAddress(pool, wallet, 'ethereum', { provider, asset: eth, amount: '1.01' });
+      expect.fail('expected NO_FUNDED_ADDRESS');
+    } catch (error) {
+      expect(error).to.be.instanceOf(HdWalletError);
+      expect(error.code).to.equal('NO_FUNDED_ADDRESS');
+    }
+  });
+});
@@ -0,0 +1,133 @@
+const { Pool } = require('pg');
+
+// Stand-ins for what the services are given at startup, for tests that run a module on its
+// own instead of against the running stack
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const TRANSACTION_CONTROL = /^\s*(BEGIN|COMMIT|ROLLBACK)\b/i;
+
+// A pg pool answering each query with the first handler whose SQL fragment (a string or a
+// RegExp) the query matches; a handler returns the rows. Transaction control statements
+// are accepted and any other query fails the test. Every query is kept in pool.queries.
+const fakePool = (handlers = []) => {
+  const queries = [];
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+    if (TRANSACTION_CONTROL.test(sql)) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    const handler = handlers.find(([fragment]) => (fragment instanceof RegExp ? fragment.test(sql) : sql.includes(fragment)));
+    if (!handler) {
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+
+    const rows = (await handler[1](params, sql)) || [];
+    return { rows, rowCount: rows.length };
+  };
+
+  return {
+    queries,
+    query,
+    connect: async () => ({ query, release() {} }),
+    calls: (fragment) => queries.filter(({ sql }) => sql.includes(fragment))
+  };
+};
+
+// An in-memory stand-in for the redis client's string commands, honoring NX and EX/PX
+const fakeRedis = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    entries,
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async mGet(keys) {
+      return keys.map((key) => {
+        const entry = live(key);
+        return entry ? entry.value : null;
+      });
+    },
+    async set(key, value, { NX = false, EX, PX } = {}) {
+      if (NX && live(key)) {
+        return null;
+      }
+
+      const ttl = PX !== undefined ? PX : EX !== undefined ? EX * 1000 : null;
+      entries.set(key, { value: String(value), expiresAt: ttl === null ? null : Date.now() + ttl });
+      return 'OK';
+    },
+    async del(key) {
+      return entries.delete(key) ? 1 : 0;
+    }
+  };
+};
+
+// The migrations of the services sharing the database, in the order they are run
+const MIGRATIONS = [
+  '../../services/user-service/src/migrations/migrate',
+  '../../services/wallet-service/src/migrations/migrate',
+  '../../services/compliance-service/src/migrations/migrate'
+];
+
+// A pool on a schema of its own in TEST_DATABASE_URL, migrated like the shared database,
+// for modules whose behavior lives in their SQL. Resolves to null when no test database is
+// configured, for the suite to skip. pool.drop() removes the schema and closes the pool.
+const testDatabase = async () => {
+  const connectionString = process.env.TEST_DATABASE_URL;
+  if (!connectionString) {
+    return null;
+  }
+
+  const schema = `unit_${process.pid}_${Date.now()}`;
+  const setup = new Pool({ connectionString, max: 1 });
+  await setup.query(`CREATE SCHEMA ${schema}`);
+  await setup.end();
+
+  const pool = new Pool({ connectionString, max: 5, options: `-c search_path=${schema}` });
+  for (const path of MIGRATIONS) {
+    for (const migration of require(path).migrations) {
+      await pool.query(migration.sql);
+    }
+  }
+
+  pool.drop = async () => {
+    await pool.query(`DROP SCHEMA ${schema} CASCADE`);
+    await pool.end();
+  };
+
+  return pool;
+};
+
+// A registered user to own wallets, balances and transactions
+const createUser = async (pool, overrides = {}) => {
+  const user = { email: `user${Date.now()}${Math.random().toString(16).slice(2, 8)}@example.com`, countryCode: 'DE', ...overrides };
+  const result = await pool.query(
+    `INSERT INTO users (email, password_hash, first_name, last_name, country_code)
+     VALUES ($1, 'x', $2, $3, $4)
+     RETURNING *`,
+    [user.email, user.firstName || 'Test', user.lastName || 'User', user.countryCode]
+  );
+
+  return result.rows[0];
+};
+
+const findAsset = async (pool, symbol) => {
+  const result = await pool.query('SELECT * FROM assets WHERE symbol = $1', [symbol]);
+  return result.rows[0];
+};
+
+module.exports = { silentLogger, fakePool, fakeRedis, testDatabase, createUser, findAsset };
@@ -0,0 +1,124 @@
+const { expect } = require('chai');
+const { testDatabase, createUser, findAsset } = require('./helpers');
+const { LedgerManager } = require('../../services/shared/src/ledger');
+const { HOLD_STATUSES, HoldManager } = require('../../services/shared/src/holds');
+const { withTransaction } = require('../../services/shared/src/db');
+
+describe('Holds', () => {
+  let pool;
+  let user;
+  let usd;
+
+  before(async function() {
+    this.timeout(30000);
+
+    pool = await testDatabase();
+    if (!pool) {
+      console.warn('Skipping hold tests: TEST_DATABASE_URL is not set');
+      this.skip();
+    }
+
+    user = await createUser(pool);
+    usd = await findAsset(pool, 'USD');
+
+    await withTransaction(pool, (client) => LedgerManager.transfer(client, {
+      entryType: 'deposit',
+      from: LedgerManager.omnibusAccount(usd.id),
+      to: LedgerManager.userAccount(user.id, null, usd.id),
+      amount: '100'
+    }));
+  });
+
+  after(async () => {
+    if (pool) {
+      await pool.drop();
+    }
+  });
+
+  const balance = async () => {
+    const result = await pool.query(
+      'SELECT balance, locked_balance FROM balances WHERE user_id = $1 AND wallet_id IS NULL AND asset_id = $2',
+      [user.id, usd.id]
+    );
+    return { balance: Number(result.rows[0].balance), locked: Number(result.rows[0].locked_balance) };
+  };
+
+  const placeHold = (amount) => withTransaction(pool, (client) => HoldManager.placeHold(client, {
+    userId: user.id,
+    assetId: usd.id,
+    amount,
+    reason: 'test'
+  }));
+
+  const withdrawal = (amount) => ({
+    entryType: 'withdrawal',
+    postings: [
+      { account: LedgerManager.userAccount(user.id, null, usd.id), direction: 'debit', amount },
+      { account: LedgerManager.omnibusAccount(usd.id), direction: 'credit', amount }
+    ]
+  });
+
+  it('reserves funds and refuses holds beyond the available balance', async () => {
+    const hold = await placeHold('30');
+    expect(hold.status).to.equal(HOLD_STATUSES.ACTIVE);
+    expect(await balance()).to.deep.equal({ balance: 100, locked: 30 });
+
+    try {
+      await placeHold('80');
+      expect.fail('expected INSUFFICIENT_BALANCE');
+    } catch (error) {
+      expect(error.code).to.equal('INSUFFICIENT_BALANCE');
+      expect(error.details).to.include({ available: '70' });
+    }
+    expect(await balance()).to.deep.equal({ balance: 100, locked: 30 });
+
+    await withTransaction(pool, (client) => HoldManager.releaseHold(client, hold.id));
+  });
+
+  it('captures a hold by releasing the reservation and posting the entry', async () => {
+    const hold = await placeHold('25');
+
+    const { hold: captured, journalEntry } = await withTransaction(pool, (client) => HoldManager.captureHold(client, hold.id, withdrawal('25')));
+    expect(captured.status).to.equal(HOLD_STATUSES.CAPTURED);
+    expect(captured.closed_at).to.not.equal(null);
+    expect(journalEntry.entry_type).to.equal('withdrawal');
+    expect(await balance()).to.deep.equal({ balance: 75, locked: 0 });
+  });
+
+  it('releases a hold once and refuses to close it again', async () => {
+    const hold = await placeHold('10');
+    const released = await withTransaction(pool, (client) => HoldManager.releaseHold(client, hold.id));
+    expect(released.status).to.equal(HOLD_STATUSES.RELEASED);
+    expect(await balance()).to.deep.equal({ balance: 75, locked: 0 });
+
+    try {
+      await withTransaction(pool, (client) => HoldManager.captureHold(client, hold.id, withdrawal('10')));
+      expect.fail('expected HOLD_NOT_ACTIVE');
+    } catch (error) {
+      expect(error.code).to.equal('HOLD_NOT_ACTIVE');
+      expect(error.details).to.deep.equal({ status: HOLD_STATUSES.RELEASED });
+    }
+    expect(await balance()).to.deep.equal({ balance: 75, locked: 0 });
+  });
+
+  it('captures holds concurrently with postings on the same accounts', async function() {
+    this.timeout(20000);
+
+    const holds = [];
+    for (let i = 0; i < 5; i++) {
+      holds.push(await placeHold('1'));
+    }
+
+    await Promise.all(holds.flatMap((hold) => [
+      withTransaction(pool, (client) => HoldManager.captureHold(client, hold.id, withdrawal('1'))),
+      withTransaction(pool, (client) => LedgerManager.transfer(client, {
+        entryType: 'deposit',
+        from: LedgerManager.omnibusAccount(usd.id),
+        to: LedgerManager.userAccount(user.id, null, usd.id),
+        amount: '1'
+      }))
+    ]));
+
+    expect(await balance()).to.deep.equal({ balance: 75, locked: 0 });
+  });
+});
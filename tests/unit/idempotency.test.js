@@ -0,0 +1,137 @@
+const { EventEmitter } = require('events');
+const { expect } = require('chai');
+const { silentLogger, fakeRedis } = require('./helpers');
+const { createIdempotencyMiddleware } = require('../../services/shared/src/idempotency');
+
+// Runs a request through the middleware and, when it lets the request through, through
+// handler(req, res), resolving once the response has been sent
+const send = (middleware, { key, body = {}, userId = 'user-1' }, handler) => new Promise((resolve, reject) => {
+  const req = {
+    method: 'POST',
+    originalUrl: '/payments/send?source=test',
+    body,
+    user: { userId },
+    get: (header) => (header.toLowerCase() === 'idempotency-key' ? key : undefined)
+  };
+
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (payload) => {
+    resolve({ status: res.statusCode, body: payload, headers: res.headers });
+    setImmediate(() => res.emit('finish'));
+    return res;
+  };
+
+  Promise.resolve(middleware(req, res, () => handler(req, res))).catch(reject);
+});
+
+const settled = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Idempotency middleware', () => {
+  let redis;
+  let middleware;
+  let handled;
+
+  const handler = (req, res) => {
+    handled += 1;
+    res.status(201).json({ success: true, data: { paymentId: `payment-${handled}` } });
+  };
+
+  beforeEach(() => {
+    redis = fakeRedis();
+    middleware = createIdempotencyMiddleware({ redisClient: redis, logger: silentLogger, namespace: 'payments' });
+    handled = 0;
+  });
+
+  it('handles requests without a key every time', async () => {
+    await send(middleware, { body: { amount: '5' } }, handler);
+    await send(middleware, { body: { amount: '5' } }, handler);
+
+    expect(handled).to.equal(2);
+    expect(redis.entries.size).to.equal(0);
+  });
+
+  it('replays the stored response for a repeated request', async () => {
+    const first = await send(middleware, { key: 'send-1', body: { amount: '5', to: 'a' } }, handler);
+    await settled();
+
+    const replay = await send(middleware, { key: 'send-1', body: { to: 'a', amount: '5' } }, handler);
+
+    expect(handled).to.equal(1);
+    expect(replay.status).to.equal(201);
+    expect(replay.body).to.deep.equal(first.body);
+    expect(replay.headers).to.deep.equal({ 'Idempotent-Replayed': 'true' });
+  });
+
+  it('answers 409 while the first request is still being handled', async () => {
+    let finish;
+    const slow = send(middleware, { key: 'send-2', body: { amount: '5' } }, (req, res) => {
+      finish = () => handler(req, res);
+    });
+    await settled();
+
+    const concurrent = await send(middleware, { key: 'send-2', body: { amount: '5' } }, handler);
+    expect(concurrent.status).to.equal(409);
+    expect(concurrent.body.error.code).to.equal('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+
+    finish();
+    await slow;
+    expect(handled).to.equal(1);
+  });
+
+  it('answers 422 when a key is reused with a different request', async () => {
+    await send(middleware, { key: 'send-3', body: { amount: '5' } }, handler);
+    await settled();
+
+    const reused = await send(middleware, { key: 'send-3', body: { amount: '50' } }, handler);
+
+    expect(handled).to.equal(1);
+    expect(reused.status).to.equal(422);
+    expect(reused.body.error.code).to.equal('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('scopes keys per user', async () => {
+    await send(middleware, { key: 'send-4', body: { amount: '5' }, userId: 'user-1' }, handler);
+    await settled();
+
+    const other = await send(middleware, { key: 'send-4', body: { amount: '5' }, userId: 'user-2' }, handler);
+
+    expect(handled).to.equal(2);
+    expect(other.headers).to.deep.equal({});
+  });
+
+  it('frees the key after a server error so the request can be retried', async () => {
+    const failed = await send(middleware, { key: 'send-5', body: { amount: '5' } }, (req, res) => {
+      res.status(500).json({ success: false, error: { code: 'INTERNAL_ERROR' } });
+    });
+    await settled();
+    expect(failed.status).to.equal(500);
+
+    const retry = await send(middleware, { key: 'send-5', body: { amount: '5' } }, handler);
+    expect(retry.status).to.equal(201);
+    expect(handled).to.equal(1);
+  });
+
+  it('refuses malformed keys and fails closed when the store is unavailable', async () => {
+    const malformed = await send(middleware, { key: 'not a key', body: {} }, handler);
+    expect(malformed.status).to.equal(400);
+    expect(malformed.body.error.code).to.equal('INVALID_IDEMPOTENCY_KEY');
+
+    redis.set = async () => {
+      throw new Error('connection lost');
+    };
+    const unavailable = await send(middleware, { key: 'send-6', body: {} }, handler);
+    expect(unavailable.status).to.equal(503);
+    expect(unavailable.body.error.code).to.equal('IDEMPOTENCY_UNAVAILABLE');
+    expect(handled).to.equal(0);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { ethers } = require('../../services/wallet-service/node_modules/ethers');
+const { fakePool } = require('./helpers');
+const { KeyVaultError, LocalFileKms, KeyVault, createKms } = require('../../services/wallet-service/src/keyVault');
+
+const MASTER_KEY = 'ab'.repeat(32);
+
+describe('Key vault', () => {
+  let directory;
+  let keyringPath;
+  let vault;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'key-vault-'));
+    keyringPath = path.join(directory, 'keyring.json');
+    vault = new KeyVault({ kms: createKms({ kmsProvider: 'local', masterKey: MASTER_KEY, keyringPath }) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const expectVaultError = async (promise, code) => {
+    try {
+      await promise;
+      expect.fail(`expected ${code}`);
+    } catch (error) {
+      expect(error).to.be.instanceOf(KeyVaultError);
+      expect(error.code).to.equal(code);
+    }
+  };
+
+  it('seals secrets under the current key version and unseals them for the same context', async () => {
+    const { keyVersion, envelope } = await vault.encrypt('0xsecret', KeyVault.walletContext('wallet-1'));
+
+    expect(keyVersion).to.equal(1);
+    expect(envelope).to.not.include('0xsecret');
+    expect(JSON.parse(envelope)).to.include({ v: 1, kv: 1 });
+    expect(await vault.decrypt(envelope, KeyVault.walletContext('wallet-1'))).to.equal('0xsecret');
+
+    const keyring = JSON.parse(fs.readFileSync(keyringPath, 'utf8'));
+    expect(keyring.currentVersion).to.equal(1);
+    expect(fs.statSync(keyringPath).mode & 0o777).to.equal(0o600);
+  });
+
+  it('refuses envelopes opened for another wallet, tampered with or never sealed', async () => {
+    const { envelope } = await vault.encrypt('0xsecret', KeyVault.walletContext('wallet-1'));
+    await expectVaultError(vault.decrypt(envelope, KeyVault.walletContext('wallet-2')), 'KEY_CORRUPTED');
+
+    const parsed = JSON.parse(envelope);
+    const [iv, tag, data] = parsed.data.split('.');
+    const flipped = Buffer.from(data, 'base64');
+    flipped[0] ^= 1;
+    const tampered = JSON.stringify({ ...parsed, data: [iv, tag, flipped.toString('base64')].join('.') });
+    await expectVaultError(vault.decrypt(tampered, KeyVault.walletContext('wallet-1')), 'KEY_CORRUPTED');
+
+    const digest = crypto.createHash('sha256').update('0xsecret').digest('hex');
+    await expectVaultError(vault.decrypt(digest, KeyVault.walletContext('wallet-1')), 'KEY_UNAVAILABLE');
+  });
+
+  it('refuses master keys that are not 32 bytes of hex and unknown KMS providers', () => {
+    expect(() => new LocalFileKms({ masterKey: 'short', keyringPath })).to.throw(KeyVaultError);
+    expect(() => createKms({ kmsProvider: 'cloud', masterKey: MASTER_KEY, keyringPath })).to.throw(/Unsupported KMS provider/);
+  });
+
+  it('rotates the key-encryption key and re-wraps every envelope on an older version', async () => {
+    const wallet = await vault.encrypt('0xwallet', KeyVault.walletContext('wallet-1'));
+    const seed = await vault.encrypt('seed words', 'hd-root:root-1');
+
+    const rows = {
+      wallets: [{ id: 'wallet-1', envelope: wallet.envelope }],
+      hd_roots: [{ id: 'root-1', envelope: seed.envelope }]
+    };
+    const updates = [];
+    const pool = fakePool([
+      [/FROM (wallets|hd_roots)/, (params, sql) => {
+        const table = sql.match(/FROM (wallets|hd_roots)/)[1];
+        const batch = rows[table];
+        rows[table] = [];
+        return batch;
+      }],
+      ['UPDATE', (params, sql) => {
+        updates.push({ table: sql.match(/UPDATE (\w+)/)[1], envelope: params[0], keyVersion: params[1], id: params[2] });
+      }]
+    ]);
+
+    const result = await vault.rotate(pool);
+    expect(result).to.deep.equal({ keyVersion: 2, rewrapped: 2 });
+    expect(pool.calls('FROM wallets')[0].params[0]).to.equal(2);
+    expect(updates.map(({ table, keyVersion }) => [table, keyVersion])).to.deep.equal([['wallets', 2], ['hd_roots', 2]]);
+
+    const rewrapped = updates.find(({ id }) => id === 'wallet-1').envelope;
+    expect(JSON.parse(rewrapped).data).to.equal(JSON.parse(wallet.envelope).data);
+    expect(await vault.decrypt(rewrapped, KeyVault.walletContext('wallet-1'))).to.equal('0xwallet');
+
+    // Envelopes not yet re-wrapped stay readable under their own key version
+    expect(await vault.decrypt(seed.envelope, 'hd-root:root-1')).to.equal('seed words');
+    expect((await vault.encrypt('0xnew', 'wallet:wallet-2')).keyVersion).to.equal(2);
+  });
+
+  it('refuses to sign for wallets that are not custodial or whose sealed key does not control the address', async () => {
+    const signer = ethers.Wallet.createRandom();
+    const { envelope } = await vault.encrypt(signer.privateKey, KeyVault.walletContext('wallet-1'));
+    const transaction = { to: signer.address, value: 1n };
+
+    await expectVaultError(vault.signTransaction(
+      { id: 'wallet-1', wallet_type: 'custodial', wallet_address: ethers.Wallet.createRandom().address, encrypted_private_key: envelope },
+      transaction
+    ), 'KEY_MISMATCH');
+    await expectVaultError(vault.signTransaction({ id: 'wallet-1', wallet_type: 'non_custodial' }, transaction), 'NOT_CUSTODIAL');
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require('chai');
+const { testDatabase, createUser, findAsset } = require('./helpers');
+const { LedgerError, LedgerManager } = require('../../services/shared/src/ledger');
+const { withTransaction } = require('../../services/shared/src/db');
+
+describe('Ledger', () => {
+  let pool;
+  let user;
+  let usd;
+
+  before(async function() {
+    this.timeout(30000);
+
+    pool = await testDatabase();
+    if (!pool) {
+      console.warn('Skipping ledger tests: TEST_DATABASE_URL is not set');
+      this.skip();
+    }
+
+    user = await createUser(pool);
+    usd = await findAsset(pool, 'USD');
+  });
+
+  after(async () => {
+    if (pool) {
+      await pool.drop();
+    }
+  });
+
+  const userAccount = () => LedgerManager.userAccount(user.id, null, usd.id);
+  const omnibus = () => LedgerManager.omnibusAccount(usd.id);
+
+  const createTransaction = async (type = 'deposit') => {
+    const result = await pool.query(
+      `INSERT INTO transactions (user_id, transaction_type, to_asset_id, amount, status)
+       VALUES ($1, $2, $3, 1, 'completed')
+       RETURNING id`,
+      [user.id, type, usd.id]
+    );
+    return result.rows[0].id;
+  };
+
+  const balance = async () => {
+    const result = await pool.query(
+      'SELECT balance, locked_balance FROM balances WHERE user_id = $1 AND wallet_id IS NULL AND asset_id = $2',
+      [user.id, usd.id]
+    );
+    return result.rows[0] ? Number(result.rows[0].balance) : 0;
+  };
+
+  const deposit = (amount, transactionId = null) => withTransaction(pool, (client) => LedgerManager.transfer(client, {
+    entryType: 'deposit',
+    transactionId,
+    from: omnibus(),
+    to: userAccount(),
+    amount
+  }));
+
+  it('posts balanced entries and materializes the user balance', async () => {
+    await deposit('100.25');
+    await deposit('0.75');
+
+    expect(await balance()).to.equal(101);
+
+    const accountBalances = await pool.query(
+      'SELECT account_type, balance FROM ledger_account_balances WHERE asset_id = $1 ORDER BY account_type',
+      [usd.id]
+    );
+    expect(accountBalances.rows.map((row) => [row.account_type, Number(row.balance)])).to.deep.equal([
+      ['omnibus', 101],
+      ['user', 101]
+    ]);
+  });
+
+  it('refuses entries that do not balance per asset', async () => {
+    const eth = await findAsset(pool, 'ETH');
+
+    try {
+      await withTransaction(pool, (client) => LedgerManager.postEntry(client, {
+        entryType: 'adjustment',
+        postings: [
+          { account: userAccount(), direction: 'credit', amount: '5' },
+          { account: LedgerManager.omnibusAccount(eth.id), direction: 'debit', amount: '5' }
+        ]
+      }));
+      expect.fail('expected UNBALANCED_ENTRY');
+    } catch (error) {
+      expect(error).to.be.instanceOf(LedgerError);
+      expect(error.code).to.equal('UNBALANCED_ENTRY');
+    }
+  });
+
+  it('refuses to debit more than is available and rolls the entry back', async () => {
+    const before = await balance();
+    const entries = await pool.query('SELECT COUNT(*)::int AS count FROM journal_entries');
+
+    try {
+      await withTransaction(pool, (client) => LedgerManager.transfer(client, {
+        entryType: 'withdrawal',
+        from: userAccount(),
+        to: omnibus(),
+        amount: '150'
+      }));
+      expect.fail('expected INSUFFICIENT_BALANCE');
+    } catch (error) {
+      expect(error.code).to.equal('INSUFFICIENT_BALANCE');
+    }
+
+    expect(await balance()).to.equal(before);
+    const after = await pool.query('SELECT COUNT(*)::int AS count FROM journal_entries');
+    expect(after.rows[0].count).to.equal(entries.rows[0].count);
+  });
+
+  it('counts funds reserved by holds as unavailable', async () => {
+    await pool.query(
+      'UPDATE balances SET locked_balance = 100 WHERE user_id = $1 AND wallet_id IS NULL AND asset_id = $2',
+      [user.id, usd.id]
+    );
+
+    try {
+      await withTransaction(pool, (client) => LedgerManager.transfer(client, {
+        entryType: 'withdrawal',
+        from: userAccount(),
+        to: omnibus(),
+        amount: '2'
+      }));
+      expect.fail('expected INSUFFICIENT_BALANCE');
+    } catch (error) {
+      expect(error.code).to.equal('INSUFFICIENT_BALANCE');
+      expect(error.details).to.include({ lockedBalance: '100.000000000000000000' });
+    } finally {
+      await pool.query(
+        'UPDATE balances SET locked_balance = 0 WHERE user_id = $1 AND wallet_id IS NULL AND asset_id = $2',
+        [user.id, usd.id]
+      );
+    }
+  });
+
+  it('reverses a transaction\'s entries once', async () => {
+    const transactionId = await createTransaction();
+    const before = await balance();
+    await deposit('40', transactionId);
+    expect(await balance()).to.equal(before + 40);
+
+    const reversal = await withTransaction(pool, (client) => LedgerManager.reverseTransaction(client, transactionId));
+    expect(reversal.entry_type).to.equal('reversal');
+    expect(await balance()).to.equal(before);
+
+    const again = await withTransaction(pool, (client) => LedgerManager.reverseTransaction(client, transactionId));
+    expect(again).to.equal(null);
+    expect(await balance()).to.equal(before);
+
+    const unknown = await withTransaction(pool, async (client) => LedgerManager.reverseTransaction(client, await createTransaction()));
+    expect(unknown).to.equal(null);
+  });
+
+  it('verifies the journal balances and reports materialized balances that drift from it', async () => {
+    const clean = await withTransaction(pool, (client) => LedgerManager.verifyInvariants(client));
+    expect(clean.balanced).to.equal(true);
+    expect(clean.unbalancedEntries).to.deep.equal([]);
+    expect(clean.balanceDrift).to.deep.equal([]);
+    expect(clean.assets.find((asset) => asset.symbol === 'USD')).to.include({ balanced: true });
+
+    await pool.query(
+      'UPDATE balances SET balance = balance + 1 WHERE user_id = $1 AND wallet_id IS NULL AND asset_id = $2',
+      [user.id, usd.id]
+    );
+
+    // Entries move the balance as it stands rather than deriving it again
+    await deposit('5');
+
+    const drifted = await withTransaction(pool, (client) => LedgerManager.verifyInvariants(client));
+    expect(drifted.balanced).to.equal(true);
+    expect(drifted.balanceDrift).to.have.length(1);
+    expect(drifted.balanceDrift[0]).to.include({ userId: user.id, assetId: usd.id });
+    expect(Number(drifted.balanceDrift[0].materializedBalance) - Number(drifted.balanceDrift[0].ledgerBalance)).to.equal(1);
+
+    const rebuilt = await withTransaction(pool, (client) => LedgerManager.rebuildBalances(client));
+    expect(rebuilt.balancesRebuilt).to.be.at.least(1);
+    expect((await withTransaction(pool, (client) => LedgerManager.verifyInvariants(client))).balanceDrift).to.deep.equal([]);
+  });
+});
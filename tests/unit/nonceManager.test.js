@@ -0,0 +1,150 @@
+const { expect } = require('chai');
+const { silentLogger, fakeRedis } = require('./helpers');
+const { NonceError, NonceManager } = require('../../services/wallet-service/src/nonceManager');
+
+const ADDRESS = '0x742d35Cc6634C0532925a3b8D60C9A0D4b9B5C30';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The lock scripts only act while KEYS[1] still holds the caller's token
+const lockingRedis = () => {
+  const redis = fakeRedis();
+  redis.eval = async (script, { keys, arguments: args }) => {
+    if ((await redis.get(keys[0])) !== args[0]) {
+      return 0;
+    }
+    if (script.includes("'del'")) {
+      return redis.del(keys[0]);
+    }
+    if (script.includes("'pexpire'")) {
+      await redis.set(keys[0], args[0], { PX: Number(args[1]) });
+      return 1;
+    }
+    await redis.set(keys[1], args[1]);
+    return 1;
+  };
+  return redis;
+};
+
+describe('Nonce manager', () => {
+  let redis;
+  let pending;
+  let provider;
+
+  const manager = (options = {}) => new NonceManager({
+    redisClient: redis,
+    providers: { ethereum: provider },
+    logger: silentLogger,
+    ...options
+  });
+
+  const stored = async () => JSON.parse(await redis.get(NonceManager.stateKey('ethereum', ADDRESS)));
+
+  beforeEach(() => {
+    redis = lockingRedis();
+    pending = 5;
+    provider = { getTransactionCount: async () => pending };
+  });
+
+  it('hands out consecutive nonces ahead of the node and releases the lock', async () => {
+    const nonces = manager();
+    const used = await Promise.all([0, 1, 2].map(() => nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce)));
+
+    expect(used).to.deep.equal([5, 6, 7]);
+    expect((await stored()).next).to.equal(8);
+    expect(await redis.get(NonceManager.lockKey('ethereum', ADDRESS))).to.equal(null);
+  });
+
+  it('leaves no gap when a send fails', async () => {
+    const nonces = manager();
+
+    try {
+      await nonces.withNonce('ethereum', ADDRESS, async () => {
+        throw new Error('broadcast rejected');
+      });
+      expect.fail('expected the send to fail');
+    } catch (error) {
+      expect(error.message).to.equal('broadcast rejected');
+    }
+
+    expect(await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce)).to.equal(5);
+  });
+
+  it('trusts the stored nonce while the node catches up and resyncs to the node after the grace period', async () => {
+    const nonces = manager({ gapGraceMs: 60000 });
+    await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce);
+    await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce);
+
+    // The node has not seen the two sends yet
+    expect(await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce)).to.equal(7);
+
+    // ...and still has not a while later: they were dropped
+    await redis.set(NonceManager.stateKey('ethereum', ADDRESS), JSON.stringify({ next: 8, updatedAt: Date.now() - 120000 }));
+    expect(await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce)).to.equal(5);
+    expect((await stored()).next).to.equal(6);
+  });
+
+  it('follows the node when it is ahead of the stored nonce', async () => {
+    const nonces = manager();
+    await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce);
+
+    pending = 9;
+    expect(await nonces.withNonce('ethereum', ADDRESS, async (nonce) => nonce)).to.equal(9);
+  });
+
+  it('keeps the lock for sends that outlast its ttl', async function() {
+    this.timeout(5000);
+
+    const first = manager({ lockTtlMs: 60 });
+    const second = manager({ lockTtlMs: 60, lockWaitMs: 2000 });
+    const events = [];
+
+    const slow = first.withNonce('ethereum', ADDRESS, async (nonce) => {
+      events.push(`start ${nonce}`);
+      await sleep(300);
+      events.push(`end ${nonce}`);
+      return nonce;
+    });
+    await sleep(20);
+
+    // Another instance, with a queue of its own, has to wait for the lock
+    const next = second.withNonce('ethereum', ADDRESS, async (nonce) => {
+      events.push(`start ${nonce}`);
+      return nonce;
+    });
+
+    expect(await Promise.all([slow, next])).to.deep.equal([5, 6]);
+    expect(events).to.deep.equal(['start 5', 'end 5', 'start 6']);
+  });
+
+  it('does not advance the nonce when the lock was lost during the send', async () => {
+    const nonces = manager();
+
+    await nonces.withNonce('ethereum', ADDRESS, async (nonce) => {
+      await redis.set(NonceManager.lockKey('ethereum', ADDRESS), 'another-holder');
+      return nonce;
+    });
+
+    expect(await stored()).to.equal(null);
+    expect(await redis.get(NonceManager.lockKey('ethereum', ADDRESS))).to.equal('another-holder');
+  });
+
+  it('times out waiting for a lock held elsewhere and refuses unknown networks', async () => {
+    await redis.set(NonceManager.lockKey('ethereum', ADDRESS), 'another-holder', { PX: 10000 });
+
+    try {
+      await manager({ lockWaitMs: 100 }).withNonce('ethereum', ADDRESS, async (nonce) => nonce);
+      expect.fail('expected NONCE_LOCK_TIMEOUT');
+    } catch (error) {
+      expect(error).to.be.instanceOf(NonceError);
+      expect(error.code).to.equal('NONCE_LOCK_TIMEOUT');
+    }
+
+    try {
+      await manager().withNonce('solana', ADDRESS, async (nonce) => nonce);
+      expect.fail('expected UNSUPPORTED_NETWORK');
+    } catch (error) {
+      expect(error.code).to.equal('UNSUPPORTED_NETWORK');
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const { expect } = require('chai');
+const { silentLogger, fakeRedis } = require('./helpers');
+const {
+  PriceOracleError,
+  ChainlinkPriceSource,
+  StaticPriceSource,
+  PriceOracle
+} = require('../../services/shared/src/priceOracle');
+
+const ETH = { id: 'asset-eth', symbol: 'ETH', asset_type: 'crypto', price_feeds: {} };
+const BTC = { id: 'asset-btc', symbol: 'BTC', asset_type: 'crypto', price_feeds: {} };
+const USD = { id: 'asset-usd', symbol: 'USD', asset_type: 'fiat', price_feeds: {} };
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const source = (name, prices, options = {}) => Object.assign(new StaticPriceSource({ prices, ...options }), { name });
+
+const failingSource = { name: 'broken', fetchPrices: async () => { throw new Error('timeout'); } };
+
+const oracle = (sources, options = {}) => new PriceOracle({ sources, logger: silentLogger, currencies: ['usd', 'eur'], ...options });
+
+const expectOracleError = async (promise, code) => {
+  try {
+    await promise;
+    expect.fail(`expected ${code}`);
+  } catch (error) {
+    expect(error).to.be.instanceOf(PriceOracleError);
+    expect(error.code).to.equal(code);
+    return error;
+  }
+};
+
+describe('Price oracle', () => {
+  it('quotes the median of the fresh observations', async () => {
+    const odd = oracle([
+      source('a', { ETH: { usd: '2000' } }),
+      source('b', { ETH: { usd: 2100.5 } }),
+      source('c', { ETH: { usd: '1990' } })
+    ]);
+    const quote = await odd.getPrice(ETH, 'USD');
+    expect(quote).to.include({ assetId: ETH.id, currency: 'usd', price: '2000' });
+    expect(quote.sources).to.deep.equal(['a', 'b', 'c']);
+
+    const even = oracle([
+      source('a', { ETH: { usd: '2000' } }),
+      source('b', { ETH: { usd: '2010' } })
+    ]);
+    expect((await even.getPrice(ETH)).price).to.equal('2005');
+  });
+
+  it('leaves out observations older than their source allows', async () => {
+    const quote = await oracle([
+      source('fresh', { ETH: { usd: '2000' } }),
+      source('old', { ETH: { usd: '100' } }, { observedAt: minutesAgo(30) }),
+      source('slow', { ETH: { usd: '2020' } }, { observedAt: minutesAgo(30), maxAgeSeconds: 3600 })
+    ], { maxAgeSeconds: 600 }).getPrice(ETH);
+
+    expect(quote.price).to.equal('2010');
+    expect(quote.sources).to.deep.equal(['fresh', 'slow']);
+  });
+
+  it('reports prices that are all out of date as stale and missing ones as unavailable', async () => {
+    const observedAt = minutesAgo(20);
+    const stale = await expectOracleError(oracle([
+      source('old', { ETH: { usd: '2000' } }, { observedAt: minutesAgo(30) }),
+      source('older', { ETH: { usd: '2000' } }, { observedAt })
+    ]).getPrice(ETH), 'PRICE_STALE');
+    expect(stale.details.observedAt).to.equal(observedAt);
+
+    await expectOracleError(oracle([source('a', { ETH: { usd: '2000' } })]).getPrice(BTC), 'PRICE_UNAVAILABLE');
+    await expectOracleError(oracle([source('a', { ETH: { usd: '2000' } })]).getPrice(ETH, 'eur'), 'PRICE_UNAVAILABLE');
+  });
+
+  it('prices each asset on its own and tolerates failing sources', async () => {
+    const { quotes, errors } = await oracle([
+      failingSource,
+      source('a', { ETH: { usd: '2000' } })
+    ]).getPrices([ETH, BTC, USD], 'usd');
+
+    expect(quotes.get(ETH.id).price).to.equal('2000');
+    expect(quotes.get(USD.id)).to.include({ price: '1' });
+    expect(errors.get(BTC.id).code).to.equal('PRICE_UNAVAILABLE');
+  });
+
+  it('refuses currencies it is not configured for', async () => {
+    const error = await expectOracleError(oracle([]).getPrice(ETH, 'jpy'), 'UNSUPPORTED_CURRENCY');
+    expect(error.details.supportedCurrencies).to.deep.equal(['usd', 'eur']);
+  });
+
+  it('caches quotes and serves them without asking the sources again', async () => {
+    const redis = fakeRedis();
+    let fetches = 0;
+    const counting = source('a', { ETH: { usd: '2000' } });
+    const fetchPrices = counting.fetchPrices.bind(counting);
+    counting.fetchPrices = (...args) => {
+      fetches += 1;
+      return fetchPrices(...args);
+    };
+
+    const cached = oracle([counting], { redisClient: redis, cacheTtlSeconds: 60 });
+    await cached.getPrice(ETH);
+    const again = await cached.getPrice(ETH);
+
+    expect(fetches).to.equal(1);
+    expect(again.price).to.equal('2000');
+    expect(await redis.get(PriceOracle.cacheKey(ETH.id, 'usd'))).to.include('"price":"2000"');
+  });
+
+  it('reads Chainlink answers with the feed decimals and update time', async () => {
+    const updatedAt = Math.floor(Date.now() / 1000) - 60;
+    const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+    const provider = {
+      call: async ({ data }) => (data === '0x313ce567'
+        ? `0x${word(8)}`
+        : `0x${word(1)}${word(200012345678n)}${word(updatedAt)}${word(updatedAt)}${word(1)}`)
+    };
+    const feedAsset = { ...ETH, price_feeds: { chainlink: { usd: { network: 'ethereum', address: '0xfeed' } } } };
+
+    const [observation] = await new ChainlinkPriceSource({ providers: { ethereum: provider } }).fetchPrices([feedAsset], 'usd');
+    expect(observation.price).to.equal('2000.12345678');
+    expect(observation.observedAt.getTime()).to.equal(updatedAt * 1000);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require('chai');
+const { silentLogger, testDatabase, createUser, findAsset } = require('./helpers');
+const { REPORT_TYPES, REPORT_STATUSES, ReportManager } = require('../../services/compliance-service/src/reports');
+
+describe('Currency transaction reports', () => {
+  const DAY = '2024-03-14';
+
+  let pool;
+  let reports;
+  let eur;
+  let usd;
+
+  before(async function() {
+    this.timeout(30000);
+
+    pool = await testDatabase();
+    if (!pool) {
+      console.warn('Skipping report tests: TEST_DATABASE_URL is not set');
+      this.skip();
+    }
+
+    eur = await findAsset(pool, 'EUR');
+    usd = await findAsset(pool, 'USD');
+    reports = new ReportManager({ pool, logger: silentLogger, ctrThresholds: { EUR: '10000' } });
+  });
+
+  after(async () => {
+    if (pool) {
+      await pool.drop();
+    }
+  });
+
+  const transfer = async (user, { type, asset = eur, amount, status = 'completed', completedAt = `${DAY}T12:00:00Z` }) => {
+    const inbound = ['sepa_deposit', 'card_deposit'].includes(type);
+    const result = await pool.query(
+      `INSERT INTO transactions (user_id, transaction_type, from_asset_id, to_asset_id, amount, status, completed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [user.id, type, inbound ? null : asset.id, inbound ? asset.id : null, amount, status, completedAt]
+    );
+    return result.rows[0].id;
+  };
+
+  it('reports users whose fiat transfers in and out on the day reach the threshold', async () => {
+    const reported = await createUser(pool, { firstName: 'Ada', lastName: 'Reported' });
+    const below = await createUser(pool);
+    const otherCurrency = await createUser(pool);
+
+    const counted = [
+      await transfer(reported, { type: 'sepa', amount: '6000' }),
+      await transfer(reported, { type: 'card_deposit', amount: '2500', completedAt: `${DAY}T00:00:00Z` }),
+      await transfer(reported, { type: 'sepa_deposit', amount: '1500', completedAt: `${DAY}T23:59:59Z` })
+    ];
+
+    // Left out: another day, not completed, not a fiat transfer with a bank or card
+    await transfer(reported, { type: 'sepa', amount: '50000', completedAt: '2024-03-15T00:00:00Z' });
+    await transfer(reported, { type: 'swift', amount: '50000', status: 'pending' });
+    await transfer(reported, { type: 'swap', amount: '50000' });
+
+    await transfer(below, { type: 'sepa', amount: '9999.99' });
+    await transfer(otherCurrency, { type: 'swift', asset: usd, amount: '50000' });
+
+    const generated = await reports.generateCtrs(DAY);
+
+    expect(generated).to.have.length(1);
+    const [report] = generated;
+    expect(report).to.include({ report_type: REPORT_TYPES.CTR, status: REPORT_STATUSES.DRAFT, user_id: reported.id, currency: 'EUR' });
+    expect(Number(report.total_amount)).to.equal(10000);
+    expect(report.subject).to.include({ firstName: 'Ada', lastName: 'Reported' });
+    expect(report.activity.map((activity) => activity.id)).to.have.members(counted);
+    expect(report.activity.map((activity) => activity.direction)).to.deep.equal(['inbound', 'outbound', 'inbound']);
+
+    const events = await pool.query('SELECT action, to_status, details FROM report_events WHERE report_id = $1', [report.id]);
+    expect(events.rows).to.have.length(1);
+    expect(events.rows[0]).to.include({ action: 'generated', to_status: REPORT_STATUSES.DRAFT });
+    expect(events.rows[0].details).to.include({ currency: 'EUR', threshold: '10000' });
+  });
+
+  it('does not report a day twice', async () => {
+    expect(await reports.generateCtrs(DAY)).to.deep.equal([]);
+
+    const count = await pool.query('SELECT COUNT(*)::int AS count FROM regulatory_reports WHERE report_type = $1', [REPORT_TYPES.CTR]);
+    expect(count.rows[0].count).to.equal(1);
+  });
+});
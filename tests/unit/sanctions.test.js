@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const { fakePool, silentLogger } = require('./helpers');
+const { SanctionsScreener, SCREENING_DECISIONS, nameSimilarity, normalizeName, normalizeAddress } = require('../../services/shared/src/sanctions');
+
+describe('Sanctions screening', () => {
+  const listedNames = [
+    { name: 'Usama BIN LADIN', normalized_name: 'USAMA BIN LADIN', entry_id: 'e1', list: 'ofac', external_id: '6365', entry_type: 'individual', programs: ['SDGT'] },
+    { name: 'Acme Trading LLC', normalized_name: 'ACME TRADING LLC', entry_id: 'e2', list: 'internal', external_id: 'W-1', entry_type: 'entity', programs: [] }
+  ];
+
+  const listPool = (clearances = []) => {
+    let hits = 0;
+    return fakePool([
+      ['FROM sanctions_names n', () => listedNames],
+      ['FROM sanctions_clearances', ([normalizedName]) => clearances.filter((clearance) => clearance.normalized_name === normalizedName)],
+      ['INSERT INTO sanctions_hits', () => [{ id: `hit-${++hits}` }]]
+    ]);
+  };
+
+  it('normalizes names and addresses before comparing them', () => {
+    expect(normalizeName('  Zoë  Müller-Lüdenscheidt ')).to.equal('ZOE MULLER LUDENSCHEIDT');
+    expect(normalizeAddress('0xAbC0000000000000000000000000000000000001')).to.equal('0xabc0000000000000000000000000000000000001');
+    expect(normalizeAddress('1BoatSLRHtKNngkdXEeobR76b53LETtpyT')).to.equal('1BoatSLRHtKNngkdXEeobR76b53LETtpyT');
+  });
+
+  it('scores spelling variants and reordered names close, and partial names lower', () => {
+    expect(nameSimilarity('Osama bin Laden', 'Usama BIN LADIN')).to.be.above(0.92);
+    expect(nameSimilarity('Laden, Usama Bin', 'Usama Bin Ladin')).to.be.above(0.92);
+    expect(nameSimilarity('Mr John Smith', 'JOHN SMITH')).to.equal(1);
+    expect(nameSimilarity('Ali', 'Ali Hassan Mohammed')).to.be.below(0.85);
+  });
+
+  it('decides match, review or clear and records hits', async () => {
+    const pool = listPool();
+    const screener = new SanctionsScreener({ pool, logger: silentLogger, blockedCountries: ['kp'] });
+
+    const match = await screener.screenName({ name: 'Osama bin Laden', subjectType: 'beneficiary', userId: 'u1' });
+    expect(match.decision).to.equal(SCREENING_DECISIONS.MATCH);
+    expect(match.matches[0].externalId).to.equal('6365');
+    expect(match.hitId).to.equal('hit-1');
+
+    const review = await screener.screenName({ name: 'Acme Traders', subjectType: 'beneficiary', userId: 'u1' });
+    expect(review.decision).to.equal(SCREENING_DECISIONS.REVIEW);
+
+    const country = await screener.screenName({ name: 'Jane Doe', country: 'KP', subjectType: 'user', userId: 'u1' });
+    expect(country.decision).to.equal(SCREENING_DECISIONS.MATCH);
+    expect(country.countryBlocked).to.equal(true);
+
+    const clear = await screener.screenName({ name: 'Jane Doe', country: 'DE', subjectType: 'user', userId: 'u1' });
+    expect(clear).to.include({ decision: SCREENING_DECISIONS.CLEAR, hitId: null });
+    expect(pool.calls('INSERT INTO sanctions_hits')).to.have.length(3);
+  });
+
+  it('leaves out listed parties a name has been cleared against', async () => {
+    const pool = listPool([{ normalized_name: 'OSAMA BIN LADEN', list: 'ofac', external_id: '6365' }]);
+    const screener = new SanctionsScreener({ pool, logger: silentLogger });
+
+    const screening = await screener.screenName({ name: 'Osama bin Laden', subjectType: 'user', userId: 'u1' });
+    expect(screening.decision).to.equal(SCREENING_DECISIONS.CLEAR);
+    expect(pool.calls('INSERT INTO sanctions_hits')).to.have.length(0);
+  });
+});
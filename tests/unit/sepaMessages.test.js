@@ -0,0 +1,98 @@
+const { expect } = require('chai');
+const { buildPain001, parseCamt, sepaText, SepaMessageError } = require('../../services/payment-service/src/sepaMessages');
+const { parseXml, find, findAll, textOf } = require('../../services/shared/src/xml');
+
+describe('SEPA messages', () => {
+  const debtor = { name: 'CryptoHybrid Bank', iban: 'DE89370400440532013000', bic: 'COBADEFFXXX' };
+
+  it('builds a pain.001 batch with control sums and SEPA-safe text', () => {
+    const xml = buildPain001({
+      messageId: 'MSG1',
+      createdAt: new Date('2026-10-19T10:00:00Z'),
+      debtor,
+      transfers: [
+        { instructionId: 'E2E1', endToEndId: 'E2E1', amount: '10.5', currency: 'EUR', creditor: { name: 'Zoë Müller', iban: 'FR1420041010050500013M02606' }, remittanceInformation: 'Rent <October>' },
+        { instructionId: 'E2E2', endToEndId: 'E2E2', amount: '0.25', currency: 'EUR', creditor: { name: 'Acme GmbH', iban: 'DE02120300000000202051', bic: 'BYLADEM1001', country: 'DE' } }
+      ]
+    });
+
+    const initiation = find(parseXml(xml), 'CstmrCdtTrfInitn');
+    expect(textOf(initiation, 'GrpHdr', 'NbOfTxs')).to.equal('2');
+    expect(textOf(initiation, 'GrpHdr', 'CtrlSum')).to.equal('10.75');
+    expect(textOf(initiation, 'PmtInf', 'DbtrAcct', 'Id', 'IBAN')).to.equal(debtor.iban);
+
+    const [first, second] = findAll(initiation, 'PmtInf', 'CdtTrfTxInf');
+    expect(textOf(first, 'Amt', 'InstdAmt')).to.equal('10.50');
+    expect(find(first, 'Amt', 'InstdAmt').attributes.Ccy).to.equal('EUR');
+    expect(textOf(first, 'Cdtr', 'Nm')).to.equal('Zoe Muller');
+    expect(textOf(first, 'RmtInf', 'Ustrd')).to.equal('Rent October');
+    expect(find(first, 'CdtrAgt')).to.equal(null);
+    expect(textOf(second, 'CdtrAgt', 'FinInstnId', 'BICFI')).to.equal('BYLADEM1001');
+    expect(textOf(second, 'Cdtr', 'PstlAdr', 'Ctry')).to.equal('DE');
+  });
+
+  it('rejects an empty batch', () => {
+    expect(() => buildPain001({ messageId: 'MSG2', debtor, transfers: [] })).to.throw(SepaMessageError);
+  });
+
+  it('reads booked entries, returns and related parties from a camt.053 statement', () => {
+    const statement = parseCamt(`<?xml version="1.0" encoding="UTF-8"?>
+      <Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+        <BkToCstmrStmt>
+          <GrpHdr><MsgId>STMT-1</MsgId><CreDtTm>2026-10-19T18:00:00</CreDtTm></GrpHdr>
+          <Stmt>
+            <Id>S1</Id>
+            <Acct><Id><IBAN>${debtor.iban}</IBAN></Id><Ccy>EUR</Ccy></Acct>
+            <Ntry>
+              <Amt Ccy="EUR">25.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+              <BookgDt><Dt>2026-10-19</Dt></BookgDt>
+              <NtryDtls><TxDtls>
+                <Refs><AcctSvcrRef>BANK-REF-1</AcctSvcrRef><EndToEndId>INV-7</EndToEndId></Refs>
+                <RltdPties>
+                  <Dbtr><Pty><Nm>Jane Doe</Nm></Pty></Dbtr>
+                  <DbtrAcct><Id><IBAN>FR1420041010050500013M02606</IBAN></Id></DbtrAcct>
+                  <CdtrAcct><Id><IBAN>DE44500105175407324931</IBAN></Id></CdtrAcct>
+                </RltdPties>
+                <RmtInf><Ustrd>Top up</Ustrd><Ustrd>account</Ustrd></RmtInf>
+              </TxDtls></NtryDtls>
+            </Ntry>
+            <Ntry>
+              <Amt Ccy="EUR">10.50</Amt><CdtDbtInd>CRDT</CdtDbtInd><RvslInd>true</RvslInd><Sts>BOOK</Sts>
+              <NtryDtls><TxDtls>
+                <Refs><EndToEndId>E2E1</EndToEndId></Refs>
+                <RtrInf><Rsn><Cd>AC04</Cd></Rsn></RtrInf>
+              </TxDtls></NtryDtls>
+            </Ntry>
+          </Stmt>
+        </BkToCstmrStmt>
+      </Document>`);
+
+    expect(statement).to.include({ messageType: 'camt.053', messageId: 'STMT-1' });
+    const [report] = statement.reports;
+    expect(report.iban).to.equal(debtor.iban);
+
+    const [credit, returned] = report.entries;
+    expect(credit).to.include({ direction: 'CRDT', status: 'BOOK', reversal: false, bookingDate: '2026-10-19' });
+    expect(credit.transactions[0]).to.include({
+      reference: 'BANK-REF-1',
+      endToEndId: 'INV-7',
+      amount: '25',
+      currency: 'EUR',
+      debtorName: 'Jane Doe',
+      creditorIban: 'DE44500105175407324931',
+      remittanceInformation: 'Top up account'
+    });
+    expect(returned).to.include({ reversal: true, status: 'BOOK' });
+    expect(returned.transactions[0]).to.include({ endToEndId: 'E2E1', amount: '10.5', returnReason: 'AC04' });
+  });
+
+  it('rejects files that are not bank statements', () => {
+    expect(() => parseCamt('<Document><CstmrCdtTrfInitn/></Document>')).to.throw(SepaMessageError).with.property('code', 'UNSUPPORTED_MESSAGE');
+    expect(() => parseCamt('<Document><BkToCstmrStmt>')).to.throw(SepaMessageError).with.property('code', 'INVALID_XML');
+  });
+
+  it('keeps text within the SEPA character set', () => {
+    expect(sepaText('Ærø & Søn — “Invoice” #12', 70)).to.equal('AEro + Son Invoice 12');
+    expect(sepaText('Łódź', 3)).to.equal('Lod');
+  });
+});
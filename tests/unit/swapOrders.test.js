@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const { silentLogger, testDatabase, createUser, findAsset } = require('./helpers');
+const { LedgerManager } = require('../../services/shared/src/ledger');
+const { withTransaction } = require('../../services/shared/src/db');
+const { SwapError } = require('../../services/payment-service/src/swaps');
+const { ORDER_STATUSES, SwapOrderManager } = require('../../services/payment-service/src/swapOrders');
+
+describe('Limit orders', () => {
+  let pool;
+  let user;
+  let usd;
+  let eth;
+  let failure;
+  let spentMeanwhile;
+
+  const withdraw = (amount) => withTransaction(pool, (client) => LedgerManager.transfer(client, {
+    entryType: 'withdrawal',
+    from: LedgerManager.userAccount(user.id, null, usd.id),
+    to: LedgerManager.omnibusAccount(usd.id),
+    amount
+  }));
+
+  // Releases the order's hold as the swap engine does when it reserves the swap, then fails
+  const swapEngine = {
+    quote: async () => ({ id: 'quote-1' }),
+    execute: async ({ orderHoldId }) => {
+      await withTransaction(pool, (client) => SwapOrderManager.releaseOrderHold(client, orderHoldId));
+      if (spentMeanwhile) {
+        await withdraw(spentMeanwhile);
+      }
+      throw failure;
+    }
+  };
+
+  before(async function() {
+    this.timeout(30000);
+
+    pool = await testDatabase();
+    if (!pool) {
+      console.warn('Skipping limit order tests: TEST_DATABASE_URL is not set');
+      this.skip();
+    }
+
+    usd = await findAsset(pool, 'USD');
+    eth = await findAsset(pool, 'ETH');
+  });
+
+  beforeEach(async () => {
+    spentMeanwhile = null;
+    user = await createUser(pool);
+    await withTransaction(pool, (client) => LedgerManager.transfer(client, {
+      entryType: 'deposit',
+      from: LedgerManager.omnibusAccount(usd.id),
+      to: LedgerManager.userAccount(user.id, null, usd.id),
+      amount: '150'
+    }));
+  });
+
+  after(async () => {
+    if (pool) {
+      await pool.drop();
+    }
+  });
+
+  const orders = () => new SwapOrderManager({ pool, swapEngine, priceOracle: null, logger: silentLogger });
+
+  const placeBuy = (amount) => orders().placeLimitOrder({
+    userId: user.id, side: 'buy', assetId: eth.id, quoteAssetId: usd.id, amount, limitPrice: '2000'
+  });
+
+  const locked = async () => {
+    const result = await pool.query(
+      'SELECT locked_balance FROM balances WHERE user_id = $1 AND wallet_id IS NULL AND asset_id = $2',
+      [user.id, usd.id]
+    );
+    return Number(result.rows[0].locked_balance);
+  };
+
+  const execute = async (order) => {
+    const { order: loaded } = await orders().get(user.id, order.id);
+    await orders().executeLimitOrder(loaded);
+    return (await orders().get(user.id, order.id)).order;
+  };
+
+  it('holds what an order spends and refuses orders the balance cannot cover', async () => {
+    await placeBuy('100');
+    expect(await locked()).to.equal(100);
+
+    try {
+      await placeBuy('60');
+      expect.fail('expected INSUFFICIENT_BALANCE');
+    } catch (error) {
+      expect(error.code).to.equal('INSUFFICIENT_BALANCE');
+    }
+
+    expect(await orders().list({ userId: user.id })).to.have.length(1);
+  });
+
+  it('releases the hold when the order is cancelled or expires', async () => {
+    const cancelled = await placeBuy('100');
+    await orders().cancel(user.id, cancelled.id);
+    expect(await locked()).to.equal(0);
+
+    const expiring = await placeBuy('100');
+    await pool.query('UPDATE swap_orders SET expires_at = NOW() WHERE id = $1', [expiring.id]);
+    expect(await orders().expireLimitOrders()).to.equal(1);
+    expect(await locked()).to.equal(0);
+  });
+
+  it('holds the funds again when a failed swap leaves the order open', async () => {
+    const order = await placeBuy('100');
+    failure = new SwapError('PROVIDER_FAILED', 'The swap could not be filled');
+
+    const reopened = await execute(order);
+    expect(reopened).to.include({ status: ORDER_STATUSES.OPEN, last_error: 'PROVIDER_FAILED' });
+    expect(reopened.hold_id).to.not.equal(order.hold_id);
+    expect(await locked()).to.equal(100);
+  });
+
+  it('fails an order going back to open that the balance no longer covers', async () => {
+    const order = await placeBuy('100');
+    failure = new SwapError('NO_LIQUIDITY', 'No provider can fill the swap');
+    spentMeanwhile = '100';
+
+    const failed = await execute(order);
+    expect(failed).to.include({ status: ORDER_STATUSES.FAILED, last_error: 'INSUFFICIENT_BALANCE' });
+    expect(await locked()).to.equal(0);
+  });
+
+  it('leaves an order whose swap has an unknown outcome for reconciliation', async () => {
+    const order = await placeBuy('100');
+    failure = new SwapError('SWAP_UNRESOLVED', 'The swap outcome is not known yet', { txHash: '0xabc' });
+
+    const unresolved = await execute(order);
+    expect(unresolved).to.include({ status: ORDER_STATUSES.NEEDS_RECONCILIATION, last_error: 'SWAP_UNRESOLVED' });
+    expect(await locked()).to.equal(0);
+  });
+});
@@ -0,0 +1,116 @@
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { expect } = require('chai');
+const { CexSwapProvider } = require('../../services/payment-service/src/swapProviders');
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+const assets = {
+  eth: { id: 'eth', symbol: 'ETH', decimals: 18 },
+  usdc: { id: 'usdc', symbol: 'USDC', decimals: 6 }
+};
+
+describe('CEX swap provider', () => {
+  let server;
+  let baseUrl;
+  let provider;
+  const requests = [];
+  const quotes = new Map();
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const signature = crypto
+          .createHmac('sha256', API_SECRET)
+          .update(`${req.headers['x-timestamp']}${req.method}${req.url}${body}`)
+          .digest('hex');
+
+        requests.push({ url: req.url, body: JSON.parse(body), signed: req.headers['x-signature'] === signature });
+        const reply = (status, data) => {
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(data));
+        };
+
+        if (req.headers['x-api-key'] !== API_KEY || req.headers['x-signature'] !== signature) {
+          return reply(401, { code: 'UNAUTHORIZED', message: 'Bad signature' });
+        }
+
+        const { from, amount } = JSON.parse(body);
+        if (req.url === '/v1/quotes') {
+          if (from === 'DOGE') {
+            return reply(400, { code: 'UNSUPPORTED_PAIR', message: 'Pair not traded' });
+          }
+
+          const id = `q${quotes.size + 1}`;
+          quotes.set(id, { amountOut: (Number(amount) * 1995.5).toFixed(6), accepted: false });
+          return reply(201, { id, amountOut: quotes.get(id).amountOut, expiresAt: new Date(Date.now() + 10000).toISOString() });
+        }
+
+        const match = req.url.match(/^\/v1\/quotes\/([^/]+)\/accept$/);
+        const quote = match && quotes.get(match[1]);
+        if (!quote || quote.accepted) {
+          return reply(409, { code: 'QUOTE_NOT_OPEN', message: 'Quote is not open' });
+        }
+
+        quote.accepted = true;
+        return reply(200, { orderId: `order-${match[1]}`, status: 'filled', amountOut: quote.amountOut });
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      provider = new CexSwapProvider({ httpClient: axios, baseUrl, apiKey: API_KEY, apiSecret: API_SECRET });
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  it('should quote with signed requests', async () => {
+    const quote = await provider.quote({ fromAsset: assets.eth, toAsset: assets.usdc, amount: '1.5' });
+
+    expect(quote.amountOut).to.equal('2993.25');
+    expect(quote.reference).to.equal('q1');
+    expect(quote.expiresAt).to.be.an.instanceof(Date);
+    expect(requests[requests.length - 1]).to.deep.include({ url: '/v1/quotes', signed: true });
+  });
+
+  it('should accept its quote with the minimum amount and order reference', async () => {
+    const quote = await provider.quote({ fromAsset: assets.eth, toAsset: assets.usdc, amount: '2' });
+
+    const fill = await provider.execute({
+      quote: { id: 'platform-quote-id', provider_quote_id: quote.reference },
+      fromAsset: assets.eth,
+      toAsset: assets.usdc,
+      amount: '2',
+      minAmountOut: '3971.045'
+    });
+
+    expect(fill).to.deep.equal({ amountOut: '3991', providerTxId: `order-${quote.reference}` });
+    expect(requests[requests.length - 1].body).to.deep.equal({ clientOrderId: 'platform-quote-id', minAmountOut: '3971.045' });
+  });
+
+  it('should report rejected requests as provider errors', async () => {
+    try {
+      await provider.quote({ fromAsset: { id: 'doge', symbol: 'DOGE', decimals: 8 }, toAsset: assets.usdc, amount: '10' });
+      expect.fail('Expected the quote to be rejected');
+    } catch (error) {
+      expect(error.code).to.equal('PROVIDER_REJECTED');
+      expect(error.details).to.deep.equal({ status: 400, code: 'UNSUPPORTED_PAIR' });
+    }
+
+    try {
+      await provider.execute({ quote: { id: 'x', provider_quote_id: 'unknown' }, toAsset: assets.usdc, minAmountOut: '1' });
+      expect.fail('Expected the accept to be rejected');
+    } catch (error) {
+      expect(error.code).to.equal('PROVIDER_REJECTED');
+      expect(error.details.status).to.equal(409);
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const { buildMt103, buildPacs008, parseStatusMessage, validateSwiftTransfer } = require('../../services/payment-service/src/swiftMessages');
+const { parseXml, textOf } = require('../../services/shared/src/xml');
+
+describe('SWIFT messages', () => {
+  const uetr = '8a562c67-ca16-48ba-b074-65581be6f001';
+  const transfer = {
+    reference: 'ABCDEF0123456789',
+    endToEndId: 'ABCDEF0123456789ABCDEF0123456789',
+    uetr,
+    valueDate: new Date('2026-10-19T00:00:00Z'),
+    amount: '1000.5',
+    currency: 'USD',
+    chargeBearer: 'BEN',
+    purposeCode: 'SUPP',
+    senderBic: 'CHBKDEFFXXX',
+    debtor: { name: 'Jane Doe', account: 'DE89370400440532013000', country: 'DE' },
+    intermediaryBic: 'CITIUS33',
+    creditorBic: 'CHASUS33XXX',
+    creditor: { name: 'Acme Inc', account: '123456789', country: 'US', addressLines: ['1 Main Street'] },
+    remittanceInformation: 'Invoice 42'
+  };
+
+  it('validates bank details, charge bearer and purpose code', () => {
+    const valid = { senderBic: 'CHBKDEFF', creditorBic: 'CHASUS33', chargeBearer: 'OUR', currency: 'USD', creditorAccount: '123456789' };
+    expect(validateSwiftTransfer(valid)).to.deep.equal([]);
+
+    const codes = (details) => validateSwiftTransfer({ ...valid, ...details }).map((problem) => problem.code);
+    expect(codes({ creditorBic: 'CHASE' })).to.deep.equal(['INVALID_BIC']);
+    expect(codes({ intermediaryBic: 'CHASUS33XXX' })).to.deep.equal(['INVALID_INTERMEDIARY']);
+    expect(codes({ chargeBearer: 'ALL' })).to.deep.equal(['INVALID_CHARGE_BEARER']);
+    expect(codes({ creditorBic: 'DEUTDEFF' })).to.deep.equal(['CHARGE_BEARER_NOT_ALLOWED']);
+    expect(codes({ purposeCode: 'XXXX' })).to.deep.equal(['INVALID_PURPOSE_CODE']);
+  });
+
+  it('builds an MT103 addressed to the intermediary bank', () => {
+    const mt103 = buildMt103(transfer);
+
+    expect(mt103).to.match(/^\{1:F01CHBKDEFFAXXX0000000000\}\{2:I103CITIUS33XXXXN\}\{3:\{121:8a562c67/);
+    expect(mt103).to.include(':32A:261019USD1000,50\r\n');
+    expect(mt103).to.include(':56A:CITIUS33\r\n:57A:CHASUS33XXX\r\n:59:/123456789\r\nAcme Inc\r\n1 Main Street\r\n');
+    expect(mt103).to.include(':71A:BEN\r\n:71F:USD0,\r\n:77B:/PURP/SUPP\r\n-}');
+  });
+
+  it('builds the matching pacs.008', () => {
+    const transaction = parseXml(buildPacs008(transfer)).children[0].children[1];
+
+    expect(textOf(transaction, 'PmtId', 'UETR')).to.equal(uetr);
+    expect(textOf(transaction, 'IntrBkSttlmAmt')).to.equal('1000.50');
+    expect(textOf(transaction, 'ChrgBr')).to.equal('CRED');
+    expect(textOf(transaction, 'InstdAgt', 'FinInstnId', 'BICFI')).to.equal('CITIUS33');
+    expect(textOf(transaction, 'DbtrAcct', 'Id', 'IBAN')).to.equal('DE89370400440532013000');
+    expect(textOf(transaction, 'CdtrAcct', 'Id', 'Othr', 'Id')).to.equal('123456789');
+    expect(textOf(transaction, 'Purp', 'Cd')).to.equal('SUPP');
+  });
+
+  it('reads transfer statuses from MT199 and pacs.002 messages', () => {
+    const mt199 = parseStatusMessage(
+      `{1:F01CHBKDEFFAXXX0000000000}{2:O1991200261019CITIUS33AXXX00000000002610191200N}{3:{121:${uetr}}}` +
+      '{4:\r\n:20:TRACK1\r\n:21:ABCDEF0123456789\r\n:79://2610191200+0000\r\n//RJCT/AC01\r\n-}'
+    );
+    expect(mt199.messageId).to.equal('TRACK1');
+    expect(mt199.updates[0]).to.include({ reference: 'ABCDEF0123456789', uetr, status: 'rejected', reason: 'AC01' });
+
+    const pacs002 = parseStatusMessage(`<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pacs.002.001.10">
+      <FIToFIPmtStsRpt>
+        <GrpHdr><MsgId>STATUS1</MsgId></GrpHdr>
+        <TxInfAndSts><OrgnlInstrId>ABCDEF0123456789</OrgnlInstrId><OrgnlUETR>${uetr.toUpperCase()}</OrgnlUETR><TxSts>ACCC</TxSts></TxInfAndSts>
+      </FIToFIPmtStsRpt>
+    </Document>`);
+    expect(pacs002.updates[0]).to.include({ uetr, status: 'completed', code: 'ACCC' });
+  });
+});
@@ -0,0 +1,402 @@
+const { expect } = require('chai');
+const { ethers } = require('../../services/wallet-service/node_modules/ethers');
+const { fakePool, silentLogger, testDatabase, createUser, findAsset } = require('./helpers');
+const { LedgerManager } = require('../../services/shared/src/ledger');
+const { HoldManager } = require('../../services/shared/src/holds');
+const { withTransaction } = require('../../services/shared/src/db');
+const { TransactionIntentError, TransactionIntentManager } = require('../../services/wallet-service/src/transactionIntents');
+
+describe('Transaction intents', () => {
+  const signer = ethers.Wallet.createRandom();
+  const recipient = ethers.Wallet.createRandom().address;
+
+  const intent = {
+    id: 'intent-1',
+    transaction_id: 'transaction-1',
+    wallet_id: 'wallet-1',
+    network: 'ethereum',
+    chain_id: '1',
+    nonce: '7',
+    from_address: signer.address,
+    to_address: recipient,
+    tx_to: recipient,
+    value: '1000000000000000000',
+    data: '0x',
+    gas_limit: '21000',
+    max_fee_per_gas: '30000000000',
+    max_priority_fee_per_gas: '1000000000',
+    status: 'prepared',
+    transaction_status: 'queued',
+    amount: '1',
+    from_asset_id: 'asset-eth',
+    expires_at: new Date(Date.now() + 60000)
+  };
+
+  const sign = (overrides = {}, wallet = signer) => wallet.signTransaction({
+    type: 2,
+    chainId: BigInt(intent.chain_id),
+    nonce: Number(intent.nonce),
+    to: intent.tx_to,
+    value: BigInt(intent.value),
+    data: intent.data,
+    gasLimit: BigInt(intent.gas_limit),
+    maxFeePerGas: BigInt(intent.max_fee_per_gas),
+    maxPriorityFeePerGas: BigInt(intent.max_priority_fee_per_gas),
+    ...overrides
+  });
+
+  const expectIntentError = (fn, code) => {
+    try {
+      fn();
+      expect.fail(`expected ${code}`);
+    } catch (error) {
+      expect(error).to.be.instanceOf(TransactionIntentError);
+      expect(error.code).to.equal(code);
+      return error;
+    }
+  };
+
+  describe('verifySignedTransaction', () => {
+    it('accepts the prepared transaction signed as is or with other fees', async () => {
+      const parsed = TransactionIntentManager.verifySignedTransaction(intent, await sign());
+      expect(parsed.from).to.equal(signer.address);
+
+      const bumped = await sign({ gasLimit: 30000n, maxFeePerGas: 50000000000n, maxPriorityFeePerGas: 2000000000n });
+      expect(TransactionIntentManager.verifySignedTransaction(intent, bumped).maxFeePerGas).to.equal(50000000000n);
+    });
+
+    it('names every field that differs from the intent', async () => {
+      const cases = [
+        [{ to: ethers.Wallet.createRandom().address }, ['to']],
+        [{ value: 2n }, ['value']],
+        [{ nonce: 8 }, ['nonce']],
+        [{ chainId: 5n }, ['chainId']],
+        [{ data: '0x1234' }, ['data']],
+        [{ nonce: 6, value: 0n }, ['nonce', 'value']]
+      ];
+
+      for (const [overrides, fields] of cases) {
+        const signed = await sign(overrides);
+        const error = expectIntentError(() => TransactionIntentManager.verifySignedTransaction(intent, signed), 'SIGNED_TRANSACTION_MISMATCH');
+        expect(error.details.fields).to.deep.equal(fields);
+      }
+    });
+
+    it('refuses transactions signed by another key, of another type, unsigned or undecodable', async () => {
+      const otherSigner = await sign({}, ethers.Wallet.createRandom());
+      expect(expectIntentError(() => TransactionIntentManager.verifySignedTransaction(intent, otherSigner), 'SIGNED_TRANSACTION_MISMATCH').details.fields)
+        .to.deep.equal(['from']);
+
+      const legacy = await signer.signTransaction({
+        type: 0, chainId: 1n, nonce: 7, to: recipient, value: BigInt(intent.value), gasLimit: 21000n, gasPrice: 30000000000n
+      });
+      expect(expectIntentError(() => TransactionIntentManager.verifySignedTransaction(intent, legacy), 'SIGNED_TRANSACTION_MISMATCH').details.fields)
+        .to.deep.equal(['type']);
+
+      const unsigned = ethers.Transaction.from({ type: 2, chainId: 1n, nonce: 7, to: recipient, value: 1n }).unsignedSerialized;
+      expectIntentError(() => TransactionIntentManager.verifySignedTransaction(intent, unsigned), 'INVALID_SIGNED_TRANSACTION');
+      expectIntentError(() => TransactionIntentManager.verifySignedTransaction(intent, '0xdeadbeef'), 'INVALID_SIGNED_TRANSACTION');
+    });
+  });
+
+  describe('submit', () => {
+    let broadcasts;
+
+    const intentPool = (row) => fakePool([
+      ['FROM transaction_intents i', () => [row]]
+    ]);
+
+    const manager = (pool) => new TransactionIntentManager({
+      pool,
+      providers: { ethereum: { broadcastTransaction: async (signed) => broadcasts.push(signed) } }
+    });
+
+    beforeEach(() => {
+      broadcasts = [];
+    });
+
+    it('rejects a signed transaction that does not match before settling or broadcasting anything', async () => {
+      const pool = intentPool(intent);
+
+      try {
+        await manager(pool).submit({ userId: 'user-1', walletId: 'wallet-1', transactionId: 'transaction-1', signedTransaction: await sign({ to: signer.address }) });
+        expect.fail('expected SIGNED_TRANSACTION_MISMATCH');
+      } catch (error) {
+        expect(error.code).to.equal('SIGNED_TRANSACTION_MISMATCH');
+        expect(error.details.fields).to.deep.equal(['to']);
+      }
+
+      expect(pool.queries.map(({ sql }) => sql.trim().split(/\s+/)[0])).to.deep.equal(['BEGIN', 'SELECT', 'ROLLBACK']);
+      expect(broadcasts).to.deep.equal([]);
+    });
+
+    it('rejects sends compliance has not released', async () => {
+      for (const transactionStatus of ['pending_approval', 'pending_travel_rule']) {
+        try {
+          await manager(intentPool({ ...intent, transaction_status: transactionStatus })).submit({
+            userId: 'user-1', walletId: 'wallet-1', transactionId: 'transaction-1', signedTransaction: await sign()
+          });
+          expect.fail('expected TRANSACTION_NOT_RELEASED');
+        } catch (error) {
+          expect(error.code).to.equal('TRANSACTION_NOT_RELEASED');
+          expect(error.details).to.deep.equal({ status: transactionStatus });
+        }
+      }
+
+      expect(broadcasts).to.deep.equal([]);
+    });
+
+    it('rejects expired and already submitted intents', async () => {
+      const signedTransaction = await sign();
+
+      for (const [row, code] of [
+        [{ ...intent, expires_at: new Date(Date.now() - 1000) }, 'INTENT_EXPIRED'],
+        [{ ...intent, status: 'submitted', transaction_status: 'broadcast' }, 'INTENT_NOT_PENDING']
+      ]) {
+        try {
+          await manager(intentPool(row)).submit({ userId: 'user-1', walletId: 'wallet-1', transactionId: 'transaction-1', signedTransaction });
+          expect.fail(`expected ${code}`);
+        } catch (error) {
+          expect(error.code).to.equal(code);
+        }
+      }
+
+      expect(broadcasts).to.deep.equal([]);
+    });
+  });
+
+  describe('recorded sends', () => {
+    let pool;
+    let user;
+    let wallet;
+    let eth;
+
+    // Gas limit 21000 at a fee cap of 1000 gwei: a maximum fee of 0.021 ETH
+    const built = {
+      network: 'ethereum',
+      chainId: 1n,
+      nonce: 0,
+      fromAddress: signer.address,
+      toAddress: recipient,
+      txTo: recipient,
+      value: 100000000000000000n,
+      data: '0x',
+      gasLimit: 21000n,
+      maxFeePerGas: 1000000000000n,
+      maxPriorityFeePerGas: 1000000000n
+    };
+
+    before(async function() {
+      this.timeout(30000);
+
+      pool = await testDatabase();
+      if (!pool) {
+        console.warn('Skipping network fee hold tests: TEST_DATABASE_URL is not set');
+        this.skip();
+      }
+
+      user = await createUser(pool);
+      eth = await findAsset(pool, 'ETH');
+      const created = await pool.query(
+        "INSERT INTO wallets (user_id, wallet_type, wallet_address) VALUES ($1, 'non_custodial', $2) RETURNING *",
+        [user.id, signer.address]
+      );
+      wallet = created.rows[0];
+
+      await withTransaction(pool, (client) => LedgerManager.transfer(client, {
+        entryType: 'deposit',
+        from: LedgerManager.omnibusAccount(eth.id),
+        to: LedgerManager.userAccount(user.id, wallet.id, eth.id),
+        amount: '1'
+      }));
+    });
+
+    after(async () => {
+      if (pool) {
+        await pool.drop();
+      }
+    });
+
+    // A send as payment-service records it, with its amount reserved
+    const recordSend = (amount) => withTransaction(pool, async (client) => {
+      const result = await client.query(
+        `INSERT INTO transactions (user_id, transaction_type, from_wallet_id, from_asset_id, amount, counterparty, status)
+         VALUES ($1, 'send', $2, $3, $4, $5, 'queued')
+         RETURNING id`,
+        [user.id, wallet.id, eth.id, amount, recipient]
+      );
+      await HoldManager.placeHold(client, {
+        userId: user.id,
+        walletId: wallet.id,
+        assetId: eth.id,
+        amount,
+        transactionId: result.rows[0].id,
+        reason: 'transaction',
+        expiresAt: new Date(Date.now() + 3600000)
+      });
+      return result.rows[0].id;
+    });
+
+    const holds = async (transactionId) => {
+      const result = await pool.query(
+        'SELECT reason, amount, status, expires_at FROM fund_holds WHERE transaction_id = $1 ORDER BY created_at',
+        [transactionId]
+      );
+      return result.rows;
+    };
+
+    const manager = (provider = {}) => new TransactionIntentManager({ pool, providers: { ethereum: provider }, logger: silentLogger });
+
+    // A node that refuses every broadcast and has mined `minedNonce` transactions from the sender
+    const refusingNode = (minedNonce) => ({
+      broadcastTransaction: async () => {
+        throw new Error('could not reach the node');
+      },
+      getTransactionCount: async () => minedNonce,
+      getTransaction: async () => null
+    });
+
+    const signBuilt = () => signer.signTransaction({ ...TransactionIntentManager.unsignedTransaction(built), type: 2 });
+
+    const ethBalance = async () => {
+      const result = await pool.query('SELECT balance FROM balances WHERE wallet_id = $1 AND asset_id = $2', [wallet.id, eth.id]);
+      return Number(result.rows[0].balance);
+    };
+
+    const sendState = async (transactionId) => {
+      const result = await pool.query(
+        `SELECT t.status, t.blockchain_tx_hash, i.status AS intent_status, i.signed_transaction, c.tx_hash AS tracked_tx_hash
+         FROM transactions t
+         JOIN transaction_intents i ON i.transaction_id = t.id
+         LEFT JOIN transaction_confirmations c ON c.transaction_id = t.id
+         WHERE t.id = $1`,
+        [transactionId]
+      );
+      return result.rows[0];
+    };
+
+    it('reserves the maximum network fee next to the amount, on the same expiry', async () => {
+      const transactionId = await recordSend('0.1');
+
+      const { transaction, intent } = await manager().prepare({ wallet, transactionId, built });
+
+      expect(Number(transaction.fee)).to.equal(0.021);
+      expect(intent).to.include({ transaction_id: transactionId, status: 'prepared' });
+
+      const [amountHold, feeHold] = await holds(transactionId);
+      expect(feeHold).to.include({ reason: 'network_fee', status: 'active' });
+      expect(Number(feeHold.amount)).to.equal(0.021);
+      expect(feeHold.expires_at.getTime()).to.equal(amountHold.expires_at.getTime());
+    });
+
+    it('fails the send and releases its amount when the fee cannot be reserved', async () => {
+      const transactionId = await recordSend('0.87');
+
+      try {
+        await manager().prepare({ wallet, transactionId, built });
+        expect.fail('expected INSUFFICIENT_BALANCE');
+      } catch (error) {
+        expect(error.code).to.equal('INSUFFICIENT_BALANCE');
+      }
+
+      const status = await pool.query('SELECT status FROM transactions WHERE id = $1', [transactionId]);
+      expect(status.rows[0].status).to.equal('failed');
+      expect((await holds(transactionId)).map((hold) => hold.status)).to.deep.equal(['released']);
+    });
+
+    it('fails the send and releases its funds when the intent cannot be stored', async () => {
+      const transactionId = await recordSend('0.1');
+
+      try {
+        await manager().prepare({ wallet, transactionId, built: { ...built, nonce: 'latest' } });
+        expect.fail('expected the intent insert to fail');
+      } catch (error) {
+        expect(error.code).to.equal('22P02');
+      }
+
+      const status = await pool.query('SELECT status FROM transactions WHERE id = $1', [transactionId]);
+      expect(status.rows[0].status).to.equal('failed');
+      expect((await holds(transactionId)).map((hold) => hold.status)).to.deep.equal(['released']);
+    });
+
+    it('stores a signed send before broadcasting it and broadcasts it again from the job', async () => {
+      const transactionId = await recordSend('0.1');
+      await manager().prepare({ wallet, transactionId, built });
+      const signedTransaction = await signBuilt();
+
+      const stored = await manager(refusingNode(0)).submit({ userId: user.id, walletId: wallet.id, transactionId, signedTransaction });
+
+      expect(stored.status).to.equal('broadcasting');
+      expect(await sendState(transactionId)).to.include({
+        status: 'broadcasting', intent_status: 'signed', signed_transaction: signedTransaction, tracked_tx_hash: null
+      });
+      expect((await holds(transactionId)).map((hold) => hold.status)).to.deep.equal(['captured', 'captured']);
+
+      const broadcasts = [];
+      const rebroadcast = await manager({ broadcastTransaction: async (signed) => broadcasts.push(signed) }).rebroadcastSigned();
+
+      expect(rebroadcast).to.equal(1);
+      expect(broadcasts).to.deep.equal([signedTransaction]);
+      const sent = await sendState(transactionId);
+      expect(sent).to.include({ status: 'broadcast', intent_status: 'submitted', signed_transaction: null });
+      expect(sent.tracked_tx_hash).to.equal(sent.blockchain_tx_hash);
+    });
+
+    it('fails a signed send and reverses its settlement once its nonce is used by another transaction', async () => {
+      const transactionId = await recordSend('0.1');
+      await manager().prepare({ wallet, transactionId, built });
+      const before = await ethBalance();
+
+      await manager(refusingNode(0)).submit({ userId: user.id, walletId: wallet.id, transactionId, signedTransaction: await signBuilt() });
+      expect(await ethBalance()).to.be.closeTo(before - 0.121, 1e-12);
+
+      expect(await manager(refusingNode(0)).rebroadcastSigned()).to.equal(0);
+      expect((await sendState(transactionId)).status).to.equal('broadcasting');
+
+      await manager(refusingNode(1)).rebroadcastSigned();
+
+      expect(await sendState(transactionId)).to.include({ status: 'failed', intent_status: 'failed', signed_transaction: null });
+      expect(await ethBalance()).to.be.closeTo(before, 1e-12);
+    });
+
+    it('moves tracking to a speed-up only once it went out', async () => {
+      const transactionId = await recordSend('0.1');
+      await manager().prepare({ wallet, transactionId, built });
+      const accepting = { broadcastTransaction: async () => {} };
+      const { blockchain_tx_hash: originalHash } = await manager(accepting)
+        .submit({ userId: user.id, walletId: wallet.id, transactionId, signedTransaction: await signBuilt() });
+
+      const replacing = (provider) => new TransactionIntentManager({
+        pool,
+        providers: { ethereum: { ...provider, getTransactionReceipt: async () => null } },
+        fees: { quote: async () => ({ speeds: { fast: { maxFeePerGas: 1n, maxPriorityFeePerGas: 1n } } }) },
+        signTransaction: (client, signingWallet, network, fromAddress, transaction) => signer.signTransaction(transaction),
+        logger: silentLogger
+      });
+      const speedUp = (provider) => replacing(provider).replace({
+        userId: user.id, wallet: { ...wallet, wallet_type: 'custodial' }, transactionId, replacementType: 'speed_up'
+      });
+
+      const { broadcast, replacedTxHash } = await speedUp(refusingNode(0));
+
+      expect(broadcast).to.equal(false);
+      expect(replacedTxHash).to.equal(originalHash);
+      expect(await sendState(transactionId)).to.include({ status: 'broadcast', intent_status: 'signed', tracked_tx_hash: originalHash });
+
+      try {
+        await speedUp(accepting);
+        expect.fail('expected TRANSACTION_NOT_REPLACEABLE');
+      } catch (error) {
+        expect(error.code).to.equal('TRANSACTION_NOT_REPLACEABLE');
+      }
+
+      expect(await manager(accepting).rebroadcastSigned()).to.equal(1);
+
+      const sent = await sendState(transactionId);
+      expect(sent).to.include({ status: 'broadcast', intent_status: 'submitted', signed_transaction: null });
+      expect(sent.tracked_tx_hash).to.equal(sent.blockchain_tx_hash).and.not.equal(originalHash);
+      const tracked = await pool.query('SELECT replaced_tx_hashes FROM transaction_confirmations WHERE transaction_id = $1', [transactionId]);
+      expect(tracked.rows[0].replaced_tx_hashes).to.deep.equal([originalHash]);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { expect } = require('chai');
+const { fakePool, silentLogger } = require('./helpers');
+const {
+  TRAVEL_RULE_STATUSES,
+  TravelRuleError,
+  StubTravelRuleTransport,
+  TravelRuleManager,
+  buildIvms101,
+  validateBeneficiary
+} = require('../../services/payment-service/src/travelRule');
+
+describe('Travel Rule', () => {
+  const vasp = { name: 'CryptoHybrid Bank', lei: '529900T8BM49AURSDO55', country: 'DE' };
+
+  it('builds IVMS101 payloads for natural and legal persons', () => {
+    const payload = buildIvms101({
+      originator: { type: 'natural', firstName: 'Ada', lastName: 'Lovelace', customerIdentification: 'u1', country: 'GB', accountNumber: '0xabc' },
+      beneficiary: { type: 'legal', name: 'Acme Ltd', accountNumber: '0xdef' },
+      originatingVasp: vasp,
+      beneficiaryVasp: { name: 'Other Exchange' }
+    });
+
+    const [originator] = payload.originator.originatorPersons;
+    expect(originator.naturalPerson.name.nameIdentifier[0]).to.deep.equal({ primaryIdentifier: 'Lovelace', secondaryIdentifier: 'Ada', nameIdentifierType: 'LEGL' });
+    expect(originator.naturalPerson.countryOfResidence).to.equal('GB');
+    expect(payload.originator.accountNumber).to.deep.equal(['0xabc']);
+    expect(payload.beneficiary.beneficiaryPersons[0].legalPerson.name.nameIdentifier[0].legalPersonName).to.equal('Acme Ltd');
+    expect(payload.originatingVASP.originatingVASP.legalPerson.nationalIdentification).to.deep.equal({ nationalIdentifier: vasp.lei, nationalIdentifierType: 'LEIX' });
+    expect(payload.beneficiaryVASP.beneficiaryVASP.legalPerson.name.nameIdentifier[0].legalPersonName).to.equal('Other Exchange');
+
+    const unhosted = buildIvms101({
+      originator: { type: 'natural', firstName: 'Ada', lastName: 'Lovelace' },
+      beneficiary: { type: 'natural', firstName: 'Bob', lastName: 'Smith', accountNumber: '0xdef' },
+      originatingVasp: vasp
+    });
+    expect(unhosted).to.not.have.property('beneficiaryVASP');
+  });
+
+  it('requires complete beneficiary details', () => {
+    expect(() => validateBeneficiary(undefined, { thresholdUsd: '1000', amountUsd: '2500' }))
+      .to.throw(TravelRuleError).with.property('code', 'BENEFICIARY_REQUIRED');
+    expect(() => validateBeneficiary({ firstName: 'Bob', walletType: 'hosted' }))
+      .to.throw(TravelRuleError).with.property('details').that.deep.equals({
+        errors: ['firstName and lastName are required for a natural person', 'vasp.id is required for a hosted wallet']
+      });
+    expect(validateBeneficiary({ firstName: 'Bob', lastName: 'Smith', walletType: 'unhosted' })).to.include({ type: 'natural' });
+  });
+
+  describe('manager', () => {
+    // Holds the one transfer, updated only from the status each update expects
+    const transferPool = (transfer) => fakePool([
+      ['t.status = ANY($1)', (params) => (params[0].includes(transfer.status) && transfer.transaction_status === 'pending_travel_rule' ? [{ ...transfer }] : [])],
+      ['FROM travel_rule_transfers t', (params) => (transfer.status === params[1] ? [{ ...transfer, symbol: 'ETH' }] : [])],
+      [/^UPDATE travel_rule_transfers/, (params, sql) => {
+        const [status] = params;
+        if (transfer.status !== params[params.length - 1]) {
+          return [];
+        }
+        Object.assign(transfer, sql.includes('transport =') ? { status, transport: params[1], transport_reference: params[2] } : { status, status_reason: params[1] });
+        return [{ ...transfer }];
+      }]
+    ]);
+
+    const manager = (transfer, response, answers) => new TravelRuleManager({
+      pool: transferPool(transfer),
+      transport: new StubTravelRuleTransport({ response }),
+      logger: silentLogger,
+      webhookSecret: 'secret',
+      onAcknowledged: async (answered) => answers.push(['acknowledged', answered.id]),
+      onRejected: async (answered) => answers.push(['rejected', answered.id])
+    });
+
+    it('passes on an answer the stub VASP gives at once', async () => {
+      const transfer = { id: 't1', transaction_id: 'tx1', status: TRAVEL_RULE_STATUSES.PENDING, beneficiary_vasp_id: 'vasp-2' };
+      const answers = [];
+
+      await manager(transfer, 'reject', answers).send('t1');
+
+      expect(transfer).to.include({ status: TRAVEL_RULE_STATUSES.REJECTED, transport: 'stub', transport_reference: 'stub_t1' });
+      expect(answers).to.deep.equal([['rejected', 't1']]);
+    });
+
+    it('applies a signed webhook answer once', async () => {
+      const transfer = { id: 't2', transaction_id: 'tx2', status: TRAVEL_RULE_STATUSES.PENDING, beneficiary_vasp_id: 'vasp-2' };
+      const answers = [];
+      const travelRule = manager(transfer, 'none', answers);
+
+      await travelRule.send('t2');
+      expect(transfer.status).to.equal(TRAVEL_RULE_STATUSES.SENT);
+      expect(answers).to.deep.equal([]);
+
+      const body = Buffer.from(JSON.stringify({ id: 'evt1', type: 'transfer.acknowledged', data: { transferId: 't2' } }));
+      const signature = crypto.createHmac('sha256', 'secret').update(body).digest('hex');
+
+      try {
+        await travelRule.handleWebhook(body, 'sha256=00');
+        expect.fail('an unsigned webhook was accepted');
+      } catch (error) {
+        expect(error.code).to.equal('INVALID_SIGNATURE');
+      }
+
+      expect((await travelRule.handleWebhook(body, `sha256=${signature}`)).outcome).to.equal('acknowledged');
+      expect((await travelRule.handleWebhook(body, `sha256=${signature}`)).outcome).to.equal('ignored');
+      expect(answers).to.deep.equal([['acknowledged', 't2']]);
+    });
+
+    it('applies an answer again on the next run while its send is still waiting', async () => {
+      const transfer = { id: 't3', transaction_id: 'tx3', status: TRAVEL_RULE_STATUSES.PENDING, transaction_status: 'pending_travel_rule', beneficiary_vasp_id: 'vasp-2' };
+      const answers = [];
+      let failing = true;
+      const travelRule = new TravelRuleManager({
+        pool: transferPool(transfer),
+        transport: new StubTravelRuleTransport({ response: 'acknowledge' }),
+        logger: silentLogger,
+        onAcknowledged: async (answered) => {
+          if (failing) {
+            throw new Error('connection reset');
+          }
+          answers.push(['acknowledged', answered.id]);
+          transfer.transaction_status = 'pending';
+        }
+      });
+
+      await travelRule.send('t3');
+      expect(transfer.status).to.equal(TRAVEL_RULE_STATUSES.ACKNOWLEDGED);
+      expect(answers).to.deep.equal([]);
+
+      failing = false;
+      await travelRule.run();
+      await travelRule.run();
+      expect(answers).to.deep.equal([['acknowledged', 't3']]);
+    });
+  });
+});
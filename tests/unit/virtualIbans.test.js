@@ -0,0 +1,63 @@
+const { expect } = require('chai');
+const { fakePool } = require('./helpers');
+const { BBAN_LAYOUTS, VirtualIbanManager, buildIban, isValidIban } = require('../../services/payment-service/src/virtualIbans');
+
+describe('Virtual IBANs', () => {
+  const issuers = {
+    EUR: { country: 'DE', bankCode: '50010517' },
+    GBP: { country: 'GB', bankCode: 'CHBK', branchCode: '601613' },
+    CHF: { country: 'BE', bankCode: '539' }
+  };
+
+  // No IBAN is taken yet, and inserts come back as the stored row
+  const ibanPool = () => fakePool([
+    ['INSERT INTO virtual_ibans', ([userId, iban, bankCode, accountNumber, currency]) => [
+      { user_id: userId, iban, bank_code: bankCode, account_number: accountNumber, currency }
+    ]],
+    ['SELECT', () => []]
+  ]);
+
+  it('computes mod-97 check digits', () => {
+    expect(buildIban('DE', '370400440532013000')).to.equal('DE89370400440532013000');
+    expect(buildIban('GB', 'WEST12345698765432')).to.equal('GB82WEST12345698765432');
+    expect(BBAN_LAYOUTS.BE.checkDigits('5390075470')).to.equal('34');
+
+    expect(isValidIban('BE68 5390 0754 7034')).to.equal(true);
+    expect(isValidIban('DE88370400440532013000')).to.equal(false);
+    expect(isValidIban('DE89')).to.equal(false);
+  });
+
+  it('issues IBANs in the issuing country\'s layout', async () => {
+    const manager = new VirtualIbanManager({ pool: ibanPool(), issuers });
+
+    const eur = await manager.issue('user-1', 'EUR');
+    expect(eur.iban).to.match(/^DE\d{2}50010517\d{10}$/);
+    expect(isValidIban(eur.iban)).to.equal(true);
+
+    const gbp = await manager.issue('user-1', 'GBP');
+    expect(gbp.iban).to.match(/^GB\d{2}CHBK601613\d{8}$/);
+    expect(gbp.bank_code).to.equal('CHBK601613');
+    expect(isValidIban(gbp.iban)).to.equal(true);
+
+    const chf = await manager.issue('user-1', 'CHF');
+    const bban = chf.iban.slice(4);
+    expect(bban).to.match(/^539\d{9}$/);
+    expect(BBAN_LAYOUTS.BE.checkDigits(bban.slice(0, 10))).to.equal(bban.slice(10));
+    expect(isValidIban(chf.iban)).to.equal(true);
+  });
+
+  it('refuses unsupported currencies and invalid issuers', async () => {
+    const manager = new VirtualIbanManager({ pool: ibanPool(), issuers });
+
+    try {
+      await manager.issue('user-1', 'JPY');
+      expect.fail('expected CURRENCY_NOT_SUPPORTED');
+    } catch (error) {
+      expect(error.code).to.equal('CURRENCY_NOT_SUPPORTED');
+    }
+
+    expect(() => new VirtualIbanManager({ pool: ibanPool(), issuers: { EUR: { country: 'DE', bankCode: '123' } } })).to.throw(/bank code/);
+    expect(() => new VirtualIbanManager({ pool: ibanPool(), issuers: { GBP: { country: 'GB', bankCode: 'CHBK' } } })).to.throw(/branch code/);
+    expect(() => new VirtualIbanManager({ pool: ibanPool(), issuers: { USD: { country: 'US', bankCode: '021000021' } } })).to.throw(/unsupported country/);
+  });
+});